@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Amortization schedules of loans and mortgages.
+ *
+ * A loan of Principal at InterestRate (annual, in percent) is repaid in equal
+ * payments, one per PaymentFrequency period over TermMonths, the first one
+ * period after StartDate. Each payment first pays the interest accrued on the
+ * remaining balance over the period and then principal; the last payment
+ * clears whatever rounding left. Extra payments go to principal only, so the
+ * loan is paid off sooner and accrues less interest.
+ */
+
+const { PERIODS_PER_YEAR, periodicRate } = require('@personal-finance/shared/loans');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rounds an amount to cents.
+ *
+ * @param {number} amount - The amount.
+ * @returns {number} The rounded amount.
+ */
+const toCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Computes the number of payments over a loan's term.
+ *
+ * @param {Object} loan - The loan's TermMonths and PaymentFrequency.
+ * @returns {number} The number of payments.
+ */
+const paymentCount = loan => Math.max(1, Math.round(loan.TermMonths * PERIODS_PER_YEAR[loan.PaymentFrequency || 'monthly'] / 12));
+
+/**
+ * Computes the regular payment that repays a loan over its term.
+ *
+ * @param {Object} loan - The loan's Principal, InterestRate, TermMonths and PaymentFrequency.
+ * @returns {number} The payment per period.
+ */
+const paymentAmount = (loan) => {
+  const rate = periodicRate(loan);
+  const count = paymentCount(loan);
+  if (rate === 0) {
+    return toCents(loan.Principal / count);
+  }
+  return toCents(loan.Principal * rate / (1 - Math.pow(1 + rate, -count)));
+};
+
+/**
+ * Works out the date of a payment.
+ *
+ * @param {Object} loan - The loan's StartDate (YYYY-MM-DD) and PaymentFrequency.
+ * @param {number} number - The payment number, from 1.
+ * @returns {string} The payment date (YYYY-MM-DD).
+ */
+const paymentDate = (loan, number) => {
+  const start = new Date(`${loan.StartDate}T00:00:00.000Z`);
+  const frequency = loan.PaymentFrequency || 'monthly';
+  if (frequency !== 'monthly') {
+    return new Date(start.getTime() + number * (frequency === 'weekly' ? 7 : 14) * DAY_MS).toISOString().slice(0, 10);
+  }
+  const month = start.getUTCMonth() + number;
+  const lastDay = new Date(Date.UTC(start.getUTCFullYear(), month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(start.getUTCFullYear(), month, Math.min(start.getUTCDate(), lastDay))).toISOString().slice(0, 10);
+};
+
+/**
+ * Builds a loan's amortization schedule, with optional extra payments.
+ *
+ * @param {Object} loan - The loan's Principal, InterestRate, TermMonths, StartDate and PaymentFrequency.
+ * @param {Object} [extras] - The extra payments.
+ * @param {number} [extras.extraPayment=0] - An extra amount paid with every payment.
+ * @param {number} [extras.extraPaymentFrom=1] - The payment number the extra amount starts with.
+ * @param {Array<{PaymentNumber: number, Amount: number}>} [extras.lumpSums=[]] - One-off extra payments.
+ * @returns {{payments: Array<Object>, summary: Object}} The payments (PaymentNumber, Date, Payment,
+ *   Interest, Principal, ExtraPayment, Balance) and their totals.
+ */
+const amortizationSchedule = (loan, { extraPayment = 0, extraPaymentFrom = 1, lumpSums = [] } = {}) => {
+  const rate = periodicRate(loan);
+  const count = paymentCount(loan);
+  const regular = paymentAmount(loan);
+  const payments = [];
+  let balance = loan.Principal;
+  let totalInterest = 0;
+
+  for (let number = 1; number <= count && balance > 0; number++) {
+    const interest = toCents(balance * rate);
+    const scheduled = number === count ? balance : Math.min(balance, toCents(regular - interest));
+    const extra = (number >= extraPaymentFrom ? extraPayment : 0)
+      + lumpSums.filter(lump => lump.PaymentNumber === number).reduce((sum, lump) => sum + lump.Amount, 0);
+    const extraApplied = toCents(Math.min(extra, balance - scheduled));
+    const principal = toCents(scheduled + extraApplied);
+    balance = toCents(balance - principal);
+    totalInterest += interest;
+    payments.push({
+      PaymentNumber: number,
+      Date: paymentDate(loan, number),
+      Payment: toCents(interest + principal),
+      Interest: interest,
+      Principal: principal,
+      ExtraPayment: extraApplied,
+      Balance: balance
+    });
+  }
+
+  const last = payments[payments.length - 1];
+  return {
+    payments,
+    summary: {
+      PaymentAmount: regular,
+      NumberOfPayments: payments.length,
+      TotalInterest: toCents(totalInterest),
+      TotalPaid: toCents(loan.Principal + totalInterest),
+      PayoffDate: last ? last.Date : loan.StartDate
+    }
+  };
+};
+
+module.exports = {
+  paymentCount,
+  paymentAmount,
+  paymentDate,
+  amortizationSchedule
+};
@@ -0,0 +1,64 @@
+const { paymentAmount, paymentDate, amortizationSchedule } = require('./amortization');
+const { paymentInterest, principalPart } = require('@personal-finance/shared/loans');
+
+const mortgage = {
+  Type: 'Mortgage',
+  Principal: 200000,
+  InterestRate: 6,
+  TermMonths: 360,
+  StartDate: '2023-01-31',
+  PaymentFrequency: 'monthly'
+};
+
+describe('amortizationSchedule', () => {
+  it('repays the principal in equal payments, interest first', () => {
+    const { payments, summary } = amortizationSchedule(mortgage);
+    expect(paymentAmount(mortgage)).toBe(1199.1);
+    expect(payments[0]).toEqual({
+      PaymentNumber: 1,
+      Date: '2023-02-28',
+      Payment: 1199.1,
+      Interest: 1000,
+      Principal: 199.1,
+      ExtraPayment: 0,
+      Balance: 199800.9
+    });
+    expect(payments[359].Balance).toBe(0);
+    expect(summary).toEqual({
+      PaymentAmount: 1199.1,
+      NumberOfPayments: 360,
+      TotalInterest: 231677.04,
+      TotalPaid: 431677.04,
+      PayoffDate: '2053-01-31'
+    });
+  });
+
+  it('pays off sooner with extra payments', () => {
+    expect(amortizationSchedule(mortgage, { extraPayment: 200 }).summary.NumberOfPayments).toBe(252);
+
+    const loan = { Principal: 1200, InterestRate: 0, TermMonths: 12, StartDate: '2023-01-01' };
+    const { payments, summary } = amortizationSchedule(loan, { lumpSums: [{ PaymentNumber: 2, Amount: 500 }] });
+    expect(payments[1]).toMatchObject({ Payment: 600, Principal: 600, ExtraPayment: 500, Balance: 500 });
+    expect(summary.NumberOfPayments).toBe(7);
+  });
+
+  it('dates biweekly and weekly payments by days', () => {
+    expect(paymentDate({ ...mortgage, PaymentFrequency: 'biweekly' }, 2)).toBe('2023-02-28');
+    expect(paymentDate({ ...mortgage, PaymentFrequency: 'weekly' }, 1)).toBe('2023-02-07');
+  });
+});
+
+describe('paymentInterest', () => {
+  it('takes a period of interest on what is owed, up to the payment', () => {
+    expect(paymentInterest({ ...mortgage, Balance: -200000 }, 1199.1)).toBe(1000);
+    expect(paymentInterest({ ...mortgage, Balance: -200000 }, 600)).toBe(600);
+    expect(paymentInterest({ ...mortgage, Balance: -200000 }, -50)).toBe(0);
+  });
+});
+
+describe('principalPart', () => {
+  it('leaves the interest of a payment out of the balance change', () => {
+    expect(principalPart({ Amount: 1199.1, Interest: 1000 })).toBe(199.1);
+    expect(principalPart({ Amount: -40 })).toBe(-40);
+  });
+});
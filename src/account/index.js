@@ -17,6 +17,12 @@ Key points:
 - The handler function uses a switch statement to route different HTTP methods to the appropriate logic.
 - Each operation (GET, POST, PUT, DELETE) is implemented with proper error checking and DynamoDB interactions.
 - The code assumes that the `AccountID` is the primary key for the DynamoDB table.
+- `GET /account/{id}/balance-history` reconstructs the account's balance over time from its transactions, working back from the current `Balance` (see `balances.js`).
+- Credit cards may carry a `CreditLimit`, `APR`, `StatementClosingDay` and `PaymentDueDay`; `GET /account/{id}/statement` computes the card's last statement, minimum payment, due date and utilization from its transactions (see `statements.js`).
+- Loans and mortgages carry their `Principal`, `InterestRate`, `TermMonths`, `StartDate` and `PaymentFrequency`; `GET /account/{id}/amortization` returns their amortization schedule, with optional extra payments to compare against (see `amortization.js`). Their `Balance` is the principal still owed; payments into them are split into interest and principal (see `loans.js`).
+- DELETE archives an account: it is hidden from `GET /account` and takes no new transactions. `GET /account?status=archived` lists archived accounts and `POST /account/{id}/restore` makes one active again. `POST /account/{id}/close` archives an account for good, recording its `ClosedDate` and `FinalBalance`; closed accounts cannot be restored. Archived and closed accounts keep their transactions, so they still count in analytics and balance history.
+- `POST /account/{id}/revert` sets an account back to how it was after one of its revisions (see `revisions.js`), keeping its current balance.
+- Every account carries a `Version` (see `versioning.js`). PUT and DELETE must name the version they are based on and are rejected with 409 or 412 if it is stale.
 
 To use this in your project:
 
@@ -33,6 +39,19 @@ const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
 const winston = require('winston');
+const {
+  VERSION_REQUIRED_MESSAGE,
+  etag,
+  expectedVersion,
+  isCurrent,
+  conflictStatus,
+  versionCondition
+} = require('@personal-finance/shared/versioning');
+const { revisionKey, revertedFields } = require('@personal-finance/shared/revisions');
+const { DEFAULT_CURRENCY, periodEnds, balanceSeries } = require('@personal-finance/shared/balances');
+const { statementCycle, cardStatement } = require('./statements');
+const { LOAN_TYPES, PERIODS_PER_YEAR, isLoan } = require('@personal-finance/shared/loans');
+const { amortizationSchedule } = require('./amortization');
 
 // Initialize AWS SDK and Winston logger
 const dynamodb = new AWS.DynamoDB.DocumentClient();
@@ -48,15 +67,107 @@ const logger = winston.createLogger({
 // Environment variables
 const TABLE_NAME = process.env.ACCOUNT_TABLE;
 const AUDIT_TABLE = process.env.AUDIT_TABLE;
+const HISTORY_TABLE = process.env.HISTORY_TABLE;
+const TRANSACTION_TABLE = process.env.TRANSACTION_TABLE;
 const STAGE = process.env.STAGE;
 
+const USER_DATE_INDEX = 'UserDateIndex';
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_BALANCE_POINTS = 400;
+const CREDIT_CARD = 'Credit Card';
+
+// Fields only credit cards carry
+const CARD_FIELDS = ['CreditLimit', 'APR', 'StatementClosingDay', 'PaymentDueDay'];
+
+// Fields only loans and mortgages carry
+const LOAN_FIELDS = ['Principal', 'InterestRate', 'TermMonths', 'StartDate', 'PaymentFrequency'];
+
+// The fields each type of account carries beyond the common ones
+const TYPE_FIELDS = {
+  [CREDIT_CARD]: CARD_FIELDS,
+  ...Object.fromEntries(LOAN_TYPES.map(type => [type, LOAN_FIELDS]))
+};
+
+// Loan terms a schema requires of loans and mortgages and refuses elsewhere
+const loanTerm = schema => schema.when('Type', {
+  is: Joi.valid(...LOAN_TYPES),
+  then: Joi.required(),
+  otherwise: Joi.forbidden()
+});
+
+// How far back balance history goes when no start date is given
+const DEFAULT_HISTORY_SPAN = {
+  day: { months: 1 },
+  week: { months: 3 },
+  month: { months: 12 }
+};
+
 // Validation schema
 const accountSchema = Joi.object({
   AccountName: Joi.string().required().max(100),
   Balance: Joi.number().required().precision(2),
-  Type: Joi.string().valid('Checking', 'Savings', 'Credit Card', 'Investment').required()
+  Type: Joi.string().valid('Checking', 'Savings', 'Credit Card', 'Investment', ...LOAN_TYPES).required(),
+  Currency: Joi.string().pattern(/^[A-Z]{3}$/)
+    .messages({ 'string.pattern.base': '"Currency" must be an ISO 4217 currency code' }),
+  CreditLimit: Joi.number().positive().precision(2)
+    .when('Type', { not: CREDIT_CARD, then: Joi.forbidden() }),
+  APR: Joi.number().min(0).max(100).precision(2)
+    .when('Type', { not: CREDIT_CARD, then: Joi.forbidden() }),
+  StatementClosingDay: Joi.number().integer().min(1).max(31)
+    .when('Type', { not: CREDIT_CARD, then: Joi.forbidden() }),
+  PaymentDueDay: Joi.number().integer().min(1).max(31)
+    .when('Type', { not: CREDIT_CARD, then: Joi.forbidden() }),
+  Principal: loanTerm(Joi.number().positive().precision(2)),
+  InterestRate: loanTerm(Joi.number().min(0).max(100)),
+  TermMonths: loanTerm(Joi.number().integer().min(1).max(600)),
+  StartDate: loanTerm(Joi.string().pattern(DATE_ONLY_PATTERN)
+    .messages({ 'string.pattern.base': '"StartDate" must be a date (YYYY-MM-DD)' })),
+  PaymentFrequency: Joi.string().valid(...Object.keys(PERIODS_PER_YEAR))
+    .when('Type', { is: Joi.valid(...LOAN_TYPES), then: Joi.optional(), otherwise: Joi.forbidden() }),
+  Version: Joi.number().integer().min(1).optional()
+});
+
+// Validation schema for reverting an account to a revision
+const revertSchema = Joi.object({
+  RevisionID: Joi.string().required(),
+  Version: Joi.number().integer().min(1)
 });
 
+// Account statuses GET /account can list
+const ACCOUNT_STATUSES = ['active', 'archived'];
+
+// Restore request schema
+const restoreSchema = Joi.object({
+  Version: Joi.number().integer().min(1)
+});
+
+// Close request schema
+const closeSchema = Joi.object({
+  ClosedDate: Joi.string().pattern(DATE_ONLY_PATTERN)
+    .messages({ 'string.pattern.base': '"ClosedDate" must be a date (YYYY-MM-DD)' }),
+  Version: Joi.number().integer().min(1)
+});
+
+// Query string schema for balance history
+const balanceHistoryQuerySchema = Joi.object({
+  from: Joi.string().pattern(DATE_ONLY_PATTERN)
+    .messages({ 'string.pattern.base': '"from" must be a date (YYYY-MM-DD)' }),
+  to: Joi.string().pattern(DATE_ONLY_PATTERN)
+    .messages({ 'string.pattern.base': '"to" must be a date (YYYY-MM-DD)' }),
+  interval: Joi.string().valid('day', 'week', 'month').default('day')
+});
+
+// Query string schema for amortization what-ifs
+const amortizationQuerySchema = Joi.object({
+  extraPayment: Joi.number().positive().precision(2),
+  extraPaymentFrom: Joi.number().integer().min(1),
+  lumpSum: Joi.number().positive().precision(2),
+  lumpSumPayment: Joi.number().integer().min(1)
+}).and('lumpSum', 'lumpSumPayment');
+
+// Fields a revert sets back; the balance follows the account's transactions
+const REVERTED_FIELDS = ['AccountName', 'Type', 'Currency', ...CARD_FIELDS, ...LOAN_FIELDS];
+
 // Input sanitization function
 const sanitizeInput = (input) => {
   if (typeof input === 'string') {
@@ -70,13 +181,16 @@ const sanitizeInput = (input) => {
  *
  * @param {number} statusCode - The HTTP status code.
  * @param {Object} body - The response body.
+ * @param {Object} [headers] - Additional response headers.
  * @returns {Object} The formatted response object.
  */
-const createResponse = (statusCode, body) => ({
+const createResponse = (statusCode, body, headers = {}) => ({
   statusCode,
   headers: {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'ETag',
+    ...headers
   },
   body: JSON.stringify(body),
 });
@@ -127,15 +241,20 @@ const logAuditEvent = async (userId, action, details) => {
  * @param {string} userId - The ID of the user.
  * @param {string} [lastEvaluatedKey] - The last evaluated key for pagination.
  * @param {number} [limit=20] - The maximum number of items to retrieve.
+ * @param {string} [status='active'] - Whether to list active or archived (including closed) accounts.
  * @returns {Promise<Object>} The Lambda response object.
  */
-const getAllAccounts = async (userId, lastEvaluatedKey, limit = 20) => {
+const getAllAccounts = async (userId, lastEvaluatedKey, limit = 20, status = 'active') => {
+  if (!ACCOUNT_STATUSES.includes(status)) {
+    logger.warn('Invalid account status', { userId, status });
+    return createResponse(400, { message: `"status" must be one of [${ACCOUNT_STATUSES.join(', ')}]` });
+  }
   const params = {
     TableName: TABLE_NAME,
     FilterExpression: 'UserID = :userId AND IsActive = :isActive',
     ExpressionAttributeValues: {
       ':userId': userId,
-      ':isActive': true
+      ':isActive': status === 'active'
     },
     Limit: limit
   };
@@ -145,7 +264,7 @@ const getAllAccounts = async (userId, lastEvaluatedKey, limit = 20) => {
   }
 
   const result = await dynamodb.scan(params).promise();
-  logger.info('Accounts retrieved', { userId, count: result.Items.length });
+  logger.info('Accounts retrieved', { userId, status, count: result.Items.length });
 
   const response = {
     accounts: result.Items,
@@ -158,7 +277,7 @@ const getAllAccounts = async (userId, lastEvaluatedKey, limit = 20) => {
 };
 
 /**
- * Retrieves a single account from the database.
+ * Retrieves a single account from the database, archived or not.
  *
  * @param {string} userId - The ID of the user.
  * @param {string} accountId - The ID of the account to retrieve.
@@ -170,12 +289,276 @@ const getAccount = async (userId, accountId) => {
     Key: { AccountID: accountId }
   };
   const result = await dynamodb.get(params).promise();
-  if (!result.Item || result.Item.UserID !== userId || !result.Item.IsActive) {
+  if (!result.Item || result.Item.UserID !== userId) {
     logger.warn('Account not found or unauthorized', { userId, accountId });
     return createResponse(404, { message: 'Account not found' });
   }
   logger.info('Account retrieved', { userId, accountId });
-  return createResponse(200, result.Item);
+  return createResponse(200, result.Item, { ETag: etag(result.Item) });
+};
+
+/**
+ * Reads an active account if it belongs to the user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account.
+ * @param {boolean} [includeArchived=false] - Whether an archived or closed account is found too.
+ * @returns {Promise<Object|null>} The account, or null if it does not exist, is archived (unless included) or
+ *   belongs to someone else.
+ */
+const findAccount = async (userId, accountId, includeArchived = false) => {
+  const result = await dynamodb.get({ TableName: TABLE_NAME, Key: { AccountID: accountId } }).promise();
+  return result.Item && result.Item.UserID === userId && (result.Item.IsActive || includeArchived) ? result.Item : null;
+};
+
+/**
+ * Builds the response to a request based on a stale version of an account,
+ * carrying the account as it is now.
+ *
+ * @param {{source: string}} expected - The version the request was based on.
+ * @param {Object} current - The stored account.
+ * @returns {Object} The Lambda response object.
+ */
+const versionConflict = (expected, current) => createResponse(conflictStatus(expected), {
+  message: 'Account was modified by another request. Please retry with the latest version.',
+  current
+}, { ETag: etag(current) });
+
+/**
+ * Checks that an update or delete names the current version of an account.
+ *
+ * @param {?{version: number, source: string}} expected - The version the request is based on.
+ * @param {Object} existing - The stored account.
+ * @returns {Object|null} The Lambda response rejecting the request, or null if it may go ahead.
+ */
+const checkVersion = (expected, existing) => {
+  if (!expected) {
+    return createResponse(428, { message: VERSION_REQUIRED_MESSAGE });
+  }
+  return isCurrent(expected, existing) ? null : versionConflict(expected, existing);
+};
+
+/**
+ * Answers an update or delete whose conditional write lost a race with
+ * another request, with the account as it is now.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account.
+ * @param {{source: string}} expected - The version the request was based on.
+ * @param {boolean} [includeArchived=false] - Whether the request applies to archived accounts.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const conflictAfterWrite = async (userId, accountId, expected, includeArchived = false) => {
+  const current = await findAccount(userId, accountId, includeArchived);
+  if (!current) {
+    return createResponse(404, { message: 'Account not found' });
+  }
+  return versionConflict(expected, current);
+};
+
+/**
+ * Runs a query to completion, following LastEvaluatedKey across pages.
+ *
+ * @param {Object} params - The DynamoDB query parameters.
+ * @returns {Promise<Array>} All items matched by the query.
+ */
+const queryAll = async (params) => {
+  const items = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({ ...params, ExclusiveStartKey: startKey }).promise();
+    items.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return items;
+};
+
+/**
+ * Reconstructs an account's balance at the close of each day, week or month
+ * of a date range, working back from its current balance through its
+ * transactions. The range defaults to the month (day), three months (week) or
+ * year (month) up to today.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account.
+ * @param {Object} [queryStringParameters] - The query string parameters (from, to, interval).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getBalanceHistory = async (userId, accountId, queryStringParameters) => {
+  const { error, value } = balanceHistoryQuerySchema.validate(queryStringParameters || {});
+  if (error) {
+    logger.warn('Invalid query parameters', { userId, accountId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const to = value.to || new Date().toISOString().slice(0, 10);
+  let from = value.from;
+  if (!from) {
+    const start = new Date(`${to}T00:00:00.000Z`);
+    start.setUTCMonth(start.getUTCMonth() - DEFAULT_HISTORY_SPAN[value.interval].months);
+    start.setUTCDate(start.getUTCDate() + 1);
+    from = start.toISOString().slice(0, 10);
+  }
+  if (Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to)) || from > to) {
+    return createResponse(400, { message: '"from" must be a valid date on or before "to"' });
+  }
+  if ((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) > 10 * 366
+      || periodEnds(from, to, value.interval).length > MAX_BALANCE_POINTS) {
+    return createResponse(400, { message: `The range holds more than ${MAX_BALANCE_POINTS} points; use a longer interval` });
+  }
+
+  const account = await findAccount(userId, accountId, true);
+  if (!account) {
+    logger.warn('Account not found or unauthorized', { userId, accountId });
+    return createResponse(404, { message: 'Account not found' });
+  }
+
+  // Every later transaction, up to those dated in the future, moved the balance since
+  const transactions = await queryAll({
+    TableName: TRANSACTION_TABLE,
+    IndexName: USER_DATE_INDEX,
+    KeyConditionExpression: 'UserID = :userId AND #date >= :from',
+    FilterExpression: 'AccountID = :accountId',
+    ProjectionExpression: 'TransactionID, #date, Amount, Interest, Currency',
+    ExpressionAttributeNames: { '#date': 'Date' },
+    ExpressionAttributeValues: {
+      ':userId': userId,
+      ':from': from,
+      ':accountId': accountId
+    }
+  });
+  const currency = account.Currency || DEFAULT_CURRENCY;
+  const series = balanceSeries(account.Balance, transactions, from, to, value.interval, currency);
+
+  logger.info('Balance history retrieved', { userId, accountId, points: series.points.length });
+  return createResponse(200, {
+    accountId,
+    currency,
+    interval: value.interval,
+    from,
+    to,
+    currentBalance: account.Balance,
+    openingBalance: series.openingBalance,
+    points: series.points
+  });
+};
+
+/**
+ * Picks the fields given for an account that belong to its type, such as a
+ * credit card's limit or a loan's terms.
+ *
+ * @param {Object} account - The account data.
+ * @returns {Object} The type's fields that are set.
+ */
+const typeFields = account => (TYPE_FIELDS[account.Type] || []).reduce((fields, field) => (
+  account[field] !== undefined ? { ...fields, [field]: account[field] } : fields
+), {});
+
+/**
+ * Computes a credit card's last statement (balance, minimum payment, due
+ * date, what has been paid since) and its current cycle and utilization.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the card.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getStatement = async (userId, accountId) => {
+  const account = await findAccount(userId, accountId);
+  if (!account) {
+    logger.warn('Account not found or unauthorized', { userId, accountId });
+    return createResponse(404, { message: 'Account not found' });
+  }
+  if (account.Type !== CREDIT_CARD) {
+    return createResponse(400, { message: 'Statements are only available for credit card accounts' });
+  }
+  if (!account.StatementClosingDay || !account.PaymentDueDay) {
+    return createResponse(400, { message: 'Set the StatementClosingDay and PaymentDueDay of the card to compute its statement' });
+  }
+
+  const asOf = new Date().toISOString().slice(0, 10);
+  const { cycleStart } = statementCycle(account.StatementClosingDay, asOf);
+  const transactions = await queryAll({
+    TableName: TRANSACTION_TABLE,
+    IndexName: USER_DATE_INDEX,
+    KeyConditionExpression: 'UserID = :userId AND #date >= :from',
+    FilterExpression: 'AccountID = :accountId',
+    ProjectionExpression: 'TransactionID, #date, Amount, Currency',
+    ExpressionAttributeNames: { '#date': 'Date' },
+    ExpressionAttributeValues: {
+      ':userId': userId,
+      ':from': cycleStart,
+      ':accountId': accountId
+    }
+  });
+  const currency = account.Currency || DEFAULT_CURRENCY;
+  const statement = cardStatement({ ...account, Currency: currency }, transactions, asOf);
+
+  logger.info('Statement computed', { userId, accountId, closingDate: statement.statement.closingDate });
+  return createResponse(200, {
+    accountId,
+    currency,
+    asOf,
+    apr: account.APR !== undefined ? account.APR : null,
+    ...statement
+  });
+};
+
+/**
+ * Builds the amortization schedule of a loan or mortgage from its terms. Extra
+ * payments in the query make it a what-if, compared against the schedule
+ * without them.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the loan.
+ * @param {Object} [queryStringParameters] - The query string parameters (extraPayment,
+ *   extraPaymentFrom, lumpSum, lumpSumPayment).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getAmortization = async (userId, accountId, queryStringParameters) => {
+  const { error, value } = amortizationQuerySchema.validate(queryStringParameters || {});
+  if (error) {
+    logger.warn('Invalid query parameters', { userId, accountId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const account = await findAccount(userId, accountId);
+  if (!account) {
+    logger.warn('Account not found or unauthorized', { userId, accountId });
+    return createResponse(404, { message: 'Account not found' });
+  }
+  if (!isLoan(account)) {
+    return createResponse(400, { message: 'Amortization schedules are only available for loan and mortgage accounts' });
+  }
+
+  const terms = {
+    Principal: account.Principal,
+    InterestRate: account.InterestRate,
+    TermMonths: account.TermMonths,
+    StartDate: account.StartDate,
+    PaymentFrequency: account.PaymentFrequency || 'monthly'
+  };
+  const extras = {
+    extraPayment: value.extraPayment || 0,
+    extraPaymentFrom: value.extraPaymentFrom || 1,
+    lumpSums: value.lumpSum ? [{ PaymentNumber: value.lumpSumPayment, Amount: value.lumpSum }] : []
+  };
+  const schedule = amortizationSchedule(terms, extras);
+  const response = {
+    accountId,
+    currentBalance: account.Balance,
+    terms,
+    summary: schedule.summary,
+    payments: schedule.payments
+  };
+  if (extras.extraPayment > 0 || extras.lumpSums.length > 0) {
+    const baseline = amortizationSchedule(terms).summary;
+    response.baseline = baseline;
+    response.savings = {
+      Interest: Math.round((baseline.TotalInterest - schedule.summary.TotalInterest) * 100) / 100,
+      Payments: baseline.NumberOfPayments - schedule.summary.NumberOfPayments
+    };
+  }
+
+  logger.info('Amortization schedule computed', { userId, accountId, payments: schedule.payments.length });
+  return createResponse(200, response);
 };
 
 /**
@@ -195,8 +578,13 @@ const createAccount = async (userId, account) => {
   const sanitizedAccount = {
     AccountName: sanitizeInput(account.AccountName),
     Balance: account.Balance,
-    Type: account.Type
+    Type: account.Type,
+    Currency: account.Currency || DEFAULT_CURRENCY,
+    ...typeFields(account)
   };
+  if (isLoan(sanitizedAccount) && !sanitizedAccount.PaymentFrequency) {
+    sanitizedAccount.PaymentFrequency = 'monthly';
+  }
   
   const newAccount = {
     ...sanitizedAccount,
@@ -218,35 +606,59 @@ const createAccount = async (userId, account) => {
   
   await logAuditEvent(userId, 'CREATE_ACCOUNT', { accountId: newAccount.AccountID });
   
-  return createResponse(201, { message: 'Account created successfully', account: newAccount });
+  return createResponse(201, { message: 'Account created successfully', account: newAccount }, { ETag: etag(newAccount) });
 };
 
 /**
- * Updates an existing account in the database.
+ * Updates an existing account in the database. The update must be based on
+ * the current version of the account.
  *
  * @param {string} userId - The ID of the user.
  * @param {string} accountId - The ID of the account to update.
  * @param {Object} account - The updated account data.
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
  * @returns {Promise<Object>} The Lambda response object.
  */
-const updateAccount = async (userId, accountId, account) => {
+const updateAccount = async (userId, accountId, account, headers) => {
   const { error } = accountSchema.validate(account);
   if (error) {
     logger.warn('Invalid input', { userId, accountId, error: error.details[0].message });
     return createResponse(400, { message: error.details[0].message });
   }
   
+  const existing = await findAccount(userId, accountId);
+  if (!existing) {
+    logger.warn('Account not found or unauthorized', { userId, accountId });
+    return createResponse(404, { message: 'Account not found' });
+  }
+  const expected = expectedVersion(headers, account);
+  const rejected = checkVersion(expected, existing);
+  if (rejected) {
+    logger.warn('Update not based on the current version', { userId, accountId, expected });
+    return rejected;
+  }
+  
   const sanitizedAccount = {
     AccountName: sanitizeInput(account.AccountName),
     Balance: account.Balance,
     Type: account.Type
   };
   
+  // The currency is only changed when given; amounts are not converted
+  const currencyClause = account.Currency ? ', Currency = :currency' : '';
+  // Fields of the account's type are likewise only changed when given, and dropped once it changes type
+  const specific = typeFields(account);
+  const specificClause = Object.keys(specific).map(field => `, ${field} = :${field}`).join('');
+  const kept = TYPE_FIELDS[account.Type] || [];
+  const dropped = [...CARD_FIELDS, ...LOAN_FIELDS].filter(field => !kept.includes(field));
+  const removeClause = dropped.length > 0 ? ` remove ${dropped.join(', ')}` : '';
+  const unchanged = versionCondition(existing);
   const params = {
     TableName: TABLE_NAME,
     Key: { AccountID: accountId },
-    UpdateExpression: 'set AccountName = :name, Balance = :balance, #type = :type, UpdatedAt = :updatedAt, Version = Version + :increment',
-    ConditionExpression: 'UserID = :userId AND IsActive = :isActive AND Version = :version',
+    UpdateExpression: 'set AccountName = :name, Balance = :balance, #type = :type, UpdatedAt = :updatedAt, Version = :nextVersion'
+      + currencyClause + specificClause + removeClause,
+    ConditionExpression: `UserID = :userId AND IsActive = :isActive AND ${unchanged.expression}`,
     ExpressionAttributeNames: {
       '#type': 'Type'
     },
@@ -257,11 +669,17 @@ const updateAccount = async (userId, accountId, account) => {
       ':updatedAt': new Date().toISOString(),
       ':userId': userId,
       ':isActive': true,
-      ':version': account.Version,
-      ':increment': 1
+      ':nextVersion': expected.version + 1,
+      ...unchanged.values
     },
     ReturnValues: 'ALL_NEW'
   };
+  if (account.Currency) {
+    params.ExpressionAttributeValues[':currency'] = account.Currency;
+  }
+  Object.keys(specific).forEach((field) => {
+    params.ExpressionAttributeValues[`:${field}`] = specific[field];
+  });
   
   try {
     const result = await dynamodb.update(params).promise();
@@ -269,38 +687,93 @@ const updateAccount = async (userId, accountId, account) => {
     
     await logAuditEvent(userId, 'UPDATE_ACCOUNT', { 
       accountId: accountId, 
-      oldVersion: account.Version, 
+      oldVersion: expected.version, 
       newVersion: result.Attributes.Version 
     });
     
-    return createResponse(200, { message: 'Account updated successfully', account: result.Attributes });
+    return createResponse(200, { message: 'Account updated successfully', account: result.Attributes }, { ETag: etag(result.Attributes) });
   } catch (error) {
     if (error.code === 'ConditionalCheckFailedException') {
       logger.warn('Concurrent update detected', { userId, accountId });
-      return createResponse(409, { message: 'Account was modified by another request. Please retry with the latest version.' });
+      return conflictAfterWrite(userId, accountId, expected);
     }
     throw error;
   }
 };
 
 /**
- * Soft deletes an account from the database.
+ * Sets an account back to how it was after one of its revisions. The
+ * balance is kept, since it follows the account's transactions. The revert
+ * is an update like any other: it needs the current version and is
+ * recorded as a new revision.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account.
+ * @param {Object} request - The revert request (RevisionID, Version).
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const revertAccount = async (userId, accountId, request, headers) => {
+  const { error } = revertSchema.validate(request);
+  if (error) {
+    logger.warn('Invalid revert request', { userId, accountId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const existing = await findAccount(userId, accountId);
+  if (!existing) {
+    logger.warn('Account not found or unauthorized', { userId, accountId });
+    return createResponse(404, { message: 'Account not found' });
+  }
+  const result = await dynamodb.get({
+    TableName: HISTORY_TABLE,
+    Key: { UserID: userId, RevisionKey: revisionKey('account', accountId, request.RevisionID) }
+  }).promise();
+  if (!result.Item) {
+    logger.warn('Revision not found', { userId, accountId, revisionId: request.RevisionID });
+    return createResponse(404, { message: 'Revision not found' });
+  }
+  const fields = revertedFields(result.Item, REVERTED_FIELDS);
+  logger.info('Reverting account', { userId, accountId, revisionId: request.RevisionID });
+  const version = request.Version !== undefined ? { Version: request.Version } : {};
+  return updateAccount(userId, accountId, { ...fields, Balance: existing.Balance, ...version }, headers);
+};
+
+/**
+ * Soft deletes an account from the database. The delete must be based on
+ * the current version of the account.
  *
  * @param {string} userId - The ID of the user.
  * @param {string} accountId - The ID of the account to delete.
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
+ * @param {Object} [body] - The request body, which may carry the Version.
  * @returns {Promise<Object>} The Lambda response object.
  */
-const deleteAccount = async (userId, accountId) => {
+const deleteAccount = async (userId, accountId, headers, body) => {
+  const existing = await findAccount(userId, accountId);
+  if (!existing) {
+    logger.warn('Account not found or already deleted', { userId, accountId });
+    return createResponse(404, { message: 'Account not found' });
+  }
+  const expected = expectedVersion(headers, body);
+  const rejected = checkVersion(expected, existing);
+  if (rejected) {
+    logger.warn('Delete not based on the current version', { userId, accountId, expected });
+    return rejected;
+  }
+  
+  const unchanged = versionCondition(existing);
   const params = {
     TableName: TABLE_NAME,
     Key: { AccountID: accountId },
-    UpdateExpression: 'set IsActive = :isActive, UpdatedAt = :updatedAt',
-    ConditionExpression: 'UserID = :userId AND IsActive = :currentActive',
+    UpdateExpression: 'set IsActive = :isActive, UpdatedAt = :updatedAt, Version = :nextVersion',
+    ConditionExpression: `UserID = :userId AND IsActive = :currentActive AND ${unchanged.expression}`,
     ExpressionAttributeValues: {
       ':isActive': false,
       ':updatedAt': new Date().toISOString(),
       ':userId': userId,
-      ':currentActive': true
+      ':currentActive': true,
+      ':nextVersion': expected.version + 1,
+      ...unchanged.values
     },
     ReturnValues: 'ALL_NEW'
   };
@@ -314,8 +787,148 @@ const deleteAccount = async (userId, accountId) => {
     return createResponse(200, { message: 'Account deleted successfully' });
   } catch (error) {
     if (error.code === 'ConditionalCheckFailedException') {
-      logger.warn('Account not found or already deleted', { userId, accountId });
-      return createResponse(404, { message: 'Account not found' });
+      logger.warn('Concurrent update detected', { userId, accountId });
+      return conflictAfterWrite(userId, accountId, expected);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Makes an archived account active again. Closed accounts stay closed. The
+ * restore must be based on the current version of the account.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account to restore.
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
+ * @param {Object} [body] - The request body, which may carry the Version.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const restoreAccount = async (userId, accountId, headers, body) => {
+  const { error } = restoreSchema.validate(body || {});
+  if (error) {
+    logger.warn('Invalid restore request', { userId, accountId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const existing = await findAccount(userId, accountId, true);
+  if (!existing) {
+    logger.warn('Account not found or unauthorized', { userId, accountId });
+    return createResponse(404, { message: 'Account not found' });
+  }
+  const expected = expectedVersion(headers, body);
+  const rejected = checkVersion(expected, existing);
+  if (rejected) {
+    logger.warn('Restore not based on the current version', { userId, accountId, expected });
+    return rejected;
+  }
+  if (existing.IsActive) {
+    return createResponse(409, { message: 'Account is not archived' });
+  }
+  if (existing.ClosedDate) {
+    logger.warn('Attempt to restore a closed account', { userId, accountId });
+    return createResponse(409, { message: 'Closed accounts cannot be restored' });
+  }
+
+  const unchanged = versionCondition(existing);
+  const params = {
+    TableName: TABLE_NAME,
+    Key: { AccountID: accountId },
+    UpdateExpression: 'set IsActive = :isActive, UpdatedAt = :updatedAt, Version = :nextVersion',
+    ConditionExpression: 'UserID = :userId AND IsActive = :currentActive AND attribute_not_exists(ClosedDate) AND '
+      + unchanged.expression,
+    ExpressionAttributeValues: {
+      ':isActive': true,
+      ':updatedAt': new Date().toISOString(),
+      ':userId': userId,
+      ':currentActive': false,
+      ':nextVersion': expected.version + 1,
+      ...unchanged.values
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  try {
+    const result = await dynamodb.update(params).promise();
+    logger.info('Account restored', { userId, accountId });
+
+    await logAuditEvent(userId, 'RESTORE_ACCOUNT', { accountId: accountId });
+
+    return createResponse(200, { message: 'Account restored successfully', account: result.Attributes }, { ETag: etag(result.Attributes) });
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Concurrent update detected', { userId, accountId });
+      return conflictAfterWrite(userId, accountId, expected, true);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Closes an account for good: it is archived, and its closing date and its
+ * balance at closing are recorded. An archived account can be closed too.
+ * The close must be based on the current version of the account.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account to close.
+ * @param {Object} request - The close request (ClosedDate, defaulting to today, and Version).
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const closeAccount = async (userId, accountId, request, headers) => {
+  const { error } = closeSchema.validate(request || {});
+  if (error) {
+    logger.warn('Invalid close request', { userId, accountId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const now = new Date().toISOString();
+  const closedDate = (request && request.ClosedDate) || now.slice(0, 10);
+  if (Number.isNaN(Date.parse(closedDate)) || closedDate > now.slice(0, 10)) {
+    return createResponse(400, { message: '"ClosedDate" must be a valid date no later than today' });
+  }
+  const existing = await findAccount(userId, accountId, true);
+  if (!existing) {
+    logger.warn('Account not found or unauthorized', { userId, accountId });
+    return createResponse(404, { message: 'Account not found' });
+  }
+  const expected = expectedVersion(headers, request);
+  const rejected = checkVersion(expected, existing);
+  if (rejected) {
+    logger.warn('Close not based on the current version', { userId, accountId, expected });
+    return rejected;
+  }
+  if (existing.ClosedDate) {
+    return createResponse(409, { message: 'Account is already closed' });
+  }
+
+  const unchanged = versionCondition(existing);
+  const params = {
+    TableName: TABLE_NAME,
+    Key: { AccountID: accountId },
+    UpdateExpression: 'set IsActive = :isActive, ClosedDate = :closedDate, FinalBalance = Balance, '
+      + 'UpdatedAt = :updatedAt, Version = :nextVersion',
+    ConditionExpression: `UserID = :userId AND attribute_not_exists(ClosedDate) AND ${unchanged.expression}`,
+    ExpressionAttributeValues: {
+      ':isActive': false,
+      ':closedDate': closedDate,
+      ':updatedAt': now,
+      ':userId': userId,
+      ':nextVersion': expected.version + 1,
+      ...unchanged.values
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  try {
+    const result = await dynamodb.update(params).promise();
+    logger.info('Account closed', { userId, accountId, closedDate });
+
+    await logAuditEvent(userId, 'CLOSE_ACCOUNT', { accountId: accountId, closedDate, finalBalance: result.Attributes.FinalBalance });
+
+    return createResponse(200, { message: 'Account closed successfully', account: result.Attributes }, { ETag: etag(result.Attributes) });
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Concurrent update detected', { userId, accountId });
+      return conflictAfterWrite(userId, accountId, expected, true);
     }
     throw error;
   }
@@ -334,7 +947,7 @@ exports.handler = async (event, context) => {
     event: JSON.stringify(event)
   });
 
-  const { httpMethod, path, body, pathParameters, queryStringParameters } = event;
+  const { httpMethod, path, body, pathParameters, queryStringParameters, headers } = event;
 
   try {
     const userId = getUserId(event);
@@ -342,17 +955,30 @@ exports.handler = async (event, context) => {
     switch (httpMethod) {
       case 'GET':
         if (path === '/account') {
-          const { lastEvaluatedKey, limit } = queryStringParameters || {};
-          return await getAllAccounts(userId, lastEvaluatedKey, limit ? parseInt(limit) : undefined);
+          const { lastEvaluatedKey, limit, status } = queryStringParameters || {};
+          return await getAllAccounts(userId, lastEvaluatedKey, limit ? parseInt(limit) : undefined, status);
+        } else if (path && path.endsWith('/balance-history')) {
+          return await getBalanceHistory(userId, pathParameters.id, queryStringParameters);
+        } else if (path && path.endsWith('/statement')) {
+          return await getStatement(userId, pathParameters.id);
+        } else if (path && path.endsWith('/amortization')) {
+          return await getAmortization(userId, pathParameters.id, queryStringParameters);
         } else {
           return await getAccount(userId, pathParameters.id);
         }
       case 'POST':
+        if (path && path.endsWith('/restore')) {
+          return await restoreAccount(userId, pathParameters.id, headers, body ? JSON.parse(body) : null);
+        } else if (path && path.endsWith('/close')) {
+          return await closeAccount(userId, pathParameters.id, body ? JSON.parse(body) : null, headers);
+        } else if (pathParameters && pathParameters.id) {
+          return await revertAccount(userId, pathParameters.id, JSON.parse(body), headers);
+        }
         return await createAccount(userId, JSON.parse(body));
       case 'PUT':
-        return await updateAccount(userId, pathParameters.id, JSON.parse(body));
+        return await updateAccount(userId, pathParameters.id, JSON.parse(body), headers);
       case 'DELETE':
-        return await deleteAccount(userId, pathParameters.id);
+        return await deleteAccount(userId, pathParameters.id, headers, body ? JSON.parse(body) : null);
       default:
         logger.warn('Unsupported HTTP method', { userId, method: httpMethod });
         return createResponse(400, { message: 'Unsupported HTTP method' });
@@ -375,8 +1001,19 @@ if (STAGE === 'test') {
     logAuditEvent,
     getAllAccounts,
     getAccount,
+    findAccount,
+    queryAll,
+    getBalanceHistory,
+    getStatement,
+    getAmortization,
+    restoreAccount,
+    closeAccount,
+    versionConflict,
+    checkVersion,
+    conflictAfterWrite,
     createAccount,
     updateAccount,
+    revertAccount,
     deleteAccount,
     sanitizeInput
   };
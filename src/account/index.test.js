@@ -111,6 +111,250 @@ describe('getAccount', () => {
 });
 
 
+describe('getBalanceHistory', () => {
+  const context = { awsRequestId: 'test-request' };
+  const requestContext = { authorizer: { claims: { sub: 'user123' } } };
+
+  it('rejects an unknown interval', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/account/acc123/balance-history',
+      pathParameters: { id: 'acc123' },
+      queryStringParameters: { interval: 'year' },
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"interval" must be one of [day, week, month]');
+  });
+
+  it('rejects a range that ends before it starts', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/account/acc123/balance-history',
+      pathParameters: { id: 'acc123' },
+      queryStringParameters: { from: '2023-07-01', to: '2023-06-01' },
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+});
+
+describe('loans', () => {
+  const context = { awsRequestId: 'test-request' };
+  const requestContext = { authorizer: { claims: { sub: 'user123' } } };
+
+  it('requires the terms of a loan', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/account',
+      body: JSON.stringify({
+        AccountName: 'Car Loan',
+        Balance: -15000,
+        Type: 'Loan',
+        InterestRate: 4.5,
+        TermMonths: 60,
+        StartDate: '2023-01-15'
+      }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"Principal" is required');
+  });
+
+  it('rejects a lump sum without its payment number', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/account/acc123/amortization',
+      pathParameters: { id: 'acc123' },
+      queryStringParameters: { lumpSum: '5000' },
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+});
+
+describe('archived accounts', () => {
+  const context = { awsRequestId: 'test-request' };
+  const requestContext = { authorizer: { claims: { sub: 'user123' } } };
+
+  it('rejects an unknown status filter', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/account',
+      queryStringParameters: { status: 'deleted' },
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"status" must be one of [active, archived]');
+  });
+
+  it('rejects a closing date in the future', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/account/acc123/close',
+      pathParameters: { id: 'acc123' },
+      body: JSON.stringify({ ClosedDate: '2999-01-01', Version: 1 }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+
+  // The function creates its DocumentClient as it loads, so it is loaded afresh
+  // after the mocks are set up on its own copy of the SDK
+  const loadHandler = (mock) => {
+    let loaded;
+    jest.isolateModules(() => {
+      AWSMock.setSDKInstance(require('aws-sdk'));
+      mock();
+      loaded = require('./index').handler;
+    });
+    return loaded;
+  };
+
+  const archived = {
+    AccountID: 'acc123',
+    UserID: 'user123',
+    AccountName: 'Old Savings',
+    Type: 'Savings',
+    Balance: 250,
+    IsActive: false,
+    Version: 3
+  };
+
+  it('restores an archived account', async () => {
+    let update;
+    const mockedHandler = loadHandler(() => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        callback(null, { Item: archived });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        update = params;
+        callback(null, { Attributes: { ...archived, IsActive: true, Version: 4 } });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'put', (params, callback) => {
+        callback(null, {});
+      });
+    });
+    const event = {
+      httpMethod: 'POST',
+      path: '/account/acc123/restore',
+      pathParameters: { id: 'acc123' },
+      body: JSON.stringify({ Version: 3 }),
+      requestContext
+    };
+
+    const result = await mockedHandler(event, context);
+    expect(result.statusCode).toBe(200);
+    expect(JSON.parse(result.body).account.IsActive).toBe(true);
+    expect(update.ExpressionAttributeValues[':isActive']).toBe(true);
+    expect(update.ConditionExpression).toContain('attribute_not_exists(ClosedDate)');
+  });
+
+  it('does not restore a closed account', async () => {
+    const mockedHandler = loadHandler(() => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        callback(null, { Item: { ...archived, ClosedDate: '2023-05-31', FinalBalance: 250 } });
+      });
+    });
+    const event = {
+      httpMethod: 'POST',
+      path: '/account/acc123/restore',
+      pathParameters: { id: 'acc123' },
+      body: JSON.stringify({ Version: 3 }),
+      requestContext
+    };
+
+    const result = await mockedHandler(event, context);
+    expect(result.statusCode).toBe(409);
+    expect(JSON.parse(result.body).message).toEqual('Closed accounts cannot be restored');
+  });
+
+  it('records the closing date and final balance', async () => {
+    let update;
+    const mockedHandler = loadHandler(() => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        callback(null, { Item: { ...archived, IsActive: true } });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        update = params;
+        callback(null, {
+          Attributes: { ...archived, ClosedDate: '2023-05-31', FinalBalance: 250, Version: 4 }
+        });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'put', (params, callback) => {
+        callback(null, {});
+      });
+    });
+    const event = {
+      httpMethod: 'POST',
+      path: '/account/acc123/close',
+      pathParameters: { id: 'acc123' },
+      body: JSON.stringify({ ClosedDate: '2023-05-31', Version: 3 }),
+      requestContext
+    };
+
+    const result = await mockedHandler(event, context);
+    expect(result.statusCode).toBe(200);
+    expect(update.UpdateExpression).toContain('FinalBalance = Balance');
+    expect(update.ExpressionAttributeValues[':closedDate']).toBe('2023-05-31');
+    expect(update.ExpressionAttributeValues[':isActive']).toBe(false);
+    const { account } = JSON.parse(result.body);
+    expect(account.ClosedDate).toBe('2023-05-31');
+    expect(account.FinalBalance).toBe(250);
+  });
+
+  it('lists archived accounts', async () => {
+    let scan;
+    const mockedHandler = loadHandler(() => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+        scan = params;
+        callback(null, { Items: [archived] });
+      });
+    });
+    const event = {
+      httpMethod: 'GET',
+      path: '/account',
+      queryStringParameters: { status: 'archived' },
+      requestContext
+    };
+
+    const result = await mockedHandler(event, context);
+    expect(result.statusCode).toBe(200);
+    expect(scan.ExpressionAttributeValues[':isActive']).toBe(false);
+    expect(JSON.parse(result.body).accounts).toEqual([archived]);
+  });
+
+  it('retrieves an archived account', async () => {
+    const mockedHandler = loadHandler(() => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        callback(null, { Item: archived });
+      });
+    });
+    const event = {
+      httpMethod: 'GET',
+      path: '/account/acc123',
+      pathParameters: { id: 'acc123' },
+      requestContext
+    };
+
+    const result = await mockedHandler(event, context);
+    expect(result.statusCode).toBe(200);
+    expect(JSON.parse(result.body)).toEqual(archived);
+  });
+});
+
 describe('HTTP Method Handling', () => {
   it('rejects unsupported HTTP methods', async () => {
     const event = {
@@ -0,0 +1,174 @@
+'use strict';
+
+/**
+ * Credit card statement cycles.
+ *
+ * A cycle closes on the card's StatementClosingDay each month, or on the last
+ * day of months that are shorter; transactions dated on the closing day
+ * belong to the statement that closes. The statement falls due on the next
+ * PaymentDueDay after it closes. A card's Balance is negative while money is
+ * owed on it: purchases are negative amounts and payments positive ones.
+ */
+
+const { balanceEffect } = require('@personal-finance/shared/balances');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The minimum payment is the greater of a floor and a share of the statement
+// balance plus a month's interest, and never more than the statement balance
+const MIN_PAYMENT_FLOOR = 25;
+const MIN_PAYMENT_RATE = 0.01;
+
+/**
+ * Rounds an amount to cents.
+ *
+ * @param {number} amount - The amount.
+ * @returns {number} The rounded amount.
+ */
+const toCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Formats a UTC date as YYYY-MM-DD.
+ *
+ * @param {Date} date - The date.
+ * @returns {string} The formatted day.
+ */
+const toDay = date => date.toISOString().slice(0, 10);
+
+/**
+ * Finds a day of a month, moved back to the month's last day if the month is
+ * shorter.
+ *
+ * @param {number} year - The year.
+ * @param {number} month - The month, 0-based; may run past 11 or below 0.
+ * @param {number} dayOfMonth - The day of the month (1-31).
+ * @returns {Date} The day, at midnight UTC.
+ */
+const dayInMonth = (year, month, dayOfMonth) => {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(dayOfMonth, lastDay)));
+};
+
+/**
+ * Works out the statement cycle a day falls in.
+ *
+ * @param {number} closingDay - The card's StatementClosingDay.
+ * @param {string} asOf - The day (YYYY-MM-DD).
+ * @returns {{lastClosingDate: string, cycleStart: string, nextClosingDate: string}}
+ *   The day the previous statement closed, and the first and last days of the current cycle.
+ */
+const statementCycle = (closingDay, asOf) => {
+  const day = new Date(`${asOf}T00:00:00.000Z`);
+  const year = day.getUTCFullYear();
+  const month = day.getUTCMonth();
+  const closingThisMonth = dayInMonth(year, month, closingDay);
+  const lastClosing = closingThisMonth < day ? closingThisMonth : dayInMonth(year, month - 1, closingDay);
+  const nextClosing = dayInMonth(lastClosing.getUTCFullYear(), lastClosing.getUTCMonth() + 1, closingDay);
+  return {
+    lastClosingDate: toDay(lastClosing),
+    cycleStart: toDay(new Date(lastClosing.getTime() + DAY_MS)),
+    nextClosingDate: toDay(nextClosing)
+  };
+};
+
+/**
+ * Works out when a statement falls due: the first PaymentDueDay after it
+ * closes.
+ *
+ * @param {string} closingDate - The day the statement closed (YYYY-MM-DD).
+ * @param {number} dueDay - The card's PaymentDueDay.
+ * @returns {string} The due date (YYYY-MM-DD).
+ */
+const dueDateAfter = (closingDate, dueDay) => {
+  const closing = new Date(`${closingDate}T00:00:00.000Z`);
+  const sameMonth = dayInMonth(closing.getUTCFullYear(), closing.getUTCMonth(), dueDay);
+  return toDay(sameMonth > closing
+    ? sameMonth
+    : dayInMonth(closing.getUTCFullYear(), closing.getUTCMonth() + 1, dueDay));
+};
+
+/**
+ * Computes the minimum payment on a statement balance.
+ *
+ * @param {number} statementBalance - The amount owed when the statement closed.
+ * @param {number} [apr=0] - The card's annual percentage rate.
+ * @returns {number} The minimum payment.
+ */
+const minimumPayment = (statementBalance, apr = 0) => {
+  if (statementBalance <= 0) {
+    return 0;
+  }
+  const monthlyInterest = statementBalance * apr / 100 / 12;
+  const minimum = Math.max(MIN_PAYMENT_FLOOR, statementBalance * MIN_PAYMENT_RATE + monthlyInterest);
+  return toCents(Math.min(statementBalance, minimum));
+};
+
+/**
+ * Computes a credit card's last statement and current cycle from its
+ * transactions.
+ *
+ * @param {Object} account - The card: Balance, Currency, CreditLimit, APR,
+ *   StatementClosingDay and PaymentDueDay.
+ * @param {Array<Object>} transactions - Every transaction of the card dated after the last
+ *   statement closed, including those dated in the future.
+ * @param {string} asOf - The day to compute the statement for (YYYY-MM-DD).
+ * @returns {Object} The statement and cycle figures.
+ */
+const cardStatement = (account, transactions, asOf) => {
+  const cycle = statementCycle(account.StatementClosingDay, asOf);
+  let purchases = 0;
+  let payments = 0;
+  let later = 0;
+  transactions.forEach((transaction) => {
+    const effect = balanceEffect(transaction, account.Currency);
+    const day = String(transaction.Date).slice(0, 10);
+    if (day <= cycle.lastClosingDate) {
+      return;
+    }
+    if (day > asOf) {
+      later += effect;
+    } else if (effect < 0) {
+      purchases -= effect;
+    } else {
+      payments += effect;
+    }
+  });
+
+  const owedNow = toCents(-(account.Balance - later));
+  const statementBalance = toCents(owedNow - purchases + payments);
+  const minimum = minimumPayment(statementBalance, account.APR);
+  const dueDate = dueDateAfter(cycle.lastClosingDate, account.PaymentDueDay);
+  const remainingMinimum = toCents(Math.max(0, minimum - payments));
+  const hasLimit = typeof account.CreditLimit === 'number' && account.CreditLimit > 0;
+
+  return {
+    statement: {
+      closingDate: cycle.lastClosingDate,
+      statementBalance,
+      minimumPayment: minimum,
+      dueDate,
+      daysUntilDue: Math.round((Date.parse(dueDate) - Date.parse(asOf)) / DAY_MS),
+      paidSinceStatement: toCents(payments),
+      remainingMinimum,
+      remainingBalance: toCents(Math.max(0, statementBalance - payments)),
+      pastDue: asOf > dueDate && remainingMinimum > 0
+    },
+    currentCycle: {
+      startDate: cycle.cycleStart,
+      closingDate: cycle.nextClosingDate,
+      purchases: toCents(purchases),
+      payments: toCents(payments)
+    },
+    balanceOwed: owedNow,
+    creditLimit: hasLimit ? account.CreditLimit : null,
+    availableCredit: hasLimit ? toCents(account.CreditLimit - owedNow) : null,
+    utilization: hasLimit ? Math.round(Math.max(0, owedNow) / account.CreditLimit * 10000) / 100 : null
+  };
+};
+
+module.exports = {
+  statementCycle,
+  dueDateAfter,
+  minimumPayment,
+  cardStatement
+};
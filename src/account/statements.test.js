@@ -0,0 +1,76 @@
+const { statementCycle, dueDateAfter, minimumPayment, cardStatement } = require('./statements');
+
+describe('statementCycle', () => {
+  it('closes on the closing day, or the last day of shorter months', () => {
+    expect(statementCycle(15, '2023-06-20')).toEqual({
+      lastClosingDate: '2023-06-15',
+      cycleStart: '2023-06-16',
+      nextClosingDate: '2023-07-15'
+    });
+    expect(statementCycle(15, '2023-06-15').lastClosingDate).toBe('2023-05-15');
+    expect(statementCycle(31, '2023-03-10')).toEqual({
+      lastClosingDate: '2023-02-28',
+      cycleStart: '2023-03-01',
+      nextClosingDate: '2023-03-31'
+    });
+  });
+});
+
+describe('dueDateAfter', () => {
+  it('falls due on the next due day after the statement closes', () => {
+    expect(dueDateAfter('2023-06-15', 25)).toBe('2023-06-25');
+    expect(dueDateAfter('2023-06-15', 10)).toBe('2023-07-10');
+    expect(dueDateAfter('2023-01-31', 30)).toBe('2023-02-28');
+  });
+});
+
+describe('minimumPayment', () => {
+  it('takes the floor, a share plus interest, or the whole balance', () => {
+    expect(minimumPayment(0, 20)).toBe(0);
+    expect(minimumPayment(10, 20)).toBe(10);
+    expect(minimumPayment(600, 20)).toBe(25);
+    expect(minimumPayment(3000, 24)).toBe(90);
+  });
+});
+
+describe('cardStatement', () => {
+  const card = {
+    Balance: -1300,
+    CreditLimit: 5000,
+    APR: 24,
+    StatementClosingDay: 15,
+    PaymentDueDay: 10,
+    Currency: 'USD'
+  };
+  const transactions = [
+    { TransactionID: 't1', Date: '2023-06-16T10:00:00Z', Amount: -400 },
+    { TransactionID: 't2', Date: '2023-06-20', Amount: 100 },
+    { TransactionID: 't3', Date: '2023-06-21', Amount: -999, Currency: 'EUR' },
+    { TransactionID: 't4', Date: '2023-06-25', Amount: -50 }
+  ];
+
+  it('works back to the statement balance and reports utilization', () => {
+    const result = cardStatement(card, transactions, '2023-06-22');
+    expect(result.statement).toEqual({
+      closingDate: '2023-06-15',
+      statementBalance: 950,
+      minimumPayment: 28.5,
+      dueDate: '2023-07-10',
+      daysUntilDue: 18,
+      paidSinceStatement: 100,
+      remainingMinimum: 0,
+      remainingBalance: 850,
+      pastDue: false
+    });
+    expect(result.currentCycle).toEqual({ startDate: '2023-06-16', closingDate: '2023-07-15', purchases: 400, payments: 100 });
+    expect(result.balanceOwed).toBe(1250);
+    expect(result.availableCredit).toBe(3750);
+    expect(result.utilization).toBe(25);
+  });
+
+  it('leaves out credit figures without a limit', () => {
+    const result = cardStatement({ ...card, CreditLimit: undefined }, [], '2023-06-22');
+    expect(result.statement.statementBalance).toBe(1300);
+    expect(result.utilization).toBeNull();
+  });
+});
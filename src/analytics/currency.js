@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Currency conversion with the user's exchange-rate table.
+ *
+ * A transaction is converted with the rate of its own date. When the pair has
+ * no rate on that date, the closest earlier rate is used, and failing that the
+ * earliest later one. The inverse pair is used when only rates in the other
+ * direction were entered.
+ */
+
+/**
+ * Indexes rates by currency pair, each pair sorted by date.
+ *
+ * @param {Array<Object>} rates - The rates (From, To, Date, Rate).
+ * @returns {Object} Sorted `{date, rate}` lists keyed by `<From>-<To>`.
+ */
+const buildRateIndex = (rates) => {
+  const index = {};
+  rates.forEach(({ From, To, Date: date, Rate }) => {
+    const pair = `${From}-${To}`;
+    if (!index[pair]) index[pair] = [];
+    index[pair].push({ date, rate: Rate });
+  });
+  Object.values(index).forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+  return index;
+};
+
+/**
+ * Picks the rate in effect on a date from a pair's sorted rates.
+ *
+ * @param {Array<{date: string, rate: number}>} list - The pair's rates, sorted by date.
+ * @param {string} date - The date (YYYY-MM-DD).
+ * @returns {number} The rate on or before the date, else the earliest rate.
+ */
+const rateOn = (list, date) => {
+  let low = 0;
+  let high = list.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const middle = Math.floor((low + high) / 2);
+    if (list[middle].date <= date) {
+      found = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return list[found === -1 ? 0 : found].rate;
+};
+
+/**
+ * Finds the rate to convert between two currencies on a date.
+ *
+ * @param {Object} index - The rate index from `buildRateIndex`.
+ * @param {string} from - The currency to convert from.
+ * @param {string} to - The currency to convert to.
+ * @param {string} date - The date (ISO 8601).
+ * @returns {number|null} The rate, or null if the pair has no rates.
+ */
+const findRate = (index, from, to, date) => {
+  if (from === to) return 1;
+  const day = String(date).slice(0, 10);
+  const direct = index[`${from}-${to}`];
+  if (direct) return rateOn(direct, day);
+  const inverse = index[`${to}-${from}`];
+  if (inverse) return 1 / rateOn(inverse, day);
+  return null;
+};
+
+/**
+ * Converts an amount, rounding to cents.
+ *
+ * @param {number} amount - The amount.
+ * @param {number} rate - The rate.
+ * @returns {number} The converted amount.
+ */
+const convertAmount = (amount, rate) => Math.round(amount * rate * 100) / 100;
+
+module.exports = {
+  buildRateIndex,
+  findRate,
+  convertAmount
+};
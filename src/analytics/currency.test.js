@@ -0,0 +1,41 @@
+const { buildRateIndex, findRate, convertAmount } = require('./currency');
+
+const rates = [
+  { From: 'EUR', To: 'USD', Date: '2023-06-20', Rate: 1.09 },
+  { From: 'EUR', To: 'USD', Date: '2023-06-01', Rate: 1.07 },
+  { From: 'EUR', To: 'USD', Date: '2023-06-10', Rate: 1.08 }
+];
+const index = buildRateIndex(rates);
+
+describe('findRate', () => {
+  it('uses the rate of the transaction date', () => {
+    expect(findRate(index, 'EUR', 'USD', '2023-06-10T14:30:00Z')).toBe(1.08);
+  });
+
+  it('falls back to the closest earlier rate', () => {
+    expect(findRate(index, 'EUR', 'USD', '2023-06-15')).toBe(1.08);
+    expect(findRate(index, 'EUR', 'USD', '2023-07-01')).toBe(1.09);
+  });
+
+  it('uses the earliest rate before the first one', () => {
+    expect(findRate(index, 'EUR', 'USD', '2023-05-01')).toBe(1.07);
+  });
+
+  it('inverts rates entered in the other direction', () => {
+    expect(findRate(index, 'USD', 'EUR', '2023-06-20')).toBeCloseTo(1 / 1.09);
+  });
+
+  it('needs no rate within one currency', () => {
+    expect(findRate(index, 'GBP', 'GBP', '2023-06-20')).toBe(1);
+  });
+
+  it('returns null for a pair without rates', () => {
+    expect(findRate(index, 'GBP', 'USD', '2023-06-20')).toBeNull();
+  });
+});
+
+describe('convertAmount', () => {
+  it('rounds to cents', () => {
+    expect(convertAmount(-10.55, 1.0951)).toBe(-11.55);
+  });
+});
@@ -6,8 +6,23 @@ Income vs. Expenses analysis
 Budget progress for each category
 Progress towards financial goals
 Top spending categories
+Spending per tag
+Spending per payee
 Monthly income and expense trends
 
+Amounts are converted into the user's base currency (BaseCurrency on the user, USD by default) with the
+user's exchange-rate table, using the rate for each transaction's date. A transaction without a Currency
+is in its account's currency; accounts without one are in the base currency. Transactions whose currency
+has no rates are left out and counted in the summary.
+
+Spending per payee groups transactions by their linked payee (PayeeID). Transactions without a link, or whose payee
+was deleted, are matched against the user's payees' aliases, and otherwise grouped by their normalized payee text.
+
+Net worth sums the Balance of the user's active accounts in the base currency, taking off what credit cards, loans
+and mortgages owe (see networth.js). GET /analytics/net-worth returns it as of today, with its history from the daily
+snapshots that snapshotHandler stores for every user with active accounts. Accounts whose currency has no rates are
+left out and counted.
+
 The function expects to be triggered by an HTTP GET request to the /analytics/summary endpoint. It retrieves data from the transaction, budget, and goal tables, performs the necessary calculations, and returns a JSON response with the analysis results.
 Note that this implementation assumes that the necessary IAM permissions are set up for the Lambda function to access the DynamoDB tables. You'll need to ensure that the TRANSACTION_TABLE, BUDGET_TABLE, and GOAL_TABLE environment variables are correctly set in your SAM template.
 Also, keep in mind that this implementation uses a scan operation on the DynamoDB tables, which can be inefficient for large datasets. For a production application with a large number of users and transactions, you might want to consider using more efficient querying methods or implementing pagination.
@@ -17,7 +32,11 @@ Also, keep in mind that this implementation uses a scan operation on the DynamoD
 'use strict';
 
 const AWS = require('aws-sdk');
+const Joi = require('joi');
 const winston = require('winston');
+const { buildRateIndex, findRate, convertAmount } = require('./currency');
+const { normalizePayeeText, matchPayee } = require('@personal-finance/shared/payees');
+const { netWorth } = require('./networth');
 
 // Initialize AWS SDK and Winston logger
 const dynamodb = new AWS.DynamoDB.DocumentClient();
@@ -34,8 +53,27 @@ const logger = winston.createLogger({
 const TRANSACTION_TABLE = process.env.TRANSACTION_TABLE;
 const BUDGET_TABLE = process.env.BUDGET_TABLE;
 const GOAL_TABLE = process.env.GOAL_TABLE;
+const USER_TABLE = process.env.USER_TABLE;
+const ACCOUNT_TABLE = process.env.ACCOUNT_TABLE;
+const EXCHANGE_RATE_TABLE = process.env.EXCHANGE_RATE_TABLE;
+const PAYEE_TABLE = process.env.PAYEE_TABLE;
+const NET_WORTH_SNAPSHOT_TABLE = process.env.NET_WORTH_SNAPSHOT_TABLE;
 const STAGE = process.env.STAGE;
 
+const DEFAULT_CURRENCY = 'USD';
+const TOP_PAYEES = 20;
+// Net worth history returned when no range is given
+const DEFAULT_NET_WORTH_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Query string schema for the net worth history
+const netWorthQuerySchema = Joi.object({
+  from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({ 'string.pattern.base': '"from" must be a date (YYYY-MM-DD)' }),
+  to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+    .messages({ 'string.pattern.base': '"to" must be a date (YYYY-MM-DD)' })
+});
+
 /**
  * Creates a standardized response object.
  *
@@ -88,6 +126,259 @@ async function getAllItems(tableName, userId) {
   return result.Items;
 }
 
+/**
+ * Retrieves all items of a user from a table keyed by UserID, page by page.
+ *
+ * @param {string} tableName - The name of the DynamoDB table.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array>} The array of items retrieved.
+ */
+async function queryUserItems(tableName, userId) {
+  const items = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: tableName,
+      KeyConditionExpression: 'UserID = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ExclusiveStartKey: startKey
+    }).promise();
+    items.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return items;
+}
+
+/**
+ * Retrieves the user's base currency.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<string>} The base currency code.
+ */
+async function getBaseCurrency(userId) {
+  const result = await dynamodb.get({
+    TableName: USER_TABLE,
+    Key: { UserID: userId }
+  }).promise();
+  return (result.Item && result.Item.BaseCurrency) || DEFAULT_CURRENCY;
+}
+
+/**
+ * Converts transaction amounts (and split amounts) into the base currency.
+ *
+ * @param {Array} transactions - The array of transactions.
+ * @param {Array} accounts - The user's accounts, for their currencies.
+ * @param {Array} rates - The user's exchange rates.
+ * @param {string} baseCurrency - The currency to convert into.
+ * @returns {{transactions: Array, unconverted: number}} The converted transactions and the number left out for lack of a rate.
+ */
+function convertToBaseCurrency(transactions, accounts, rates, baseCurrency) {
+  const accountCurrencies = accounts.reduce((currencies, account) => {
+    currencies[account.AccountID] = account.Currency || baseCurrency;
+    return currencies;
+  }, {});
+  const index = buildRateIndex(rates);
+
+  const converted = [];
+  let unconverted = 0;
+  transactions.forEach(t => {
+    const currency = t.Currency || accountCurrencies[t.AccountID] || baseCurrency;
+    const rate = findRate(index, currency, baseCurrency, t.Date);
+    if (rate === null) {
+      unconverted++;
+      return;
+    }
+    if (rate === 1) {
+      converted.push(t);
+      return;
+    }
+    const entry = { ...t, Amount: convertAmount(t.Amount, rate) };
+    if (Array.isArray(t.Splits)) {
+      entry.Splits = t.Splits.map(split => ({ ...split, Amount: convertAmount(split.Amount, rate) }));
+    }
+    converted.push(entry);
+  });
+  return { transactions: converted, unconverted };
+}
+
+/**
+ * Converts account balances into the base currency with the rates in effect
+ * on a date.
+ *
+ * @param {Array} accounts - The accounts.
+ * @param {Array} rates - The user's exchange rates.
+ * @param {string} baseCurrency - The currency to convert into.
+ * @param {string} date - The date (YYYY-MM-DD).
+ * @returns {{balances: Array, unconverted: number}} Each account with its ConvertedBalance, and the number left out
+ *   for lack of a rate.
+ */
+function convertAccountBalances(accounts, rates, baseCurrency, date) {
+  const index = buildRateIndex(rates);
+  const balances = [];
+  let unconverted = 0;
+  accounts.forEach(account => {
+    const currency = account.Currency || baseCurrency;
+    const rate = findRate(index, currency, baseCurrency, date);
+    if (rate === null) {
+      unconverted++;
+      return;
+    }
+    balances.push({
+      AccountID: account.AccountID,
+      AccountName: account.AccountName,
+      Type: account.Type,
+      Currency: currency,
+      Balance: account.Balance,
+      ConvertedBalance: convertAmount(account.Balance, rate)
+    });
+  });
+  return { balances, unconverted };
+}
+
+/**
+ * Computes a user's net worth from their active accounts.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array} accounts - The user's accounts; closed ones are left out.
+ * @param {string} date - The date whose exchange rates apply (YYYY-MM-DD).
+ * @returns {Promise<Object>} The base currency, the converted balances, the number of accounts left out
+ *   for lack of a rate, and the NetWorth, Assets, Liabilities and ByType totals.
+ */
+async function calculateNetWorth(userId, accounts, date) {
+  const baseCurrency = await getBaseCurrency(userId);
+  const { balances, unconverted } = convertAccountBalances(
+    accounts.filter(account => account.IsActive),
+    await queryUserItems(EXCHANGE_RATE_TABLE, userId),
+    baseCurrency,
+    date
+  );
+  return {
+    baseCurrency,
+    balances,
+    unconverted,
+    ...netWorth(balances.map(account => ({ Type: account.Type, Balance: account.ConvertedBalance })))
+  };
+}
+
+/**
+ * Retrieves a user's net worth snapshots in a date range, oldest first.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} from - The first day (YYYY-MM-DD).
+ * @param {string} to - The last day (YYYY-MM-DD).
+ * @returns {Promise<Array>} The snapshots.
+ */
+async function getNetWorthSnapshots(userId, from, to) {
+  const snapshots = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: NET_WORTH_SNAPSHOT_TABLE,
+      KeyConditionExpression: 'UserID = :userId AND #date BETWEEN :from AND :to',
+      ExpressionAttributeNames: { '#date': 'Date' },
+      ExpressionAttributeValues: { ':userId': userId, ':from': from, ':to': to },
+      ExclusiveStartKey: startKey
+    }).promise();
+    snapshots.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return snapshots;
+}
+
+/**
+ * Builds the net worth response: today's net worth, live from the account
+ * balances, and its history from the daily snapshots.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} [queryStringParameters] - The query string parameters (from, to).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+async function getNetWorth(userId, queryStringParameters) {
+  const { error, value } = netWorthQuerySchema.validate(queryStringParameters || {});
+  if (error) {
+    logger.warn('Invalid query parameters', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const today = new Date().toISOString().slice(0, 10);
+  const to = value.to || today;
+  const from = value.from || new Date(Date.parse(to) - DEFAULT_NET_WORTH_DAYS * DAY_MS).toISOString().slice(0, 10);
+  if (from > to) {
+    return createResponse(400, { message: '"from" must not be after "to"' });
+  }
+
+  const current = await calculateNetWorth(userId, await getAllItems(ACCOUNT_TABLE, userId), today);
+  const snapshots = await getNetWorthSnapshots(userId, from, to);
+
+  logger.info('Net worth computed', { userId, snapshots: snapshots.length });
+  return createResponse(200, {
+    currency: current.baseCurrency,
+    asOf: today,
+    netWorth: current.NetWorth,
+    assets: current.Assets,
+    liabilities: current.Liabilities,
+    byType: current.ByType,
+    accounts: current.balances,
+    unconvertedAccounts: current.unconverted,
+    from,
+    to,
+    history: snapshots.map(snapshot => ({
+      Date: snapshot.Date,
+      Currency: snapshot.Currency,
+      NetWorth: snapshot.NetWorth,
+      Assets: snapshot.Assets,
+      Liabilities: snapshot.Liabilities,
+      ByType: snapshot.ByType
+    }))
+  });
+}
+
+/**
+ * Retrieves the active accounts of all users.
+ *
+ * @returns {Promise<Array>} The accounts.
+ */
+async function getActiveAccounts() {
+  const accounts = [];
+  let startKey;
+  do {
+    const result = await dynamodb.scan({
+      TableName: ACCOUNT_TABLE,
+      FilterExpression: 'IsActive = :isActive',
+      ExpressionAttributeValues: { ':isActive': true },
+      ExclusiveStartKey: startKey
+    }).promise();
+    accounts.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return accounts;
+}
+
+/**
+ * Removes transfer legs, which move money between the user's own accounts and
+ * are neither income nor expenses.
+ *
+ * @param {Array} transactions - The array of transactions.
+ * @returns {Array} The transactions that are not part of a transfer.
+ */
+function excludeTransfers(transactions) {
+  return transactions.filter(t => !t.TransferID);
+}
+
+/**
+ * Expands split transactions into one entry per split, so spending is
+ * attributed to each split's category. Other transactions pass through.
+ *
+ * @param {Array} transactions - The array of transactions.
+ * @returns {Array} The category entries, each with Category, Amount and Date.
+ */
+function expandSplits(transactions) {
+  return transactions.flatMap(t => (
+    Array.isArray(t.Splits) && t.Splits.length > 0
+      ? t.Splits.map(split => ({ ...t, Category: split.Category, Amount: split.Amount }))
+      : [t]
+  ));
+}
+
 /**
  * Analyzes income vs expenses from transactions.
  *
@@ -108,8 +399,9 @@ function analyzeIncomeVsExpenses(transactions) {
  * @returns {Array} The budget progress analysis.
  */
 function analyzeBudgetProgress(transactions, budgets) {
+  const entries = expandSplits(transactions);
   return budgets.map(budget => {
-    const spent = transactions
+    const spent = entries
       .filter(t => t.Category === budget.Category && t.Amount < 0)
       .reduce((sum, t) => sum + Math.abs(t.Amount), 0);
     return {
@@ -145,7 +437,7 @@ function analyzeGoalProgress(goals) {
  * @returns {Array} The top categories analysis.
  */
 function analyzeTopCategories(transactions) {
-  const categoryTotals = transactions.reduce((totals, t) => {
+  const categoryTotals = expandSplits(transactions).reduce((totals, t) => {
     if (!totals[t.Category]) totals[t.Category] = 0;
     totals[t.Category] += Math.abs(t.Amount);
     return totals;
@@ -157,6 +449,56 @@ function analyzeTopCategories(transactions) {
     .map(([category, total]) => ({ category, total }));
 }
 
+/**
+ * Analyzes spending and income per tag. A transaction counts in full towards
+ * each of its tags, so tag totals may overlap.
+ *
+ * @param {Array} transactions - The array of transactions.
+ * @returns {Array} The per-tag analysis, by descending spending.
+ */
+function analyzeTagSpending(transactions) {
+  const tagTotals = transactions.reduce((totals, t) => {
+    (t.Tags || []).forEach(tag => {
+      if (!totals[tag]) totals[tag] = { spent: 0, income: 0, count: 0 };
+      if (t.Amount < 0) totals[tag].spent += Math.abs(t.Amount);
+      else totals[tag].income += t.Amount;
+      totals[tag].count++;
+    });
+    return totals;
+  }, {});
+
+  return Object.entries(tagTotals)
+    .sort((a, b) => b[1].spent - a[1].spent || a[0].localeCompare(b[0]))
+    .map(([tag, { spent, income, count }]) => ({ tag, spent, income, count }));
+}
+
+/**
+ * Analyzes spending and income per payee. Transactions with neither a payee
+ * nor payee text are left out.
+ *
+ * @param {Array} transactions - The array of transactions.
+ * @param {Array} payees - The user's payees.
+ * @returns {Array} The top payees, by descending spending.
+ */
+function analyzePayeeSpending(transactions, payees) {
+  const payeesById = new Map(payees.map(p => [p.PayeeID, p]));
+  const payeeTotals = transactions.reduce((totals, t) => {
+    const payee = payeesById.get(t.PayeeID) || matchPayee(t, payees);
+    const name = payee ? payee.Name : normalizePayeeText(t.Payee);
+    if (!name) return totals;
+    const key = payee ? payee.PayeeID : `text:${name}`;
+    if (!totals[key]) totals[key] = { payeeId: payee ? payee.PayeeID : null, payee: name, spent: 0, income: 0, count: 0 };
+    if (t.Amount < 0) totals[key].spent += Math.abs(t.Amount);
+    else totals[key].income += t.Amount;
+    totals[key].count++;
+    return totals;
+  }, {});
+
+  return Object.values(payeeTotals)
+    .sort((a, b) => b.spent - a.spent || a.payee.localeCompare(b.payee))
+    .slice(0, TOP_PAYEES);
+}
+
 /**
  * Analyzes monthly spending trends from transactions.
  *
@@ -178,6 +520,54 @@ function analyzeMonthlyTrend(transactions) {
     .map(([month, { income, expenses }]) => ({ month, income, expenses }));
 }
 
+/**
+ * Scheduled handler: stores the day's net worth snapshot of every user with
+ * active accounts. A second run on the same day replaces the snapshot.
+ *
+ * @param {Object} event - The scheduled (EventBridge) event.
+ * @param {Object} context - The Lambda context object.
+ * @returns {Promise<Object>} A summary of the run.
+ */
+exports.snapshotHandler = async (event, context) => {
+  const today = new Date(event && event.time ? event.time : Date.now()).toISOString().slice(0, 10);
+  logger.info('Taking net worth snapshots', { requestId: context.awsRequestId, today });
+
+  const accountsByUser = (await getActiveAccounts()).reduce((users, account) => {
+    if (!users[account.UserID]) users[account.UserID] = [];
+    users[account.UserID].push(account);
+    return users;
+  }, {});
+  const summary = { users: Object.keys(accountsByUser).length, stored: 0, failed: 0 };
+
+  for (const [userId, accounts] of Object.entries(accountsByUser)) {
+    try {
+      const current = await calculateNetWorth(userId, accounts, today);
+      await dynamodb.put({
+        TableName: NET_WORTH_SNAPSHOT_TABLE,
+        Item: {
+          UserID: userId,
+          Date: today,
+          Currency: current.baseCurrency,
+          NetWorth: current.NetWorth,
+          Assets: current.Assets,
+          Liabilities: current.Liabilities,
+          ByType: current.ByType,
+          UnconvertedAccounts: current.unconverted,
+          CreatedAt: new Date().toISOString()
+        }
+      }).promise();
+      summary.stored++;
+    } catch (error) {
+      // One user's failure must not stop the others' snapshots
+      summary.failed++;
+      logger.error('Error taking net worth snapshot', { userId, error: error.message, stack: error.stack });
+    }
+  }
+
+  logger.info('Net worth snapshots taken', summary);
+  return summary;
+};
+
 /**
  * Main handler function for the Lambda.
  *
@@ -191,27 +581,39 @@ exports.handler = async (event, context) => {
     event: JSON.stringify(event)
   });
 
-  const { httpMethod, path } = event;
+  const { httpMethod, path, queryStringParameters } = event;
 
   try {
     const userId = getUserId(event);
 
     if (httpMethod === 'GET') {
       if (path === '/analytics/summary') {
-        const transactions = await getAllItems(TRANSACTION_TABLE, userId);
+        const baseCurrency = await getBaseCurrency(userId);
+        const { transactions, unconverted } = convertToBaseCurrency(
+          excludeTransfers(await getAllItems(TRANSACTION_TABLE, userId)),
+          await getAllItems(ACCOUNT_TABLE, userId),
+          await queryUserItems(EXCHANGE_RATE_TABLE, userId),
+          baseCurrency
+        );
         const budgets = await getAllItems(BUDGET_TABLE, userId);
         const goals = await getAllItems(GOAL_TABLE, userId);
+        const payees = await queryUserItems(PAYEE_TABLE, userId);
 
         const summary = {
+          currency: { base: baseCurrency, unconvertedTransactions: unconverted },
           incomeVsExpenses: analyzeIncomeVsExpenses(transactions),
           budgetProgress: analyzeBudgetProgress(transactions, budgets),
           goalProgress: analyzeGoalProgress(goals),
           topCategories: analyzeTopCategories(transactions),
+          tagSpending: analyzeTagSpending(transactions),
+          payeeSpending: analyzePayeeSpending(transactions, payees),
           monthlyTrend: analyzeMonthlyTrend(transactions)
         };
 
         logger.info('Analytics summary generated', { userId });
         return createResponse(200, summary);
+      } else if (path === '/analytics/net-worth') {
+        return await getNetWorth(userId, queryStringParameters);
       } else {
         logger.warn('Invalid path requested', { userId, path });
         return createResponse(404, { message: 'Not found' });
@@ -236,10 +638,22 @@ if (STAGE === 'test') {
     createResponse,
     getUserId,
     getAllItems,
+    queryUserItems,
+    getBaseCurrency,
+    convertToBaseCurrency,
+    convertAccountBalances,
+    calculateNetWorth,
+    getNetWorthSnapshots,
+    getNetWorth,
+    getActiveAccounts,
+    excludeTransfers,
+    expandSplits,
     analyzeIncomeVsExpenses,
     analyzeBudgetProgress,
     analyzeGoalProgress,
     analyzeTopCategories,
+    analyzeTagSpending,
+    analyzePayeeSpending,
     analyzeMonthlyTrend
   };
 }
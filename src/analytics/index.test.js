@@ -16,6 +16,19 @@ afterAll(() => {
   AWSMock.restore();
 });
 
+// The function creates its DocumentClient and reads its table names as it
+// loads, so it is loaded afresh after the mocks are set up on its own copy
+// of the SDK
+const loadHandler = (mock) => {
+  let loaded;
+  jest.isolateModules(() => {
+    AWSMock.setSDKInstance(require('aws-sdk'));
+    mock();
+    loaded = require('./index').handler;
+  });
+  return loaded;
+};
+
 describe('Analytics Data Retrieval', () => {
   it('should retrieve and analyze financial data correctly', async () => {
     // Mock DynamoDB responses for transactions, budgets, and goals
@@ -87,3 +100,123 @@ describe('Error Handling in Analytics Service', () => {
 });
 
 
+
+describe('Net Worth', () => {
+  it('rejects a range that ends before it starts', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/analytics/net-worth',
+      queryStringParameters: { from: '2023-07-01', to: '2023-06-01' },
+      requestContext: {
+        authorizer: {
+          claims: {
+            sub: 'user123'
+          }
+        }
+      }
+    };
+
+    const result = await handler(event, { awsRequestId: 'test-request' });
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"from" must not be after "to"');
+  });
+
+  it('reads every page of the exchange rates', async () => {
+    process.env.EXCHANGE_RATE_TABLE = 'ExchangeRates';
+    const event = {
+      httpMethod: 'GET',
+      path: '/analytics/net-worth',
+      queryStringParameters: null,
+      requestContext: {
+        authorizer: {
+          claims: {
+            sub: 'user123'
+          }
+        }
+      }
+    };
+
+    const rateQueries = [];
+    const mockedHandler = loadHandler(() => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        callback(null, { Item: { UserID: 'user123', BaseCurrency: 'USD' } });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+        callback(null, {
+          Items: [{ AccountID: 'acc1', UserID: 'user123', Type: 'Checking', Currency: 'EUR', Balance: 100, IsActive: true }]
+        });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        if (params.TableName !== 'ExchangeRates') {
+          callback(null, { Items: [] });
+          return;
+        }
+        rateQueries.push(params);
+        callback(null, params.ExclusiveStartKey
+          ? { Items: [{ UserID: 'user123', RateID: 'r2', From: 'EUR', To: 'USD', Date: '2023-01-01', Rate: 1.1 }] }
+          : {
+            Items: [{ UserID: 'user123', RateID: 'r1', From: 'GBP', To: 'USD', Date: '2023-01-01', Rate: 1.3 }],
+            LastEvaluatedKey: { UserID: 'user123', RateID: 'r1' }
+          });
+      });
+    });
+
+    const result = await mockedHandler(event, { awsRequestId: 'test-request' });
+    expect(result.statusCode).toBe(200);
+    expect(rateQueries.map(params => params.KeyConditionExpression)).toEqual(['UserID = :userId', 'UserID = :userId']);
+    const body = JSON.parse(result.body);
+    expect(body.unconvertedAccounts).toBe(0);
+    expect(body.accounts[0].ConvertedBalance).toBe(110);
+  });
+});
+
+describe('Payee Spending', () => {
+  it('reads every page of the payees', async () => {
+    process.env.PAYEE_TABLE = 'Payees';
+    const event = {
+      httpMethod: 'GET',
+      path: '/analytics/summary',
+      requestContext: {
+        authorizer: {
+          claims: {
+            sub: 'user123'
+          }
+        }
+      }
+    };
+
+    const payeeQueries = [];
+    const mockedHandler = loadHandler(() => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        callback(null, { Item: { UserID: 'user123', BaseCurrency: 'USD' } });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+        callback(null, {
+          Items: params.TableName === 'Transactions'
+            ? [{ TransactionID: 'txn1', UserID: 'user123', Date: '2023-06-01', Amount: -20, PayeeID: 'payee2' }]
+            : []
+        });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        if (params.TableName !== 'Payees') {
+          callback(null, { Items: [] });
+          return;
+        }
+        payeeQueries.push(params);
+        callback(null, params.ExclusiveStartKey
+          ? { Items: [{ UserID: 'user123', PayeeID: 'payee2', Name: 'Tesco' }] }
+          : {
+            Items: [{ UserID: 'user123', PayeeID: 'payee1', Name: 'Landlord' }],
+            LastEvaluatedKey: { UserID: 'user123', PayeeID: 'payee1' }
+          });
+      });
+    });
+
+    const result = await mockedHandler(event, { awsRequestId: 'test-request' });
+    expect(result.statusCode).toBe(200);
+    expect(payeeQueries).toHaveLength(2);
+    expect(JSON.parse(result.body).payeeSpending).toEqual([
+      { payeeId: 'payee2', payee: 'Tesco', spent: 20, income: 0, count: 1 }
+    ]);
+  });
+});
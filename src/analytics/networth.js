@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Net worth from account balances.
+ *
+ * Every active account counts at its Balance, converted into the user's base
+ * currency. Credit cards, loans and mortgages are liabilities: their Balance
+ * is negative while money is owed, so what they owe is taken off. All other
+ * accounts are assets.
+ */
+
+const LIABILITY_TYPES = ['Credit Card', 'Loan', 'Mortgage'];
+
+/**
+ * Rounds an amount to cents.
+ *
+ * @param {number} amount - The amount.
+ * @returns {number} The rounded amount.
+ */
+const toCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Tells whether an account is a liability.
+ *
+ * @param {Object} account - The account (Type).
+ * @returns {boolean} True for credit cards, loans and mortgages.
+ */
+const isLiability = account => LIABILITY_TYPES.includes(account.Type);
+
+/**
+ * Sums balances into a net worth.
+ *
+ * @param {Array<{Type: string, Balance: number}>} balances - The account balances, in one currency.
+ * @returns {{NetWorth: number, Assets: number, Liabilities: number, ByType: Object}} The net worth,
+ *   the assets and the amount owed, and the balances summed per account type.
+ */
+const netWorth = (balances) => {
+  let assets = 0;
+  let liabilities = 0;
+  const byType = {};
+  balances.forEach((account) => {
+    if (isLiability(account)) {
+      liabilities -= account.Balance;
+    } else {
+      assets += account.Balance;
+    }
+    byType[account.Type] = toCents((byType[account.Type] || 0) + account.Balance);
+  });
+  return {
+    NetWorth: toCents(assets - liabilities),
+    Assets: toCents(assets),
+    Liabilities: toCents(liabilities),
+    ByType: byType
+  };
+};
+
+module.exports = {
+  LIABILITY_TYPES,
+  isLiability,
+  netWorth
+};
@@ -0,0 +1,22 @@
+const { netWorth } = require('./networth');
+
+describe('netWorth', () => {
+  it('takes what liabilities owe off the assets', () => {
+    expect(netWorth([
+      { Type: 'Checking', Balance: 2500 },
+      { Type: 'Savings', Balance: 10000.55 },
+      { Type: 'Credit Card', Balance: -1250.3 },
+      { Type: 'Mortgage', Balance: -198400 },
+      { Type: 'Checking', Balance: -100 }
+    ])).toEqual({
+      NetWorth: -187249.75,
+      Assets: 12400.55,
+      Liabilities: 199650.3,
+      ByType: { Checking: 2400, Savings: 10000.55, 'Credit Card': -1250.3, Mortgage: -198400 }
+    });
+  });
+
+  it('is zero without accounts', () => {
+    expect(netWorth([])).toEqual({ NetWorth: 0, Assets: 0, Liabilities: 0, ByType: {} });
+  });
+});
@@ -15,9 +15,11 @@ The log function provides consistent logging.
 The main handler function processes different HTTP methods:
 
 GET: Retrieves all budgets or a specific budget by ID.
-POST: Creates a new budget.
+POST: Creates a new budget, or with /budget/{id}/revert sets a budget back to how it was after one of its revisions (see revisions.js).
 PUT: Updates an existing budget.
-DELETE: Removes a budget.
+DELETE: Moves a budget to the trash, from where it can be restored through /trash.
+
+Every budget carries a Version (see versioning.js). PUT and DELETE must name the version they are based on and are rejected with 409 or 412 if it is stale.
 
 Remember to update the template.yaml file to include the necessary permissions for this Lambda function to access the DynamoDB table. Also, ensure that the environment variable BUDGET_TABLE is set correctly in the SAM template.
 This implementation provides a solid foundation for managing budgets in your Personal Finance App. You may need to adjust it based on your specific requirements or if you need to add more complex operations.
@@ -30,6 +32,15 @@ const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
 const winston = require('winston');
+const {
+  VERSION_REQUIRED_MESSAGE,
+  etag,
+  expectedVersion,
+  isCurrent,
+  conflictStatus,
+  versionCondition
+} = require('@personal-finance/shared/versioning');
+const { revisionKey, revertedFields } = require('@personal-finance/shared/revisions');
 
 // Initialize AWS SDK and Winston logger
 const dynamodb = new AWS.DynamoDB.DocumentClient();
@@ -44,13 +55,22 @@ const logger = winston.createLogger({
 
 // Environment variables
 const TABLE_NAME = process.env.BUDGET_TABLE;
+const TRASH_TABLE = process.env.TRASH_TABLE;
+const HISTORY_TABLE = process.env.HISTORY_TABLE;
 const STAGE = process.env.STAGE;
 
 // Validation schema
 const budgetSchema = Joi.object({
   Category: Joi.string().required(),
   Amount: Joi.number().positive().required(),
-  Period: Joi.string().valid('weekly', 'monthly', 'yearly').required()
+  Period: Joi.string().valid('weekly', 'monthly', 'yearly').required(),
+  Version: Joi.number().integer().min(1).optional()
+});
+
+// Validation schema for reverting a budget to a revision
+const revertSchema = Joi.object({
+  RevisionID: Joi.string().required(),
+  Version: Joi.number().integer().min(1)
 });
 
 /**
@@ -58,13 +78,16 @@ const budgetSchema = Joi.object({
  *
  * @param {number} statusCode - The HTTP status code.
  * @param {Object} body - The response body.
+ * @param {Object} [headers] - Additional response headers.
  * @returns {Object} The formatted response object.
  */
-const createResponse = (statusCode, body) => ({
+const createResponse = (statusCode, body, headers = {}) => ({
   statusCode,
   headers: {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'ETag',
+    ...headers
   },
   body: JSON.stringify(body),
 });
@@ -123,7 +146,63 @@ const getBudget = async (userId, budgetId) => {
     return createResponse(404, { message: 'Budget not found' });
   }
   logger.info('Budget retrieved', { userId, budgetId });
-  return createResponse(200, result.Item);
+  return createResponse(200, result.Item, { ETag: etag(result.Item) });
+};
+
+/**
+ * Reads a budget if it belongs to the user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} budgetId - The ID of the budget.
+ * @returns {Promise<Object|null>} The budget, or null if it does not exist or belongs to someone else.
+ */
+const findBudget = async (userId, budgetId) => {
+  const result = await dynamodb.get({ TableName: TABLE_NAME, Key: { BudgetID: budgetId } }).promise();
+  return result.Item && result.Item.UserID === userId ? result.Item : null;
+};
+
+/**
+ * Builds the response to a request based on a stale version of a budget,
+ * carrying the budget as it is now.
+ *
+ * @param {{source: string}} expected - The version the request was based on.
+ * @param {Object} current - The stored budget.
+ * @returns {Object} The Lambda response object.
+ */
+const versionConflict = (expected, current) => createResponse(conflictStatus(expected), {
+  message: 'Budget was modified by another request. Please retry with the latest version.',
+  current
+}, { ETag: etag(current) });
+
+/**
+ * Checks that an update or delete names the current version of a budget.
+ *
+ * @param {?{version: number, source: string}} expected - The version the request is based on.
+ * @param {Object} existing - The stored budget.
+ * @returns {Object|null} The Lambda response rejecting the request, or null if it may go ahead.
+ */
+const checkVersion = (expected, existing) => {
+  if (!expected) {
+    return createResponse(428, { message: VERSION_REQUIRED_MESSAGE });
+  }
+  return isCurrent(expected, existing) ? null : versionConflict(expected, existing);
+};
+
+/**
+ * Answers an update or delete whose conditional write lost a race with
+ * another request, with the budget as it is now.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} budgetId - The ID of the budget.
+ * @param {{source: string}} expected - The version the request was based on.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const conflictAfterWrite = async (userId, budgetId, expected) => {
+  const current = await findBudget(userId, budgetId);
+  if (!current) {
+    return createResponse(404, { message: 'Budget not found' });
+  }
+  return versionConflict(expected, current);
 };
 
 /**
@@ -141,6 +220,7 @@ const createBudget = async (userId, budget) => {
   }
   const newBudget = {
     ...budget,
+    Version: 1,
     BudgetID: uuidv4(),
     UserID: userId,
     CreatedAt: new Date().toISOString()
@@ -151,18 +231,20 @@ const createBudget = async (userId, budget) => {
   };
   await dynamodb.put(params).promise();
   logger.info('Budget created', { userId, budgetId: newBudget.BudgetID });
-  return createResponse(201, { message: 'Budget created successfully', budget: newBudget });
+  return createResponse(201, { message: 'Budget created successfully', budget: newBudget }, { ETag: etag(newBudget) });
 };
 
 /**
- * Updates an existing budget in the database.
+ * Updates an existing budget in the database. The update must be based on
+ * the current version of the budget.
  *
  * @param {string} userId - The ID of the user.
  * @param {string} budgetId - The ID of the budget to update.
  * @param {Object} budget - The updated budget data.
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
  * @returns {Promise<Object>} The Lambda response object.
  */
-const updateBudget = async (userId, budgetId, budget) => {
+const updateBudget = async (userId, budgetId, budget, headers) => {
   const { error } = budgetSchema.validate(budget);
   if (error) {
     logger.warn('Invalid input', { userId, budgetId, error: error.details[0].message });
@@ -170,58 +252,143 @@ const updateBudget = async (userId, budgetId, budget) => {
   }
   
   // First, check if the budget belongs to the user
-  const getParams = {
-    TableName: TABLE_NAME,
-    Key: { BudgetID: budgetId }
-  };
-  const getResult = await dynamodb.get(getParams).promise();
-  if (!getResult.Item || getResult.Item.UserID !== userId) {
+  const existing = await findBudget(userId, budgetId);
+  if (!existing) {
     logger.warn('Budget not found or unauthorized', { userId, budgetId });
     return createResponse(404, { message: 'Budget not found' });
   }
+  const expected = expectedVersion(headers, budget);
+  const rejected = checkVersion(expected, existing);
+  if (rejected) {
+    logger.warn('Update not based on the current version', { userId, budgetId, expected });
+    return rejected;
+  }
   
+  const unchanged = versionCondition(existing);
   const params = {
     TableName: TABLE_NAME,
     Key: { BudgetID: budgetId },
-    UpdateExpression: 'set Category = :category, Amount = :amount, Period = :period, UpdatedAt = :updatedAt',
+    UpdateExpression: 'set Category = :category, Amount = :amount, Period = :period, UpdatedAt = :updatedAt, Version = :nextVersion',
+    ConditionExpression: `UserID = :userId AND ${unchanged.expression}`,
     ExpressionAttributeValues: {
       ':category': budget.Category,
       ':amount': budget.Amount,
       ':period': budget.Period,
-      ':updatedAt': new Date().toISOString()
+      ':updatedAt': new Date().toISOString(),
+      ':userId': userId,
+      ':nextVersion': expected.version + 1,
+      ...unchanged.values
     },
     ReturnValues: 'ALL_NEW'
   };
-  const result = await dynamodb.update(params).promise();
+  let result;
+  try {
+    result = await dynamodb.update(params).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Concurrent budget update detected', { userId, budgetId });
+      return conflictAfterWrite(userId, budgetId, expected);
+    }
+    throw error;
+  }
   logger.info('Budget updated', { userId, budgetId });
-  return createResponse(200, { message: 'Budget updated successfully', budget: result.Attributes });
+  return createResponse(200, { message: 'Budget updated successfully', budget: result.Attributes }, { ETag: etag(result.Attributes) });
 };
 
 /**
- * Deletes a budget from the database.
+ * Sets a budget back to how it was after one of its revisions. The revert is
+ * an update like any other: it needs the current version and is recorded as
+ * a new revision.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} budgetId - The ID of the budget.
+ * @param {Object} request - The revert request (RevisionID, Version).
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const revertBudget = async (userId, budgetId, request, headers) => {
+  const { error } = revertSchema.validate(request);
+  if (error) {
+    logger.warn('Invalid revert request', { userId, budgetId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const result = await dynamodb.get({
+    TableName: HISTORY_TABLE,
+    Key: { UserID: userId, RevisionKey: revisionKey('budget', budgetId, request.RevisionID) }
+  }).promise();
+  if (!result.Item) {
+    logger.warn('Revision not found', { userId, budgetId, revisionId: request.RevisionID });
+    return createResponse(404, { message: 'Revision not found' });
+  }
+  const fields = revertedFields(result.Item, Object.keys(budgetSchema.describe().keys));
+  if (!fields) {
+    return createResponse(400, { message: 'Cannot revert to a revision that deleted the budget' });
+  }
+  logger.info('Reverting budget', { userId, budgetId, revisionId: request.RevisionID });
+  const version = request.Version !== undefined ? { Version: request.Version } : {};
+  return updateBudget(userId, budgetId, { ...fields, ...version }, headers);
+};
+
+/**
+ * Moves a budget to the trash, from where the trash service can restore it
+ * until it is purged. The delete must be based on the current version of
+ * the budget.
  *
  * @param {string} userId - The ID of the user.
  * @param {string} budgetId - The ID of the budget to delete.
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
+ * @param {Object} [body] - The request body, which may carry the Version.
  * @returns {Promise<Object>} The Lambda response object.
  */
-const deleteBudget = async (userId, budgetId) => {
+const deleteBudget = async (userId, budgetId, headers, body) => {
   // First, check if the budget belongs to the user
-  const getParams = {
-    TableName: TABLE_NAME,
-    Key: { BudgetID: budgetId }
-  };
-  const getResult = await dynamodb.get(getParams).promise();
-  if (!getResult.Item || getResult.Item.UserID !== userId) {
+  const existing = await findBudget(userId, budgetId);
+  if (!existing) {
     logger.warn('Budget not found or unauthorized', { userId, budgetId });
     return createResponse(404, { message: 'Budget not found' });
   }
+  const expected = expectedVersion(headers, body);
+  const rejected = checkVersion(expected, existing);
+  if (rejected) {
+    logger.warn('Delete not based on the current version', { userId, budgetId, expected });
+    return rejected;
+  }
   
+  const unchanged = versionCondition(existing);
   const params = {
-    TableName: TABLE_NAME,
-    Key: { BudgetID: budgetId }
+    TransactItems: [
+      {
+        Delete: {
+          TableName: TABLE_NAME,
+          Key: { BudgetID: budgetId },
+          ConditionExpression: `UserID = :userId AND ${unchanged.expression}`,
+          ExpressionAttributeValues: { ':userId': userId, ...unchanged.values }
+        }
+      },
+      {
+        Put: {
+          TableName: TRASH_TABLE,
+          Item: {
+            UserID: userId,
+            TrashID: budgetId,
+            ItemType: 'budget',
+            Items: [existing],
+            DeletedAt: new Date().toISOString()
+          }
+        }
+      }
+    ]
   };
-  await dynamodb.delete(params).promise();
-  logger.info('Budget deleted', { userId, budgetId });
+  try {
+    await dynamodb.transactWrite(params).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      logger.warn('Concurrent budget update detected', { userId, budgetId });
+      return conflictAfterWrite(userId, budgetId, expected);
+    }
+    throw error;
+  }
+  logger.info('Budget moved to trash', { userId, budgetId });
   return createResponse(200, { message: 'Budget deleted successfully' });
 };
 
@@ -238,7 +405,7 @@ exports.handler = async (event, context) => {
     event: JSON.stringify(event)
   });
 
-  const { httpMethod, path, body, pathParameters } = event;
+  const { httpMethod, path, body, pathParameters, headers } = event;
 
   try {
     const userId = getUserId(event);
@@ -247,11 +414,14 @@ exports.handler = async (event, context) => {
       case 'GET':
         return path === '/budget' ? await getAllBudgets(userId) : await getBudget(userId, pathParameters.id);
       case 'POST':
+        if (pathParameters && pathParameters.id) {
+          return await revertBudget(userId, pathParameters.id, JSON.parse(body), headers);
+        }
         return await createBudget(userId, JSON.parse(body));
       case 'PUT':
-        return await updateBudget(userId, pathParameters.id, JSON.parse(body));
+        return await updateBudget(userId, pathParameters.id, JSON.parse(body), headers);
       case 'DELETE':
-        return await deleteBudget(userId, pathParameters.id);
+        return await deleteBudget(userId, pathParameters.id, headers, body ? JSON.parse(body) : null);
       default:
         logger.warn('Unsupported HTTP method', { userId, method: httpMethod });
         return createResponse(400, { message: 'Unsupported HTTP method' });
@@ -273,8 +443,13 @@ if (STAGE === 'test') {
     getUserId,
     getAllBudgets,
     getBudget,
+    findBudget,
+    versionConflict,
+    checkVersion,
+    conflictAfterWrite,
     createBudget,
     updateBudget,
+    revertBudget,
     deleteBudget
   };
 }
@@ -134,7 +134,7 @@ describe('updateBudget', () => {
     const event = {
       httpMethod: 'PUT',
       pathParameters: { id: '1' },
-      body: JSON.stringify({ Category: 'Food', Amount: 350, Period: 'monthly' }),
+      body: JSON.stringify({ Category: 'Food', Amount: 350, Period: 'monthly', Version: 1 }),
       requestContext: {
         authorizer: {
           claims: { sub: 'user123' }
@@ -182,6 +182,7 @@ describe('deleteBudget', () => {
     const event = {
       httpMethod: 'DELETE',
       pathParameters: { id: '1' },
+      headers: { 'If-Match': '"1"' },
       requestContext: {
         authorizer: {
           claims: { sub: 'user123' }
@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * CSV parsing and column mapping for transaction imports.
+ *
+ * A mapping describes how one bank lays out its CSV export: which column holds
+ * the date, amount, category and description, how dates and decimals are
+ * written, and whether expenses are negative, positive or in a separate
+ * debit column.
+ */
+
+const DATE_TOKEN_PATTERN = /YYYY|MM|DD/g;
+
+/**
+ * Parses CSV content into rows of fields (RFC 4180 quoting).
+ *
+ * @param {string} content - The CSV content.
+ * @param {string} [delimiter=','] - The field delimiter.
+ * @returns {Array<Array<string>>} The parsed rows. Blank lines are dropped.
+ */
+const parseCsv = (content, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const text = content.charCodeAt(0) === 0xFEFF ? content.slice(1) : content;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parses a date written in the given format (e.g. DD/MM/YYYY) to YYYY-MM-DD.
+ *
+ * @param {string} value - The date as written in the file.
+ * @param {string} format - The date format, built from YYYY, MM and DD tokens.
+ * @returns {string|null} The ISO date, or null if the value does not match the format.
+ */
+const parseCsvDate = (value, format) => {
+  const order = format.match(DATE_TOKEN_PATTERN);
+  const pattern = format
+    .split(DATE_TOKEN_PATTERN)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .reduce((source, part, index) => {
+      if (index === 0) return part;
+      return `${source}${order[index - 1] === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})'}${part}`;
+    }, '');
+  const match = new RegExp(`^${pattern}$`).exec((value || '').trim());
+  if (!match) return null;
+
+  const parts = {};
+  order.forEach((token, index) => {
+    parts[token] = Number(match[index + 1]);
+  });
+  const date = new Date(Date.UTC(parts.YYYY, parts.MM - 1, parts.DD));
+  if (date.getUTCMonth() !== parts.MM - 1 || date.getUTCDate() !== parts.DD) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Parses an amount such as "1,234.56", "1.234,56", "-12" or "(12.00)".
+ *
+ * @param {string} value - The amount as written in the file.
+ * @param {string} [decimalSeparator='.'] - The decimal separator used by the file.
+ * @returns {number} The amount, or NaN if it cannot be read.
+ */
+const parseCsvAmount = (value, decimalSeparator = '.') => {
+  let text = (value || '').trim();
+  if (text === '') return NaN;
+  // Accounting notation writes negative amounts in parentheses
+  const negative = /^\(.*\)$/.test(text);
+  if (negative) text = text.slice(1, -1);
+  const thousands = decimalSeparator === ',' ? /[.\s']/g : /[,\s']/g;
+  text = text.replace(thousands, '').replace(decimalSeparator, '.').replace(/[^\d.+-]/g, '');
+  if (!/^[+-]?\d*\.?\d+$/.test(text)) return NaN;
+  const amount = Number(text);
+  return negative ? -amount : amount;
+};
+
+/**
+ * Resolves the column references of a mapping against the header row.
+ *
+ * @param {Object} columns - Column references by field, as header names or zero-based indexes.
+ * @param {Array<string>|null} header - The header row, if the file has one.
+ * @returns {Object} Zero-based column indexes by field.
+ * @throws {Error} If a referenced header name is not in the file.
+ */
+const resolveColumns = (columns, header) => {
+  const resolved = {};
+  Object.entries(columns).forEach(([field, reference]) => {
+    if (typeof reference === 'number') {
+      resolved[field] = reference;
+      return;
+    }
+    const index = header ? header.findIndex(name => name.trim() === reference) : -1;
+    if (index === -1) {
+      throw new Error(`Column "${reference}" not found in the file header`);
+    }
+    resolved[field] = index;
+  });
+  return resolved;
+};
+
+/**
+ * Maps one CSV row to transaction fields.
+ *
+ * @param {Array<string>} row - The row fields.
+ * @param {Object} columns - Zero-based column indexes by field.
+ * @param {Object} mapping - The mapping (DateFormat, DecimalSeparator, SignConvention).
+ * @returns {Object} The transaction fields, or `{ error }` when the row cannot be read.
+ */
+const mapCsvRow = (row, columns, mapping) => {
+  const read = field => (columns[field] === undefined ? undefined : (row[columns[field]] || '').trim());
+
+  const date = parseCsvDate(read('Date'), mapping.DateFormat);
+  if (!date) {
+    return { error: `Date "${read('Date')}" does not match format ${mapping.DateFormat}` };
+  }
+
+  let amount;
+  if (mapping.SignConvention === 'debitCredit') {
+    const debit = read('Debit') ? parseCsvAmount(read('Debit'), mapping.DecimalSeparator) : 0;
+    const credit = read('Credit') ? parseCsvAmount(read('Credit'), mapping.DecimalSeparator) : 0;
+    amount = Math.abs(credit) - Math.abs(debit);
+  } else {
+    amount = parseCsvAmount(read('Amount'), mapping.DecimalSeparator);
+    if (mapping.SignConvention === 'inverted') amount = -amount;
+  }
+  if (Number.isNaN(amount)) {
+    return { error: 'Amount could not be read' };
+  }
+
+  const transaction = { Date: date, Amount: Math.round(amount * 100) / 100 };
+  if (read('Category')) transaction.Category = read('Category');
+  if (read('Description') !== undefined) transaction.Description = read('Description');
+  if (read('Payee')) transaction.Payee = read('Payee');
+  return transaction;
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvDate,
+  parseCsvAmount,
+  resolveColumns,
+  mapCsvRow
+};
@@ -0,0 +1,67 @@
+const { parseCsv, parseCsvDate, parseCsvAmount, resolveColumns, mapCsvRow } = require('./csv');
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes and CRLF line endings', () => {
+    const rows = parseCsv('Date,Description\r\n2023-01-01,"Shop, ""Main St"""\r\n\r\n');
+    expect(rows).toEqual([['Date', 'Description'], ['2023-01-01', 'Shop, "Main St"']]);
+  });
+
+  it('supports a custom delimiter and strips the byte order mark', () => {
+    expect(parseCsv('\uFEFFa;b\n1;2', ';')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+});
+
+describe('parseCsvDate', () => {
+  it('parses dates in the given format', () => {
+    expect(parseCsvDate('22.06.2023', 'DD.MM.YYYY')).toBe('2023-06-22');
+    expect(parseCsvDate('6/2/2023', 'MM/DD/YYYY')).toBe('2023-06-02');
+  });
+
+  it('rejects values that do not match or are not calendar dates', () => {
+    expect(parseCsvDate('2023-06-22', 'DD.MM.YYYY')).toBeNull();
+    expect(parseCsvDate('31.02.2023', 'DD.MM.YYYY')).toBeNull();
+  });
+});
+
+describe('parseCsvAmount', () => {
+  it('parses amounts with either decimal separator', () => {
+    expect(parseCsvAmount('1,234.56')).toBe(1234.56);
+    expect(parseCsvAmount('-1.234,56', ',')).toBe(-1234.56);
+    expect(parseCsvAmount('(12.00)')).toBe(-12);
+  });
+
+  it('returns NaN for unreadable amounts', () => {
+    expect(parseCsvAmount('')).toBeNaN();
+    expect(parseCsvAmount('abc')).toBeNaN();
+  });
+});
+
+describe('mapCsvRow', () => {
+  const mapping = { DateFormat: 'YYYY-MM-DD', DecimalSeparator: '.', SignConvention: 'signed' };
+
+  it('maps a row by header names', () => {
+    const columns = resolveColumns({ Date: 'Date', Amount: 'Amount', Description: 'Text' }, ['Date', 'Text', 'Amount']);
+    expect(mapCsvRow(['2023-01-05', 'Coffee', '-3.50'], columns, mapping))
+      .toEqual({ Date: '2023-01-05', Amount: -3.5, Description: 'Coffee' });
+  });
+
+  it('inverts the sign when expenses are positive', () => {
+    const result = mapCsvRow(['2023-01-05', '3.50'], { Date: 0, Amount: 1 }, { ...mapping, SignConvention: 'inverted' });
+    expect(result.Amount).toBe(-3.5);
+  });
+
+  it('combines separate debit and credit columns', () => {
+    const columns = { Date: 0, Debit: 1, Credit: 2 };
+    const debitCredit = { ...mapping, SignConvention: 'debitCredit' };
+    expect(mapCsvRow(['2023-01-05', '20.00', ''], columns, debitCredit).Amount).toBe(-20);
+    expect(mapCsvRow(['2023-01-05', '', '100'], columns, debitCredit).Amount).toBe(100);
+  });
+
+  it('reports rows with an unreadable date', () => {
+    expect(mapCsvRow(['05/01/2023', '1'], { Date: 0, Amount: 1 }, mapping).error).toContain('does not match format');
+  });
+
+  it('fails when a mapped header is missing', () => {
+    expect(() => resolveColumns({ Date: 'Posted' }, ['Date'])).toThrow('Column "Posted" not found in the file header');
+  });
+});
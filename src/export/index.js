@@ -10,11 +10,16 @@ The transactions are converted to CSV format.
 The CSV data is uploaded to an S3 bucket with a unique filename.
 It returns a success response with the filename of the exported CSV.
 
+The same function handles CSV imports under /import. A user uploads a CSV file together with a column
+mapping (date, amount, category and description columns, date format, decimal separator and sign
+convention), either inline or from a saved import profile, and the rows are written to the transaction table.
+
 The file includes helper functions:
 
 getAllTransactions: Retrieves all transactions for a given user from DynamoDB.
 convertToCSV: Converts the transaction data to CSV format.
 uploadToS3: Uploads the CSV data to the specified S3 bucket.
+importCsv: Maps and validates the rows of an uploaded CSV file and writes them as transactions.
 response: A utility function to format the Lambda response.
 
 This implementation assumes that the necessary environment variables (TRANSACTION_TABLE and EXPORT_BUCKET) are set in the Lambda function's configuration, which should be defined in the template.yaml file.
@@ -25,7 +30,16 @@ Remember to handle errors appropriately and consider implementing more robust er
 'use strict';
 
 const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const Joi = require('joi');
 const winston = require('winston');
+const { parseCsv, resolveColumns, mapCsvRow } = require('./csv');
+const { duplicateWindow, findDuplicates } = require('@personal-finance/shared/duplicates');
+const { sortRules, categorize } = require('@personal-finance/shared/categorize');
+const { matchPayee } = require('@personal-finance/shared/payees');
+const { balanceEffect, balanceUpdate } = require('@personal-finance/shared/balances');
+const { isLoan, paymentInterest } = require('@personal-finance/shared/loans');
+const { CLEARED, transactionSchema } = require('@personal-finance/shared/transactions');
 
 // Initialize AWS SDK and Winston logger
 const s3 = new AWS.S3();
@@ -41,9 +55,60 @@ const logger = winston.createLogger({
 
 // Environment variables
 const TRANSACTION_TABLE = process.env.TRANSACTION_TABLE;
+const ACCOUNT_TABLE = process.env.ACCOUNT_TABLE;
 const EXPORT_BUCKET = process.env.EXPORT_BUCKET;
+const IMPORT_PROFILE_TABLE = process.env.IMPORT_PROFILE_TABLE;
+const RULE_TABLE = process.env.RULE_TABLE;
+const PAYEE_TABLE = process.env.PAYEE_TABLE;
 const STAGE = process.env.STAGE;
 
+const USER_DATE_INDEX = 'UserDateIndex';
+const TRANSACT_WRITE_SIZE = 25;
+const MAX_IMPORT_ROWS = 5000;
+
+// A CSV column, referenced by header name or zero-based index
+const csvColumn = Joi.alternatives().try(Joi.string(), Joi.number().integer().min(0));
+
+// CSV column mapping schema
+const csvMappingSchema = Joi.object({
+  Delimiter: Joi.string().length(1).default(','),
+  HasHeader: Joi.boolean().default(true),
+  DateFormat: Joi.string().pattern(/^(?=.*YYYY)(?=.*MM)(?=.*DD)[YMD\/.\- ]+$/).default('YYYY-MM-DD'),
+  DecimalSeparator: Joi.string().valid('.', ',').default('.'),
+  SignConvention: Joi.string().valid('signed', 'inverted', 'debitCredit').default('signed'),
+  Columns: Joi.object({
+    Date: csvColumn.required(),
+    Amount: csvColumn.when('...SignConvention', {
+      is: 'debitCredit', then: Joi.forbidden(), otherwise: Joi.required()
+    }),
+    Debit: csvColumn.when('...SignConvention', {
+      is: 'debitCredit', then: Joi.required(), otherwise: Joi.forbidden()
+    }),
+    Credit: csvColumn.when('...SignConvention', {
+      is: 'debitCredit', then: Joi.required(), otherwise: Joi.forbidden()
+    }),
+    Category: csvColumn.optional(),
+    Description: csvColumn.optional(),
+    Payee: csvColumn.optional()
+  }).required()
+});
+
+// Saved import profile schema
+const importProfileSchema = Joi.object({
+  Name: Joi.string().required().max(100),
+  Mapping: csvMappingSchema.required()
+});
+
+// CSV import request schema; the mapping comes from a saved profile or the request itself
+const csvImportSchema = Joi.object({
+  AccountID: Joi.string().required(),
+  Content: Joi.string().required(),
+  Encoding: Joi.string().valid('utf8', 'base64').default('utf8'),
+  Category: Joi.string().default('Uncategorized'),
+  ProfileID: Joi.string(),
+  Mapping: csvMappingSchema
+}).xor('ProfileID', 'Mapping');
+
 /**
  * Creates a standardized response object.
  *
@@ -125,6 +190,441 @@ const uploadToS3 = async (data, filename) => {
   return result;
 };
 
+/**
+ * Exports all of a user's transactions to a CSV file in S3.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const exportTransactions = async (userId) => {
+  const transactions = await getAllTransactions(userId);
+
+  if (transactions.length === 0) {
+    logger.info('No transactions found for user', { userId });
+    return createResponse(404, { message: 'No transactions found' });
+  }
+
+  const csv = convertToCSV(transactions);
+  const filename = `export_${userId}_${new Date().toISOString()}.csv`;
+
+  await uploadToS3(csv, filename);
+
+  logger.info('Export successful', { userId, filename });
+  return createResponse(200, { message: 'Export successful', filename });
+};
+
+/**
+ * Retrieves all import profiles of a user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getAllImportProfiles = async (userId) => {
+  const items = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: IMPORT_PROFILE_TABLE,
+      KeyConditionExpression: 'UserID = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ExclusiveStartKey: startKey
+    }).promise();
+    items.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  logger.info('Import profiles retrieved', { userId, count: items.length });
+  return createResponse(200, items);
+};
+
+/**
+ * Loads an import profile owned by the user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} profileId - The ID of the profile.
+ * @returns {Promise<Object|null>} The profile, or null if not found or not owned by the user.
+ */
+const findImportProfile = async (userId, profileId) => {
+  const result = await dynamodb.get({
+    TableName: IMPORT_PROFILE_TABLE,
+    Key: { UserID: userId, ProfileID: profileId }
+  }).promise();
+  return result.Item || null;
+};
+
+/**
+ * Creates a new import profile.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} profile - The profile data (Name, Mapping).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const createImportProfile = async (userId, profile) => {
+  const { error, value } = importProfileSchema.validate(profile);
+  if (error) {
+    logger.warn('Invalid input', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const newProfile = {
+    ...value,
+    ProfileID: uuidv4(),
+    UserID: userId,
+    CreatedAt: new Date().toISOString()
+  };
+  await dynamodb.put({
+    TableName: IMPORT_PROFILE_TABLE,
+    Item: newProfile
+  }).promise();
+  logger.info('Import profile created', { userId, profileId: newProfile.ProfileID });
+  return createResponse(201, { message: 'Import profile created successfully', profile: newProfile });
+};
+
+/**
+ * Updates an existing import profile.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} profileId - The ID of the profile to update.
+ * @param {Object} profile - The updated profile data.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const updateImportProfile = async (userId, profileId, profile) => {
+  const { error, value } = importProfileSchema.validate(profile);
+  if (error) {
+    logger.warn('Invalid input', { userId, profileId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const params = {
+    TableName: IMPORT_PROFILE_TABLE,
+    Key: { UserID: userId, ProfileID: profileId },
+    UpdateExpression: 'set #name = :name, Mapping = :mapping, UpdatedAt = :updatedAt',
+    ConditionExpression: 'attribute_exists(ProfileID)',
+    ExpressionAttributeNames: { '#name': 'Name' },
+    ExpressionAttributeValues: {
+      ':name': value.Name,
+      ':mapping': value.Mapping,
+      ':updatedAt': new Date().toISOString()
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  try {
+    const result = await dynamodb.update(params).promise();
+    logger.info('Import profile updated', { userId, profileId });
+    return createResponse(200, { message: 'Import profile updated successfully', profile: result.Attributes });
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Import profile not found or unauthorized', { userId, profileId });
+      return createResponse(404, { message: 'Import profile not found' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Deletes an import profile.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} profileId - The ID of the profile to delete.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const deleteImportProfile = async (userId, profileId) => {
+  const params = {
+    TableName: IMPORT_PROFILE_TABLE,
+    Key: { UserID: userId, ProfileID: profileId },
+    ConditionExpression: 'attribute_exists(ProfileID)'
+  };
+
+  try {
+    await dynamodb.delete(params).promise();
+    logger.info('Import profile deleted', { userId, profileId });
+    return createResponse(200, { message: 'Import profile deleted successfully' });
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Import profile not found or unauthorized', { userId, profileId });
+      return createResponse(404, { message: 'Import profile not found' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Retrieves an account if it belongs to the user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account.
+ * @returns {Promise<Object|null>} The account, or null if not found or not owned by the user.
+ */
+const findAccount = async (userId, accountId) => {
+  const result = await dynamodb.get({
+    TableName: ACCOUNT_TABLE,
+    Key: { AccountID: accountId }
+  }).promise();
+  if (!result.Item || result.Item.UserID !== userId) {
+    return null;
+  }
+  return result.Item;
+};
+
+/**
+ * Writes new transactions of one account in DynamoDB transactions of up to
+ * 25, each together with the change to the account's balance, which counts
+ * each transaction by `balanceEffect`. A chunk fails if the account was
+ * archived or closed in the meantime.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} account - The account (AccountID, Currency).
+ * @param {Array<Object>} items - The transactions to write.
+ * @returns {Promise<void>}
+ */
+const putTransactions = async (userId, account, items) => {
+  for (let i = 0; i < items.length; i += TRANSACT_WRITE_SIZE) {
+    const chunk = items.slice(i, i + TRANSACT_WRITE_SIZE);
+    const delta = Math.round(chunk.reduce((sum, item) => sum + balanceEffect(item, account.Currency), 0) * 100) / 100;
+    const transactItems = chunk.map(item => ({
+      Put: {
+        TableName: TRANSACTION_TABLE,
+        Item: item,
+        ConditionExpression: 'attribute_not_exists(TransactionID)'
+      }
+    }));
+    if (delta !== 0) {
+      transactItems.push(balanceUpdate(ACCOUNT_TABLE, userId, account.AccountID, delta, new Date().toISOString()));
+    }
+    await dynamodb.transactWrite({ TransactItems: transactItems }).promise();
+  }
+};
+
+/**
+ * Retrieves all transactions of one account within a date range.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account.
+ * @param {string} from - The earliest transaction date (ISO 8601).
+ * @param {string} to - The latest transaction date (ISO 8601).
+ * @returns {Promise<Array>} The account's transactions in the range.
+ */
+const getAccountTransactions = async (userId, accountId, from, to) => {
+  const items = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: TRANSACTION_TABLE,
+      IndexName: USER_DATE_INDEX,
+      KeyConditionExpression: 'UserID = :userId AND #date BETWEEN :from AND :to',
+      FilterExpression: 'AccountID = :accountId',
+      ExpressionAttributeNames: { '#date': 'Date' },
+      ExpressionAttributeValues: {
+        ':userId': userId,
+        ':accountId': accountId,
+        ':from': from,
+        ':to': to
+      },
+      ExclusiveStartKey: startKey
+    }).promise();
+    items.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return items;
+};
+
+/**
+ * Loads a user's active categorization rules, in evaluation order.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array>} The rules.
+ */
+const loadRules = async (userId) => {
+  const items = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: RULE_TABLE,
+      KeyConditionExpression: 'UserID = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ExclusiveStartKey: startKey
+    }).promise();
+    items.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return sortRules(items);
+};
+
+/**
+ * Loads all payees of a user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array>} The payees.
+ */
+const loadPayees = async (userId) => {
+  const items = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: PAYEE_TABLE,
+      KeyConditionExpression: 'UserID = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ExclusiveStartKey: startKey
+    }).promise();
+    items.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return items;
+};
+
+/**
+ * Imports transactions from a CSV file into an account.
+ *
+ * The columns are mapped with either a saved import profile (`ProfileID`) or
+ * an inline `Mapping`. Each row is validated with `transactionSchema`; rows
+ * that cannot be read or fail validation are reported as rejected. Rows that
+ * look like transactions already in the account are created but flagged for
+ * duplicate review. Rows are linked to the payee their payee text or
+ * description matches. Rows without a mapped category are categorized by the
+ * user's rules, falling back to the payee's DefaultCategory and then the
+ * request's Category. Payments into a loan or mortgage carry the Interest
+ * accrued on what was owed, as other payments into it do. The account's
+ * balance changes with every group of rows written.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} request - The import request.
+ * @returns {Promise<Object>} The Lambda response object with the import report.
+ */
+const importCsv = async (userId, request) => {
+  const { error, value } = csvImportSchema.validate(request);
+  if (error) {
+    logger.warn('Invalid import request', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  let mapping = value.Mapping;
+  if (value.ProfileID) {
+    const profile = await findImportProfile(userId, value.ProfileID);
+    if (!profile) {
+      logger.warn('Import profile not found or unauthorized', { userId, profileId: value.ProfileID });
+      return createResponse(404, { message: 'Import profile not found' });
+    }
+    mapping = profile.Mapping;
+  }
+
+  const account = await findAccount(userId, value.AccountID);
+  if (!account || !account.IsActive) {
+    logger.warn('Account not found or unauthorized', { userId, accountId: value.AccountID });
+    return createResponse(404, { message: 'Account not found or does not belong to the user' });
+  }
+
+  const content = value.Encoding === 'base64'
+    ? Buffer.from(value.Content, 'base64').toString('utf8')
+    : value.Content;
+  const rows = parseCsv(content, mapping.Delimiter);
+  const header = mapping.HasHeader ? rows.shift() : null;
+  if (rows.length > MAX_IMPORT_ROWS) {
+    logger.warn('CSV import too large', { userId, rows: rows.length });
+    return createResponse(400, { message: `A CSV import may contain at most ${MAX_IMPORT_ROWS} rows` });
+  }
+
+  let columns;
+  try {
+    columns = resolveColumns(mapping.Columns, header);
+  } catch (mappingError) {
+    logger.warn('CSV mapping does not match file', { userId, error: mappingError.message });
+    return createResponse(400, { message: mappingError.message });
+  }
+
+  const report = { created: 0, skipped: 0, rejected: 0, flagged: 0, errors: [] };
+  const rules = await loadRules(userId);
+  const payees = await loadPayees(userId);
+  const now = new Date().toISOString();
+  const newTransactions = [];
+
+  rows.forEach((row, index) => {
+    // Report row numbers as they appear in the file, counting the header
+    const line = index + (header ? 2 : 1);
+    const mapped = mapCsvRow(row, columns, mapping);
+    if (mapped.error) {
+      report.rejected++;
+      report.errors.push({ line, message: mapped.error });
+      return;
+    }
+
+    const transaction = {
+      AccountID: value.AccountID,
+      ...mapped
+    };
+    const { error: rowError } = transactionSchema.validate(transaction);
+    if (rowError) {
+      report.rejected++;
+      report.errors.push({ line, message: rowError.details[0].message });
+      return;
+    }
+
+    const payee = matchPayee(transaction, payees);
+    if (payee) {
+      transaction.PayeeID = payee.PayeeID;
+      transaction.Payee = transaction.Payee || payee.Name;
+    }
+    const fallback = { Category: (payee && payee.DefaultCategory) || value.Category };
+    const categorized = transaction.Category
+      ? transaction
+      : { ...transaction, ...(categorize(transaction, rules) || fallback) };
+    // The bank has booked what its export lists
+    newTransactions.push({
+      ...categorized,
+      Status: CLEARED,
+      Version: 1,
+      TransactionID: uuidv4(),
+      UserID: userId,
+      ImportSource: 'CSV',
+      CreatedAt: now
+    });
+  });
+
+  // Payments into a loan are split into interest and principal in date order, each on what
+  // is owed once the rows before it are paid; only the principal changes the balance
+  if (isLoan(account)) {
+    let owed = -account.Balance;
+    [...newTransactions].sort((a, b) => a.Date.localeCompare(b.Date)).forEach((transaction) => {
+      if (transaction.Amount > 0 && balanceEffect(transaction, account.Currency) !== 0) {
+        transaction.Interest = paymentInterest(account, transaction.Amount, owed);
+      }
+      owed -= balanceEffect(transaction, account.Currency);
+    });
+  }
+
+  // Flag rows that look like transactions already in the account, e.g. from an overlapping
+  // file, or like an earlier row of the same file
+  const dates = newTransactions.map(transaction => transaction.Date).sort();
+  const existing = dates.length > 0
+    ? await getAccountTransactions(
+      userId,
+      value.AccountID,
+      duplicateWindow(dates[0]).from,
+      duplicateWindow(dates[dates.length - 1]).to
+    )
+    : [];
+  newTransactions.forEach((transaction) => {
+    const matches = findDuplicates(transaction, existing);
+    if (matches.length > 0) {
+      transaction.DuplicateOf = matches[0].transaction.TransactionID;
+      transaction.DuplicateScore = Math.round(matches[0].score * 100) / 100;
+      report.flagged++;
+    }
+    // Later rows of the file are compared with this one too
+    existing.push(transaction);
+  });
+
+  await putTransactions(userId, account, newTransactions);
+  report.created = newTransactions.length;
+
+  logger.info('CSV imported', {
+    userId,
+    accountId: value.AccountID,
+    created: report.created,
+    rejected: report.rejected,
+    flagged: report.flagged
+  });
+  return createResponse(200, { message: 'Import completed', report });
+};
+
 /**
  * Main handler function for the Lambda.
  *
@@ -138,22 +638,28 @@ exports.handler = async (event, context) => {
     event: JSON.stringify(event)
   });
 
+  const { httpMethod, path, body, pathParameters } = event;
+
   try {
     const userId = getUserId(event);
-    const transactions = await getAllTransactions(userId);
-    
-    if (transactions.length === 0) {
-      logger.info('No transactions found for user', { userId });
-      return createResponse(404, { message: 'No transactions found' });
-    }
-
-    const csv = convertToCSV(transactions);
-    const filename = `export_${userId}_${new Date().toISOString()}.csv`;
 
-    await uploadToS3(csv, filename);
+    if (path === '/import/csv' && httpMethod === 'POST') {
+      return await importCsv(userId, JSON.parse(body));
+    }
+    if (path === '/import/profile') {
+      if (httpMethod === 'GET') return await getAllImportProfiles(userId);
+      if (httpMethod === 'POST') return await createImportProfile(userId, JSON.parse(body));
+    }
+    if (path && path.startsWith('/import/profile/')) {
+      if (httpMethod === 'PUT') return await updateImportProfile(userId, pathParameters.id, JSON.parse(body));
+      if (httpMethod === 'DELETE') return await deleteImportProfile(userId, pathParameters.id);
+    }
+    if (path && path.startsWith('/import')) {
+      logger.warn('Unsupported HTTP method', { userId, method: httpMethod, path });
+      return createResponse(400, { message: 'Unsupported HTTP method' });
+    }
 
-    logger.info('Export successful', { userId, filename });
-    return createResponse(200, { message: 'Export successful', filename });
+    return await exportTransactions(userId);
   } catch (error) {
     if (error.message === 'User ID not found in the event object') {
       logger.error('Unauthorized access attempt', { error: error.message });
@@ -171,6 +677,18 @@ if (STAGE === 'test') {
     getUserId,
     getAllTransactions,
     convertToCSV,
-    uploadToS3
+    uploadToS3,
+    exportTransactions,
+    getAllImportProfiles,
+    findImportProfile,
+    createImportProfile,
+    updateImportProfile,
+    deleteImportProfile,
+    findAccount,
+    putTransactions,
+    getAccountTransactions,
+    loadRules,
+    loadPayees,
+    importCsv
   };
 }
@@ -92,3 +92,45 @@ describe('handler', () => {
     expect(JSON.parse(result.body).message).toEqual('No transactions found');
   });
 });
+
+
+describe('importCsv', () => {
+  const context = { awsRequestId: 'test-request' };
+
+  it('requires either a profile or a mapping', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/import/csv',
+      body: JSON.stringify({ AccountID: '12345', Content: 'Date,Amount\n2023-01-01,10' }),
+      requestContext: {
+        authorizer: {
+          claims: {
+            sub: 'user123'
+          }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+
+  it('rejects a mapping without an amount column', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/import/profile',
+      body: JSON.stringify({ Name: 'My Bank', Mapping: { Columns: { Date: 'Date' } } }),
+      requestContext: {
+        authorizer: {
+          claims: {
+            sub: 'user123'
+          }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toContain('Amount');
+  });
+});
@@ -13,7 +13,8 @@ Key points:
 The goalSchema defines the structure and validation rules for a goal.
 The response function standardizes the API response format.
 The log function provides consistent logging.
-The handler supports GET (list all and get by ID), POST (create), PUT (update), and DELETE operations.
+The handler supports GET (list all and get by ID), POST (create, and revert to a revision through /goal/{id}/revert, see revisions.js), PUT (update), and DELETE operations. DELETE moves a goal to the trash, from where it can be restored through /trash.
+Every goal carries a Version (see versioning.js). PUT and DELETE must name the version they are based on and are rejected with 409 or 412 if it is stale.
 Each operation includes appropriate error handling and logging.
 The code assumes that the GoalID is the primary key for the DynamoDB table.
 
@@ -35,6 +36,15 @@ const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
 const winston = require('winston');
+const {
+  VERSION_REQUIRED_MESSAGE,
+  etag,
+  expectedVersion,
+  isCurrent,
+  conflictStatus,
+  versionCondition
+} = require('@personal-finance/shared/versioning');
+const { revisionKey, revertedFields } = require('@personal-finance/shared/revisions');
 
 // Initialize AWS SDK and Winston logger
 const dynamodb = new AWS.DynamoDB.DocumentClient();
@@ -49,6 +59,8 @@ const logger = winston.createLogger({
 
 // Environment variables
 const TABLE_NAME = process.env.GOAL_TABLE;
+const TRASH_TABLE = process.env.TRASH_TABLE;
+const HISTORY_TABLE = process.env.HISTORY_TABLE;
 const STAGE = process.env.STAGE;
 
 // Validation schema
@@ -56,7 +68,14 @@ const goalSchema = Joi.object({
   GoalName: Joi.string().required(),
   TargetAmount: Joi.number().positive().required(),
   CurrentAmount: Joi.number().min(0).required(),
-  Deadline: Joi.date().iso().required()
+  Deadline: Joi.date().iso().required(),
+  Version: Joi.number().integer().min(1).optional()
+});
+
+// Validation schema for reverting a goal to a revision
+const revertSchema = Joi.object({
+  RevisionID: Joi.string().required(),
+  Version: Joi.number().integer().min(1)
 });
 
 /**
@@ -64,13 +83,16 @@ const goalSchema = Joi.object({
  *
  * @param {number} statusCode - The HTTP status code.
  * @param {Object} body - The response body.
+ * @param {Object} [headers] - Additional response headers.
  * @returns {Object} The formatted response object.
  */
-const createResponse = (statusCode, body) => ({
+const createResponse = (statusCode, body, headers = {}) => ({
   statusCode,
   headers: {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'ETag',
+    ...headers
   },
   body: JSON.stringify(body),
 });
@@ -129,7 +151,63 @@ const getGoal = async (userId, goalId) => {
     return createResponse(404, { message: 'Goal not found' });
   }
   logger.info('Goal retrieved', { userId, goalId });
-  return createResponse(200, result.Item);
+  return createResponse(200, result.Item, { ETag: etag(result.Item) });
+};
+
+/**
+ * Reads a goal if it belongs to the user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} goalId - The ID of the goal.
+ * @returns {Promise<Object|null>} The goal, or null if it does not exist or belongs to someone else.
+ */
+const findGoal = async (userId, goalId) => {
+  const result = await dynamodb.get({ TableName: TABLE_NAME, Key: { GoalID: goalId } }).promise();
+  return result.Item && result.Item.UserID === userId ? result.Item : null;
+};
+
+/**
+ * Builds the response to a request based on a stale version of a goal,
+ * carrying the goal as it is now.
+ *
+ * @param {{source: string}} expected - The version the request was based on.
+ * @param {Object} current - The stored goal.
+ * @returns {Object} The Lambda response object.
+ */
+const versionConflict = (expected, current) => createResponse(conflictStatus(expected), {
+  message: 'Goal was modified by another request. Please retry with the latest version.',
+  current
+}, { ETag: etag(current) });
+
+/**
+ * Checks that an update or delete names the current version of a goal.
+ *
+ * @param {?{version: number, source: string}} expected - The version the request is based on.
+ * @param {Object} existing - The stored goal.
+ * @returns {Object|null} The Lambda response rejecting the request, or null if it may go ahead.
+ */
+const checkVersion = (expected, existing) => {
+  if (!expected) {
+    return createResponse(428, { message: VERSION_REQUIRED_MESSAGE });
+  }
+  return isCurrent(expected, existing) ? null : versionConflict(expected, existing);
+};
+
+/**
+ * Answers an update or delete whose conditional write lost a race with
+ * another request, with the goal as it is now.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} goalId - The ID of the goal.
+ * @param {{source: string}} expected - The version the request was based on.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const conflictAfterWrite = async (userId, goalId, expected) => {
+  const current = await findGoal(userId, goalId);
+  if (!current) {
+    return createResponse(404, { message: 'Goal not found' });
+  }
+  return versionConflict(expected, current);
 };
 
 /**
@@ -147,6 +225,7 @@ const createGoal = async (userId, goal) => {
   }
   const newGoal = {
     ...goal,
+    Version: 1,
     GoalID: uuidv4(),
     UserID: userId,
     CreatedAt: new Date().toISOString()
@@ -157,18 +236,20 @@ const createGoal = async (userId, goal) => {
   };
   await dynamodb.put(params).promise();
   logger.info('Goal created', { userId, goalId: newGoal.GoalID });
-  return createResponse(201, { message: 'Goal created successfully', goal: newGoal });
+  return createResponse(201, { message: 'Goal created successfully', goal: newGoal }, { ETag: etag(newGoal) });
 };
 
 /**
- * Updates an existing goal in the database.
+ * Updates an existing goal in the database. The update must be based on the
+ * current version of the goal.
  *
  * @param {string} userId - The ID of the user.
  * @param {string} goalId - The ID of the goal to update.
  * @param {Object} goal - The updated goal data.
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
  * @returns {Promise<Object>} The Lambda response object.
  */
-const updateGoal = async (userId, goalId, goal) => {
+const updateGoal = async (userId, goalId, goal, headers) => {
   const { error } = goalSchema.validate(goal);
   if (error) {
     logger.warn('Invalid input', { userId, goalId, error: error.details[0].message });
@@ -176,59 +257,144 @@ const updateGoal = async (userId, goalId, goal) => {
   }
   
   // First, check if the goal belongs to the user
-  const getParams = {
-    TableName: TABLE_NAME,
-    Key: { GoalID: goalId }
-  };
-  const getResult = await dynamodb.get(getParams).promise();
-  if (!getResult.Item || getResult.Item.UserID !== userId) {
+  const existing = await findGoal(userId, goalId);
+  if (!existing) {
     logger.warn('Goal not found or unauthorized', { userId, goalId });
     return createResponse(404, { message: 'Goal not found' });
   }
+  const expected = expectedVersion(headers, goal);
+  const rejected = checkVersion(expected, existing);
+  if (rejected) {
+    logger.warn('Update not based on the current version', { userId, goalId, expected });
+    return rejected;
+  }
   
+  const unchanged = versionCondition(existing);
   const params = {
     TableName: TABLE_NAME,
     Key: { GoalID: goalId },
-    UpdateExpression: 'set GoalName = :name, TargetAmount = :target, CurrentAmount = :current, Deadline = :deadline, UpdatedAt = :updatedAt',
+    UpdateExpression: 'set GoalName = :name, TargetAmount = :target, CurrentAmount = :current, Deadline = :deadline, UpdatedAt = :updatedAt, Version = :nextVersion',
+    ConditionExpression: `UserID = :userId AND ${unchanged.expression}`,
     ExpressionAttributeValues: {
       ':name': goal.GoalName,
       ':target': goal.TargetAmount,
       ':current': goal.CurrentAmount,
       ':deadline': goal.Deadline,
-      ':updatedAt': new Date().toISOString()
+      ':updatedAt': new Date().toISOString(),
+      ':userId': userId,
+      ':nextVersion': expected.version + 1,
+      ...unchanged.values
     },
     ReturnValues: 'ALL_NEW'
   };
-  const result = await dynamodb.update(params).promise();
+  let result;
+  try {
+    result = await dynamodb.update(params).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Concurrent goal update detected', { userId, goalId });
+      return conflictAfterWrite(userId, goalId, expected);
+    }
+    throw error;
+  }
   logger.info('Goal updated', { userId, goalId });
-  return createResponse(200, { message: 'Goal updated successfully', goal: result.Attributes });
+  return createResponse(200, { message: 'Goal updated successfully', goal: result.Attributes }, { ETag: etag(result.Attributes) });
+};
+
+/**
+ * Sets a goal back to how it was after one of its revisions. The revert is
+ * an update like any other: it needs the current version and is recorded as
+ * a new revision.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} goalId - The ID of the goal.
+ * @param {Object} request - The revert request (RevisionID, Version).
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const revertGoal = async (userId, goalId, request, headers) => {
+  const { error } = revertSchema.validate(request);
+  if (error) {
+    logger.warn('Invalid revert request', { userId, goalId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const result = await dynamodb.get({
+    TableName: HISTORY_TABLE,
+    Key: { UserID: userId, RevisionKey: revisionKey('goal', goalId, request.RevisionID) }
+  }).promise();
+  if (!result.Item) {
+    logger.warn('Revision not found', { userId, goalId, revisionId: request.RevisionID });
+    return createResponse(404, { message: 'Revision not found' });
+  }
+  const fields = revertedFields(result.Item, Object.keys(goalSchema.describe().keys));
+  if (!fields) {
+    return createResponse(400, { message: 'Cannot revert to a revision that deleted the goal' });
+  }
+  logger.info('Reverting goal', { userId, goalId, revisionId: request.RevisionID });
+  const version = request.Version !== undefined ? { Version: request.Version } : {};
+  return updateGoal(userId, goalId, { ...fields, ...version }, headers);
 };
 
 /**
- * Deletes a goal from the database.
+ * Moves a goal to the trash, from where the trash service can restore it
+ * until it is purged. The delete must be based on the current version of
+ * the goal.
  *
  * @param {string} userId - The ID of the user.
  * @param {string} goalId - The ID of the goal to delete.
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
+ * @param {Object} [body] - The request body, which may carry the Version.
  * @returns {Promise<Object>} The Lambda response object.
  */
-const deleteGoal = async (userId, goalId) => {
+const deleteGoal = async (userId, goalId, headers, body) => {
   // First, check if the goal belongs to the user
-  const getParams = {
-    TableName: TABLE_NAME,
-    Key: { GoalID: goalId }
-  };
-  const getResult = await dynamodb.get(getParams).promise();
-  if (!getResult.Item || getResult.Item.UserID !== userId) {
+  const existing = await findGoal(userId, goalId);
+  if (!existing) {
     logger.warn('Goal not found or unauthorized', { userId, goalId });
     return createResponse(404, { message: 'Goal not found' });
   }
+  const expected = expectedVersion(headers, body);
+  const rejected = checkVersion(expected, existing);
+  if (rejected) {
+    logger.warn('Delete not based on the current version', { userId, goalId, expected });
+    return rejected;
+  }
   
+  const unchanged = versionCondition(existing);
   const params = {
-    TableName: TABLE_NAME,
-    Key: { GoalID: goalId }
+    TransactItems: [
+      {
+        Delete: {
+          TableName: TABLE_NAME,
+          Key: { GoalID: goalId },
+          ConditionExpression: `UserID = :userId AND ${unchanged.expression}`,
+          ExpressionAttributeValues: { ':userId': userId, ...unchanged.values }
+        }
+      },
+      {
+        Put: {
+          TableName: TRASH_TABLE,
+          Item: {
+            UserID: userId,
+            TrashID: goalId,
+            ItemType: 'goal',
+            Items: [existing],
+            DeletedAt: new Date().toISOString()
+          }
+        }
+      }
+    ]
   };
-  await dynamodb.delete(params).promise();
-  logger.info('Goal deleted', { userId, goalId });
+  try {
+    await dynamodb.transactWrite(params).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      logger.warn('Concurrent goal update detected', { userId, goalId });
+      return conflictAfterWrite(userId, goalId, expected);
+    }
+    throw error;
+  }
+  logger.info('Goal moved to trash', { userId, goalId });
   return createResponse(200, { message: 'Goal deleted successfully' });
 };
 
@@ -245,7 +411,7 @@ exports.handler = async (event, context) => {
     event: JSON.stringify(event)
   });
 
-  const { httpMethod, path, body, pathParameters } = event;
+  const { httpMethod, path, body, pathParameters, headers } = event;
 
   try {
     const userId = getUserId(event);
@@ -254,11 +420,14 @@ exports.handler = async (event, context) => {
       case 'GET':
         return path === '/goal' ? await getAllGoals(userId) : await getGoal(userId, pathParameters.id);
       case 'POST':
+        if (pathParameters && pathParameters.id) {
+          return await revertGoal(userId, pathParameters.id, JSON.parse(body), headers);
+        }
         return await createGoal(userId, JSON.parse(body));
       case 'PUT':
-        return await updateGoal(userId, pathParameters.id, JSON.parse(body));
+        return await updateGoal(userId, pathParameters.id, JSON.parse(body), headers);
       case 'DELETE':
-        return await deleteGoal(userId, pathParameters.id);
+        return await deleteGoal(userId, pathParameters.id, headers, body ? JSON.parse(body) : null);
       default:
         logger.warn('Unsupported HTTP method', { userId, method: httpMethod });
         return createResponse(400, { message: 'Unsupported HTTP method' });
@@ -280,8 +449,13 @@ if (STAGE === 'test') {
     getUserId,
     getAllGoals,
     getGoal,
+    findGoal,
+    versionConflict,
+    checkVersion,
+    conflictAfterWrite,
     createGoal,
     updateGoal,
+    revertGoal,
     deleteGoal
   };
 }
@@ -87,7 +87,8 @@ describe('Goal Service Tests', () => {
         GoalName: 'New Home',
         TargetAmount: 50000,
         CurrentAmount: 2000,
-        Deadline: '2024-01-01'
+        Deadline: '2024-01-01',
+        Version: 1
       }),
       requestContext: {
         authorizer: {
@@ -112,6 +113,7 @@ describe('Goal Service Tests', () => {
     const event = {
       httpMethod: 'DELETE',
       pathParameters: { id: '3' },
+      headers: { 'If-Match': '"1"' },
       requestContext: {
         authorizer: {
           claims: { sub: 'user-id-4' }
@@ -0,0 +1,234 @@
+/**
+
+This implementation keeps the revision history of accounts, transactions, budgets and goals:
+
+1. recordHandler, fed by the streams of the account, transaction, budget and goal tables, records a revision for
+   every create, update and delete, with the item before and after the write and the fields that changed.
+2. GET /{entity}/{id}/history lists an item's revisions, newest first, including those of deleted items.
+
+Reverting an item to a revision is done by the service that owns the item (POST /{entity}/{id}/revert), so the
+revert goes through the same validation, version check and balance bookkeeping as any other update.
+
+Revisions are stored with UserID as partition key and RevisionKey (entity type, item ID, revision ID) as sort key;
+see revisions.js.
+
+*/
+
+'use strict';
+
+const AWS = require('aws-sdk');
+const Joi = require('joi');
+const winston = require('winston');
+const { historyPrefix, buildRevision } = require('@personal-finance/shared/revisions');
+
+// Initialize AWS SDK and Winston logger
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'history-service' },
+  transports: [
+    new winston.transports.Console()
+  ],
+});
+
+// Environment variables
+const TABLE_NAME = process.env.HISTORY_TABLE;
+const ACCOUNT_TABLE = process.env.ACCOUNT_TABLE;
+const TRANSACTION_TABLE = process.env.TRANSACTION_TABLE;
+const BUDGET_TABLE = process.env.BUDGET_TABLE;
+const GOAL_TABLE = process.env.GOAL_TABLE;
+const STAGE = process.env.STAGE;
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// The tables whose items have a history
+const ENTITIES = {
+  account: { tableName: ACCOUNT_TABLE, keyName: 'AccountID' },
+  transaction: { tableName: TRANSACTION_TABLE, keyName: 'TransactionID' },
+  budget: { tableName: BUDGET_TABLE, keyName: 'BudgetID' },
+  goal: { tableName: GOAL_TABLE, keyName: 'GoalID' }
+};
+
+// Query string schema for listing revisions
+const historyQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100),
+  nextPageKey: Joi.string()
+});
+
+/**
+ * Creates a standardized response object.
+ *
+ * @param {number} statusCode - The HTTP status code.
+ * @param {Object} body - The response body.
+ * @returns {Object} The formatted response object.
+ */
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Extracts the user ID from the Cognito authorizer context.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @returns {string} The user ID.
+ * @throws {Error} If the user ID is not found in the event.
+ */
+const getUserId = (event) => {
+  if (event.requestContext &&
+      event.requestContext.authorizer &&
+      event.requestContext.authorizer.claims &&
+      event.requestContext.authorizer.claims.sub) {
+    return event.requestContext.authorizer.claims.sub;
+  }
+  throw new Error('User ID not found in the event object');
+};
+
+/**
+ * Works out which type of item a stream record is about from the table it
+ * came from.
+ *
+ * @param {string} eventSourceARN - The ARN of the table's stream.
+ * @returns {string|undefined} The entity type, or undefined for other tables.
+ */
+const entityOfStream = (eventSourceARN) => {
+  const tableName = String(eventSourceARN || '').split('/')[1];
+  return Object.keys(ENTITIES).find(entity => ENTITIES[entity].tableName === tableName);
+};
+
+/**
+ * Lists the revisions of an item, newest first, a page at a time.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} entityType - The type of the item.
+ * @param {string} entityId - The ID of the item.
+ * @param {Object} queryStringParameters - The query parameters (limit, nextPageKey).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getHistory = async (userId, entityType, entityId, queryStringParameters) => {
+  const { error, value } = historyQuerySchema.validate(queryStringParameters || {});
+  if (error) {
+    logger.warn('Invalid query parameters', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const params = {
+    TableName: TABLE_NAME,
+    KeyConditionExpression: 'UserID = :userId AND begins_with(RevisionKey, :prefix)',
+    ExpressionAttributeValues: {
+      ':userId': userId,
+      ':prefix': historyPrefix(entityType, entityId)
+    },
+    ScanIndexForward: false,
+    Limit: value.limit || DEFAULT_PAGE_SIZE
+  };
+  if (value.nextPageKey) {
+    try {
+      params.ExclusiveStartKey = JSON.parse(Buffer.from(value.nextPageKey, 'base64').toString());
+    } catch (parseError) {
+      params.ExclusiveStartKey = null;
+    }
+    if (!params.ExclusiveStartKey || params.ExclusiveStartKey.UserID !== userId) {
+      logger.warn('Invalid pagination key', { userId });
+      return createResponse(400, { message: 'Invalid nextPageKey' });
+    }
+  }
+
+  const result = await dynamodb.query(params).promise();
+  logger.info('History retrieved', { userId, entityType, entityId, count: result.Items.length });
+  return createResponse(200, {
+    revisions: result.Items.map(({ UserID, RevisionKey, ...revision }) => revision),
+    nextPageKey: result.LastEvaluatedKey
+      ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64')
+      : null
+  });
+};
+
+/**
+ * Main handler function for the Lambda.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @param {Object} context - The Lambda context object.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+exports.handler = async (event, context) => {
+  logger.info('Received event', {
+    requestId: context.awsRequestId,
+    event: JSON.stringify(event)
+  });
+
+  const { httpMethod, path, pathParameters, queryStringParameters } = event;
+
+  try {
+    const userId = getUserId(event);
+    const entityType = String(path || '').split('/')[1];
+
+    if (httpMethod === 'GET' && ENTITIES[entityType] && pathParameters && pathParameters.id) {
+      return await getHistory(userId, entityType, pathParameters.id, queryStringParameters);
+    }
+    logger.warn('Unsupported route', { userId, method: httpMethod, path });
+    return createResponse(400, { message: 'Unsupported HTTP method' });
+  } catch (error) {
+    if (error.message === 'User ID not found in the event object') {
+      logger.error('Unauthorized access attempt', { error: error.message });
+      return createResponse(401, { message: 'Unauthorized' });
+    }
+    logger.error('Error processing request', { error: error.message, stack: error.stack });
+    return createResponse(500, { message: 'Internal server error' });
+  }
+};
+
+/**
+ * Records the revisions of changed accounts, transactions, budgets and goals.
+ * Triggered by the streams of their tables, so writes by any service are
+ * recorded. A failed batch is retried by Lambda; a revision is keyed by the
+ * write's sequence number, so recording it again overwrites it.
+ *
+ * @param {Object} event - The DynamoDB stream event.
+ * @param {Object} context - The Lambda context object.
+ * @returns {Promise<Object>} The number of revisions recorded.
+ */
+exports.recordHandler = async (event, context) => {
+  const records = event.Records || [];
+  logger.info('Recording revisions', { requestId: context.awsRequestId, records: records.length });
+
+  let recorded = 0;
+  for (const record of records) {
+    const entityType = entityOfStream(record.eventSourceARN);
+    if (!entityType) {
+      logger.warn('Stream record from an unknown table', { eventSourceARN: record.eventSourceARN });
+      continue;
+    }
+    const { NewImage, OldImage, SequenceNumber, ApproximateCreationDateTime } = record.dynamodb;
+    const revision = buildRevision(
+      entityType,
+      ENTITIES[entityType].keyName,
+      OldImage ? AWS.DynamoDB.Converter.unmarshall(OldImage) : null,
+      NewImage ? AWS.DynamoDB.Converter.unmarshall(NewImage) : null,
+      SequenceNumber,
+      new Date(ApproximateCreationDateTime * 1000).toISOString()
+    );
+    if (revision) {
+      await dynamodb.put({ TableName: TABLE_NAME, Item: revision }).promise();
+      recorded++;
+    }
+  }
+
+  logger.info('Revisions recorded', { records: records.length, recorded });
+  return { recorded };
+};
+
+// If running in a test environment, export internal functions for unit testing
+if (STAGE === 'test') {
+  module.exports = {
+    createResponse,
+    getUserId,
+    entityOfStream,
+    getHistory
+  };
+}
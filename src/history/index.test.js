@@ -0,0 +1,65 @@
+const AWSMock = require('aws-sdk-mock');
+const AWS = require('aws-sdk');
+const { handler } = require('./index');
+
+// Setting up the AWS SDK DynamoDB DocumentClient mock
+AWSMock.setSDKInstance(AWS);
+
+const context = { awsRequestId: 'test-request' };
+const requestContext = {
+  authorizer: {
+    claims: { sub: 'user123' }
+  }
+};
+
+beforeEach(() => {
+  AWSMock.restore('DynamoDB.DocumentClient');
+  process.env.HISTORY_TABLE = 'History';
+});
+
+afterAll(() => {
+  AWSMock.restore();
+});
+
+describe('getHistory', () => {
+  it('rejects an oversized page', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/transaction/txn123/history',
+      pathParameters: { id: 'txn123' },
+      queryStringParameters: { limit: '500' },
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"limit" must be less than or equal to 100');
+  });
+
+  it('rejects a malformed page key', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/transaction/txn123/history',
+      pathParameters: { id: 'txn123' },
+      queryStringParameters: { nextPageKey: 'not-a-key' },
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('Invalid nextPageKey');
+  });
+});
+
+describe('handler', () => {
+  it('returns 401 without a user', async () => {
+    const result = await handler({ httpMethod: 'GET', path: '/budget/b1/history', pathParameters: { id: 'b1' } }, context);
+    expect(result.statusCode).toBe(401);
+  });
+
+  it('rejects entities without a history', async () => {
+    const event = { httpMethod: 'GET', path: '/user/u1/history', pathParameters: { id: 'u1' }, requestContext };
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,870 @@
+/**
+
+This implementation manages the holdings of Investment accounts:
+
+1. CRUD operations for securities under /holding/security, keyed by their symbol.
+2. GET and POST /holding/price and DELETE /holding/price/{id} maintain the user's price table.
+3. CRUD operations for buys, sells and dividends under /holding/activity.
+4. GET /holding returns each holding's quantity, cost basis, open lots, market value and unrealized gain.
+5. GET /holding/gains returns the realized gains and dividends per year, with the sales behind them.
+
+A holding is one security in one Investment account. Buys open lots and sells take from them, first in first out
+or at the average cost, chosen per request with `method` (see lots.js). A sell of more than the account holds at
+that date is rejected, as is any change to a buy or sell that would leave a later sell short. Activities do not
+change the account's Balance, which stays the account's cash.
+
+Holdings are valued at the latest price on or before the valuation date. Prices are stored with UserID as
+partition key and PriceID (`<Symbol>#<YYYY-MM-DD>`) as sort key, like exchange rates, so a security's prices sort
+by date and saving a price twice for the same day overwrites it. Securities and activities are stored with UserID
+as partition key and Symbol or ActivityID as sort key.
+
+*/
+
+'use strict';
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const Joi = require('joi');
+const winston = require('winston');
+const { FIFO, AVERAGE, buildPosition, valuePosition, gainsByYear } = require('./lots');
+
+// Initialize AWS SDK and Winston logger
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'holding-service' },
+  transports: [
+    new winston.transports.Console()
+  ],
+});
+
+// Environment variables
+const SECURITY_TABLE = process.env.SECURITY_TABLE;
+const PRICE_TABLE = process.env.SECURITY_PRICE_TABLE;
+const ACTIVITY_TABLE = process.env.INVESTMENT_ACTIVITY_TABLE;
+const ACCOUNT_TABLE = process.env.ACCOUNT_TABLE;
+const STAGE = process.env.STAGE;
+
+const INVESTMENT = 'Investment';
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const BATCH_WRITE_SIZE = 25;
+const UNKNOWN_SECURITY_MESSAGE = '"Symbol" must name one of your securities';
+
+// Ticker symbol, e.g. VTI or BRK.B
+const symbolSchema = Joi.string().uppercase().pattern(/^[A-Z0-9.-]{1,15}$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be a ticker symbol' });
+
+const dateSchema = Joi.string().pattern(DATE_ONLY_PATTERN)
+  .messages({ 'string.pattern.base': '{{#label}} must be a date in YYYY-MM-DD format' });
+
+// Validation schemas
+const securitySchema = Joi.object({
+  Name: Joi.string().trim().required().max(100),
+  AssetClass: Joi.string().valid('Stock', 'Bond', 'Fund', 'ETF', 'Crypto', 'Other')
+});
+
+const newSecuritySchema = securitySchema.keys({
+  Symbol: symbolSchema.required()
+});
+
+const priceSchema = Joi.object({
+  Symbol: symbolSchema.required(),
+  Date: dateSchema.required(),
+  Price: Joi.number().positive().required()
+});
+
+const priceQuerySchema = Joi.object({
+  symbol: symbolSchema,
+  startDate: dateSchema,
+  endDate: dateSchema
+});
+
+const activitySchema = Joi.object({
+  AccountID: Joi.string().required(),
+  Symbol: symbolSchema.required(),
+  Type: Joi.string().valid('buy', 'sell', 'dividend').required(),
+  Date: dateSchema.required(),
+  Quantity: Joi.number().positive()
+    .when('Type', { is: 'dividend', then: Joi.forbidden(), otherwise: Joi.required() }),
+  Price: Joi.number().min(0)
+    .when('Type', { is: 'dividend', then: Joi.forbidden(), otherwise: Joi.required() }),
+  Fees: Joi.number().min(0).precision(2)
+    .when('Type', { is: 'dividend', then: Joi.forbidden(), otherwise: Joi.optional().default(0) }),
+  Amount: Joi.number().positive().precision(2)
+    .when('Type', { is: 'dividend', then: Joi.required(), otherwise: Joi.forbidden() }),
+  Notes: Joi.string().max(200)
+});
+
+const activityQuerySchema = Joi.object({
+  accountId: Joi.string(),
+  symbol: symbolSchema
+});
+
+const holdingQuerySchema = Joi.object({
+  accountId: Joi.string(),
+  method: Joi.string().valid(FIFO, AVERAGE).default(FIFO),
+  asOf: dateSchema
+});
+
+const gainQuerySchema = Joi.object({
+  accountId: Joi.string(),
+  method: Joi.string().valid(FIFO, AVERAGE).default(FIFO),
+  year: Joi.number().integer().min(1900).max(9999)
+});
+
+/**
+ * Creates a standardized response object.
+ *
+ * @param {number} statusCode - The HTTP status code.
+ * @param {Object} body - The response body.
+ * @returns {Object} The formatted response object.
+ */
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Extracts the user ID from the Cognito authorizer context.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @returns {string} The user ID.
+ * @throws {Error} If the user ID is not found in the event.
+ */
+const getUserId = (event) => {
+  if (event.requestContext &&
+      event.requestContext.authorizer &&
+      event.requestContext.authorizer.claims &&
+      event.requestContext.authorizer.claims.sub) {
+    return event.requestContext.authorizer.claims.sub;
+  }
+  throw new Error('User ID not found in the event object');
+};
+
+/**
+ * Runs a query to completion, following LastEvaluatedKey across pages.
+ *
+ * @param {Object} params - The DynamoDB query parameters.
+ * @returns {Promise<Array>} All items matched by the query.
+ */
+const queryAll = async (params) => {
+  const items = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({ ...params, ExclusiveStartKey: startKey }).promise();
+    items.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return items;
+};
+
+/**
+ * Builds the sort key of a price.
+ *
+ * @param {string} symbol - The symbol of the security.
+ * @param {string} date - The date of the price (YYYY-MM-DD).
+ * @returns {string} The PriceID.
+ */
+const priceId = (symbol, date) => `${symbol}#${date}`;
+
+/**
+ * Reads a security of the user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} symbol - The symbol of the security.
+ * @returns {Promise<Object|null>} The security, or null if the user has none with this symbol.
+ */
+const findSecurity = async (userId, symbol) => {
+  const result = await dynamodb.get({
+    TableName: SECURITY_TABLE,
+    Key: { UserID: userId, Symbol: symbol }
+  }).promise();
+  return result.Item || null;
+};
+
+/**
+ * Reads an active Investment account if it belongs to the user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account.
+ * @returns {Promise<Object|null>} The account, or null if it is missing, deleted, someone else's or
+ *   not an Investment account.
+ */
+const findInvestmentAccount = async (userId, accountId) => {
+  const result = await dynamodb.get({
+    TableName: ACCOUNT_TABLE,
+    Key: { AccountID: accountId }
+  }).promise();
+  const account = result.Item;
+  return account && account.UserID === userId && account.IsActive && account.Type === INVESTMENT
+    ? account
+    : null;
+};
+
+/**
+ * Loads the user's activities, optionally for one account and security.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} [filter] - accountId and symbol to narrow the activities to.
+ * @returns {Promise<Array>} The activities.
+ */
+const loadActivities = async (userId, filter = {}) => {
+  const filters = [];
+  const values = { ':userId': userId };
+  if (filter.accountId) {
+    filters.push('AccountID = :accountId');
+    values[':accountId'] = filter.accountId;
+  }
+  if (filter.symbol) {
+    filters.push('Symbol = :symbol');
+    values[':symbol'] = filter.symbol;
+  }
+  const params = {
+    TableName: ACTIVITY_TABLE,
+    KeyConditionExpression: 'UserID = :userId',
+    ExpressionAttributeValues: values
+  };
+  if (filters.length > 0) {
+    params.FilterExpression = filters.join(' AND ');
+  }
+  return queryAll(params);
+};
+
+/**
+ * Groups activities into holdings, one per account and security.
+ *
+ * @param {Array<Object>} activities - The activities.
+ * @returns {Array<Array<Object>>} The activities of each holding.
+ */
+const groupHoldings = (activities) => {
+  const groups = {};
+  activities.forEach((activity) => {
+    const key = `${activity.AccountID}#${activity.Symbol}`;
+    (groups[key] = groups[key] || []).push(activity);
+  });
+  return Object.values(groups);
+};
+
+/**
+ * Finds the latest price of a security on or before a date.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} symbol - The symbol of the security.
+ * @param {string} asOf - The date (YYYY-MM-DD).
+ * @returns {Promise<Object|null>} The price item, or null if there is none.
+ */
+const latestPrice = async (userId, symbol, asOf) => {
+  const result = await dynamodb.query({
+    TableName: PRICE_TABLE,
+    KeyConditionExpression: 'UserID = :userId AND PriceID BETWEEN :start AND :end',
+    ExpressionAttributeValues: {
+      ':userId': userId,
+      ':start': priceId(symbol, '0000-00-00'),
+      ':end': priceId(symbol, asOf)
+    },
+    ScanIndexForward: false,
+    Limit: 1
+  }).promise();
+  return result.Items[0] || null;
+};
+
+/**
+ * Checks that the activities of a holding, with a change applied, never
+ * sell more than is held.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account.
+ * @param {string} symbol - The symbol of the security.
+ * @param {Function} change - Maps the stored activities to the activities after the change.
+ * @returns {Promise<string|null>} What is wrong, or null if the change leaves the holding sound.
+ */
+const checkHolding = async (userId, accountId, symbol, change) => {
+  const activities = change(await loadActivities(userId, { accountId, symbol }));
+  return buildPosition(activities).error;
+};
+
+/**
+ * Lists the user's securities.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getSecurities = async (userId) => {
+  const securities = await queryAll({
+    TableName: SECURITY_TABLE,
+    KeyConditionExpression: 'UserID = :userId',
+    ExpressionAttributeValues: { ':userId': userId }
+  });
+  logger.info('Securities retrieved', { userId, count: securities.length });
+  return createResponse(200, { securities });
+};
+
+/**
+ * Creates a security.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} security - The security (Symbol, Name, AssetClass).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const createSecurity = async (userId, security) => {
+  const { error, value } = newSecuritySchema.validate(security);
+  if (error) {
+    logger.warn('Invalid input', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const item = {
+    ...value,
+    UserID: userId,
+    CreatedAt: new Date().toISOString()
+  };
+
+  try {
+    await dynamodb.put({
+      TableName: SECURITY_TABLE,
+      Item: item,
+      ConditionExpression: 'attribute_not_exists(Symbol)'
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Duplicate security', { userId, symbol: value.Symbol });
+      return createResponse(409, { message: 'A security with this symbol already exists' });
+    }
+    throw error;
+  }
+  logger.info('Security created', { userId, symbol: item.Symbol });
+  return createResponse(201, { message: 'Security created successfully', security: item });
+};
+
+/**
+ * Replaces the name and asset class of a security.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} symbol - The symbol of the security.
+ * @param {Object} security - The updated security (Name, AssetClass).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const updateSecurity = async (userId, symbol, security) => {
+  const { error, value } = securitySchema.validate(security);
+  if (error) {
+    logger.warn('Invalid input', { userId, symbol, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const params = {
+    TableName: SECURITY_TABLE,
+    Key: { UserID: userId, Symbol: symbol },
+    ConditionExpression: 'attribute_exists(Symbol)',
+    ExpressionAttributeNames: { '#name': 'Name' },
+    ExpressionAttributeValues: {
+      ':name': value.Name,
+      ':updatedAt': new Date().toISOString()
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+  if (value.AssetClass !== undefined) {
+    params.UpdateExpression = 'set #name = :name, AssetClass = :assetClass, UpdatedAt = :updatedAt';
+    params.ExpressionAttributeValues[':assetClass'] = value.AssetClass;
+  } else {
+    params.UpdateExpression = 'set #name = :name, UpdatedAt = :updatedAt remove AssetClass';
+  }
+
+  try {
+    const result = await dynamodb.update(params).promise();
+    logger.info('Security updated', { userId, symbol });
+    return createResponse(200, { message: 'Security updated successfully', security: result.Attributes });
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Security not found', { userId, symbol });
+      return createResponse(404, { message: 'Security not found' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Deletes a security and its prices. A security still used by activities
+ * is kept.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} symbol - The symbol of the security.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const deleteSecurity = async (userId, symbol) => {
+  if (!await findSecurity(userId, symbol)) {
+    logger.warn('Security not found', { userId, symbol });
+    return createResponse(404, { message: 'Security not found' });
+  }
+  if ((await loadActivities(userId, { symbol })).length > 0) {
+    logger.warn('Security in use', { userId, symbol });
+    return createResponse(409, { message: 'The security has activities; delete them first' });
+  }
+
+  const prices = await queryAll({
+    TableName: PRICE_TABLE,
+    KeyConditionExpression: 'UserID = :userId AND begins_with(PriceID, :prefix)',
+    ExpressionAttributeValues: { ':userId': userId, ':prefix': priceId(symbol, '') }
+  });
+  for (let start = 0; start < prices.length; start += BATCH_WRITE_SIZE) {
+    let requests = prices.slice(start, start + BATCH_WRITE_SIZE)
+      .map(price => ({ DeleteRequest: { Key: { UserID: userId, PriceID: price.PriceID } } }));
+    while (requests.length > 0) {
+      const result = await dynamodb.batchWrite({ RequestItems: { [PRICE_TABLE]: requests } }).promise();
+      requests = (result.UnprocessedItems && result.UnprocessedItems[PRICE_TABLE]) || [];
+    }
+  }
+  await dynamodb.delete({
+    TableName: SECURITY_TABLE,
+    Key: { UserID: userId, Symbol: symbol }
+  }).promise();
+  logger.info('Security deleted', { userId, symbol, prices: prices.length });
+  return createResponse(200, { message: 'Security deleted successfully' });
+};
+
+/**
+ * Lists the user's prices, optionally for one security and date range.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} [queryStringParameters] - The query string parameters (symbol, startDate, endDate).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getPrices = async (userId, queryStringParameters) => {
+  const { error, value } = priceQuerySchema.validate(queryStringParameters || {});
+  if (error) {
+    logger.warn('Invalid query parameters', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const values = { ':userId': userId };
+  let keyCondition = 'UserID = :userId';
+  if (value.symbol) {
+    keyCondition += ' AND PriceID BETWEEN :start AND :end';
+    values[':start'] = priceId(value.symbol, value.startDate || '0000-00-00');
+    values[':end'] = priceId(value.symbol, value.endDate || '9999-99-99');
+  }
+  const prices = await queryAll({
+    TableName: PRICE_TABLE,
+    KeyConditionExpression: keyCondition,
+    ExpressionAttributeValues: values
+  });
+  logger.info('Prices retrieved', { userId, count: prices.length });
+  return createResponse(200, { prices });
+};
+
+/**
+ * Saves the price of a security on a date, replacing any price already saved
+ * for the same security and date.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} price - The price (Symbol, Date, Price).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const savePrice = async (userId, price) => {
+  const { error, value } = priceSchema.validate(price);
+  if (error) {
+    logger.warn('Invalid input', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  if (!await findSecurity(userId, value.Symbol)) {
+    logger.warn('Unknown security', { userId, symbol: value.Symbol });
+    return createResponse(400, { message: UNKNOWN_SECURITY_MESSAGE });
+  }
+
+  const item = {
+    UserID: userId,
+    PriceID: priceId(value.Symbol, value.Date),
+    Symbol: value.Symbol,
+    Date: value.Date,
+    Price: value.Price,
+    UpdatedAt: new Date().toISOString()
+  };
+  await dynamodb.put({
+    TableName: PRICE_TABLE,
+    Item: item
+  }).promise();
+  logger.info('Price saved', { userId, priceId: item.PriceID });
+  return createResponse(200, { message: 'Price saved successfully', price: item });
+};
+
+/**
+ * Deletes a price.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} id - The PriceID.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const deletePrice = async (userId, id) => {
+  try {
+    await dynamodb.delete({
+      TableName: PRICE_TABLE,
+      Key: { UserID: userId, PriceID: id },
+      ConditionExpression: 'attribute_exists(PriceID)'
+    }).promise();
+    logger.info('Price deleted', { userId, priceId: id });
+    return createResponse(200, { message: 'Price deleted successfully' });
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Price not found', { userId, priceId: id });
+      return createResponse(404, { message: 'Price not found' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Lists the user's activities, in the order they are applied, optionally for
+ * one account and security.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} [queryStringParameters] - The query string parameters (accountId, symbol).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getActivities = async (userId, queryStringParameters) => {
+  const { error, value } = activityQuerySchema.validate(queryStringParameters || {});
+  if (error) {
+    logger.warn('Invalid query parameters', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const activities = await loadActivities(userId, value);
+  activities.sort((a, b) => a.Date.localeCompare(b.Date) || String(a.CreatedAt).localeCompare(String(b.CreatedAt)));
+  logger.info('Activities retrieved', { userId, count: activities.length });
+  return createResponse(200, { activities });
+};
+
+/**
+ * Checks an activity against the account and security it names.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} activity - The validated activity.
+ * @returns {Promise<Object|null>} The Lambda response rejecting the activity, or null if it may be saved.
+ */
+const checkActivityTargets = async (userId, activity) => {
+  if (!await findInvestmentAccount(userId, activity.AccountID)) {
+    logger.warn('Investment account not found', { userId, accountId: activity.AccountID });
+    return createResponse(404, { message: 'Investment account not found or does not belong to the user' });
+  }
+  if (!await findSecurity(userId, activity.Symbol)) {
+    logger.warn('Unknown security', { userId, symbol: activity.Symbol });
+    return createResponse(400, { message: UNKNOWN_SECURITY_MESSAGE });
+  }
+  return null;
+};
+
+/**
+ * Records a buy, sell or dividend. A sell of more than the account holds of
+ * the security at that date is rejected.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} activity - The activity.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const createActivity = async (userId, activity) => {
+  const { error, value } = activitySchema.validate(activity);
+  if (error) {
+    logger.warn('Invalid input', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const rejected = await checkActivityTargets(userId, value);
+  if (rejected) {
+    return rejected;
+  }
+
+  const item = {
+    ...value,
+    ActivityID: uuidv4(),
+    UserID: userId,
+    CreatedAt: new Date().toISOString()
+  };
+  const problem = await checkHolding(userId, item.AccountID, item.Symbol, activities => [...activities, item]);
+  if (problem) {
+    logger.warn('Sell exceeds holding', { userId, accountId: item.AccountID, symbol: item.Symbol });
+    return createResponse(400, { message: problem });
+  }
+
+  await dynamodb.put({
+    TableName: ACTIVITY_TABLE,
+    Item: item
+  }).promise();
+  logger.info('Activity created', { userId, activityId: item.ActivityID, type: item.Type });
+  return createResponse(201, { message: 'Activity created successfully', activity: item });
+};
+
+/**
+ * Replaces an activity. The change is rejected if it leaves a sell, in the
+ * holding it was in or the one it moves to, selling more than is held.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} activityId - The ID of the activity.
+ * @param {Object} activity - The updated activity.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const updateActivity = async (userId, activityId, activity) => {
+  const { error, value } = activitySchema.validate(activity);
+  if (error) {
+    logger.warn('Invalid input', { userId, activityId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const result = await dynamodb.get({
+    TableName: ACTIVITY_TABLE,
+    Key: { UserID: userId, ActivityID: activityId }
+  }).promise();
+  const existing = result.Item;
+  if (!existing) {
+    logger.warn('Activity not found', { userId, activityId });
+    return createResponse(404, { message: 'Activity not found' });
+  }
+  const rejected = await checkActivityTargets(userId, value);
+  if (rejected) {
+    return rejected;
+  }
+
+  const item = {
+    ...value,
+    ActivityID: activityId,
+    UserID: userId,
+    CreatedAt: existing.CreatedAt,
+    UpdatedAt: new Date().toISOString()
+  };
+  const withoutExisting = activities => activities.filter(stored => stored.ActivityID !== activityId);
+  const problem = await checkHolding(userId, item.AccountID, item.Symbol, activities => [...withoutExisting(activities), item])
+    || (existing.AccountID !== item.AccountID || existing.Symbol !== item.Symbol
+      ? await checkHolding(userId, existing.AccountID, existing.Symbol, withoutExisting)
+      : null);
+  if (problem) {
+    logger.warn('Sell exceeds holding', { userId, activityId });
+    return createResponse(400, { message: problem });
+  }
+
+  try {
+    await dynamodb.put({
+      TableName: ACTIVITY_TABLE,
+      Item: item,
+      ConditionExpression: 'attribute_exists(ActivityID)'
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Activity not found', { userId, activityId });
+      return createResponse(404, { message: 'Activity not found' });
+    }
+    throw error;
+  }
+  logger.info('Activity updated', { userId, activityId });
+  return createResponse(200, { message: 'Activity updated successfully', activity: item });
+};
+
+/**
+ * Deletes an activity, unless a later sell depends on the buy being deleted.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} activityId - The ID of the activity.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const deleteActivity = async (userId, activityId) => {
+  const result = await dynamodb.get({
+    TableName: ACTIVITY_TABLE,
+    Key: { UserID: userId, ActivityID: activityId }
+  }).promise();
+  const existing = result.Item;
+  if (!existing) {
+    logger.warn('Activity not found', { userId, activityId });
+    return createResponse(404, { message: 'Activity not found' });
+  }
+  const problem = await checkHolding(userId, existing.AccountID, existing.Symbol,
+    activities => activities.filter(stored => stored.ActivityID !== activityId));
+  if (problem) {
+    logger.warn('Later sell depends on the activity', { userId, activityId });
+    return createResponse(409, { message: problem });
+  }
+
+  await dynamodb.delete({
+    TableName: ACTIVITY_TABLE,
+    Key: { UserID: userId, ActivityID: activityId }
+  }).promise();
+  logger.info('Activity deleted', { userId, activityId });
+  return createResponse(200, { message: 'Activity deleted successfully' });
+};
+
+/**
+ * Lists the user's holdings as of a date, with their lots, cost basis,
+ * market value at the latest price and unrealized gain. Holdings that have
+ * been sold off are left out.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} [queryStringParameters] - The query string parameters (accountId, method, asOf).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getHoldings = async (userId, queryStringParameters) => {
+  const { error, value } = holdingQuerySchema.validate(queryStringParameters || {});
+  if (error) {
+    logger.warn('Invalid query parameters', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const asOf = value.asOf || new Date().toISOString().slice(0, 10);
+
+  const activities = (await loadActivities(userId, { accountId: value.accountId }))
+    .filter(activity => activity.Date <= asOf);
+  const positions = groupHoldings(activities)
+    .map((group) => {
+      const { Quantity, CostBasis, AverageCost, Lots } = buildPosition(group, value.method);
+      return { AccountID: group[0].AccountID, Symbol: group[0].Symbol, Quantity, CostBasis, AverageCost, Lots };
+    })
+    .filter(position => position.Quantity > 0);
+
+  const prices = {};
+  for (const symbol of new Set(positions.map(position => position.Symbol))) {
+    prices[symbol] = await latestPrice(userId, symbol, asOf);
+  }
+
+  const totals = { CostBasis: 0, MarketValue: 0, UnrealizedGain: 0 };
+  const holdings = positions.map((position) => {
+    const price = prices[position.Symbol];
+    const holding = {
+      ...position,
+      Price: price ? price.Price : null,
+      PriceDate: price ? price.Date : null,
+      ...valuePosition(position, price ? price.Price : null)
+    };
+    if (holding.MarketValue !== null) {
+      totals.CostBasis += holding.CostBasis;
+      totals.MarketValue += holding.MarketValue;
+      totals.UnrealizedGain += holding.UnrealizedGain;
+    }
+    return holding;
+  });
+  Object.keys(totals).forEach((key) => {
+    totals[key] = Math.round(totals[key] * 100) / 100;
+  });
+
+  logger.info('Holdings retrieved', { userId, count: holdings.length });
+  return createResponse(200, {
+    asOf,
+    method: value.method,
+    holdings,
+    totals,
+    unpriced: holdings.filter(holding => holding.MarketValue === null).map(holding => holding.Symbol)
+  });
+};
+
+/**
+ * Lists the realized gains and dividends per year, with the sales behind
+ * them.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} [queryStringParameters] - The query string parameters (accountId, method, year).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getGains = async (userId, queryStringParameters) => {
+  const { error, value } = gainQuerySchema.validate(queryStringParameters || {});
+  if (error) {
+    logger.warn('Invalid query parameters', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const positions = groupHoldings(await loadActivities(userId, { accountId: value.accountId }))
+    .map(group => ({
+      AccountID: group[0].AccountID,
+      Symbol: group[0].Symbol,
+      ...buildPosition(group, value.method)
+    }));
+  const inYear = date => !value.year || date.startsWith(`${value.year}-`);
+  const years = gainsByYear(positions).filter(year => !value.year || year.Year === value.year);
+  const sales = [];
+  positions.forEach((position) => {
+    position.Sales.filter(sale => inYear(sale.Date)).forEach((sale) => {
+      sales.push({ AccountID: position.AccountID, Symbol: position.Symbol, ...sale });
+    });
+  });
+  sales.sort((a, b) => a.Date.localeCompare(b.Date));
+
+  logger.info('Gains retrieved', { userId, sales: sales.length });
+  return createResponse(200, { method: value.method, years, sales });
+};
+
+/**
+ * Main handler function for the Lambda.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @param {Object} context - The Lambda context object.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+exports.handler = async (event, context) => {
+  logger.info('Received event', {
+    requestId: context.awsRequestId,
+    event: JSON.stringify(event)
+  });
+
+  const { httpMethod, path, body, pathParameters, queryStringParameters } = event;
+
+  try {
+    const userId = getUserId(event);
+    const resource = String(path || '').split('/')[2];
+    // PriceIDs carry a '#', which reaches the path URL-encoded
+    const id = pathParameters && pathParameters.id ? decodeURIComponent(pathParameters.id) : undefined;
+
+    switch (`${httpMethod} ${resource || ''}`) {
+      case 'GET ':
+        return await getHoldings(userId, queryStringParameters);
+      case 'GET gains':
+        return await getGains(userId, queryStringParameters);
+      case 'GET security':
+        return await getSecurities(userId);
+      case 'POST security':
+        return await createSecurity(userId, JSON.parse(body));
+      case 'PUT security':
+        return await updateSecurity(userId, id.toUpperCase(), JSON.parse(body));
+      case 'DELETE security':
+        return await deleteSecurity(userId, id.toUpperCase());
+      case 'GET price':
+        return await getPrices(userId, queryStringParameters);
+      case 'POST price':
+        return await savePrice(userId, JSON.parse(body));
+      case 'DELETE price':
+        return await deletePrice(userId, id);
+      case 'GET activity':
+        return await getActivities(userId, queryStringParameters);
+      case 'POST activity':
+        return await createActivity(userId, JSON.parse(body));
+      case 'PUT activity':
+        return await updateActivity(userId, id, JSON.parse(body));
+      case 'DELETE activity':
+        return await deleteActivity(userId, id);
+      default:
+        logger.warn('Unsupported route', { userId, method: httpMethod, path });
+        return createResponse(400, { message: 'Unsupported HTTP method' });
+    }
+  } catch (error) {
+    if (error.message === 'User ID not found in the event object') {
+      logger.error('Unauthorized access attempt', { error: error.message });
+      return createResponse(401, { message: 'Unauthorized' });
+    }
+    logger.error('Error processing request', { error: error.message, stack: error.stack });
+    return createResponse(500, { message: 'Internal server error' });
+  }
+};
+
+// If running in a test environment, export internal functions for unit testing
+if (STAGE === 'test') {
+  module.exports = {
+    createResponse,
+    getUserId,
+    priceId,
+    groupHoldings,
+    getSecurities,
+    createSecurity,
+    updateSecurity,
+    deleteSecurity,
+    getPrices,
+    savePrice,
+    deletePrice,
+    getActivities,
+    createActivity,
+    updateActivity,
+    deleteActivity,
+    getHoldings,
+    getGains
+  };
+}
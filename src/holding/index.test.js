@@ -0,0 +1,81 @@
+const AWSMock = require('aws-sdk-mock');
+const AWS = require('aws-sdk');
+const { handler } = require('./index');
+
+// Setting up the AWS SDK DynamoDB DocumentClient mock
+AWSMock.setSDKInstance(AWS);
+
+const context = { awsRequestId: 'test-request' };
+const requestContext = {
+  authorizer: {
+    claims: { sub: 'user123' }
+  }
+};
+
+beforeEach(() => {
+  AWSMock.restore('DynamoDB.DocumentClient');
+  process.env.SECURITY_TABLE = 'Securities';
+  process.env.SECURITY_PRICE_TABLE = 'SecurityPrices';
+  process.env.INVESTMENT_ACTIVITY_TABLE = 'InvestmentActivities';
+  process.env.ACCOUNT_TABLE = 'Accounts';
+});
+
+afterAll(() => {
+  AWSMock.restore();
+});
+
+describe('createActivity', () => {
+  it('requires a quantity and price for a buy', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/holding/activity',
+      body: JSON.stringify({ AccountID: 'acc123', Symbol: 'VTI', Type: 'buy', Date: '2023-06-22', Price: 210.5 }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"Quantity" is required');
+  });
+
+  it('rejects a quantity on a dividend', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/holding/activity',
+      body: JSON.stringify({ AccountID: 'acc123', Symbol: 'VTI', Type: 'dividend', Date: '2023-06-22', Amount: 12.4, Quantity: 3 }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"Quantity" is not allowed');
+  });
+});
+
+describe('getHoldings', () => {
+  it('rejects an unknown cost basis method', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/holding',
+      queryStringParameters: { method: 'lifo' },
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"method" must be one of [fifo, average]');
+  });
+});
+
+describe('handler', () => {
+  it('returns 401 without a user', async () => {
+    const result = await handler({ httpMethod: 'GET', path: '/holding' }, context);
+    expect(result.statusCode).toBe(401);
+  });
+
+  it('rejects unsupported routes', async () => {
+    const event = { httpMethod: 'PATCH', path: '/holding/price', requestContext };
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * Lots and cost basis of investment holdings.
+ *
+ * A holding is one security in one account. Every buy opens a lot whose cost
+ * basis is what was paid, fees included. A sell takes its quantity out of the
+ * open lots and realizes the difference between its proceeds (net of fees)
+ * and the cost basis of what it took:
+ *
+ * - fifo: from the oldest lots first.
+ * - average: from every lot in proportion, so each share sold costs the
+ *   average cost of the shares held.
+ *
+ * Activities are applied in date order, with buys before dividends before
+ * sells on the same day, then in the order they were entered.
+ */
+
+const FIFO = 'fifo';
+const AVERAGE = 'average';
+
+const TYPE_ORDER = { buy: 0, dividend: 1, sell: 2 };
+
+/**
+ * Rounds an amount to cents.
+ *
+ * @param {number} amount - The amount.
+ * @returns {number} The rounded amount.
+ */
+const toCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Rounds a quantity, keeping fractional shares.
+ *
+ * @param {number} quantity - The quantity.
+ * @returns {number} The rounded quantity.
+ */
+const toUnits = quantity => Math.round(quantity * 1e8) / 1e8;
+
+/**
+ * Orders activities in the order they are applied.
+ *
+ * @param {Object} a - An activity.
+ * @param {Object} b - Another activity.
+ * @returns {number} The sort order.
+ */
+const compareActivities = (a, b) => (
+  a.Date.localeCompare(b.Date)
+  || TYPE_ORDER[a.Type] - TYPE_ORDER[b.Type]
+  || String(a.CreatedAt || '').localeCompare(String(b.CreatedAt || ''))
+);
+
+/**
+ * Takes a quantity out of a lot, with its share of the lot's cost basis.
+ *
+ * @param {Object} lot - The lot, changed in place.
+ * @param {number} quantity - The quantity to take.
+ * @returns {number} The cost basis taken.
+ */
+const takeFromLot = (lot, quantity) => {
+  const cost = quantity >= lot.Quantity ? lot.CostBasis : toCents(lot.CostBasis * quantity / lot.Quantity);
+  lot.Quantity = toUnits(lot.Quantity - quantity);
+  lot.CostBasis = toCents(lot.CostBasis - cost);
+  return cost;
+};
+
+/**
+ * Sells a quantity out of the open lots.
+ *
+ * @param {Array<Object>} lots - The open lots, oldest first, changed in place.
+ * @param {number} quantity - The quantity sold; no more than the lots hold.
+ * @param {string} method - fifo or average.
+ * @returns {number} The cost basis of what was sold.
+ */
+const sellFromLots = (lots, quantity, method) => {
+  let cost = 0;
+  if (method === AVERAGE) {
+    const held = lots.reduce((sum, lot) => sum + lot.Quantity, 0);
+    lots.forEach((lot) => {
+      cost += takeFromLot(lot, quantity >= held ? lot.Quantity : toUnits(lot.Quantity * quantity / held));
+    });
+  } else {
+    let remaining = quantity;
+    for (const lot of lots) {
+      if (remaining <= 0) {
+        break;
+      }
+      const taken = Math.min(lot.Quantity, remaining);
+      cost += takeFromLot(lot, taken);
+      remaining = toUnits(remaining - taken);
+    }
+  }
+  return toCents(cost);
+};
+
+/**
+ * Works out a holding from its activities: the open lots, the sales with
+ * their realized gains, and the dividends. A sell of more than is held sells
+ * what is held and is reported in `error`; writes are rejected on it.
+ *
+ * @param {Array<Object>} activities - The holding's activities (Type, Date, Quantity, Price,
+ *   Fees, Amount).
+ * @param {string} [method='fifo'] - fifo or average.
+ * @returns {Object} Quantity, CostBasis, AverageCost, Lots, Sales, Dividends and, for an
+ *   oversold holding, error.
+ */
+const buildPosition = (activities, method = FIFO) => {
+  let lots = [];
+  const sales = [];
+  const dividends = [];
+  let error = null;
+
+  [...activities].sort(compareActivities).forEach((activity) => {
+    if (activity.Type === 'dividend') {
+      dividends.push({ ActivityID: activity.ActivityID, Date: activity.Date, Amount: activity.Amount });
+      return;
+    }
+    if (activity.Type === 'buy') {
+      lots.push({
+        ActivityID: activity.ActivityID,
+        Date: activity.Date,
+        Quantity: activity.Quantity,
+        CostBasis: toCents(activity.Quantity * activity.Price + (activity.Fees || 0))
+      });
+      return;
+    }
+
+    const held = toUnits(lots.reduce((sum, lot) => sum + lot.Quantity, 0));
+    if (activity.Quantity > held && !error) {
+      error = `Selling ${activity.Quantity} of ${activity.Symbol} on ${activity.Date} exceeds the ${held} held`;
+    }
+    const quantity = Math.min(activity.Quantity, held);
+    const costBasis = sellFromLots(lots, quantity, method);
+    lots = lots.filter(lot => lot.Quantity > 0);
+    const proceeds = toCents(quantity * activity.Price - (activity.Fees || 0));
+    sales.push({
+      ActivityID: activity.ActivityID,
+      Date: activity.Date,
+      Quantity: quantity,
+      Proceeds: proceeds,
+      CostBasis: costBasis,
+      Gain: toCents(proceeds - costBasis)
+    });
+  });
+
+  const quantity = toUnits(lots.reduce((sum, lot) => sum + lot.Quantity, 0));
+  const costBasis = toCents(lots.reduce((sum, lot) => sum + lot.CostBasis, 0));
+  return {
+    Quantity: quantity,
+    CostBasis: costBasis,
+    AverageCost: quantity > 0 ? Math.round(costBasis / quantity * 10000) / 10000 : null,
+    Lots: lots,
+    Sales: sales,
+    Dividends: dividends,
+    error
+  };
+};
+
+/**
+ * Values a holding at a price.
+ *
+ * @param {Object} position - The holding, from buildPosition.
+ * @param {?number} price - The price of one unit, or null if there is none.
+ * @returns {{MarketValue: ?number, UnrealizedGain: ?number, UnrealizedGainPercent: ?number}}
+ *   The value and unrealized gain; null without a price.
+ */
+const valuePosition = (position, price) => {
+  if (price === null || price === undefined) {
+    return { MarketValue: null, UnrealizedGain: null, UnrealizedGainPercent: null };
+  }
+  const marketValue = toCents(position.Quantity * price);
+  const gain = toCents(marketValue - position.CostBasis);
+  return {
+    MarketValue: marketValue,
+    UnrealizedGain: gain,
+    UnrealizedGainPercent: position.CostBasis > 0 ? Math.round(gain / position.CostBasis * 10000) / 100 : null
+  };
+};
+
+/**
+ * Totals realized gains and dividends per calendar year.
+ *
+ * @param {Array<Object>} positions - Holdings, from buildPosition.
+ * @returns {Array<Object>} Year, Proceeds, CostBasis, RealizedGain and Dividends, oldest year first.
+ */
+const gainsByYear = (positions) => {
+  const years = {};
+  const yearOf = (date) => {
+    const year = date.slice(0, 4);
+    if (!years[year]) {
+      years[year] = { Year: Number(year), Proceeds: 0, CostBasis: 0, RealizedGain: 0, Dividends: 0 };
+    }
+    return years[year];
+  };
+  positions.forEach((position) => {
+    position.Sales.forEach((sale) => {
+      const year = yearOf(sale.Date);
+      year.Proceeds = toCents(year.Proceeds + sale.Proceeds);
+      year.CostBasis = toCents(year.CostBasis + sale.CostBasis);
+      year.RealizedGain = toCents(year.RealizedGain + sale.Gain);
+    });
+    position.Dividends.forEach((dividend) => {
+      const year = yearOf(dividend.Date);
+      year.Dividends = toCents(year.Dividends + dividend.Amount);
+    });
+  });
+  return Object.values(years).sort((a, b) => a.Year - b.Year);
+};
+
+module.exports = {
+  FIFO,
+  AVERAGE,
+  compareActivities,
+  buildPosition,
+  valuePosition,
+  gainsByYear
+};
@@ -0,0 +1,51 @@
+const { buildPosition, valuePosition, gainsByYear } = require('./lots');
+
+const activities = [
+  { ActivityID: 'b1', Symbol: 'VTI', Type: 'buy', Date: '2022-03-01', Quantity: 10, Price: 100, Fees: 5 },
+  { ActivityID: 'b2', Symbol: 'VTI', Type: 'buy', Date: '2022-09-01', Quantity: 10, Price: 120 },
+  { ActivityID: 'd1', Symbol: 'VTI', Type: 'dividend', Date: '2022-12-20', Amount: 14.5 },
+  { ActivityID: 's1', Symbol: 'VTI', Type: 'sell', Date: '2023-02-01', Quantity: 15, Price: 130, Fees: 5 }
+];
+
+describe('buildPosition', () => {
+  it('sells the oldest lots first with fifo', () => {
+    const position = buildPosition(activities, 'fifo');
+    expect(position.Quantity).toBe(5);
+    expect(position.CostBasis).toBe(600);
+    expect(position.Lots).toEqual([{ ActivityID: 'b2', Date: '2022-09-01', Quantity: 5, CostBasis: 600 }]);
+    expect(position.Sales).toEqual([
+      { ActivityID: 's1', Date: '2023-02-01', Quantity: 15, Proceeds: 1945, CostBasis: 1605, Gain: 340 }
+    ]);
+    expect(position.error).toBeNull();
+  });
+
+  it('sells at the average cost with average', () => {
+    const position = buildPosition(activities, 'average');
+    expect(position.Quantity).toBe(5);
+    expect(position.CostBasis).toBe(551.25);
+    expect(position.AverageCost).toBe(110.25);
+    expect(position.Sales[0].Gain).toBe(291.25);
+  });
+
+  it('reports a sell of more than is held', () => {
+    const position = buildPosition([activities[0], { ...activities[3], Date: '2022-02-01' }]);
+    expect(position.error).toBe('Selling 15 of VTI on 2022-02-01 exceeds the 0 held');
+  });
+});
+
+describe('valuePosition', () => {
+  it('values a holding at a price, or not at all without one', () => {
+    const position = buildPosition(activities);
+    expect(valuePosition(position, 150)).toEqual({ MarketValue: 750, UnrealizedGain: 150, UnrealizedGainPercent: 25 });
+    expect(valuePosition(position, null).MarketValue).toBeNull();
+  });
+});
+
+describe('gainsByYear', () => {
+  it('totals sales and dividends per year', () => {
+    expect(gainsByYear([buildPosition(activities)])).toEqual([
+      { Year: 2022, Proceeds: 0, CostBasis: 0, RealizedGain: 0, Dividends: 14.5 },
+      { Year: 2023, Proceeds: 1945, CostBasis: 1605, RealizedGain: 340, Dividends: 0 }
+    ]);
+  });
+});
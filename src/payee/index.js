@@ -0,0 +1,356 @@
+/**
+
+This implementation manages payees, the canonical names of the people and businesses a user pays or is paid by:
+
+1. CRUD operations for payees under /payee.
+2. GET /payee/match, which previews which payee a description or payee text resolves to.
+
+Bank statements name the same merchant in many ways, so each payee carries alias patterns (see payees.js) that map
+raw descriptions onto it. The transaction service links new, updated and imported transactions to the matching
+payee through PayeeID, fills in the canonical name when the transaction has no payee text, and uses the payee's
+DefaultCategory when neither the request nor a categorization rule picked one. The export service does the same for
+CSV imports, and the analytics service reports spending per payee.
+
+Payees are stored with UserID as partition key and PayeeID as sort key, so loading a user's payees is a single
+query. Names are unique per user, compared after normalization. Deleting a payee leaves linked transactions as they
+are; analytics then groups them by their payee text.
+
+*/
+
+'use strict';
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const Joi = require('joi');
+const winston = require('winston');
+const { normalizePayeeText, matchPayee } = require('@personal-finance/shared/payees');
+
+// Initialize AWS SDK and Winston logger
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'payee-service' },
+  transports: [
+    new winston.transports.Console()
+  ],
+});
+
+// Environment variables
+const TABLE_NAME = process.env.PAYEE_TABLE;
+const STAGE = process.env.STAGE;
+
+const MAX_ALIASES = 50;
+
+// Validation schema
+const payeeSchema = Joi.object({
+  Name: Joi.string().trim().required().max(100),
+  Aliases: Joi.array().items(
+    Joi.string().trim().max(100).pattern(/[^*\s]/).messages({
+      'string.pattern.base': '{{#label}} must contain more than wildcards'
+    })
+  ).max(MAX_ALIASES).unique().default([]),
+  DefaultCategory: Joi.string().max(50)
+});
+
+// Match preview schema
+const matchSchema = Joi.object({
+  description: Joi.string().max(500),
+  payee: Joi.string().max(100)
+}).or('description', 'payee');
+
+/**
+ * Creates a standardized response object.
+ *
+ * @param {number} statusCode - The HTTP status code.
+ * @param {Object} body - The response body.
+ * @returns {Object} The formatted response object.
+ */
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Extracts the user ID from the Cognito authorizer context.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @returns {string} The user ID.
+ * @throws {Error} If the user ID is not found in the event.
+ */
+const getUserId = (event) => {
+  if (event.requestContext &&
+      event.requestContext.authorizer &&
+      event.requestContext.authorizer.claims &&
+      event.requestContext.authorizer.claims.sub) {
+    return event.requestContext.authorizer.claims.sub;
+  }
+  throw new Error('User ID not found in the event object');
+};
+
+/**
+ * Runs a query to completion, following LastEvaluatedKey across pages.
+ *
+ * @param {Object} params - The DynamoDB query parameters.
+ * @returns {Promise<Array>} All items matched by the query.
+ */
+const queryAll = async (params) => {
+  const items = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({ ...params, ExclusiveStartKey: startKey }).promise();
+    items.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return items;
+};
+
+/**
+ * Loads all payees of a user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array>} The payees.
+ */
+const loadPayees = async (userId) => queryAll({
+  TableName: TABLE_NAME,
+  KeyConditionExpression: 'UserID = :userId',
+  ExpressionAttributeValues: { ':userId': userId }
+});
+
+/**
+ * Finds another payee of the user with the same normalized name.
+ *
+ * @param {Array<Object>} payees - The user's payees.
+ * @param {string} name - The name to check.
+ * @param {string} [payeeId] - The payee being updated, which is not a conflict.
+ * @returns {Object|undefined} The conflicting payee, if any.
+ */
+const findNameConflict = (payees, name, payeeId) => {
+  const normalized = normalizePayeeText(name);
+  return payees.find(payee => payee.PayeeID !== payeeId && normalizePayeeText(payee.Name) === normalized);
+};
+
+/**
+ * Retrieves all payees of a user, sorted by name.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getAllPayees = async (userId) => {
+  const payees = await loadPayees(userId);
+  const sorted = [...payees].sort((a, b) => a.Name.localeCompare(b.Name));
+  logger.info('Payees retrieved', { userId, count: sorted.length });
+  return createResponse(200, sorted);
+};
+
+/**
+ * Retrieves a single payee.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} payeeId - The ID of the payee.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getPayee = async (userId, payeeId) => {
+  const result = await dynamodb.get({
+    TableName: TABLE_NAME,
+    Key: { UserID: userId, PayeeID: payeeId }
+  }).promise();
+  if (!result.Item) {
+    logger.warn('Payee not found', { userId, payeeId });
+    return createResponse(404, { message: 'Payee not found' });
+  }
+  logger.info('Payee retrieved', { userId, payeeId });
+  return createResponse(200, result.Item);
+};
+
+/**
+ * Previews which payee a description or payee text resolves to.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} query - The query parameters (description, payee).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const previewMatch = async (userId, query) => {
+  const { error, value } = matchSchema.validate(query || {});
+  if (error) {
+    logger.warn('Invalid input', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const payee = matchPayee({ Payee: value.payee, Description: value.description }, await loadPayees(userId));
+  logger.info('Payee match previewed', { userId, payeeId: payee ? payee.PayeeID : null });
+  return createResponse(200, { payee });
+};
+
+/**
+ * Creates a new payee.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} payee - The payee data.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const createPayee = async (userId, payee) => {
+  const { error, value } = payeeSchema.validate(payee);
+  if (error) {
+    logger.warn('Invalid input', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  if (findNameConflict(await loadPayees(userId), value.Name)) {
+    logger.warn('Duplicate payee name', { userId, name: value.Name });
+    return createResponse(409, { message: 'A payee with this name already exists' });
+  }
+  const newPayee = {
+    ...value,
+    PayeeID: uuidv4(),
+    UserID: userId,
+    CreatedAt: new Date().toISOString()
+  };
+  await dynamodb.put({
+    TableName: TABLE_NAME,
+    Item: newPayee
+  }).promise();
+  logger.info('Payee created', { userId, payeeId: newPayee.PayeeID });
+  return createResponse(201, { message: 'Payee created successfully', payee: newPayee });
+};
+
+/**
+ * Replaces an existing payee. Transactions already linked to it keep their
+ * payee text and category.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} payeeId - The ID of the payee to update.
+ * @param {Object} payee - The updated payee data.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const updatePayee = async (userId, payeeId, payee) => {
+  const { error, value } = payeeSchema.validate(payee);
+  if (error) {
+    logger.warn('Invalid input', { userId, payeeId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  if (findNameConflict(await loadPayees(userId), value.Name, payeeId)) {
+    logger.warn('Duplicate payee name', { userId, payeeId, name: value.Name });
+    return createResponse(409, { message: 'A payee with this name already exists' });
+  }
+
+  const params = {
+    TableName: TABLE_NAME,
+    Key: { UserID: userId, PayeeID: payeeId },
+    ConditionExpression: 'attribute_exists(PayeeID)',
+    ExpressionAttributeNames: { '#name': 'Name' },
+    ExpressionAttributeValues: {
+      ':name': value.Name,
+      ':aliases': value.Aliases,
+      ':updatedAt': new Date().toISOString()
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+  if (value.DefaultCategory !== undefined) {
+    params.UpdateExpression = 'set #name = :name, Aliases = :aliases, DefaultCategory = :defaultCategory, UpdatedAt = :updatedAt';
+    params.ExpressionAttributeValues[':defaultCategory'] = value.DefaultCategory;
+  } else {
+    params.UpdateExpression = 'set #name = :name, Aliases = :aliases, UpdatedAt = :updatedAt remove DefaultCategory';
+  }
+
+  try {
+    const result = await dynamodb.update(params).promise();
+    logger.info('Payee updated', { userId, payeeId });
+    return createResponse(200, { message: 'Payee updated successfully', payee: result.Attributes });
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Payee not found', { userId, payeeId });
+      return createResponse(404, { message: 'Payee not found' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Deletes a payee. Linked transactions keep their PayeeID and payee text.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} payeeId - The ID of the payee to delete.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const deletePayee = async (userId, payeeId) => {
+  const params = {
+    TableName: TABLE_NAME,
+    Key: { UserID: userId, PayeeID: payeeId },
+    ConditionExpression: 'attribute_exists(PayeeID)'
+  };
+
+  try {
+    await dynamodb.delete(params).promise();
+    logger.info('Payee deleted', { userId, payeeId });
+    return createResponse(200, { message: 'Payee deleted successfully' });
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Payee not found', { userId, payeeId });
+      return createResponse(404, { message: 'Payee not found' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Main handler function for the Lambda.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @param {Object} context - The Lambda context object.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+exports.handler = async (event, context) => {
+  logger.info('Received event', {
+    requestId: context.awsRequestId,
+    event: JSON.stringify(event)
+  });
+
+  const { httpMethod, path, body, pathParameters, queryStringParameters } = event;
+
+  try {
+    const userId = getUserId(event);
+
+    switch (httpMethod) {
+      case 'GET':
+        if (path === '/payee') return await getAllPayees(userId);
+        if (path === '/payee/match') return await previewMatch(userId, queryStringParameters);
+        return await getPayee(userId, pathParameters.id);
+      case 'POST':
+        return await createPayee(userId, JSON.parse(body));
+      case 'PUT':
+        return await updatePayee(userId, pathParameters.id, JSON.parse(body));
+      case 'DELETE':
+        return await deletePayee(userId, pathParameters.id);
+      default:
+        logger.warn('Unsupported HTTP method', { userId, method: httpMethod });
+        return createResponse(400, { message: 'Unsupported HTTP method' });
+    }
+  } catch (error) {
+    if (error.message === 'User ID not found in the event object') {
+      logger.error('Unauthorized access attempt', { error: error.message });
+      return createResponse(401, { message: 'Unauthorized' });
+    }
+    logger.error('Error processing request', { error: error.message, stack: error.stack });
+    return createResponse(500, { message: 'Internal server error' });
+  }
+};
+
+// If running in a test environment, export internal functions for unit testing
+if (STAGE === 'test') {
+  module.exports = {
+    createResponse,
+    getUserId,
+    queryAll,
+    loadPayees,
+    findNameConflict,
+    getAllPayees,
+    getPayee,
+    previewMatch,
+    createPayee,
+    updatePayee,
+    deletePayee
+  };
+}
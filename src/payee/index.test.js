@@ -0,0 +1,71 @@
+const AWSMock = require('aws-sdk-mock');
+const AWS = require('aws-sdk');
+const { handler } = require('./index');
+
+// Setting up the AWS SDK DynamoDB DocumentClient mock
+AWSMock.setSDKInstance(AWS);
+
+const context = { awsRequestId: 'test-request' };
+const requestContext = {
+  authorizer: {
+    claims: { sub: 'user123' }
+  }
+};
+
+beforeEach(() => {
+  AWSMock.restore('DynamoDB.DocumentClient');
+  process.env.PAYEE_TABLE = 'Payees';
+});
+
+afterAll(() => {
+  AWSMock.restore();
+});
+
+describe('createPayee', () => {
+  it('requires a name', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/payee',
+      body: JSON.stringify({ Aliases: ['AMZN*'] }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"Name" is required');
+  });
+
+  it('rejects an alias that matches everything', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/payee',
+      body: JSON.stringify({ Name: 'Amazon', Aliases: ['AMZN*', '*'] }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"Aliases[1]" must contain more than wildcards');
+  });
+});
+
+describe('previewMatch', () => {
+  it('requires a description or payee', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/payee/match',
+      queryStringParameters: null,
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+});
+
+describe('handler', () => {
+  it('returns 401 without a user', async () => {
+    const result = await handler({ httpMethod: 'GET', path: '/payee' }, context);
+    expect(result.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,253 @@
+/**
+
+This implementation manages the user's exchange-rate table:
+
+1. GET /rate lists the user's rates, optionally for one currency pair and date range.
+2. POST /rate saves the rate of a currency pair on a date, replacing any rate already saved for that pair and date.
+3. DELETE /rate/{id} removes a rate.
+
+A rate says how much one unit of From is worth in To on a date (1 EUR = 1.08 USD is From EUR, To USD,
+Rate 1.08). The analytics service converts each transaction into the user's base currency with the rate
+for the transaction's date, falling back to the closest earlier date (see src/analytics/currency.js).
+
+Rates are stored with UserID as partition key and RateID (`<From>-<To>-<YYYY-MM-DD>`) as sort key, so a
+pair's rates sort by date and saving a rate twice for the same day overwrites it.
+
+*/
+
+'use strict';
+
+const AWS = require('aws-sdk');
+const Joi = require('joi');
+const winston = require('winston');
+
+// Initialize AWS SDK and Winston logger
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'exchange-rate-service' },
+  transports: [
+    new winston.transports.Console()
+  ],
+});
+
+// Environment variables
+const TABLE_NAME = process.env.EXCHANGE_RATE_TABLE;
+const STAGE = process.env.STAGE;
+
+// ISO 4217 currency code
+const currencySchema = Joi.string().pattern(/^[A-Z]{3}$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be an ISO 4217 currency code' });
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validation schemas
+const rateSchema = Joi.object({
+  From: currencySchema.required(),
+  To: currencySchema.required().invalid(Joi.ref('From'))
+    .messages({ 'any.invalid': '"To" must differ from "From"' }),
+  Date: Joi.string().pattern(DATE_ONLY_PATTERN).required()
+    .messages({ 'string.pattern.base': '"Date" must be a date in YYYY-MM-DD format' }),
+  Rate: Joi.number().positive().required()
+});
+
+const rateQuerySchema = Joi.object({
+  from: currencySchema,
+  to: currencySchema,
+  startDate: Joi.string().pattern(DATE_ONLY_PATTERN),
+  endDate: Joi.string().pattern(DATE_ONLY_PATTERN)
+}).and('from', 'to');
+
+/**
+ * Creates a standardized response object.
+ *
+ * @param {number} statusCode - The HTTP status code.
+ * @param {Object} body - The response body.
+ * @returns {Object} The formatted response object.
+ */
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Extracts the user ID from the Cognito authorizer context.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @returns {string} The user ID.
+ * @throws {Error} If the user ID is not found in the event.
+ */
+const getUserId = (event) => {
+  if (event.requestContext &&
+      event.requestContext.authorizer &&
+      event.requestContext.authorizer.claims &&
+      event.requestContext.authorizer.claims.sub) {
+    return event.requestContext.authorizer.claims.sub;
+  }
+  throw new Error('User ID not found in the event object');
+};
+
+/**
+ * Builds the sort key of a rate.
+ *
+ * @param {string} from - The currency converted from.
+ * @param {string} to - The currency converted to.
+ * @param {string} date - The date of the rate (YYYY-MM-DD).
+ * @returns {string} The RateID.
+ */
+const rateId = (from, to, date) => `${from}-${to}-${date}`;
+
+/**
+ * Lists the user's exchange rates, optionally for one pair and date range.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} [queryStringParameters] - The query string parameters (from, to, startDate, endDate).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getRates = async (userId, queryStringParameters) => {
+  const query = queryStringParameters || {};
+  const { error } = rateQuerySchema.validate(query);
+  if (error) {
+    logger.warn('Invalid query parameters', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const values = { ':userId': userId };
+  let keyCondition = 'UserID = :userId';
+  if (query.from) {
+    keyCondition += ' AND RateID BETWEEN :start AND :end';
+    values[':start'] = rateId(query.from, query.to, query.startDate || '0000-00-00');
+    values[':end'] = rateId(query.from, query.to, query.endDate || '9999-99-99');
+  }
+
+  const rates = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: TABLE_NAME,
+      KeyConditionExpression: keyCondition,
+      ExpressionAttributeValues: values,
+      ExclusiveStartKey: startKey
+    }).promise();
+    rates.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+
+  logger.info('Exchange rates retrieved', { userId, count: rates.length });
+  return createResponse(200, { rates });
+};
+
+/**
+ * Saves the rate of a currency pair on a date, replacing any existing rate
+ * for the same pair and date.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} rate - The rate (From, To, Date, Rate).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const saveRate = async (userId, rate) => {
+  const { error } = rateSchema.validate(rate);
+  if (error) {
+    logger.warn('Invalid input', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const item = {
+    UserID: userId,
+    RateID: rateId(rate.From, rate.To, rate.Date),
+    From: rate.From,
+    To: rate.To,
+    Date: rate.Date,
+    Rate: rate.Rate,
+    UpdatedAt: new Date().toISOString()
+  };
+  await dynamodb.put({
+    TableName: TABLE_NAME,
+    Item: item
+  }).promise();
+  logger.info('Exchange rate saved', { userId, rateId: item.RateID });
+  return createResponse(200, { message: 'Exchange rate saved successfully', rate: item });
+};
+
+/**
+ * Deletes a rate.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} id - The RateID.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const deleteRate = async (userId, id) => {
+  const params = {
+    TableName: TABLE_NAME,
+    Key: { UserID: userId, RateID: id },
+    ConditionExpression: 'attribute_exists(RateID)'
+  };
+
+  try {
+    await dynamodb.delete(params).promise();
+    logger.info('Exchange rate deleted', { userId, rateId: id });
+    return createResponse(200, { message: 'Exchange rate deleted successfully' });
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Exchange rate not found', { userId, rateId: id });
+      return createResponse(404, { message: 'Exchange rate not found' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Main handler function for the Lambda.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @param {Object} context - The Lambda context object.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+exports.handler = async (event, context) => {
+  logger.info('Received event', {
+    requestId: context.awsRequestId,
+    event: JSON.stringify(event)
+  });
+
+  const { httpMethod, body, pathParameters, queryStringParameters } = event;
+
+  try {
+    const userId = getUserId(event);
+
+    switch (httpMethod) {
+      case 'GET':
+        return await getRates(userId, queryStringParameters);
+      case 'POST':
+        return await saveRate(userId, JSON.parse(body));
+      case 'DELETE':
+        return await deleteRate(userId, pathParameters.id);
+      default:
+        logger.warn('Unsupported HTTP method', { userId, method: httpMethod });
+        return createResponse(400, { message: 'Unsupported HTTP method' });
+    }
+  } catch (error) {
+    if (error.message === 'User ID not found in the event object') {
+      logger.error('Unauthorized access attempt', { error: error.message });
+      return createResponse(401, { message: 'Unauthorized' });
+    }
+    logger.error('Error processing request', { error: error.message, stack: error.stack });
+    return createResponse(500, { message: 'Internal server error' });
+  }
+};
+
+// If running in a test environment, export internal functions for unit testing
+if (STAGE === 'test') {
+  module.exports = {
+    createResponse,
+    getUserId,
+    rateId,
+    getRates,
+    saveRate,
+    deleteRate
+  };
+}
@@ -0,0 +1,79 @@
+const AWSMock = require('aws-sdk-mock');
+const AWS = require('aws-sdk');
+const { handler } = require('./index');
+
+// Setting up the AWS SDK DynamoDB DocumentClient mock
+AWSMock.setSDKInstance(AWS);
+
+const context = { awsRequestId: 'test-request' };
+const requestContext = {
+  authorizer: {
+    claims: { sub: 'user123' }
+  }
+};
+
+beforeEach(() => {
+  AWSMock.restore('DynamoDB.DocumentClient');
+  process.env.EXCHANGE_RATE_TABLE = 'ExchangeRates';
+});
+
+afterAll(() => {
+  AWSMock.restore();
+});
+
+describe('saveRate', () => {
+  it('rejects a currency that is not an ISO 4217 code', async () => {
+    const event = {
+      httpMethod: 'POST',
+      body: JSON.stringify({ From: 'euro', To: 'USD', Date: '2023-06-22', Rate: 1.09 }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"From" must be an ISO 4217 currency code');
+  });
+
+  it('rejects a rate between the same currency', async () => {
+    const event = {
+      httpMethod: 'POST',
+      body: JSON.stringify({ From: 'USD', To: 'USD', Date: '2023-06-22', Rate: 1 }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"To" must differ from "From"');
+  });
+
+  it('rejects a non-positive rate', async () => {
+    const event = {
+      httpMethod: 'POST',
+      body: JSON.stringify({ From: 'EUR', To: 'USD', Date: '2023-06-22', Rate: 0 }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+});
+
+describe('getRates', () => {
+  it('requires both currencies of a pair filter', async () => {
+    const event = {
+      httpMethod: 'GET',
+      queryStringParameters: { from: 'EUR' },
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+});
+
+describe('handler', () => {
+  it('returns 401 without a user', async () => {
+    const result = await handler({ httpMethod: 'GET' }, context);
+    expect(result.statusCode).toBe(401);
+  });
+});
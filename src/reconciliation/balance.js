@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Balance arithmetic of a reconciliation session.
+ *
+ * A session starts from the closing balance of the account's last finalized
+ * reconciliation and adds the transactions the user ticked off as cleared.
+ * Once that cleared balance equals the statement's closing balance, the
+ * session can be finalized. Transactions in a currency other than the
+ * account's do not count toward its balance.
+ */
+
+const { DEFAULT_CURRENCY, balanceEffect } = require('@personal-finance/shared/balances');
+
+/**
+ * Rounds an amount to cents.
+ *
+ * @param {number} amount - The amount.
+ * @returns {number} The rounded amount.
+ */
+const toCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Tells whether a transaction counts toward a session: it is cleared, or the
+ * session itself already reconciled it during an interrupted finalization.
+ *
+ * @param {Object} transaction - The transaction.
+ * @param {string} reconciliationId - The ID of the session.
+ * @returns {boolean} True if the transaction counts.
+ */
+const countsToward = (transaction, reconciliationId) => (
+  transaction.Status === 'cleared'
+  || (transaction.Status === 'reconciled' && transaction.ReconciliationID === reconciliationId)
+);
+
+/**
+ * Computes the running totals of a session.
+ *
+ * @param {Object} session - The session (ReconciliationID, OpeningBalance, ClosingBalance).
+ * @param {Array<Object>} transactions - The account's transactions up to the statement date.
+ * @param {string} [accountCurrency='USD'] - The currency of the account.
+ * @returns {Object} The opening, cleared and closing balances, the difference still to explain and the number of cleared transactions.
+ */
+const summarize = (session, transactions, accountCurrency = DEFAULT_CURRENCY) => {
+  const cleared = transactions.filter(transaction => countsToward(transaction, session.ReconciliationID));
+  const clearedTotal = toCents(cleared.reduce((sum, transaction) => sum + balanceEffect(transaction, accountCurrency), 0));
+  const clearedBalance = toCents(session.OpeningBalance + clearedTotal);
+  return {
+    openingBalance: session.OpeningBalance,
+    clearedTotal,
+    clearedBalance,
+    closingBalance: session.ClosingBalance,
+    difference: toCents(session.ClosingBalance - clearedBalance),
+    clearedCount: cleared.length
+  };
+};
+
+module.exports = {
+  countsToward,
+  summarize
+};
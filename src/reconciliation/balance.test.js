@@ -0,0 +1,44 @@
+const { countsToward, summarize } = require('./balance');
+
+const session = { ReconciliationID: 'rec1', OpeningBalance: 1000, ClosingBalance: 845.5 };
+
+describe('countsToward', () => {
+  it('counts cleared transactions', () => {
+    expect(countsToward({ Status: 'cleared' }, 'rec1')).toBe(true);
+    expect(countsToward({ Status: 'pending' }, 'rec1')).toBe(false);
+    expect(countsToward({}, 'rec1')).toBe(false);
+  });
+
+  it('counts only transactions reconciled by the same session', () => {
+    expect(countsToward({ Status: 'reconciled', ReconciliationID: 'rec1' }, 'rec1')).toBe(true);
+    expect(countsToward({ Status: 'reconciled', ReconciliationID: 'rec0' }, 'rec1')).toBe(false);
+  });
+});
+
+describe('summarize', () => {
+  it('computes the difference to the closing balance', () => {
+    const summary = summarize(session, [
+      { Amount: -100.2, Status: 'cleared' },
+      { Amount: -54.3, Status: 'reconciled', ReconciliationID: 'rec1' },
+      { Amount: -20, Status: 'pending' }
+    ]);
+    expect(summary).toEqual({
+      openingBalance: 1000,
+      clearedTotal: -154.5,
+      clearedBalance: 845.5,
+      closingBalance: 845.5,
+      difference: 0,
+      clearedCount: 2
+    });
+  });
+
+  it('leaves transactions in another currency out of the balance', () => {
+    const summary = summarize(session, [
+      { Amount: -100, Status: 'cleared' },
+      { Amount: -40, Currency: 'EUR', Status: 'cleared' }
+    ], 'USD');
+    expect(summary.clearedBalance).toBe(900);
+    expect(summary.difference).toBe(-54.5);
+    expect(summary.clearedCount).toBe(2);
+  });
+});
@@ -0,0 +1,644 @@
+/**
+
+This implementation manages statement reconciliation, which proves an account's transactions match the bank's:
+
+1. POST /reconciliation starts a session for an account with the statement's end date and closing balance.
+2. GET /reconciliation/{id} returns the session, its running totals and the account's unreconciled transactions
+   up to the statement date.
+3. PUT /reconciliation/{id}/transactions ticks transactions off as cleared (or unticks them back to pending).
+4. POST /reconciliation/{id}/finalize marks the cleared transactions reconciled, once the cleared balance equals
+   the closing balance.
+5. GET /reconciliation?accountId= lists an account's sessions and DELETE /reconciliation/{id} abandons an open one.
+
+A session opens at the closing balance of the account's last finalized reconciliation (the first one needs an
+OpeningBalance) and adds the cleared transactions; see balance.js. Reconciled transactions are locked: the
+transaction service refuses to update, delete or merge them.
+
+An account has at most one open session. The account item records it in OpenReconciliationID, written in the same
+DynamoDB transaction as the session, and carries LastReconciledDate and LastReconciledBalance once a session is
+finalized. Finalizing marks the transactions in groups, then closes the session; an interrupted finalization can
+be finalized again, since transactions it already reconciled keep counting toward the session.
+
+*/
+
+'use strict';
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const Joi = require('joi');
+const winston = require('winston');
+const { summarize } = require('./balance');
+
+// Initialize AWS SDK and Winston logger
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'reconciliation-service' },
+  transports: [
+    new winston.transports.Console()
+  ],
+});
+
+// Environment variables
+const TABLE_NAME = process.env.RECONCILIATION_TABLE;
+const TRANSACTION_TABLE = process.env.TRANSACTION_TABLE;
+const ACCOUNT_TABLE = process.env.ACCOUNT_TABLE;
+const STAGE = process.env.STAGE;
+
+const ACCOUNT_INDEX = 'AccountIndex';
+const USER_DATE_INDEX = 'UserDateIndex';
+const TRANSACT_WRITE_SIZE = 25;
+const MAX_MARKED_TRANSACTIONS = 100;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Session statuses
+const OPEN = 'open';
+const FINALIZED = 'finalized';
+
+// Validation schemas
+const reconciliationSchema = Joi.object({
+  AccountID: Joi.string().required(),
+  StatementDate: Joi.string().pattern(DATE_ONLY_PATTERN).required()
+    .messages({ 'string.pattern.base': '"StatementDate" must be a date in YYYY-MM-DD format' }),
+  ClosingBalance: Joi.number().precision(2).required(),
+  OpeningBalance: Joi.number().precision(2).optional()
+});
+
+const reconciliationQuerySchema = Joi.object({
+  accountId: Joi.string().required()
+});
+
+const markSchema = Joi.object({
+  Cleared: Joi.array().items(Joi.string()).unique().max(MAX_MARKED_TRANSACTIONS),
+  Uncleared: Joi.array().items(Joi.string()).unique().max(MAX_MARKED_TRANSACTIONS)
+}).or('Cleared', 'Uncleared').custom((request, helpers) => {
+  const cleared = new Set(request.Cleared || []);
+  if ((request.Uncleared || []).some(id => cleared.has(id))) {
+    return helpers.message('A transaction cannot be both "Cleared" and "Uncleared"');
+  }
+  return request;
+});
+
+/**
+ * Creates a standardized response object.
+ *
+ * @param {number} statusCode - The HTTP status code.
+ * @param {Object} body - The response body.
+ * @returns {Object} The formatted response object.
+ */
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Extracts the user ID from the Cognito authorizer context.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @returns {string} The user ID.
+ * @throws {Error} If the user ID is not found in the event.
+ */
+const getUserId = (event) => {
+  if (event.requestContext &&
+      event.requestContext.authorizer &&
+      event.requestContext.authorizer.claims &&
+      event.requestContext.authorizer.claims.sub) {
+    return event.requestContext.authorizer.claims.sub;
+  }
+  throw new Error('User ID not found in the event object');
+};
+
+/**
+ * Retrieves an account if it belongs to the user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account.
+ * @returns {Promise<Object|null>} The account, or null if not found or not owned by the user.
+ */
+const findAccount = async (userId, accountId) => {
+  const result = await dynamodb.get({
+    TableName: ACCOUNT_TABLE,
+    Key: { AccountID: accountId }
+  }).promise();
+  if (!result.Item || result.Item.UserID !== userId) {
+    return null;
+  }
+  return result.Item;
+};
+
+/**
+ * Retrieves a session if it belongs to the user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} reconciliationId - The ID of the session.
+ * @returns {Promise<Object|null>} The session, or null if not found or not owned by the user.
+ */
+const findReconciliation = async (userId, reconciliationId) => {
+  const result = await dynamodb.get({
+    TableName: TABLE_NAME,
+    Key: { ReconciliationID: reconciliationId }
+  }).promise();
+  if (!result.Item || result.Item.UserID !== userId) {
+    return null;
+  }
+  return result.Item;
+};
+
+/**
+ * Retrieves all transactions of an account up to the end of a statement date.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account.
+ * @param {string} statementDate - The statement date (YYYY-MM-DD).
+ * @returns {Promise<Array>} The transactions, oldest first.
+ */
+const getStatementTransactions = async (userId, accountId, statementDate) => {
+  const items = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: TRANSACTION_TABLE,
+      IndexName: USER_DATE_INDEX,
+      KeyConditionExpression: 'UserID = :userId AND #date <= :end',
+      FilterExpression: 'AccountID = :accountId',
+      ExpressionAttributeNames: { '#date': 'Date' },
+      ExpressionAttributeValues: {
+        ':userId': userId,
+        ':accountId': accountId,
+        ':end': `${statementDate}T23:59:59.999Z`
+      },
+      ExclusiveStartKey: startKey
+    }).promise();
+    items.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return items;
+};
+
+/**
+ * Loads what a client needs to work on a session: its running totals and
+ * its transactions. An open session lists the account's transactions not
+ * reconciled by an earlier session; a finalized one lists those it
+ * reconciled.
+ *
+ * @param {Object} session - The session.
+ * @returns {Promise<Object>} The session, its summary and its transactions.
+ */
+const describeReconciliation = async (session) => {
+  const account = await findAccount(session.UserID, session.AccountID);
+  const transactions = (await getStatementTransactions(session.UserID, session.AccountID, session.StatementDate))
+    .filter(transaction => (session.Status === OPEN
+      ? transaction.Status !== 'reconciled' || transaction.ReconciliationID === session.ReconciliationID
+      : transaction.ReconciliationID === session.ReconciliationID));
+  return {
+    reconciliation: session,
+    summary: summarize(session, transactions, account && account.Currency),
+    transactions
+  };
+};
+
+/**
+ * Lists the sessions of an account, latest statement first.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} [queryStringParameters] - The query string parameters (accountId).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getReconciliations = async (userId, queryStringParameters) => {
+  const query = queryStringParameters || {};
+  const { error } = reconciliationQuerySchema.validate(query);
+  if (error) {
+    logger.warn('Invalid query parameters', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const reconciliations = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: TABLE_NAME,
+      IndexName: ACCOUNT_INDEX,
+      KeyConditionExpression: 'AccountID = :accountId',
+      FilterExpression: 'UserID = :userId',
+      ExpressionAttributeValues: {
+        ':accountId': query.accountId,
+        ':userId': userId
+      },
+      ScanIndexForward: false,
+      ExclusiveStartKey: startKey
+    }).promise();
+    reconciliations.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+
+  logger.info('Reconciliations retrieved', { userId, accountId: query.accountId, count: reconciliations.length });
+  return createResponse(200, { reconciliations });
+};
+
+/**
+ * Retrieves a session with its running totals and transactions.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} reconciliationId - The ID of the session.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getReconciliation = async (userId, reconciliationId) => {
+  const session = await findReconciliation(userId, reconciliationId);
+  if (!session) {
+    logger.warn('Reconciliation not found or unauthorized', { userId, reconciliationId });
+    return createResponse(404, { message: 'Reconciliation not found' });
+  }
+  logger.info('Reconciliation retrieved', { userId, reconciliationId });
+  return createResponse(200, await describeReconciliation(session));
+};
+
+/**
+ * Starts a session on an account.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} request - The session data (AccountID, StatementDate, ClosingBalance, OpeningBalance).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const startReconciliation = async (userId, request) => {
+  const { error } = reconciliationSchema.validate(request);
+  if (error) {
+    logger.warn('Invalid input', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const accountId = request.AccountID;
+  const account = await findAccount(userId, accountId);
+  if (!account || !account.IsActive) {
+    logger.warn('Account not found or unauthorized', { userId, accountId });
+    return createResponse(404, { message: 'Account not found or does not belong to the user' });
+  }
+  if (account.OpenReconciliationID) {
+    logger.warn('Reconciliation already open', { userId, accountId });
+    return createResponse(409, { message: 'The account already has an open reconciliation' });
+  }
+  if (account.LastReconciledDate && request.StatementDate <= account.LastReconciledDate) {
+    logger.warn('Statement already reconciled', { userId, accountId });
+    return createResponse(400, {
+      message: `"StatementDate" must be after the last reconciled statement (${account.LastReconciledDate})`
+    });
+  }
+  const openingBalance = request.OpeningBalance !== undefined
+    ? request.OpeningBalance
+    : account.LastReconciledBalance;
+  if (openingBalance === undefined) {
+    logger.warn('Opening balance missing', { userId, accountId });
+    return createResponse(400, { message: '"OpeningBalance" is required for the first reconciliation of an account' });
+  }
+
+  const session = {
+    ReconciliationID: uuidv4(),
+    UserID: userId,
+    AccountID: accountId,
+    StatementDate: request.StatementDate,
+    OpeningBalance: openingBalance,
+    ClosingBalance: request.ClosingBalance,
+    Status: OPEN,
+    CreatedAt: new Date().toISOString()
+  };
+
+  try {
+    await dynamodb.transactWrite({
+      TransactItems: [
+        {
+          Put: {
+            TableName: TABLE_NAME,
+            Item: session,
+            ConditionExpression: 'attribute_not_exists(ReconciliationID)'
+          }
+        },
+        {
+          Update: {
+            TableName: ACCOUNT_TABLE,
+            Key: { AccountID: accountId },
+            UpdateExpression: 'set OpenReconciliationID = :reconciliationId',
+            ConditionExpression: 'UserID = :userId AND IsActive = :isActive AND attribute_not_exists(OpenReconciliationID)',
+            ExpressionAttributeValues: {
+              ':reconciliationId': session.ReconciliationID,
+              ':userId': userId,
+              ':isActive': true
+            }
+          }
+        }
+      ]
+    }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      logger.warn('Reconciliation already open', { userId, accountId });
+      return createResponse(409, { message: 'The account already has an open reconciliation' });
+    }
+    throw error;
+  }
+
+  logger.info('Reconciliation started', { userId, accountId, reconciliationId: session.ReconciliationID });
+  return createResponse(201, {
+    message: 'Reconciliation started successfully',
+    ...(await describeReconciliation(session))
+  });
+};
+
+/**
+ * Ticks transactions of an open session off as cleared, or back to pending.
+ * Transactions that are not in the session's account and statement period,
+ * or are already reconciled, are reported back instead.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} reconciliationId - The ID of the session.
+ * @param {Object} request - The transactions to change (Cleared, Uncleared).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const markTransactions = async (userId, reconciliationId, request) => {
+  const { error } = markSchema.validate(request);
+  if (error) {
+    logger.warn('Invalid input', { userId, reconciliationId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const session = await findReconciliation(userId, reconciliationId);
+  if (!session) {
+    logger.warn('Reconciliation not found or unauthorized', { userId, reconciliationId });
+    return createResponse(404, { message: 'Reconciliation not found' });
+  }
+  if (session.Status !== OPEN) {
+    logger.warn('Reconciliation already finalized', { userId, reconciliationId });
+    return createResponse(409, { message: 'The reconciliation is finalized' });
+  }
+
+  const changes = [
+    ...(request.Cleared || []).map(id => [id, 'cleared']),
+    ...(request.Uncleared || []).map(id => [id, 'pending'])
+  ];
+  const rejected = [];
+  const updatedAt = new Date().toISOString();
+  for (const [transactionId, status] of changes) {
+    try {
+      await dynamodb.update({
+        TableName: TRANSACTION_TABLE,
+        Key: { TransactionID: transactionId },
+        UpdateExpression: 'set #status = :status, UpdatedAt = :updatedAt, Version = if_not_exists(Version, :baseVersion) + :increment',
+        ConditionExpression: 'UserID = :userId AND AccountID = :accountId AND #date <= :end'
+          + ' AND (attribute_not_exists(#status) OR #status <> :reconciled)',
+        ExpressionAttributeNames: { '#status': 'Status', '#date': 'Date' },
+        ExpressionAttributeValues: {
+          ':status': status,
+          ':updatedAt': updatedAt,
+          ':baseVersion': 1,
+          ':increment': 1,
+          ':userId': userId,
+          ':accountId': session.AccountID,
+          ':end': `${session.StatementDate}T23:59:59.999Z`,
+          ':reconciled': 'reconciled'
+        }
+      }).promise();
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+      rejected.push(transactionId);
+    }
+  }
+
+  logger.info('Reconciliation transactions marked', { userId, reconciliationId, changed: changes.length - rejected.length });
+  return createResponse(200, {
+    message: 'Transactions marked successfully',
+    rejected,
+    ...(await describeReconciliation(session))
+  });
+};
+
+/**
+ * Finalizes a session whose cleared balance equals the closing balance: its
+ * cleared transactions become reconciled and the account remembers the
+ * statement as its last reconciled one.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} reconciliationId - The ID of the session.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const finalizeReconciliation = async (userId, reconciliationId) => {
+  const session = await findReconciliation(userId, reconciliationId);
+  if (!session) {
+    logger.warn('Reconciliation not found or unauthorized', { userId, reconciliationId });
+    return createResponse(404, { message: 'Reconciliation not found' });
+  }
+  if (session.Status !== OPEN) {
+    logger.warn('Reconciliation already finalized', { userId, reconciliationId });
+    return createResponse(409, { message: 'The reconciliation is finalized' });
+  }
+
+  const { summary, transactions } = await describeReconciliation(session);
+  if (summary.difference !== 0) {
+    logger.warn('Reconciliation does not balance', { userId, reconciliationId, difference: summary.difference });
+    return createResponse(409, {
+      message: `The cleared balance differs from the closing balance by ${summary.difference}`,
+      summary
+    });
+  }
+
+  const now = new Date().toISOString();
+  const cleared = transactions.filter(transaction => transaction.Status === 'cleared');
+  try {
+    for (let i = 0; i < cleared.length; i += TRANSACT_WRITE_SIZE) {
+      await dynamodb.transactWrite({
+        TransactItems: cleared.slice(i, i + TRANSACT_WRITE_SIZE).map(transaction => ({
+          Update: {
+            TableName: TRANSACTION_TABLE,
+            Key: { TransactionID: transaction.TransactionID },
+            UpdateExpression: 'set #status = :reconciled, ReconciliationID = :reconciliationId, UpdatedAt = :updatedAt, '
+              + 'Version = if_not_exists(Version, :baseVersion) + :increment',
+            ConditionExpression: 'UserID = :userId AND AccountID = :accountId AND Amount = :amount AND #status = :cleared',
+            ExpressionAttributeNames: { '#status': 'Status' },
+            ExpressionAttributeValues: {
+              ':reconciled': 'reconciled',
+              ':reconciliationId': reconciliationId,
+              ':updatedAt': now,
+              ':baseVersion': 1,
+              ':increment': 1,
+              ':userId': userId,
+              ':accountId': session.AccountID,
+              ':amount': transaction.Amount,
+              ':cleared': 'cleared'
+            }
+          }
+        }))
+      }).promise();
+    }
+
+    await dynamodb.transactWrite({
+      TransactItems: [
+        {
+          Update: {
+            TableName: TABLE_NAME,
+            Key: { ReconciliationID: reconciliationId },
+            UpdateExpression: 'set #status = :finalized, FinalizedAt = :finalizedAt, ReconciledCount = :count',
+            ConditionExpression: '#status = :open',
+            ExpressionAttributeNames: { '#status': 'Status' },
+            ExpressionAttributeValues: {
+              ':finalized': FINALIZED,
+              ':finalizedAt': now,
+              ':count': summary.clearedCount,
+              ':open': OPEN
+            }
+          }
+        },
+        {
+          Update: {
+            TableName: ACCOUNT_TABLE,
+            Key: { AccountID: session.AccountID },
+            UpdateExpression: 'set LastReconciledDate = :statementDate, LastReconciledBalance = :closingBalance remove OpenReconciliationID',
+            ConditionExpression: 'OpenReconciliationID = :reconciliationId',
+            ExpressionAttributeValues: {
+              ':statementDate': session.StatementDate,
+              ':closingBalance': session.ClosingBalance,
+              ':reconciliationId': reconciliationId
+            }
+          }
+        }
+      ]
+    }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      logger.warn('Concurrent change during finalization', { userId, reconciliationId });
+      return createResponse(409, { message: 'Transactions changed while finalizing. Please review and retry.' });
+    }
+    throw error;
+  }
+
+  logger.info('Reconciliation finalized', { userId, reconciliationId, reconciled: summary.clearedCount });
+  return createResponse(200, {
+    message: 'Reconciliation finalized successfully',
+    reconciliation: { ...session, Status: FINALIZED, FinalizedAt: now, ReconciledCount: summary.clearedCount },
+    summary
+  });
+};
+
+/**
+ * Abandons an open session. Cleared transactions stay cleared.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} reconciliationId - The ID of the session.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const cancelReconciliation = async (userId, reconciliationId) => {
+  const session = await findReconciliation(userId, reconciliationId);
+  if (!session) {
+    logger.warn('Reconciliation not found or unauthorized', { userId, reconciliationId });
+    return createResponse(404, { message: 'Reconciliation not found' });
+  }
+  if (session.Status !== OPEN) {
+    logger.warn('Attempt to delete a finalized reconciliation', { userId, reconciliationId });
+    return createResponse(409, { message: 'A finalized reconciliation cannot be deleted' });
+  }
+  // Transactions reconciled by an interrupted finalization would stay locked
+  const { transactions } = await describeReconciliation(session);
+  if (transactions.some(transaction => transaction.ReconciliationID === reconciliationId)) {
+    logger.warn('Attempt to delete a partly finalized reconciliation', { userId, reconciliationId });
+    return createResponse(409, { message: 'Finalizing this reconciliation was interrupted; finalize it again instead' });
+  }
+
+  try {
+    await dynamodb.transactWrite({
+      TransactItems: [
+        {
+          Delete: {
+            TableName: TABLE_NAME,
+            Key: { ReconciliationID: reconciliationId },
+            ConditionExpression: '#status = :open',
+            ExpressionAttributeNames: { '#status': 'Status' },
+            ExpressionAttributeValues: { ':open': OPEN }
+          }
+        },
+        {
+          Update: {
+            TableName: ACCOUNT_TABLE,
+            Key: { AccountID: session.AccountID },
+            UpdateExpression: 'remove OpenReconciliationID',
+            ConditionExpression: 'OpenReconciliationID = :reconciliationId',
+            ExpressionAttributeValues: { ':reconciliationId': reconciliationId }
+          }
+        }
+      ]
+    }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      logger.warn('Concurrent change to reconciliation', { userId, reconciliationId });
+      return createResponse(409, { message: 'Reconciliation was modified by another request. Please retry.' });
+    }
+    throw error;
+  }
+
+  logger.info('Reconciliation deleted', { userId, reconciliationId });
+  return createResponse(200, { message: 'Reconciliation deleted successfully' });
+};
+
+/**
+ * Main handler function for the Lambda.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @param {Object} context - The Lambda context object.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+exports.handler = async (event, context) => {
+  logger.info('Received event', {
+    requestId: context.awsRequestId,
+    event: JSON.stringify(event)
+  });
+
+  const { httpMethod, path, body, pathParameters, queryStringParameters } = event;
+
+  try {
+    const userId = getUserId(event);
+
+    switch (httpMethod) {
+      case 'GET':
+        if (path === '/reconciliation') {
+          return await getReconciliations(userId, queryStringParameters);
+        }
+        return await getReconciliation(userId, pathParameters.id);
+      case 'POST':
+        if (pathParameters && pathParameters.id) {
+          return await finalizeReconciliation(userId, pathParameters.id);
+        }
+        return await startReconciliation(userId, JSON.parse(body));
+      case 'PUT':
+        return await markTransactions(userId, pathParameters.id, JSON.parse(body));
+      case 'DELETE':
+        return await cancelReconciliation(userId, pathParameters.id);
+      default:
+        logger.warn('Unsupported HTTP method', { userId, method: httpMethod });
+        return createResponse(400, { message: 'Unsupported HTTP method' });
+    }
+  } catch (error) {
+    if (error.message === 'User ID not found in the event object') {
+      logger.error('Unauthorized access attempt', { error: error.message });
+      return createResponse(401, { message: 'Unauthorized' });
+    }
+    logger.error('Error processing request', { error: error.message, stack: error.stack });
+    return createResponse(500, { message: 'Internal server error' });
+  }
+};
+
+// If running in a test environment, export internal functions for unit testing
+if (STAGE === 'test') {
+  module.exports = {
+    createResponse,
+    getUserId,
+    findAccount,
+    findReconciliation,
+    getStatementTransactions,
+    describeReconciliation,
+    getReconciliations,
+    getReconciliation,
+    startReconciliation,
+    markTransactions,
+    finalizeReconciliation,
+    cancelReconciliation
+  };
+}
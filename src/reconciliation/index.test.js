@@ -0,0 +1,101 @@
+const AWSMock = require('aws-sdk-mock');
+const AWS = require('aws-sdk');
+const { handler } = require('./index');
+
+// Setting up the AWS SDK DynamoDB DocumentClient mock
+AWSMock.setSDKInstance(AWS);
+
+const context = { awsRequestId: 'test-request' };
+const requestContext = {
+  authorizer: {
+    claims: { sub: 'user123' }
+  }
+};
+
+beforeEach(() => {
+  AWSMock.restore('DynamoDB.DocumentClient');
+  process.env.RECONCILIATION_TABLE = 'Reconciliations';
+});
+
+afterAll(() => {
+  AWSMock.restore();
+});
+
+describe('startReconciliation', () => {
+  it('requires a closing balance', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/reconciliation',
+      body: JSON.stringify({ AccountID: 'acc123', StatementDate: '2023-06-30' }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"ClosingBalance" is required');
+  });
+
+  it('rejects a statement date with a time', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/reconciliation',
+      body: JSON.stringify({ AccountID: 'acc123', StatementDate: '2023-06-30T00:00:00Z', ClosingBalance: 845.5 }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"StatementDate" must be a date in YYYY-MM-DD format');
+  });
+});
+
+describe('markTransactions', () => {
+  it('rejects a transaction that is both cleared and uncleared', async () => {
+    const event = {
+      httpMethod: 'PUT',
+      path: '/reconciliation/rec123/transactions',
+      pathParameters: { id: 'rec123' },
+      body: JSON.stringify({ Cleared: ['txn1', 'txn2'], Uncleared: ['txn2'] }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('A transaction cannot be both "Cleared" and "Uncleared"');
+  });
+
+  it('requires transactions to change', async () => {
+    const event = {
+      httpMethod: 'PUT',
+      path: '/reconciliation/rec123/transactions',
+      pathParameters: { id: 'rec123' },
+      body: JSON.stringify({}),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+});
+
+describe('getReconciliations', () => {
+  it('requires an account', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/reconciliation',
+      queryStringParameters: null,
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"accountId" is required');
+  });
+});
+
+describe('handler', () => {
+  it('returns 401 without a user', async () => {
+    const result = await handler({ httpMethod: 'GET', path: '/reconciliation' }, context);
+    expect(result.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,545 @@
+/**
+
+This implementation manages recurring transactions (rent, salary, subscriptions):
+
+1. CRUD operations for recurring schedules under /recurring.
+2. A scheduled generator (generateHandler) that materializes due occurrences into the transaction table.
+
+A schedule combines a template transaction with a recurrence rule:
+
+- Frequency: daily, weekly, monthly or yearly, every Interval periods from StartDate.
+- An optional end: EndDate (inclusive) or Count (number of occurrences).
+- SkipWeekends: daily schedules count business days only; other schedules move an occurrence that falls on a
+  weekend to the following Monday.
+
+Generation is idempotent. Each occurrence gets a TransactionID derived from the schedule ID and the occurrence
+date, and is written with a condition that it does not exist yet, so a retried or overlapping run never creates
+the same occurrence twice. The schedule's NextIndex/NextDate only move forward after the occurrences are written.
+Each occurrence is written in one DynamoDB transaction with the change to its account's balance; while the account
+is closed, the schedule waits at its next occurrence. Occurrences paying into a Loan or Mortgage account are split
+into Interest and principal against what is still owed (see loans.js); only the principal moves the balance.
+
+Schedules are stored with UserID as partition key and ScheduleID as sort key. A schedule can only be created for,
+or moved to, one of the user's active accounts.
+
+*/
+
+'use strict';
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
+const Joi = require('joi');
+const winston = require('winston');
+const { formatDate, dueOccurrences, nextOccurrence, firstIndexAfter } = require('./schedule');
+const { isLoan, paymentInterest, principalPart } = require('@personal-finance/shared/loans');
+const { balanceUpdate } = require('@personal-finance/shared/balances');
+
+// Initialize AWS SDK and Winston logger
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'recurring-service' },
+  transports: [
+    new winston.transports.Console()
+  ],
+});
+
+// Environment variables
+const TABLE_NAME = process.env.RECURRING_TABLE;
+const TRANSACTION_TABLE = process.env.TRANSACTION_TABLE;
+const ACCOUNT_TABLE = process.env.ACCOUNT_TABLE;
+const STAGE = process.env.STAGE;
+
+// Namespace for the deterministic IDs of generated transactions
+const OCCURRENCE_NAMESPACE = '5b8e6f0e-3c1a-4f6e-9d2b-7a4c1e8f9b30';
+// Upper bound on occurrences written per schedule and run; a long backlog catches up over several runs
+const MAX_OCCURRENCES_PER_RUN = 366;
+
+// Template transaction schema (a transaction without its date)
+const templateSchema = Joi.object({
+  AccountID: Joi.string().required(),
+  Amount: Joi.number().required(),
+  Category: Joi.string().required(),
+  Description: Joi.string().allow('').optional()
+});
+
+// Validation schema
+const scheduleSchema = Joi.object({
+  Name: Joi.string().max(100).optional(),
+  Transaction: templateSchema.required(),
+  Frequency: Joi.string().valid('daily', 'weekly', 'monthly', 'yearly').required(),
+  Interval: Joi.number().integer().min(1).max(366).default(1),
+  StartDate: Joi.date().iso().required(),
+  EndDate: Joi.date().iso().min(Joi.ref('StartDate')).optional(),
+  Count: Joi.number().integer().min(1).optional(),
+  SkipWeekends: Joi.boolean().default(false)
+}).oxor('EndDate', 'Count');
+
+/**
+ * Creates a standardized response object.
+ *
+ * @param {number} statusCode - The HTTP status code.
+ * @param {Object} body - The response body.
+ * @returns {Object} The formatted response object.
+ */
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Extracts the user ID from the Cognito authorizer context.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @returns {string} The user ID.
+ * @throws {Error} If the user ID is not found in the event.
+ */
+const getUserId = (event) => {
+  if (event.requestContext &&
+      event.requestContext.authorizer &&
+      event.requestContext.authorizer.claims &&
+      event.requestContext.authorizer.claims.sub) {
+    return event.requestContext.authorizer.claims.sub;
+  }
+  throw new Error('User ID not found in the event object');
+};
+
+/**
+ * Normalizes the rule dates of a validated schedule to YYYY-MM-DD.
+ *
+ * @param {Object} schedule - The validated schedule.
+ * @returns {Object} The schedule with calendar dates.
+ */
+const normalizeSchedule = (schedule) => {
+  const normalized = { ...schedule, StartDate: formatDate(new Date(schedule.StartDate)) };
+  if (schedule.EndDate) {
+    normalized.EndDate = formatDate(new Date(schedule.EndDate));
+  }
+  return normalized;
+};
+
+/**
+ * Retrieves all recurring schedules of a user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getAllSchedules = async (userId) => {
+  const items = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: TABLE_NAME,
+      KeyConditionExpression: 'UserID = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ExclusiveStartKey: startKey
+    }).promise();
+    items.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  logger.info('Recurring schedules retrieved', { userId, count: items.length });
+  return createResponse(200, items);
+};
+
+/**
+ * Retrieves a single recurring schedule.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} scheduleId - The ID of the schedule.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getSchedule = async (userId, scheduleId) => {
+  const params = {
+    TableName: TABLE_NAME,
+    Key: { UserID: userId, ScheduleID: scheduleId }
+  };
+  const result = await dynamodb.get(params).promise();
+  if (!result.Item) {
+    logger.warn('Recurring schedule not found or unauthorized', { userId, scheduleId });
+    return createResponse(404, { message: 'Recurring schedule not found' });
+  }
+  logger.info('Recurring schedule retrieved', { userId, scheduleId });
+  return createResponse(200, result.Item);
+};
+
+/**
+ * Tells whether an account is one of the user's active accounts.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account.
+ * @returns {Promise<boolean>} True if the user may schedule transactions into it.
+ */
+const isUsableAccount = async (userId, accountId) => {
+  const result = await dynamodb.get({
+    TableName: ACCOUNT_TABLE,
+    Key: { AccountID: accountId }
+  }).promise();
+  return Boolean(result.Item && result.Item.UserID === userId && result.Item.IsActive);
+};
+
+/**
+ * Creates a new recurring schedule.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} schedule - The schedule data.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const createSchedule = async (userId, schedule) => {
+  const { error, value } = scheduleSchema.validate(schedule);
+  if (error) {
+    logger.warn('Invalid input', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  if (!(await isUsableAccount(userId, value.Transaction.AccountID))) {
+    logger.warn('Account not found, unauthorized or closed', { userId, accountId: value.Transaction.AccountID });
+    return createResponse(404, { message: 'Account not found or does not belong to the user' });
+  }
+
+  const rule = normalizeSchedule(value);
+  const nextDate = nextOccurrence(rule, 0);
+  const newSchedule = {
+    ...rule,
+    ScheduleID: uuidv4(),
+    UserID: userId,
+    NextIndex: 0,
+    NextDate: nextDate,
+    IsActive: nextDate !== null,
+    CreatedAt: new Date().toISOString()
+  };
+  await dynamodb.put({
+    TableName: TABLE_NAME,
+    Item: newSchedule
+  }).promise();
+  logger.info('Recurring schedule created', { userId, scheduleId: newSchedule.ScheduleID });
+  return createResponse(201, { message: 'Recurring schedule created successfully', schedule: newSchedule });
+};
+
+/**
+ * Replaces the rule and template of a recurring schedule. Occurrences already
+ * generated are kept; generation resumes with the first occurrence of the new
+ * rule after the last generated date.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} scheduleId - The ID of the schedule to update.
+ * @param {Object} schedule - The updated schedule data.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const updateSchedule = async (userId, scheduleId, schedule) => {
+  const { error, value } = scheduleSchema.validate(schedule);
+  if (error) {
+    logger.warn('Invalid input', { userId, scheduleId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const existing = await dynamodb.get({
+    TableName: TABLE_NAME,
+    Key: { UserID: userId, ScheduleID: scheduleId }
+  }).promise();
+  if (!existing.Item) {
+    logger.warn('Recurring schedule not found or unauthorized', { userId, scheduleId });
+    return createResponse(404, { message: 'Recurring schedule not found' });
+  }
+  if (!(await isUsableAccount(userId, value.Transaction.AccountID))) {
+    logger.warn('Account not found, unauthorized or closed', { userId, accountId: value.Transaction.AccountID });
+    return createResponse(404, { message: 'Account not found or does not belong to the user' });
+  }
+
+  const rule = normalizeSchedule(value);
+  const nextIndex = firstIndexAfter(rule, existing.Item.LastGeneratedDate || null);
+  const nextDate = nextOccurrence(rule, nextIndex);
+  const updatedSchedule = {
+    ...rule,
+    ScheduleID: scheduleId,
+    UserID: userId,
+    NextIndex: nextIndex,
+    NextDate: nextDate,
+    IsActive: nextDate !== null,
+    CreatedAt: existing.Item.CreatedAt,
+    UpdatedAt: new Date().toISOString()
+  };
+  if (existing.Item.LastGeneratedDate) {
+    updatedSchedule.LastGeneratedDate = existing.Item.LastGeneratedDate;
+  }
+
+  await dynamodb.put({
+    TableName: TABLE_NAME,
+    Item: updatedSchedule
+  }).promise();
+  logger.info('Recurring schedule updated', { userId, scheduleId });
+  return createResponse(200, { message: 'Recurring schedule updated successfully', schedule: updatedSchedule });
+};
+
+/**
+ * Deletes a recurring schedule. Transactions it already generated are kept.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} scheduleId - The ID of the schedule to delete.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const deleteSchedule = async (userId, scheduleId) => {
+  const params = {
+    TableName: TABLE_NAME,
+    Key: { UserID: userId, ScheduleID: scheduleId },
+    ConditionExpression: 'attribute_exists(ScheduleID)'
+  };
+
+  try {
+    await dynamodb.delete(params).promise();
+    logger.info('Recurring schedule deleted', { userId, scheduleId });
+    return createResponse(200, { message: 'Recurring schedule deleted successfully' });
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Recurring schedule not found or unauthorized', { userId, scheduleId });
+      return createResponse(404, { message: 'Recurring schedule not found' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Retrieves the active schedules with an occurrence due on or before a date.
+ *
+ * @param {string} today - The date (YYYY-MM-DD).
+ * @returns {Promise<Array>} The due schedules.
+ */
+const getDueSchedules = async (today) => {
+  const schedules = [];
+  let startKey;
+  do {
+    const result = await dynamodb.scan({
+      TableName: TABLE_NAME,
+      FilterExpression: 'IsActive = :isActive AND NextDate <= :today',
+      ExpressionAttributeValues: { ':isActive': true, ':today': today },
+      ExclusiveStartKey: startKey
+    }).promise();
+    schedules.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return schedules;
+};
+
+/**
+ * Builds the transaction for one occurrence of a schedule.
+ *
+ * @param {Object} schedule - The schedule.
+ * @param {{index: number, date: string}} occurrence - The occurrence.
+ * @returns {Object} The transaction item.
+ */
+const buildOccurrence = (schedule, occurrence) => ({
+  ...schedule.Transaction,
+  TransactionID: uuidv5(`${schedule.ScheduleID}:${occurrence.date}`, OCCURRENCE_NAMESPACE),
+  UserID: schedule.UserID,
+  Date: occurrence.date,
+  Status: 'pending',
+  Version: 1,
+  ScheduleID: schedule.ScheduleID,
+  OccurrenceIndex: occurrence.index,
+  CreatedAt: new Date().toISOString()
+});
+
+/**
+ * Checks whether a transaction exists.
+ *
+ * @param {string} transactionId - The ID of the transaction.
+ * @returns {Promise<boolean>} True if it exists.
+ */
+const transactionExists = async (transactionId) => {
+  const result = await dynamodb.get({
+    TableName: TRANSACTION_TABLE,
+    Key: { TransactionID: transactionId },
+    ProjectionExpression: 'TransactionID'
+  }).promise();
+  return Boolean(result.Item);
+};
+
+/**
+ * Reads the account of a schedule if it is one of the user's loans or
+ * mortgages, whose payments are split into interest and principal.
+ *
+ * @param {Object} schedule - The schedule.
+ * @returns {Promise<Object|null>} The loan account, or null.
+ */
+const findLoan = async (schedule) => {
+  const result = await dynamodb.get({
+    TableName: ACCOUNT_TABLE,
+    Key: { AccountID: schedule.Transaction.AccountID }
+  }).promise();
+  const account = result.Item;
+  return account && account.UserID === schedule.UserID && isLoan(account) ? account : null;
+};
+
+/**
+ * Writes the due occurrences of one schedule, each with its change to the
+ * account's balance, and advances the schedule past the ones written. If the
+ * account is missing or closed, the schedule stops at the first occurrence
+ * that could not be written, and the next run tries it again.
+ *
+ * @param {Object} schedule - The schedule.
+ * @param {string} today - The date up to which occurrences are due (YYYY-MM-DD).
+ * @returns {Promise<{created: number, existing: number}>} How many occurrences were written or already present.
+ */
+const generateSchedule = async (schedule, today) => {
+  const occurrences = dueOccurrences(schedule, schedule.NextIndex || 0, today, MAX_OCCURRENCES_PER_RUN);
+  const counts = { created: 0, existing: 0 };
+  const loan = occurrences.length > 0 ? await findLoan(schedule) : null;
+  let owed = loan ? -loan.Balance : 0;
+  let handled = 0;
+
+  for (const occurrence of occurrences) {
+    const item = buildOccurrence(schedule, occurrence);
+    if (loan && item.Amount > 0) {
+      item.Interest = paymentInterest(loan, item.Amount, owed);
+    }
+    try {
+      await dynamodb.transactWrite({
+        TransactItems: [
+          {
+            Put: {
+              TableName: TRANSACTION_TABLE,
+              Item: item,
+              ConditionExpression: 'attribute_not_exists(TransactionID)'
+            }
+          },
+          balanceUpdate(ACCOUNT_TABLE, item.UserID, item.AccountID, principalPart(item), item.CreatedAt)
+        ]
+      }).promise();
+      counts.created++;
+      owed -= principalPart(item);
+    } catch (error) {
+      if (error.code !== 'TransactionCanceledException') throw error;
+      if (!(await transactionExists(item.TransactionID))) {
+        logger.warn('Account of recurring schedule not found or closed', {
+          scheduleId: schedule.ScheduleID,
+          accountId: item.AccountID
+        });
+        break;
+      }
+      // Written by an earlier, interrupted run
+      counts.existing++;
+    }
+    handled++;
+  }
+
+  if (handled > 0) {
+    const last = occurrences[handled - 1];
+    const nextDate = nextOccurrence(schedule, last.index + 1);
+    try {
+      await dynamodb.update({
+        TableName: TABLE_NAME,
+        Key: { UserID: schedule.UserID, ScheduleID: schedule.ScheduleID },
+        UpdateExpression: 'set NextIndex = :nextIndex, NextDate = :nextDate, LastGeneratedDate = :lastDate, IsActive = :isActive',
+        // Never move a schedule backwards if a concurrent run got further
+        ConditionExpression: 'attribute_not_exists(NextIndex) OR NextIndex <= :nextIndex',
+        ExpressionAttributeValues: {
+          ':nextIndex': last.index + 1,
+          ':nextDate': nextDate,
+          ':lastDate': last.date,
+          ':isActive': nextDate !== null
+        }
+      }).promise();
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+    }
+  }
+  return counts;
+};
+
+/**
+ * Scheduled handler: materializes every due occurrence of every active schedule.
+ *
+ * @param {Object} event - The scheduled (EventBridge) event.
+ * @param {Object} context - The Lambda context object.
+ * @returns {Promise<Object>} A summary of the run.
+ */
+exports.generateHandler = async (event, context) => {
+  const today = formatDate(new Date(event && event.time ? event.time : Date.now()));
+  logger.info('Generating recurring transactions', { requestId: context.awsRequestId, today });
+
+  const schedules = await getDueSchedules(today);
+  const summary = { schedules: schedules.length, created: 0, existing: 0, failed: 0 };
+
+  for (const schedule of schedules) {
+    try {
+      const counts = await generateSchedule(schedule, today);
+      summary.created += counts.created;
+      summary.existing += counts.existing;
+    } catch (error) {
+      // One broken schedule must not stop the others; the next run retries it
+      summary.failed++;
+      logger.error('Error generating recurring transactions', {
+        scheduleId: schedule.ScheduleID,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  logger.info('Recurring transactions generated', summary);
+  return summary;
+};
+
+/**
+ * Main handler function for the Lambda.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @param {Object} context - The Lambda context object.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+exports.handler = async (event, context) => {
+  logger.info('Received event', {
+    requestId: context.awsRequestId,
+    event: JSON.stringify(event)
+  });
+
+  const { httpMethod, path, body, pathParameters } = event;
+
+  try {
+    const userId = getUserId(event);
+
+    switch (httpMethod) {
+      case 'GET':
+        return path === '/recurring' ? await getAllSchedules(userId) : await getSchedule(userId, pathParameters.id);
+      case 'POST':
+        return await createSchedule(userId, JSON.parse(body));
+      case 'PUT':
+        return await updateSchedule(userId, pathParameters.id, JSON.parse(body));
+      case 'DELETE':
+        return await deleteSchedule(userId, pathParameters.id);
+      default:
+        logger.warn('Unsupported HTTP method', { userId, method: httpMethod });
+        return createResponse(400, { message: 'Unsupported HTTP method' });
+    }
+  } catch (error) {
+    if (error.message === 'User ID not found in the event object') {
+      logger.error('Unauthorized access attempt', { error: error.message });
+      return createResponse(401, { message: 'Unauthorized' });
+    }
+    logger.error('Error processing request', { error: error.message, stack: error.stack });
+    return createResponse(500, { message: 'Internal server error' });
+  }
+};
+
+// If running in a test environment, export internal functions for unit testing
+if (STAGE === 'test') {
+  module.exports = {
+    createResponse,
+    getUserId,
+    normalizeSchedule,
+    getAllSchedules,
+    getSchedule,
+    isUsableAccount,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    getDueSchedules,
+    buildOccurrence,
+    balanceUpdate,
+    transactionExists,
+    generateSchedule
+  };
+}
@@ -0,0 +1,136 @@
+const AWSMock = require('aws-sdk-mock');
+const AWS = require('aws-sdk');
+const { handler } = require('./index');
+
+// Setting up the AWS SDK DynamoDB DocumentClient mock
+AWSMock.setSDKInstance(AWS);
+
+const context = { awsRequestId: 'test-request' };
+
+beforeEach(() => {
+  AWSMock.restore('DynamoDB.DocumentClient');
+  process.env.RECURRING_TABLE = 'RecurringSchedules';
+  process.env.TRANSACTION_TABLE = 'Transactions';
+});
+
+afterAll(() => {
+  AWSMock.restore();
+});
+
+describe('createSchedule', () => {
+  const schedule = {
+    Name: 'Rent',
+    Transaction: {
+      AccountID: 'acc1',
+      Amount: -1200,
+      Category: 'Housing'
+    },
+    Frequency: 'monthly',
+    StartDate: '2023-07-01'
+  };
+
+  it('rejects an unknown frequency', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/recurring',
+      body: JSON.stringify({ ...schedule, Frequency: 'hourly' }),
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+
+  it('rejects a schedule with both an end date and a count', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/recurring',
+      body: JSON.stringify({ ...schedule, EndDate: '2024-07-01', Count: 12 }),
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+
+  it('rejects an end date before the start date', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/recurring',
+      body: JSON.stringify({ ...schedule, EndDate: '2023-01-01' }),
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+
+  // The function creates its DocumentClient as it loads, so it is loaded afresh
+  // after the mocks are set up on its own copy of the SDK
+  const loadHandler = (mock) => {
+    let loaded;
+    jest.isolateModules(() => {
+      AWSMock.setSDKInstance(require('aws-sdk'));
+      mock();
+      loaded = require('./index').handler;
+    });
+    return loaded;
+  };
+
+  it.each([
+    ['another user\'s account', { AccountID: 'acc1', UserID: 'user456', IsActive: true }],
+    ['a closed account', { AccountID: 'acc1', UserID: 'user123', IsActive: false }]
+  ])('rejects a schedule into %s', async (description, account) => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/recurring',
+      body: JSON.stringify(schedule),
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const put = jest.fn();
+    const mockedHandler = loadHandler(() => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        callback(null, { Item: account });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'put', (params, callback) => {
+        put(params);
+        callback(null, {});
+      });
+    });
+
+    const result = await mockedHandler(event, context);
+    expect(result.statusCode).toBe(404);
+    expect(JSON.parse(result.body).message).toEqual('Account not found or does not belong to the user');
+    expect(put).not.toHaveBeenCalled();
+  });
+});
+
+describe('Error Handling in Recurring Service', () => {
+  it('returns unauthorized without a user ID', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/recurring',
+      requestContext: { authorizer: {} }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(401);
+  });
+});
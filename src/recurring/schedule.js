@@ -0,0 +1,181 @@
+'use strict';
+
+/**
+ * Recurrence rule evaluation for recurring transactions.
+ *
+ * Occurrences are numbered from 0 and each one is computed directly from the
+ * start date, so monthly schedules keep their day of month (a schedule starting
+ * on the 31st falls on the last day of shorter months) instead of drifting.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a YYYY-MM-DD (or full ISO) date to a UTC midnight Date.
+ *
+ * @param {string} value - The date.
+ * @returns {Date} The date at 00:00 UTC.
+ */
+const toUtcDate = (value) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Formats a Date as YYYY-MM-DD.
+ *
+ * @param {Date} date - The date.
+ * @returns {string} The ISO calendar date.
+ */
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const isWeekend = (date) => date.getUTCDay() === 0 || date.getUTCDay() === 6;
+
+/**
+ * Moves a Saturday or Sunday to the following Monday.
+ *
+ * @param {Date} date - The date.
+ * @returns {Date} The date, or the next Monday if it falls on a weekend.
+ */
+const nextWeekday = (date) => {
+  let result = date;
+  while (isWeekend(result)) {
+    result = new Date(result.getTime() + DAY_MS);
+  }
+  return result;
+};
+
+/**
+ * Adds whole months, clamping the day to the length of the target month.
+ *
+ * @param {Date} start - The start date.
+ * @param {number} months - The number of months to add.
+ * @returns {Date} The resulting date.
+ */
+const addMonths = (start, months) => {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay)));
+};
+
+/**
+ * Adds business days (Monday to Friday) to a weekday.
+ *
+ * @param {Date} start - The start date, a weekday.
+ * @param {number} days - The number of business days to add.
+ * @returns {Date} The resulting date.
+ */
+const addBusinessDays = (start, days) => {
+  const weeks = Math.floor(days / 5);
+  let result = new Date(start.getTime() + weeks * 7 * DAY_MS);
+  for (let remaining = days % 5; remaining > 0; remaining--) {
+    result = nextWeekday(new Date(result.getTime() + DAY_MS));
+  }
+  return result;
+};
+
+/**
+ * Computes the date of the nth occurrence of a schedule, ignoring its end.
+ *
+ * With SkipWeekends, daily schedules count business days only, and other
+ * schedules move an occurrence that falls on a weekend to the next Monday.
+ *
+ * @param {Object} schedule - The schedule (Frequency, Interval, StartDate, SkipWeekends).
+ * @param {number} index - The zero-based occurrence number.
+ * @returns {string} The occurrence date (YYYY-MM-DD).
+ */
+const occurrenceDate = (schedule, index) => {
+  const start = toUtcDate(schedule.StartDate);
+  const step = index * (schedule.Interval || 1);
+  let date;
+  switch (schedule.Frequency) {
+    case 'daily':
+      date = schedule.SkipWeekends
+        ? addBusinessDays(nextWeekday(start), step)
+        : new Date(start.getTime() + step * DAY_MS);
+      break;
+    case 'weekly':
+      date = new Date(start.getTime() + step * 7 * DAY_MS);
+      break;
+    case 'monthly':
+      date = addMonths(start, step);
+      break;
+    case 'yearly':
+      date = addMonths(start, step * 12);
+      break;
+    default:
+      throw new Error(`Unsupported frequency: ${schedule.Frequency}`);
+  }
+  return formatDate(schedule.SkipWeekends ? nextWeekday(date) : date);
+};
+
+/**
+ * Tells whether the nth occurrence lies within the schedule's end date or count.
+ *
+ * @param {Object} schedule - The schedule (EndDate, Count).
+ * @param {number} index - The zero-based occurrence number.
+ * @param {string} date - The occurrence date (YYYY-MM-DD).
+ * @returns {boolean} True if the occurrence is part of the schedule.
+ */
+const withinSchedule = (schedule, index, date) => {
+  if (schedule.Count !== undefined && index >= schedule.Count) return false;
+  if (schedule.EndDate && date > formatDate(toUtcDate(schedule.EndDate))) return false;
+  return true;
+};
+
+/**
+ * Lists the occurrences due on or before a date, starting at an occurrence number.
+ *
+ * @param {Object} schedule - The schedule.
+ * @param {number} fromIndex - The first occurrence number to consider.
+ * @param {string} untilDate - The last date to include (YYYY-MM-DD).
+ * @param {number} [limit=Infinity] - The maximum number of occurrences to return.
+ * @returns {Array<{index: number, date: string}>} The due occurrences, in order.
+ */
+const dueOccurrences = (schedule, fromIndex, untilDate, limit = Infinity) => {
+  const occurrences = [];
+  for (let index = fromIndex; occurrences.length < limit; index++) {
+    const date = occurrenceDate(schedule, index);
+    if (date > untilDate || !withinSchedule(schedule, index, date)) break;
+    occurrences.push({ index, date });
+  }
+  return occurrences;
+};
+
+/**
+ * Finds the next occurrence of a schedule from an occurrence number onwards.
+ *
+ * @param {Object} schedule - The schedule.
+ * @param {number} index - The occurrence number.
+ * @returns {string|null} The occurrence date, or null if the schedule has ended.
+ */
+const nextOccurrence = (schedule, index) => {
+  const date = occurrenceDate(schedule, index);
+  return withinSchedule(schedule, index, date) ? date : null;
+};
+
+/**
+ * Finds the first occurrence number dated after a given date.
+ *
+ * @param {Object} schedule - The schedule.
+ * @param {string|null} date - The date (YYYY-MM-DD), or null to start from the beginning.
+ * @returns {number} The occurrence number.
+ */
+const firstIndexAfter = (schedule, date) => {
+  if (!date) return 0;
+  let index = 0;
+  for (;;) {
+    const occurrence = occurrenceDate(schedule, index);
+    if (occurrence > date || !withinSchedule(schedule, index, occurrence)) return index;
+    index++;
+  }
+};
+
+module.exports = {
+  formatDate,
+  occurrenceDate,
+  dueOccurrences,
+  nextOccurrence,
+  firstIndexAfter
+};
@@ -0,0 +1,59 @@
+const { occurrenceDate, dueOccurrences, nextOccurrence, firstIndexAfter } = require('./schedule');
+
+describe('occurrenceDate', () => {
+  it('keeps the day of month, clamped to shorter months', () => {
+    const schedule = { Frequency: 'monthly', Interval: 1, StartDate: '2023-01-31' };
+    expect([0, 1, 2, 3].map(index => occurrenceDate(schedule, index)))
+      .toEqual(['2023-01-31', '2023-02-28', '2023-03-31', '2023-04-30']);
+  });
+
+  it('applies the interval', () => {
+    const schedule = { Frequency: 'weekly', Interval: 2, StartDate: '2023-06-05' };
+    expect(occurrenceDate(schedule, 2)).toBe('2023-07-03');
+  });
+
+  it('handles leap days in yearly schedules', () => {
+    const schedule = { Frequency: 'yearly', Interval: 1, StartDate: '2024-02-29' };
+    expect(occurrenceDate(schedule, 1)).toBe('2025-02-28');
+  });
+
+  it('counts business days for daily schedules that skip weekends', () => {
+    const schedule = { Frequency: 'daily', Interval: 1, StartDate: '2023-06-09', SkipWeekends: true };
+    expect([0, 1, 5].map(index => occurrenceDate(schedule, index)))
+      .toEqual(['2023-06-09', '2023-06-12', '2023-06-16']);
+  });
+
+  it('moves weekend occurrences to Monday for other schedules', () => {
+    const schedule = { Frequency: 'monthly', Interval: 1, StartDate: '2023-07-01', SkipWeekends: true };
+    expect(occurrenceDate(schedule, 0)).toBe('2023-07-03');
+  });
+});
+
+describe('dueOccurrences', () => {
+  const schedule = { Frequency: 'monthly', Interval: 1, StartDate: '2023-01-15' };
+
+  it('lists occurrences up to the given date', () => {
+    expect(dueOccurrences(schedule, 1, '2023-04-14')).toEqual([
+      { index: 1, date: '2023-02-15' },
+      { index: 2, date: '2023-03-15' }
+    ]);
+  });
+
+  it('stops at the count or end date', () => {
+    expect(dueOccurrences({ ...schedule, Count: 2 }, 0, '2024-01-01')).toHaveLength(2);
+    expect(dueOccurrences({ ...schedule, EndDate: '2023-03-15' }, 0, '2024-01-01')).toHaveLength(3);
+    expect(nextOccurrence({ ...schedule, Count: 2 }, 2)).toBeNull();
+  });
+
+  it('respects the limit', () => {
+    expect(dueOccurrences(schedule, 0, '2030-01-01', 5)).toHaveLength(5);
+  });
+});
+
+describe('firstIndexAfter', () => {
+  it('finds the first occurrence after a date', () => {
+    const schedule = { Frequency: 'monthly', Interval: 1, StartDate: '2023-01-15' };
+    expect(firstIndexAfter(schedule, null)).toBe(0);
+    expect(firstIndexAfter(schedule, '2023-03-15')).toBe(3);
+  });
+});
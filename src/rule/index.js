@@ -0,0 +1,457 @@
+/**
+
+This implementation manages user-defined categorization rules:
+
+1. CRUD operations for rules under /rule.
+2. POST /rule/apply, which re-runs the rules over existing transactions, with a dry-run preview.
+
+A rule maps transactions to a category and tags. Its conditions (description contains or regex, amount range,
+account) must all hold, and rules are tried in ascending Priority. The transaction service applies the rules when
+a transaction is created without a Category and during statement imports; the export service applies them during
+CSV imports.
+
+Transactions categorized by a rule carry its RuleID. Re-running the rules only touches those and transactions that
+are still uncategorized, unless IncludeManual is set, so categories users picked by hand are left alone.
+
+Rules are stored with UserID as partition key and RuleID as sort key, so loading a user's rules is a single query.
+
+*/
+
+'use strict';
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const Joi = require('joi');
+const winston = require('winston');
+const { sortRules, categorize } = require('@personal-finance/shared/categorize');
+const { versionCondition } = require('@personal-finance/shared/versioning');
+const { RECONCILED } = require('@personal-finance/shared/transactions');
+
+// Initialize AWS SDK and Winston logger
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'rule-service' },
+  transports: [
+    new winston.transports.Console()
+  ],
+});
+
+// Environment variables
+const TABLE_NAME = process.env.RULE_TABLE;
+const TRANSACTION_TABLE = process.env.TRANSACTION_TABLE;
+const STAGE = process.env.STAGE;
+
+const USER_DATE_INDEX = 'UserDateIndex';
+const UNCATEGORIZED = 'Uncategorized';
+const MAX_PREVIEW_CHANGES = 500;
+
+// Validation schema
+const ruleSchema = Joi.object({
+  Name: Joi.string().required().max(100),
+  Priority: Joi.number().integer().min(0).default(100),
+  Match: Joi.object({
+    DescriptionContains: Joi.string().max(200),
+    DescriptionRegex: Joi.string().max(200).custom((value, helpers) => {
+      try {
+        new RegExp(value, 'i');
+      } catch (error) {
+        return helpers.message('"Match.DescriptionRegex" must be a valid regular expression');
+      }
+      return value;
+    }),
+    MinAmount: Joi.number(),
+    MaxAmount: Joi.number().min(Joi.ref('MinAmount')),
+    AccountID: Joi.string()
+  }).or('DescriptionContains', 'DescriptionRegex', 'MinAmount', 'MaxAmount', 'AccountID').required(),
+  Category: Joi.string().required(),
+  Tags: Joi.array().items(Joi.string().max(50)).unique().default([]),
+  IsActive: Joi.boolean().default(true)
+});
+
+// Re-run request schema
+const applySchema = Joi.object({
+  DryRun: Joi.boolean().default(true),
+  IncludeManual: Joi.boolean().default(false),
+  From: Joi.date().iso(),
+  To: Joi.date().iso()
+});
+
+/**
+ * Creates a standardized response object.
+ *
+ * @param {number} statusCode - The HTTP status code.
+ * @param {Object} body - The response body.
+ * @returns {Object} The formatted response object.
+ */
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Extracts the user ID from the Cognito authorizer context.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @returns {string} The user ID.
+ * @throws {Error} If the user ID is not found in the event.
+ */
+const getUserId = (event) => {
+  if (event.requestContext &&
+      event.requestContext.authorizer &&
+      event.requestContext.authorizer.claims &&
+      event.requestContext.authorizer.claims.sub) {
+    return event.requestContext.authorizer.claims.sub;
+  }
+  throw new Error('User ID not found in the event object');
+};
+
+/**
+ * Runs a query to completion, following LastEvaluatedKey across pages.
+ *
+ * @param {Object} params - The DynamoDB query parameters.
+ * @returns {Promise<Array>} All items matched by the query.
+ */
+const queryAll = async (params) => {
+  const items = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({ ...params, ExclusiveStartKey: startKey }).promise();
+    items.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return items;
+};
+
+/**
+ * Loads all rules of a user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array>} The rules.
+ */
+const loadRules = async (userId) => queryAll({
+  TableName: TABLE_NAME,
+  KeyConditionExpression: 'UserID = :userId',
+  ExpressionAttributeValues: { ':userId': userId }
+});
+
+/**
+ * Retrieves all rules of a user, in evaluation order.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getAllRules = async (userId) => {
+  const rules = await loadRules(userId);
+  const ordered = [...rules].sort((a, b) => (a.Priority - b.Priority) || String(a.CreatedAt).localeCompare(String(b.CreatedAt)));
+  logger.info('Rules retrieved', { userId, count: ordered.length });
+  return createResponse(200, ordered);
+};
+
+/**
+ * Retrieves a single rule.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} ruleId - The ID of the rule.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getRule = async (userId, ruleId) => {
+  const result = await dynamodb.get({
+    TableName: TABLE_NAME,
+    Key: { UserID: userId, RuleID: ruleId }
+  }).promise();
+  if (!result.Item) {
+    logger.warn('Rule not found', { userId, ruleId });
+    return createResponse(404, { message: 'Rule not found' });
+  }
+  logger.info('Rule retrieved', { userId, ruleId });
+  return createResponse(200, result.Item);
+};
+
+/**
+ * Creates a new rule.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} rule - The rule data.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const createRule = async (userId, rule) => {
+  const { error, value } = ruleSchema.validate(rule);
+  if (error) {
+    logger.warn('Invalid input', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const newRule = {
+    ...value,
+    RuleID: uuidv4(),
+    UserID: userId,
+    CreatedAt: new Date().toISOString()
+  };
+  await dynamodb.put({
+    TableName: TABLE_NAME,
+    Item: newRule
+  }).promise();
+  logger.info('Rule created', { userId, ruleId: newRule.RuleID });
+  return createResponse(201, { message: 'Rule created successfully', rule: newRule });
+};
+
+/**
+ * Replaces an existing rule.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} ruleId - The ID of the rule to update.
+ * @param {Object} rule - The updated rule data.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const updateRule = async (userId, ruleId, rule) => {
+  const { error, value } = ruleSchema.validate(rule);
+  if (error) {
+    logger.warn('Invalid input', { userId, ruleId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const params = {
+    TableName: TABLE_NAME,
+    Key: { UserID: userId, RuleID: ruleId },
+    UpdateExpression: 'set #name = :name, Priority = :priority, #match = :match, Category = :category, Tags = :tags, IsActive = :isActive, UpdatedAt = :updatedAt',
+    ConditionExpression: 'attribute_exists(RuleID)',
+    ExpressionAttributeNames: {
+      '#name': 'Name',
+      '#match': 'Match'
+    },
+    ExpressionAttributeValues: {
+      ':name': value.Name,
+      ':priority': value.Priority,
+      ':match': value.Match,
+      ':category': value.Category,
+      ':tags': value.Tags,
+      ':isActive': value.IsActive,
+      ':updatedAt': new Date().toISOString()
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  try {
+    const result = await dynamodb.update(params).promise();
+    logger.info('Rule updated', { userId, ruleId });
+    return createResponse(200, { message: 'Rule updated successfully', rule: result.Attributes });
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Rule not found', { userId, ruleId });
+      return createResponse(404, { message: 'Rule not found' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Deletes a rule. Transactions it categorized keep their category.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} ruleId - The ID of the rule to delete.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const deleteRule = async (userId, ruleId) => {
+  const params = {
+    TableName: TABLE_NAME,
+    Key: { UserID: userId, RuleID: ruleId },
+    ConditionExpression: 'attribute_exists(RuleID)'
+  };
+
+  try {
+    await dynamodb.delete(params).promise();
+    logger.info('Rule deleted', { userId, ruleId });
+    return createResponse(200, { message: 'Rule deleted successfully' });
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Rule not found', { userId, ruleId });
+      return createResponse(404, { message: 'Rule not found' });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Tells whether the rules may recategorize a transaction. Split transactions,
+ * transfer legs and reconciled transactions are never touched; manual
+ * categories only on request.
+ *
+ * @param {Object} transaction - The transaction.
+ * @param {boolean} includeManual - Whether manually categorized transactions are included.
+ * @returns {boolean} True if the transaction is eligible.
+ */
+const isRecategorizable = (transaction, includeManual) => {
+  if (transaction.Splits || transaction.TransferID || transaction.Status === RECONCILED) return false;
+  return includeManual || Boolean(transaction.RuleID) || !transaction.Category || transaction.Category === UNCATEGORIZED;
+};
+
+/**
+ * Re-runs the rules over existing transactions. In dry-run mode (the default)
+ * only the changes that would be made are returned. A transaction changed or
+ * reconciled since it was read is skipped rather than overwritten.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} request - The request (DryRun, IncludeManual, From, To).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const applyRules = async (userId, request) => {
+  const { error, value } = applySchema.validate(request || {});
+  if (error) {
+    logger.warn('Invalid input', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const rules = sortRules(await loadRules(userId));
+  const names = {};
+  const values = { ':userId': userId };
+  let keyCondition = 'UserID = :userId';
+  if (request && (request.From || request.To)) {
+    names['#date'] = 'Date';
+    values[':from'] = request.From || '0000';
+    values[':to'] = request.To || '9999';
+    if (/^\d{4}-\d{2}-\d{2}$/.test(values[':to'])) {
+      // A date-only To covers the whole day
+      values[':to'] += 'T23:59:59.999Z';
+    }
+    keyCondition += ' AND #date BETWEEN :from AND :to';
+  }
+  const transactions = await queryAll({
+    TableName: TRANSACTION_TABLE,
+    IndexName: USER_DATE_INDEX,
+    KeyConditionExpression: keyCondition,
+    ExpressionAttributeValues: values,
+    ...(Object.keys(names).length > 0 ? { ExpressionAttributeNames: names } : {})
+  });
+
+  const changes = transactions
+    .filter(transaction => isRecategorizable(transaction, value.IncludeManual))
+    .map(transaction => ({ transaction, assignment: categorize(transaction, rules) }))
+    .filter(({ transaction, assignment }) => assignment && (
+      assignment.Category !== transaction.Category ||
+      assignment.RuleID !== transaction.RuleID ||
+      JSON.stringify(assignment.Tags) !== JSON.stringify(transaction.Tags || [])
+    ));
+
+  const skipped = new Set();
+  if (!value.DryRun) {
+    const updatedAt = new Date().toISOString();
+    for (const { transaction, assignment } of changes) {
+      const version = versionCondition(transaction);
+      try {
+        await dynamodb.update({
+          TableName: TRANSACTION_TABLE,
+          Key: { TransactionID: transaction.TransactionID },
+          UpdateExpression: 'set Category = :category, Tags = :tags, RuleID = :ruleId, UpdatedAt = :updatedAt, '
+            + 'Version = if_not_exists(Version, :baseVersion) + :increment',
+          ConditionExpression: `UserID = :userId AND ${version.expression} `
+            + 'AND (attribute_not_exists(#status) OR #status <> :reconciled)',
+          ExpressionAttributeNames: { '#status': 'Status' },
+          ExpressionAttributeValues: {
+            ':category': assignment.Category,
+            ':tags': assignment.Tags,
+            ':ruleId': assignment.RuleID,
+            ':updatedAt': updatedAt,
+            ':userId': userId,
+            ':reconciled': RECONCILED,
+            ':baseVersion': 1,
+            ':increment': 1,
+            ...version.values
+          }
+        }).promise();
+      } catch (updateError) {
+        if (updateError.code !== 'ConditionalCheckFailedException') throw updateError;
+        skipped.add(transaction.TransactionID);
+      }
+    }
+  }
+  const applied = changes.filter(({ transaction }) => !skipped.has(transaction.TransactionID));
+
+  logger.info('Rules applied', {
+    userId,
+    dryRun: value.DryRun,
+    examined: transactions.length,
+    changed: applied.length,
+    skipped: skipped.size
+  });
+  return createResponse(200, {
+    message: value.DryRun ? 'Dry run completed' : 'Rules applied successfully',
+    dryRun: value.DryRun,
+    examined: transactions.length,
+    changed: applied.length,
+    skipped: skipped.size,
+    changes: applied.slice(0, MAX_PREVIEW_CHANGES).map(({ transaction, assignment }) => ({
+      TransactionID: transaction.TransactionID,
+      Date: transaction.Date,
+      Description: transaction.Description,
+      Amount: transaction.Amount,
+      from: { Category: transaction.Category, Tags: transaction.Tags || [] },
+      to: { Category: assignment.Category, Tags: assignment.Tags },
+      RuleID: assignment.RuleID
+    }))
+  });
+};
+
+/**
+ * Main handler function for the Lambda.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @param {Object} context - The Lambda context object.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+exports.handler = async (event, context) => {
+  logger.info('Received event', {
+    requestId: context.awsRequestId,
+    event: JSON.stringify(event)
+  });
+
+  const { httpMethod, path, body, pathParameters } = event;
+
+  try {
+    const userId = getUserId(event);
+
+    switch (httpMethod) {
+      case 'GET':
+        return path === '/rule' ? await getAllRules(userId) : await getRule(userId, pathParameters.id);
+      case 'POST':
+        return path === '/rule/apply'
+          ? await applyRules(userId, body ? JSON.parse(body) : {})
+          : await createRule(userId, JSON.parse(body));
+      case 'PUT':
+        return await updateRule(userId, pathParameters.id, JSON.parse(body));
+      case 'DELETE':
+        return await deleteRule(userId, pathParameters.id);
+      default:
+        logger.warn('Unsupported HTTP method', { userId, method: httpMethod });
+        return createResponse(400, { message: 'Unsupported HTTP method' });
+    }
+  } catch (error) {
+    if (error.message === 'User ID not found in the event object') {
+      logger.error('Unauthorized access attempt', { error: error.message });
+      return createResponse(401, { message: 'Unauthorized' });
+    }
+    logger.error('Error processing request', { error: error.message, stack: error.stack });
+    return createResponse(500, { message: 'Internal server error' });
+  }
+};
+
+// If running in a test environment, export internal functions for unit testing
+if (STAGE === 'test') {
+  module.exports = {
+    createResponse,
+    getUserId,
+    queryAll,
+    loadRules,
+    getAllRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    isRecategorizable,
+    applyRules
+  };
+}
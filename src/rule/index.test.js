@@ -0,0 +1,144 @@
+const AWSMock = require('aws-sdk-mock');
+const AWS = require('aws-sdk');
+const { handler } = require('./index');
+
+// Setting up the AWS SDK DynamoDB DocumentClient mock
+AWSMock.setSDKInstance(AWS);
+
+const context = { awsRequestId: 'test-request' };
+const requestContext = {
+  authorizer: {
+    claims: { sub: 'user123' }
+  }
+};
+
+beforeEach(() => {
+  AWSMock.restore('DynamoDB.DocumentClient');
+  process.env.RULE_TABLE = 'Rules';
+  process.env.TRANSACTION_TABLE = 'Transactions';
+});
+
+afterAll(() => {
+  AWSMock.restore();
+});
+
+describe('createRule', () => {
+  it('requires at least one match condition', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/rule',
+      body: JSON.stringify({ Name: 'Everything', Match: {}, Category: 'Misc' }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+
+  it('rejects an invalid regular expression', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/rule',
+      body: JSON.stringify({ Name: 'Broken', Match: { DescriptionRegex: '(' }, Category: 'Misc' }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"Match.DescriptionRegex" must be a valid regular expression');
+  });
+
+  it('rejects an amount range that ends before it starts', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/rule',
+      body: JSON.stringify({ Name: 'Range', Match: { MinAmount: 10, MaxAmount: 5 }, Category: 'Misc' }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+});
+
+describe('applyRules', () => {
+  it('rejects an invalid date range value', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/rule/apply',
+      body: JSON.stringify({ From: 'yesterday' }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+
+  // The function creates its DocumentClient as it loads, so it is loaded afresh
+  // after the mocks are set up on its own copy of the SDK
+  const loadHandler = (mock) => {
+    let loaded;
+    jest.isolateModules(() => {
+      AWSMock.setSDKInstance(require('aws-sdk'));
+      mock();
+      loaded = require('./index').handler;
+    });
+    return loaded;
+  };
+
+  it('skips transactions changed since they were read', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/rule/apply',
+      body: JSON.stringify({ DryRun: false, To: '2023-06-30' }),
+      requestContext
+    };
+
+    const queries = [];
+    const updates = [];
+    const mockedHandler = loadHandler(() => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        queries.push(params);
+        callback(null, {
+          Items: params.IndexName
+            ? [
+              { TransactionID: 'txn1', UserID: 'user123', Description: 'TESCO STORES', Amount: -20, Version: 2 },
+              { TransactionID: 'txn2', UserID: 'user123', Description: 'TESCO EXPRESS', Amount: -5, Version: 1 }
+            ]
+            : [{ RuleID: 'rule1', Priority: 1, Match: { DescriptionContains: 'tesco' }, Category: 'Groceries', Tags: [] }]
+        });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        updates.push(params);
+        if (params.Key.TransactionID === 'txn2') {
+          const error = new Error('The conditional request failed');
+          error.code = 'ConditionalCheckFailedException';
+          callback(error);
+          return;
+        }
+        callback(null, {});
+      });
+    });
+
+    const result = await mockedHandler(event, context);
+    expect(result.statusCode).toBe(200);
+    const body = JSON.parse(result.body);
+    expect(body.changed).toBe(1);
+    expect(body.skipped).toBe(1);
+    expect(body.changes.map(change => change.TransactionID)).toEqual(['txn1']);
+    expect(updates[0].ExpressionAttributeValues[':expectedVersion']).toBe(2);
+    expect(queries.find(params => params.IndexName).ExpressionAttributeValues[':to']).toBe('2023-06-30T23:59:59.999Z');
+  });
+});
+
+describe('handler', () => {
+  it('returns 401 without a user', async () => {
+    const result = await handler({ httpMethod: 'GET', path: '/rule' }, context);
+    expect(result.statusCode).toBe(401);
+  });
+
+  it('rejects unsupported methods', async () => {
+    const result = await handler({ httpMethod: 'PATCH', path: '/rule', requestContext }, context);
+    expect(result.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * Account balances, now and in the past.
+ *
+ * The account's Balance is kept in step with every write of its transactions,
+ * each write carrying a `balanceUpdate` in the same DynamoDB transaction, so
+ * the balance at any earlier point is the current Balance minus what the
+ * transactions made after that point added. Transactions in a currency other
+ * than the account's do not change its balance. Transactions are ordered by
+ * Date, and by TransactionID within the same Date.
+ */
+
+const DEFAULT_CURRENCY = 'USD';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rounds an amount to cents.
+ *
+ * @param {number} amount - The amount.
+ * @returns {number} The rounded amount.
+ */
+const toCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Computes how much a transaction adds to its account's balance. The
+ * Interest part of a loan payment does not pay down the loan.
+ *
+ * @param {Object} transaction - The transaction.
+ * @param {string} [accountCurrency='USD'] - The currency of the account.
+ * @returns {number} The amount added to the balance.
+ */
+const balanceEffect = (transaction, accountCurrency = DEFAULT_CURRENCY) => (
+  !transaction.Currency || transaction.Currency === accountCurrency ? transaction.Amount - (transaction.Interest || 0) : 0
+);
+
+/**
+ * Builds the transact-write item that adds an amount to an account's balance.
+ * It fails if the account was archived or closed in the meantime, or belongs
+ * to another user.
+ *
+ * @param {string} tableName - The name of the account table.
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account.
+ * @param {number} delta - The amount to add to the balance.
+ * @param {string} timestamp - The update timestamp.
+ * @returns {Object} The TransactItems entry.
+ */
+const balanceUpdate = (tableName, userId, accountId, delta, timestamp) => ({
+  Update: {
+    TableName: tableName,
+    Key: { AccountID: accountId },
+    UpdateExpression: 'set Balance = Balance + :delta, UpdatedAt = :updatedAt, Version = Version + :increment',
+    ConditionExpression: 'UserID = :userId AND IsActive = :isActive',
+    ExpressionAttributeValues: {
+      ':delta': delta,
+      ':updatedAt': timestamp,
+      ':increment': 1,
+      ':userId': userId,
+      ':isActive': true
+    }
+  }
+});
+
+/**
+ * Orders transactions newest first.
+ *
+ * @param {Object} a - A transaction.
+ * @param {Object} b - Another transaction.
+ * @returns {number} The sort order.
+ */
+const compareNewestFirst = (a, b) => (
+  String(b.Date).localeCompare(String(a.Date)) || String(b.TransactionID).localeCompare(String(a.TransactionID))
+);
+
+/**
+ * Computes the balance of an account right after each of its transactions.
+ *
+ * @param {number} balance - The account's current Balance.
+ * @param {Array<Object>} transactions - Every transaction of the account from the oldest one
+ *   wanted onwards, including those dated in the future.
+ * @param {string} [accountCurrency='USD'] - The currency of the account.
+ * @returns {Object} The running balance after each transaction, keyed by TransactionID.
+ */
+const runningBalances = (balance, transactions, accountCurrency = DEFAULT_CURRENCY) => {
+  const balances = {};
+  let running = balance;
+  [...transactions].sort(compareNewestFirst).forEach((transaction) => {
+    balances[transaction.TransactionID] = toCents(running);
+    running -= balanceEffect(transaction, accountCurrency);
+  });
+  return balances;
+};
+
+/**
+ * Lists the days that close each period between two dates: every day, every
+ * Sunday (weeks run Monday to Sunday) or the last day of every month. The
+ * last period closes on the end date even if it is cut short.
+ *
+ * @param {string} from - The first day (YYYY-MM-DD).
+ * @param {string} to - The last day (YYYY-MM-DD).
+ * @param {string} interval - day, week or month.
+ * @returns {Array<string>} The closing days, oldest first.
+ */
+const periodEnds = (from, to, interval) => {
+  const ends = [];
+  const last = Date.parse(to);
+  for (let time = Date.parse(from); time <= last; time += DAY_MS) {
+    const day = new Date(time);
+    const closes = interval === 'day'
+      || (interval === 'week' && day.getUTCDay() === 0)
+      || (interval === 'month' && new Date(time + DAY_MS).getUTCDate() === 1);
+    if (closes || time === last) {
+      ends.push(day.toISOString().slice(0, 10));
+    }
+  }
+  return ends;
+};
+
+/**
+ * Reconstructs an account's balance at the close of each period between two
+ * dates.
+ *
+ * @param {number} balance - The account's current Balance.
+ * @param {Array<Object>} transactions - Every transaction of the account dated on or after
+ *   `from`, including those dated in the future.
+ * @param {string} from - The first day (YYYY-MM-DD).
+ * @param {string} to - The last day (YYYY-MM-DD).
+ * @param {string} interval - day, week or month.
+ * @param {string} [accountCurrency='USD'] - The currency of the account.
+ * @returns {{openingBalance: number, points: Array<{Date: string, Balance: number, Change: number}>}}
+ *   The balance before `from`, and the balance at the close of each period with its change over the period.
+ */
+const balanceSeries = (balance, transactions, from, to, interval, accountCurrency = DEFAULT_CURRENCY) => {
+  const later = transactions
+    .map(transaction => ({ day: String(transaction.Date).slice(0, 10), effect: balanceEffect(transaction, accountCurrency) }))
+    .sort((a, b) => b.day.localeCompare(a.day));
+  let running = balance;
+  let next = 0;
+  // Called with ever earlier days, taking off the transactions made after each
+  const balanceAt = (day) => {
+    while (next < later.length && later[next].day > day) {
+      running -= later[next].effect;
+      next++;
+    }
+    return toCents(running);
+  };
+
+  const points = periodEnds(from, to, interval)
+    .reverse()
+    .map(day => ({ Date: day, Balance: balanceAt(day) }))
+    .reverse();
+  const openingBalance = balanceAt(new Date(Date.parse(from) - DAY_MS).toISOString().slice(0, 10));
+  points.forEach((point, index) => {
+    point.Change = toCents(point.Balance - (index > 0 ? points[index - 1].Balance : openingBalance));
+  });
+  return { openingBalance, points };
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  balanceEffect,
+  balanceUpdate,
+  compareNewestFirst,
+  runningBalances,
+  periodEnds,
+  balanceSeries
+};
@@ -0,0 +1,72 @@
+const {
+  balanceEffect,
+  balanceUpdate,
+  compareNewestFirst,
+  runningBalances,
+  periodEnds,
+  balanceSeries
+} = require('./balances');
+
+const transactions = [
+  { TransactionID: 't1', Date: '2023-06-01T09:00:00Z', Amount: 1000 },
+  { TransactionID: 't2', Date: '2023-06-03T12:00:00Z', Amount: -50.25 },
+  { TransactionID: 't3', Date: '2023-06-03T12:00:00Z', Amount: -20 },
+  { TransactionID: 't4', Date: '2023-06-10', Amount: -100, Currency: 'EUR' },
+  { TransactionID: 't5', Date: '2023-07-02', Amount: 200 }
+];
+
+describe('runningBalances', () => {
+  it('walks back from the current balance, newest first', () => {
+    expect(runningBalances(1129.75, transactions)).toEqual({
+      t5: 1129.75,
+      t4: 929.75,
+      t3: 929.75,
+      t2: 949.75,
+      t1: 1000
+    });
+    expect([...transactions].sort(compareNewestFirst).map(t => t.TransactionID)).toEqual(['t5', 't4', 't3', 't2', 't1']);
+  });
+});
+
+describe('periodEnds', () => {
+  it('closes weeks on Sundays and months on their last day', () => {
+    expect(periodEnds('2023-06-01', '2023-06-03', 'day')).toEqual(['2023-06-01', '2023-06-02', '2023-06-03']);
+    expect(periodEnds('2023-06-01', '2023-06-14', 'week')).toEqual(['2023-06-04', '2023-06-11', '2023-06-14']);
+    expect(periodEnds('2023-05-15', '2023-07-31', 'month')).toEqual(['2023-05-31', '2023-06-30', '2023-07-31']);
+  });
+});
+
+describe('balanceSeries', () => {
+  it('reconstructs the balance at the close of each period', () => {
+    const series = balanceSeries(1129.75, transactions, '2023-06-01', '2023-07-15', 'month');
+    expect(series.openingBalance).toBe(0);
+    expect(series.points).toEqual([
+      { Date: '2023-06-30', Balance: 929.75, Change: 929.75 },
+      { Date: '2023-07-15', Balance: 1129.75, Change: 200 }
+    ]);
+  });
+
+  it('leaves out transactions dated after the range', () => {
+    const series = balanceSeries(1129.75, transactions, '2023-06-02', '2023-06-03', 'day');
+    expect(series.openingBalance).toBe(1000);
+    expect(series.points.map(point => point.Balance)).toEqual([1000, 929.75]);
+  });
+});
+
+describe('balanceEffect', () => {
+  it('counts the principal part of transactions in the account currency', () => {
+    expect(balanceEffect({ Amount: 500, Interest: 41.67 })).toBeCloseTo(458.33);
+    expect(balanceEffect({ Amount: -20, Currency: 'EUR' }, 'EUR')).toBe(-20);
+    expect(balanceEffect({ Amount: -20, Currency: 'EUR' })).toBe(0);
+  });
+});
+
+describe('balanceUpdate', () => {
+  it('adds to the balance of an active account of the user', () => {
+    const { Update: update } = balanceUpdate('Accounts', 'user123', 'acc123', -20, '2023-06-01T00:00:00.000Z');
+    expect(update.TableName).toBe('Accounts');
+    expect(update.Key).toEqual({ AccountID: 'acc123' });
+    expect(update.ConditionExpression).toBe('UserID = :userId AND IsActive = :isActive');
+    expect(update.ExpressionAttributeValues).toMatchObject({ ':delta': -20, ':userId': 'user123', ':isActive': true });
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Rule-based transaction categorization.
+ *
+ * A rule matches a transaction when all of its conditions hold: description
+ * contains a text or matches a regular expression (both case-insensitive),
+ * the signed amount lies in a range, and the transaction belongs to an
+ * account. Rules are tried in ascending Priority; the first match wins.
+ */
+
+/**
+ * Tells whether a rule matches a transaction.
+ *
+ * @param {Object} rule - The rule, with its conditions in Match.
+ * @param {Object} transaction - The transaction (AccountID, Amount, Description).
+ * @returns {boolean} True if every condition of the rule holds.
+ */
+const ruleMatches = (rule, transaction) => {
+  const match = rule.Match || {};
+  const description = (transaction.Description || '').toLowerCase();
+  const amount = Number(transaction.Amount);
+
+  if (match.AccountID && match.AccountID !== transaction.AccountID) return false;
+  if (match.MinAmount !== undefined && amount < match.MinAmount) return false;
+  if (match.MaxAmount !== undefined && amount > match.MaxAmount) return false;
+  if (match.DescriptionContains && !description.includes(match.DescriptionContains.toLowerCase())) return false;
+  if (match.DescriptionRegex) {
+    try {
+      if (!new RegExp(match.DescriptionRegex, 'i').test(transaction.Description || '')) return false;
+    } catch (error) {
+      // A rule with an invalid pattern never matches
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Orders rules for evaluation: active rules only, by ascending Priority, then
+ * oldest first.
+ *
+ * @param {Array<Object>} rules - The user's rules.
+ * @returns {Array<Object>} The active rules in evaluation order.
+ */
+const sortRules = (rules) => rules
+  .filter(rule => rule.IsActive !== false)
+  .sort((a, b) => (a.Priority - b.Priority) || String(a.CreatedAt).localeCompare(String(b.CreatedAt)));
+
+/**
+ * Finds the category and tags the first matching rule assigns to a transaction.
+ *
+ * @param {Object} transaction - The transaction.
+ * @param {Array<Object>} rules - The user's rules.
+ * @returns {{Category: string, Tags: Array<string>, RuleID: string}|null} The assignment, or null if no rule matches.
+ */
+const categorize = (transaction, rules) => {
+  const rule = sortRules(rules).find(candidate => ruleMatches(candidate, transaction));
+  if (!rule) return null;
+  const tags = [...new Set([...(transaction.Tags || []), ...(rule.Tags || [])])];
+  return { Category: rule.Category, Tags: tags, RuleID: rule.RuleID };
+};
+
+module.exports = {
+  ruleMatches,
+  sortRules,
+  categorize
+};
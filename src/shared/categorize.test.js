@@ -0,0 +1,66 @@
+const { ruleMatches, sortRules, categorize } = require('./categorize');
+
+const transaction = {
+  AccountID: 'acc1',
+  Amount: -42.5,
+  Description: 'TESCO STORES 2231'
+};
+
+describe('ruleMatches', () => {
+  it('matches a description substring case-insensitively', () => {
+    expect(ruleMatches({ Match: { DescriptionContains: 'tesco' } }, transaction)).toBe(true);
+    expect(ruleMatches({ Match: { DescriptionContains: 'lidl' } }, transaction)).toBe(false);
+  });
+
+  it('matches a description regular expression case-insensitively', () => {
+    expect(ruleMatches({ Match: { DescriptionRegex: '^tesco\\b' } }, transaction)).toBe(true);
+    expect(ruleMatches({ Match: { DescriptionRegex: '^stores' } }, transaction)).toBe(false);
+  });
+
+  it('never matches with an invalid regular expression', () => {
+    expect(ruleMatches({ Match: { DescriptionRegex: '(' } }, transaction)).toBe(false);
+  });
+
+  it('compares signed amounts against the range', () => {
+    expect(ruleMatches({ Match: { MaxAmount: 0 } }, transaction)).toBe(true);
+    expect(ruleMatches({ Match: { MinAmount: 0 } }, transaction)).toBe(false);
+    expect(ruleMatches({ Match: { MinAmount: -50, MaxAmount: -40 } }, transaction)).toBe(true);
+  });
+
+  it('requires every condition to hold', () => {
+    expect(ruleMatches({ Match: { DescriptionContains: 'tesco', AccountID: 'acc2' } }, transaction)).toBe(false);
+    expect(ruleMatches({ Match: { DescriptionContains: 'tesco', AccountID: 'acc1' } }, transaction)).toBe(true);
+  });
+});
+
+describe('sortRules', () => {
+  it('drops inactive rules and orders by priority, then age', () => {
+    const rules = [
+      { RuleID: 'c', Priority: 5, CreatedAt: '2023-01-03T00:00:00Z' },
+      { RuleID: 'a', Priority: 10, CreatedAt: '2023-01-01T00:00:00Z' },
+      { RuleID: 'b', Priority: 5, CreatedAt: '2023-01-02T00:00:00Z' },
+      { RuleID: 'd', Priority: 1, CreatedAt: '2023-01-01T00:00:00Z', IsActive: false }
+    ];
+    expect(sortRules(rules).map(rule => rule.RuleID)).toEqual(['b', 'c', 'a']);
+  });
+});
+
+describe('categorize', () => {
+  const rules = [
+    { RuleID: 'broad', Priority: 100, Match: { MaxAmount: 0 }, Category: 'Shopping', Tags: [] },
+    { RuleID: 'tesco', Priority: 10, Match: { DescriptionContains: 'tesco' }, Category: 'Groceries', Tags: ['food'] }
+  ];
+
+  it('uses the first matching rule by priority', () => {
+    expect(categorize(transaction, rules)).toEqual({ Category: 'Groceries', Tags: ['food'], RuleID: 'tesco' });
+  });
+
+  it('merges the rule tags with the transaction tags', () => {
+    const tagged = { ...transaction, Tags: ['weekly', 'food'] };
+    expect(categorize(tagged, rules).Tags).toEqual(['weekly', 'food']);
+  });
+
+  it('returns null when no rule matches', () => {
+    expect(categorize({ ...transaction, Amount: 10, Description: 'Salary' }, rules)).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Duplicate-transaction detection.
+ *
+ * Two transactions are likely duplicates when they belong to the same account,
+ * have the same amount, are dated within a few days of each other and have
+ * similar descriptions. Bank descriptions carry reference numbers and card
+ * suffixes ("AMZN Mktp US*2K3"), so descriptions are compared fuzzily.
+ */
+
+const DUPLICATE_DATE_WINDOW_DAYS = 3;
+const DUPLICATE_SIMILARITY_THRESHOLD = 0.6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalizes a description for comparison: lowercase words, without numbers
+ * and punctuation.
+ *
+ * @param {string} description - The transaction description.
+ * @returns {string} The normalized description.
+ */
+const normalizeDescription = (description) => (description || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(token => token !== '' && !/^\d+$/.test(token))
+  .join(' ');
+
+/**
+ * Collects the character bigrams of a string.
+ *
+ * @param {string} text - The text.
+ * @returns {Map<string, number>} Bigram counts.
+ */
+const bigrams = (text) => {
+  const counts = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const pair = text.slice(i, i + 2);
+    counts.set(pair, (counts.get(pair) || 0) + 1);
+  }
+  return counts;
+};
+
+/**
+ * Scores how similar two descriptions are (Dice coefficient over character
+ * bigrams of the normalized text).
+ *
+ * A missing description says nothing about a match, so it scores 0.
+ *
+ * @param {string} a - The first description.
+ * @param {string} b - The second description.
+ * @returns {number} The similarity, from 0 (unrelated) to 1 (identical).
+ */
+const descriptionSimilarity = (a, b) => {
+  const left = normalizeDescription(a);
+  const right = normalizeDescription(b);
+  if (left === '' || right === '') return 0;
+  if (left === right) return 1;
+
+  const leftBigrams = bigrams(left);
+  const rightBigrams = bigrams(right);
+  let overlap = 0;
+  leftBigrams.forEach((count, pair) => {
+    overlap += Math.min(count, rightBigrams.get(pair) || 0);
+  });
+  const total = (left.length - 1) + (right.length - 1);
+  return total > 0 ? (2 * overlap) / total : 0;
+};
+
+/**
+ * Returns the date range to search for duplicates of a transaction date.
+ *
+ * @param {string} date - The transaction date (ISO 8601).
+ * @returns {{from: string, to: string}} The window bounds as ISO strings.
+ */
+const duplicateWindow = (date) => {
+  const time = new Date(date).getTime();
+  return {
+    from: new Date(time - DUPLICATE_DATE_WINDOW_DAYS * DAY_MS).toISOString(),
+    to: new Date(time + DUPLICATE_DATE_WINDOW_DAYS * DAY_MS).toISOString()
+  };
+};
+
+/**
+ * Finds the likely duplicates of a transaction among existing ones.
+ *
+ * @param {Object} transaction - The new transaction (AccountID, Date, Amount, Description).
+ * @param {Array<Object>} existing - Existing transactions to compare against.
+ * @returns {Array<{transaction: Object, score: number}>} The matches, best first.
+ */
+const findDuplicates = (transaction, existing) => {
+  const time = new Date(transaction.Date).getTime();
+  return existing
+    .filter(other => other.TransactionID !== transaction.TransactionID &&
+      other.AccountID === transaction.AccountID &&
+      Math.abs(Number(other.Amount) - Number(transaction.Amount)) < 0.005 &&
+      Math.abs(new Date(other.Date).getTime() - time) <= DUPLICATE_DATE_WINDOW_DAYS * DAY_MS)
+    .map(other => ({
+      transaction: other,
+      score: descriptionSimilarity(transaction.Description, other.Description)
+    }))
+    .filter(match => match.score >= DUPLICATE_SIMILARITY_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = {
+  DUPLICATE_DATE_WINDOW_DAYS,
+  normalizeDescription,
+  descriptionSimilarity,
+  duplicateWindow,
+  findDuplicates
+};
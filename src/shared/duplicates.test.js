@@ -0,0 +1,57 @@
+const { normalizeDescription, descriptionSimilarity, duplicateWindow, findDuplicates } = require('./duplicates');
+
+describe('descriptionSimilarity', () => {
+  it('ignores case, punctuation and reference numbers', () => {
+    expect(normalizeDescription('AMZN Mktp US*2K3 #12345')).toBe('amzn mktp us 2k3');
+    expect(descriptionSimilarity('Grocery Store #123', 'GROCERY STORE 456')).toBe(1);
+  });
+
+  it('scores related descriptions higher than unrelated ones', () => {
+    const related = descriptionSimilarity('AMZN Mktp US*2K3', 'AMZN Mktp US*9QX');
+    const unrelated = descriptionSimilarity('AMZN Mktp US*2K3', 'Shell Gas Station');
+    expect(related).toBeGreaterThan(0.6);
+    expect(unrelated).toBeLessThan(0.3);
+  });
+
+  it('does not treat a missing description as a match', () => {
+    expect(descriptionSimilarity('', 'Coffee')).toBe(0);
+    expect(descriptionSimilarity(undefined, '')).toBe(0);
+  });
+});
+
+describe('duplicateWindow', () => {
+  it('spans three days either side of the date', () => {
+    expect(duplicateWindow('2023-06-10')).toEqual({
+      from: '2023-06-07T00:00:00.000Z',
+      to: '2023-06-13T00:00:00.000Z'
+    });
+  });
+});
+
+describe('findDuplicates', () => {
+  const existing = [
+    { TransactionID: 't1', AccountID: 'a1', Date: '2023-06-09', Amount: -50, Description: 'Grocery Store 123' },
+    { TransactionID: 't2', AccountID: 'a2', Date: '2023-06-10', Amount: -50, Description: 'Grocery Store' },
+    { TransactionID: 't3', AccountID: 'a1', Date: '2023-06-10', Amount: -51, Description: 'Grocery Store' },
+    { TransactionID: 't4', AccountID: 'a1', Date: '2023-05-01', Amount: -50, Description: 'Grocery Store' },
+    { TransactionID: 't5', AccountID: 'a1', Date: '2023-06-10', Amount: -50, Description: 'Cinema' }
+  ];
+
+  it('matches only the same account, amount, date window and a similar description', () => {
+    const matches = findDuplicates(
+      { AccountID: 'a1', Date: '2023-06-10T08:00:00Z', Amount: -50, Description: 'GROCERY STORE #987' },
+      existing
+    );
+    expect(matches.map(match => match.transaction.TransactionID)).toEqual(['t1']);
+  });
+
+  it('matches no further than three days away', () => {
+    const transaction = { AccountID: 'a1', Amount: -50, Description: 'Grocery Store' };
+    expect(findDuplicates({ ...transaction, Date: '2023-06-12T00:00:00Z' }, existing)).toHaveLength(1);
+    expect(findDuplicates({ ...transaction, Date: '2023-06-12T01:00:00Z' }, existing)).toEqual([]);
+  });
+
+  it('never matches a transaction with itself', () => {
+    expect(findDuplicates(existing[0], existing)).toEqual([]);
+  });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Loan and mortgage terms.
+ *
+ * A Loan or Mortgage account's Balance is the principal still owed, as a
+ * negative amount. A payment into it is a positive transaction whose Interest
+ * is the interest accrued on that principal over one payment period; only the
+ * rest, Amount - Interest, pays down the principal and changes the Balance.
+ */
+
+const LOAN_TYPES = ['Loan', 'Mortgage'];
+
+// Payments per year for each payment frequency
+const PERIODS_PER_YEAR = {
+  monthly: 12,
+  biweekly: 26,
+  weekly: 52
+};
+
+/**
+ * Rounds an amount to cents.
+ *
+ * @param {number} amount - The amount.
+ * @returns {number} The rounded amount.
+ */
+const toCents = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Tells whether an account is a loan or mortgage.
+ *
+ * @param {Object} account - The account.
+ * @returns {boolean} True for Loan and Mortgage accounts.
+ */
+const isLoan = account => Boolean(account) && LOAN_TYPES.includes(account.Type);
+
+/**
+ * Computes the interest rate of one payment period.
+ *
+ * @param {Object} loan - The loan's InterestRate (annual, in percent) and PaymentFrequency.
+ * @returns {number} The periodic rate, as a fraction.
+ */
+const periodicRate = loan => (loan.InterestRate || 0) / 100 / PERIODS_PER_YEAR[loan.PaymentFrequency || 'monthly'];
+
+/**
+ * Splits a payment into a loan: the interest accrued on the outstanding
+ * principal over one period, never more than the payment itself. The rest
+ * is principal.
+ *
+ * @param {Object} loan - The loan account.
+ * @param {number} amount - The payment.
+ * @param {number} [outstanding] - The principal owed before the payment, as a positive
+ *   amount; defaults to what the account's Balance says is owed.
+ * @returns {number} The interest part of the payment.
+ */
+const paymentInterest = (loan, amount, outstanding = -loan.Balance) => (
+  amount > 0 ? toCents(Math.min(amount, Math.max(0, outstanding) * periodicRate(loan))) : 0
+);
+
+/**
+ * Computes how much of a transaction moves its account's balance: all of it,
+ * except the interest part of a loan payment.
+ *
+ * @param {Object} transaction - The transaction (Amount, Interest).
+ * @returns {number} The amount that changes the balance.
+ */
+const principalPart = transaction => toCents(transaction.Amount - (transaction.Interest || 0));
+
+module.exports = {
+  LOAN_TYPES,
+  PERIODS_PER_YEAR,
+  isLoan,
+  periodicRate,
+  paymentInterest,
+  principalPart
+};
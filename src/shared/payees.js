@@ -0,0 +1,81 @@
+'use strict';
+
+/**
+ * Payee name normalization.
+ *
+ * Bank descriptions name the same merchant in many ways ("AMZN Mktp US*2K3",
+ * "Amazon.com"). A payee lists alias patterns for them: case-insensitive, with
+ * `*` standing for any run of characters, matched against the whole
+ * normalized payee text or description of a transaction. The payee's own name
+ * is an alias too. When several payees match, the one with the longest
+ * matching pattern wins, since it is the most specific.
+ */
+
+/**
+ * Normalizes text for matching: accents stripped, upper case, whitespace
+ * collapsed.
+ *
+ * @param {string} text - The text.
+ * @returns {string} The normalized text.
+ */
+const normalizePayeeText = text => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toUpperCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Compiles an alias pattern.
+ *
+ * @param {string} pattern - The pattern, with `*` as wildcard.
+ * @returns {RegExp} The regular expression matching normalized text.
+ */
+const compileAlias = (pattern) => {
+  const source = normalizePayeeText(pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Measures how specific a pattern is: its length without wildcards.
+ *
+ * @param {string} pattern - The pattern.
+ * @returns {number} The number of literal characters.
+ */
+const specificity = pattern => normalizePayeeText(pattern).replace(/\*/g, '').length;
+
+/**
+ * Finds the payee a transaction names, by its payee text or else its
+ * description.
+ *
+ * @param {Object} transaction - The transaction (Payee, Description).
+ * @param {Array<Object>} payees - The user's payees (PayeeID, Name, Aliases).
+ * @returns {Object|null} The best matching payee, or null if none matches.
+ */
+const matchPayee = (transaction, payees) => {
+  const texts = [transaction.Payee, transaction.Description]
+    .map(normalizePayeeText)
+    .filter(text => text.length > 0);
+  let best = null;
+  let bestSpecificity = -1;
+  payees.forEach((payee) => {
+    [payee.Name, ...(payee.Aliases || [])].forEach((pattern) => {
+      const regex = compileAlias(pattern);
+      const score = specificity(pattern);
+      if (score > bestSpecificity && texts.some(text => regex.test(text))) {
+        best = payee;
+        bestSpecificity = score;
+      }
+    });
+  });
+  return best;
+};
+
+module.exports = {
+  normalizePayeeText,
+  compileAlias,
+  matchPayee
+};
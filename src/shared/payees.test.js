@@ -0,0 +1,42 @@
+const { normalizePayeeText, compileAlias, matchPayee } = require('./payees');
+
+const amazon = { PayeeID: 'p1', Name: 'Amazon', Aliases: ['AMZN MKTP*', 'AMAZON*'] };
+const prime = { PayeeID: 'p2', Name: 'Amazon Prime', Aliases: ['AMAZON PRIME*'] };
+const cafe = { PayeeID: 'p3', Name: 'Café Central' };
+
+describe('normalizePayeeText', () => {
+  it('ignores case, accents and extra whitespace', () => {
+    expect(normalizePayeeText('  Café   Central ')).toBe('CAFE CENTRAL');
+  });
+});
+
+describe('compileAlias', () => {
+  it('treats * as a wildcard and everything else literally', () => {
+    expect(compileAlias('amzn mktp*').test('AMZN MKTP US*2K3')).toBe(true);
+    expect(compileAlias('amazon.com').test('AMAZONXCOM')).toBe(false);
+  });
+
+  it('matches the whole text', () => {
+    expect(compileAlias('AMAZON').test('AMAZON PRIME')).toBe(false);
+  });
+});
+
+describe('matchPayee', () => {
+  const payees = [amazon, prime, cafe];
+
+  it('matches the description through an alias', () => {
+    expect(matchPayee({ Description: 'AMZN Mktp US*2K3' }, payees)).toBe(amazon);
+  });
+
+  it('prefers the most specific pattern', () => {
+    expect(matchPayee({ Description: 'AMAZON PRIME*MEMBERSHIP' }, payees)).toBe(prime);
+  });
+
+  it('matches the payee name itself', () => {
+    expect(matchPayee({ Payee: 'cafe central', Description: 'Card payment' }, payees)).toBe(cafe);
+  });
+
+  it('returns null when nothing matches', () => {
+    expect(matchPayee({ Description: 'Salary' }, payees)).toBeNull();
+  });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * Revision history of accounts, transactions, budgets and goals.
+ *
+ * Every write to one of these items leaves a revision holding the item
+ * before and after the write, and the fields that changed. Revisions are
+ * recorded from the tables' streams, so writes by any service are covered.
+ * They are stored per user under a key made of the entity type, the item's
+ * ID and the revision ID, so the revisions of one item sort by when they
+ * were made. The revision ID is the stream sequence number of the write,
+ * zero-padded so that it sorts as text.
+ *
+ * UpdatedAt and Version change with every write and are not listed as
+ * changes; a write that changes nothing else leaves no revision.
+ */
+
+const IGNORED_FIELDS = ['UpdatedAt', 'Version'];
+const REVISION_ID_LENGTH = 40;
+
+/**
+ * Builds the prefix of the keys of an item's revisions.
+ *
+ * @param {string} entityType - The type of the item: account, transaction, budget or goal.
+ * @param {string} entityId - The ID of the item.
+ * @returns {string} The key prefix.
+ */
+const historyPrefix = (entityType, entityId) => `${entityType}#${entityId}#`;
+
+/**
+ * Builds the key of a revision.
+ *
+ * @param {string} entityType - The type of the item.
+ * @param {string} entityId - The ID of the item.
+ * @param {string} revisionId - The ID of the revision.
+ * @returns {string} The revision key.
+ */
+const revisionKey = (entityType, entityId, revisionId) => historyPrefix(entityType, entityId) + revisionId;
+
+/**
+ * Lists the fields that differ between two versions of an item.
+ *
+ * @param {Object|null} before - The item before the write, or null if it was created.
+ * @param {Object|null} after - The item after the write, or null if it was deleted.
+ * @returns {Array<{Field: string, Before: *, After: *}>} The changed fields, by name; a
+ *   missing value is null.
+ */
+const diffItems = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .sort()
+    .map(field => ({
+      Field: field,
+      Before: before && before[field] !== undefined ? before[field] : null,
+      After: after && after[field] !== undefined ? after[field] : null
+    }))
+    .filter(change => JSON.stringify(change.Before) !== JSON.stringify(change.After));
+};
+
+/**
+ * Builds the revision for one write of an item.
+ *
+ * @param {string} entityType - The type of the item.
+ * @param {string} keyName - The name of the item's key attribute, e.g. BudgetID.
+ * @param {Object|null} before - The item before the write, or null if it was created.
+ * @param {Object|null} after - The item after the write, or null if it was deleted.
+ * @param {string} sequenceNumber - The stream sequence number of the write.
+ * @param {string} changedAt - When the write was made (ISO 8601).
+ * @returns {Object|null} The revision item, or null if the write changed nothing that is tracked.
+ */
+const buildRevision = (entityType, keyName, before, after, sequenceNumber, changedAt) => {
+  const item = after || before;
+  const changes = diffItems(before, after);
+  if (!item || !item.UserID || changes.length === 0) {
+    return null;
+  }
+  const revisionId = String(sequenceNumber).padStart(REVISION_ID_LENGTH, '0');
+  const action = !before ? 'create' : (!after ? 'delete' : 'update');
+  return {
+    UserID: item.UserID,
+    RevisionKey: revisionKey(entityType, item[keyName], revisionId),
+    EntityType: entityType,
+    EntityID: item[keyName],
+    RevisionID: revisionId,
+    Action: action,
+    ChangedAt: changedAt,
+    Version: item.Version || 1,
+    Changes: changes,
+    Before: before,
+    After: after
+  };
+};
+
+/**
+ * Picks the editable fields of an item as it was after a revision, for
+ * reverting the item to it.
+ *
+ * @param {Object} revision - The revision.
+ * @param {Array<string>} fields - The fields the item's update accepts.
+ * @returns {Object|null} The fields and their values, or null if the revision deleted the item.
+ */
+const revertedFields = (revision, fields) => {
+  if (!revision.After) {
+    return null;
+  }
+  return fields
+    .filter(field => field !== 'Version' && revision.After[field] !== undefined)
+    .reduce((values, field) => ({ ...values, [field]: revision.After[field] }), {});
+};
+
+module.exports = {
+  historyPrefix,
+  revisionKey,
+  diffItems,
+  buildRevision,
+  revertedFields
+};
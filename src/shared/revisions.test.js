@@ -0,0 +1,46 @@
+const { revisionKey, diffItems, buildRevision, revertedFields } = require('./revisions');
+
+const before = { BudgetID: 'b1', UserID: 'user123', Category: 'Food', Amount: 300, Version: 1 };
+const after = { ...before, Amount: 350, UpdatedAt: '2023-06-22T10:00:00.000Z', Version: 2 };
+
+describe('diffItems', () => {
+  it('lists changed fields, ignoring UpdatedAt and Version', () => {
+    expect(diffItems(before, after)).toEqual([{ Field: 'Amount', Before: 300, After: 350 }]);
+  });
+
+  it('compares nested values and reports missing ones as null', () => {
+    expect(diffItems({ Tags: ['a'] }, { Tags: ['a'], Memo: 'x' })).toEqual([{ Field: 'Memo', Before: null, After: 'x' }]);
+  });
+});
+
+describe('buildRevision', () => {
+  it('records an update under a sortable key', () => {
+    const revision = buildRevision('budget', 'BudgetID', before, after, '123', '2023-06-22T10:00:00.000Z');
+    expect(revision.RevisionID).toHaveLength(40);
+    expect(revision.RevisionKey).toBe(revisionKey('budget', 'b1', revision.RevisionID));
+    expect(revision.Action).toBe('update');
+    expect(revision.Version).toBe(2);
+    expect(buildRevision('budget', 'BudgetID', before, after, '9', '').RevisionKey
+      < buildRevision('budget', 'BudgetID', before, after, '10', '').RevisionKey).toBe(true);
+  });
+
+  it('records creates and deletes', () => {
+    expect(buildRevision('budget', 'BudgetID', null, before, '1', '').Action).toBe('create');
+    expect(buildRevision('budget', 'BudgetID', before, null, '2', '').Action).toBe('delete');
+  });
+
+  it('skips writes that change nothing tracked', () => {
+    expect(buildRevision('budget', 'BudgetID', before, { ...before, Version: 2 }, '3', '')).toBeNull();
+  });
+});
+
+describe('revertedFields', () => {
+  it('picks the editable fields as they were after the revision', () => {
+    const revision = buildRevision('budget', 'BudgetID', before, after, '4', '');
+    expect(revertedFields(revision, ['Category', 'Amount', 'Period', 'Version'])).toEqual({ Category: 'Food', Amount: 350 });
+  });
+
+  it('cannot revert to a deletion', () => {
+    expect(revertedFields(buildRevision('budget', 'BudgetID', before, null, '5', ''), ['Amount'])).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * Transaction validation.
+ *
+ * The transaction service and the CSV import validate transactions with the
+ * same schema, so an import accepts exactly what the API does.
+ */
+
+const Joi = require('joi');
+
+// Transaction statuses. Only a finalized reconciliation marks a transaction
+// reconciled, after which it can no longer be changed.
+const PENDING = 'pending';
+const CLEARED = 'cleared';
+const RECONCILED = 'reconciled';
+
+// Split schema: one category's share of a transaction
+const splitSchema = Joi.object({
+  Category: Joi.string().required(),
+  Amount: Joi.number().required(),
+  Memo: Joi.string().allow('').optional()
+});
+
+// Free-form label, such as a trip or project
+const tagSchema = Joi.string().max(50);
+
+// Status a user may set; see PENDING, CLEARED and RECONCILED
+const statusSchema = Joi.string().valid(PENDING, CLEARED);
+
+// ISO 4217 currency code
+const currencySchema = Joi.string().pattern(/^[A-Z]{3}$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be an ISO 4217 currency code' });
+
+// Transaction schema
+const transactionSchema = Joi.object({
+  AccountID: Joi.string().required(),
+  Date: Joi.date().iso().required(),
+  Amount: Joi.number().required(),
+  Interest: Joi.number().min(0).precision(2).max(Joi.ref('Amount')).optional()
+    .messages({ 'number.max': '"Interest" must not be more than the "Amount"' }),
+  Currency: currencySchema.optional(),
+  Category: Joi.string().optional(),
+  Description: Joi.string().allow('').optional(),
+  Payee: Joi.string().allow('').max(200).optional(),
+  PayeeID: Joi.string().optional(),
+  Splits: Joi.array().items(splitSchema).min(2).optional(),
+  Tags: Joi.array().items(tagSchema).unique().max(20).optional(),
+  Status: statusSchema.optional(),
+  Version: Joi.number().integer().min(1).optional()
+}).custom((transaction, helpers) => {
+  if (transaction.Splits) {
+    const total = transaction.Splits.reduce((sum, split) => sum + split.Amount, 0);
+    if (Math.abs(total - transaction.Amount) >= 0.005) {
+      return helpers.message('"Splits" amounts must add up to the transaction "Amount"');
+    }
+  }
+  return transaction;
+});
+
+module.exports = {
+  PENDING,
+  CLEARED,
+  RECONCILED,
+  tagSchema,
+  transactionSchema
+};
@@ -0,0 +1,22 @@
+const { transactionSchema } = require('./transactions');
+
+describe('transactionSchema', () => {
+  const transaction = { AccountID: 'acc123', Date: '2023-06-01T00:00:00Z', Amount: 500 };
+
+  it('accepts the interest part of a loan payment', () => {
+    expect(transactionSchema.validate({ ...transaction, Interest: 41.67 }).error).toBeUndefined();
+  });
+
+  it('rejects an interest part larger than the payment', () => {
+    const { error } = transactionSchema.validate({ ...transaction, Interest: 600 });
+    expect(error.details[0].message).toEqual('"Interest" must not be more than the "Amount"');
+  });
+
+  it('rejects splits that do not add up to the amount', () => {
+    const { error } = transactionSchema.validate({
+      ...transaction,
+      Splits: [{ Category: 'Rent', Amount: 300 }, { Category: 'Utilities', Amount: 100 }]
+    });
+    expect(error.details[0].message).toEqual('"Splits" amounts must add up to the transaction "Amount"');
+  });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * Optimistic concurrency for stored items.
+ *
+ * Every mutable item carries a Version: 1 when created, incremented by every
+ * write. Items written before versions existed have none and count as version
+ * 1. Responses expose the version as a strong ETag (`"3"`).
+ *
+ * Updates and deletes name the version they are based on, either as an
+ * If-Match header holding the item's ETag or as a "Version" in the body;
+ * the header wins when both are sent. A request based on a stale version is
+ * rejected with the item as it is now: 412 Precondition Failed when the
+ * version came in If-Match, 409 Conflict when it came in the body.
+ */
+
+const VERSION_REQUIRED_MESSAGE = 'Send the version being changed as an If-Match header or as "Version" in the body';
+
+/**
+ * Reads the version of a stored item.
+ *
+ * @param {Object} item - The stored item.
+ * @returns {number} Its version.
+ */
+const currentVersion = item => item.Version || 1;
+
+/**
+ * Computes the ETag of a stored item.
+ *
+ * @param {Object} item - The stored item.
+ * @returns {string} The quoted version.
+ */
+const etag = item => `"${currentVersion(item)}"`;
+
+/**
+ * Reads the version a request is based on.
+ *
+ * @param {Object} [headers] - The request headers, in any case.
+ * @param {Object} [body] - The parsed request body.
+ * @returns {{version: number, source: string}|null} The version (NaN if the
+ *   If-Match header is not a single ETag of this API) and whether it came
+ *   from the 'header' or the 'body', or null if the request names none.
+ */
+const expectedVersion = (headers, body) => {
+  const header = Object.keys(headers || {}).find(name => name.toLowerCase() === 'if-match');
+  if (header) {
+    const match = String(headers[header]).trim().match(/^"(\d+)"$/);
+    return { version: match ? Number(match[1]) : NaN, source: 'header' };
+  }
+  if (body && body.Version !== undefined) {
+    return { version: body.Version, source: 'body' };
+  }
+  return null;
+};
+
+/**
+ * Tells whether a request was based on the current version of an item.
+ *
+ * @param {{version: number}} expected - The version the request is based on.
+ * @param {Object} item - The stored item.
+ * @returns {boolean} True if the versions match.
+ */
+const isCurrent = (expected, item) => expected.version === currentVersion(item);
+
+/**
+ * Picks the status code for a request based on a stale version.
+ *
+ * @param {{source: string}} expected - The version the request is based on.
+ * @returns {number} 412 for a stale If-Match header, 409 for a stale body Version.
+ */
+const conflictStatus = expected => (expected.source === 'header' ? 412 : 409);
+
+/**
+ * Builds the condition that a stored item is still at a version, for a
+ * conditional write. Items without a Version are at version 1.
+ *
+ * @param {Object} item - The item as it was read.
+ * @returns {{expression: string, values: Object}} The condition and its attribute values.
+ */
+const versionCondition = item => (item.Version
+  ? { expression: 'Version = :expectedVersion', values: { ':expectedVersion': item.Version } }
+  : { expression: 'attribute_not_exists(Version)', values: {} });
+
+module.exports = {
+  VERSION_REQUIRED_MESSAGE,
+  currentVersion,
+  etag,
+  expectedVersion,
+  isCurrent,
+  conflictStatus,
+  versionCondition
+};
@@ -0,0 +1,49 @@
+const {
+  currentVersion,
+  etag,
+  expectedVersion,
+  isCurrent,
+  conflictStatus,
+  versionCondition
+} = require('./versioning');
+
+describe('currentVersion', () => {
+  it('counts items without a version as version 1', () => {
+    expect(currentVersion({})).toBe(1);
+    expect(currentVersion({ Version: 4 })).toBe(4);
+    expect(etag({ Version: 4 })).toBe('"4"');
+  });
+});
+
+describe('expectedVersion', () => {
+  it('reads the If-Match header in any case', () => {
+    expect(expectedVersion({ 'if-match': '"3"' }, { Version: 2 })).toEqual({ version: 3, source: 'header' });
+    expect(expectedVersion({ 'If-Match': ' "3" ' })).toEqual({ version: 3, source: 'header' });
+  });
+
+  it('falls back to the body', () => {
+    expect(expectedVersion({ Accept: '*/*' }, { Version: 2 })).toEqual({ version: 2, source: 'body' });
+    expect(expectedVersion(null, null)).toBeNull();
+  });
+
+  it('never matches an If-Match header it cannot read', () => {
+    const expected = expectedVersion({ 'If-Match': 'W/"3"' });
+    expect(expected.source).toBe('header');
+    expect(isCurrent(expected, { Version: 3 })).toBe(false);
+  });
+});
+
+describe('conflicts', () => {
+  it('answers a stale header with 412 and a stale body with 409', () => {
+    expect(conflictStatus({ source: 'header' })).toBe(412);
+    expect(conflictStatus({ source: 'body' })).toBe(409);
+  });
+
+  it('conditions writes on the version that was read', () => {
+    expect(versionCondition({ Version: 2 })).toEqual({
+      expression: 'Version = :expectedVersion',
+      values: { ':expectedVersion': 2 }
+    });
+    expect(versionCondition({}).expression).toBe('attribute_not_exists(Version)');
+  });
+});
@@ -15,7 +15,14 @@ The userId is extracted from the Cognito authorizer claims.
 GET operations filter transactions by the user ID.
 POST operation validates the input and creates a new transaction with a UUID.
 PUT operation updates a transaction, ensuring it belongs to the current user.
-DELETE operation removes a transaction, ensuring it belongs to the current user.
+DELETE operation moves a transaction to the trash, ensuring it belongs to the current user. The trash service restores it or purges it after the retention period.
+Every transaction carries a Version, incremented by every write from any service (see versioning.js). PUT and DELETE must name the version they are based on and are rejected with 409 or 412 if it is stale.
+Every write changes the Balance of the affected accounts in the same DynamoDB transaction, guarded against concurrent changes to the transaction. Balance changes bump the account's Version, so a client holding a stale account gets a 409 from PUT /account/{id}.
+Transactions are linked to the user's payees through PayeeID, either explicitly or by matching the payee's aliases, and fall back to the payee's DefaultCategory when no rule categorizes them.
+POST /transaction/{id}/revert sets a transaction back to how it was after one of its revisions (see revisions.js); the history service records them and lists them under GET /transaction/{id}/history.
+Payments into a Loan or Mortgage account are split into Interest and principal when they are written (see loans.js); only the principal moves the loan's Balance. An explicit Interest wins over the computed one.
+GET /transaction?accountId= adds the account's RunningBalance after each listed transaction (see balances.js).
+GET /transaction/search runs a full-text search over descriptions and payees. Its index is kept in sync by indexHandler, which is fed by the transaction table's stream.
 All operations include error handling and logging.
 
 This implementation provides a secure and robust way to manage transactions in the Personal Finance App, ensuring that users can only access and modify their own data.
@@ -28,8 +35,39 @@ const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
 const winston = require('winston');
+const { parseOfx } = require('./ofx');
+const { duplicateWindow, findDuplicates } = require('@personal-finance/shared/duplicates');
+const { sortRules, categorize } = require('@personal-finance/shared/categorize');
+const { matchPayee } = require('@personal-finance/shared/payees');
+const {
+  VERSION_REQUIRED_MESSAGE,
+  currentVersion,
+  etag,
+  expectedVersion,
+  isCurrent,
+  conflictStatus,
+  versionCondition
+} = require('@personal-finance/shared/versioning');
+const { tokenize, indexEntries, rankMatches } = require('./search');
+const { revisionKey, revertedFields } = require('@personal-finance/shared/revisions');
+const {
+  DEFAULT_CURRENCY,
+  balanceEffect,
+  balanceUpdate,
+  compareNewestFirst,
+  runningBalances
+} = require('@personal-finance/shared/balances');
+const { isLoan, paymentInterest, principalPart } = require('@personal-finance/shared/loans');
+const {
+  PENDING,
+  CLEARED,
+  RECONCILED,
+  tagSchema,
+  transactionSchema
+} = require('@personal-finance/shared/transactions');
 
 // Initialize AWS SDK and Winston logger
+const s3 = new AWS.S3();
 const dynamodb = new AWS.DynamoDB.DocumentClient();
 const logger = winston.createLogger({
   level: 'info',
@@ -42,29 +80,147 @@ const logger = winston.createLogger({
 
 // Environment variables
 const TABLE_NAME = process.env.TRANSACTION_TABLE;
+const ACCOUNT_TABLE = process.env.ACCOUNT_TABLE;
+const RULE_TABLE = process.env.RULE_TABLE;
+const PAYEE_TABLE = process.env.PAYEE_TABLE;
+const SEARCH_INDEX_TABLE = process.env.SEARCH_INDEX_TABLE;
+const TRASH_TABLE = process.env.TRASH_TABLE;
+const HISTORY_TABLE = process.env.HISTORY_TABLE;
+const ATTACHMENT_BUCKET = process.env.ATTACHMENT_BUCKET;
+const USER_DATE_INDEX = 'UserDateIndex';
 const STAGE = process.env.STAGE;
 
-// Validation schema
-const transactionSchema = Joi.object({
+// Category given to transactions no rule matches
+const UNCATEGORIZED = 'Uncategorized';
+
+const RECONCILED_MESSAGE = 'Reconciled transactions cannot be changed';
+
+const UNKNOWN_PAYEE_MESSAGE = '"PayeeID" does not match a payee';
+
+const ARCHIVED_ACCOUNT_MESSAGE = 'The account of this transaction is archived';
+
+// Query string schema for listing transactions
+const transactionQuerySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  accountId: Joi.string(),
+  category: Joi.string(),
+  tag: tagSchema,
+  status: Joi.string().valid(PENDING, CLEARED, RECONCILED),
+  minAmount: Joi.number(),
+  maxAmount: Joi.number(),
+  limit: Joi.number().integer().min(1).max(100),
+  lastEvaluatedKey: Joi.string()
+});
+
+// Query string schema for searching transactions
+const searchQuerySchema = Joi.object({
+  q: Joi.string().max(200).required(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(100)
+});
+
+// Attachment upload request schema; Checksum is the base64-encoded MD5 of the file
+const ATTACHMENT_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/heic', 'image/webp', 'application/pdf'];
+const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS = 10;
+const UPLOAD_URL_EXPIRY_SECONDS = 900;
+const DOWNLOAD_URL_EXPIRY_SECONDS = 300;
+
+const attachmentSchema = Joi.object({
+  FileName: Joi.string().max(255).required(),
+  ContentType: Joi.string().valid(...ATTACHMENT_CONTENT_TYPES).required(),
+  Size: Joi.number().integer().min(1).max(MAX_ATTACHMENT_SIZE).required(),
+  Checksum: Joi.string().pattern(/^[A-Za-z0-9+/]{22}==$/).required()
+    .messages({ 'string.pattern.base': '"Checksum" must be the base64-encoded MD5 digest of the file' })
+});
+
+// Statement import request schema
+const importSchema = Joi.object({
   AccountID: Joi.string().required(),
-  Date: Joi.date().iso().required(),
-  Amount: Joi.number().required(),
-  Category: Joi.string().required(),
-  Description: Joi.string().allow('').optional()
+  Content: Joi.string().required(),
+  Encoding: Joi.string().valid('utf8', 'base64').default('utf8'),
+  Category: Joi.string().default(UNCATEGORIZED)
+});
+
+// Duplicate merge and dismiss request schemas
+const mergeDuplicateSchema = Joi.object({
+  DuplicateID: Joi.string().required(),
+  KeepID: Joi.string().required().invalid(Joi.ref('DuplicateID'))
+});
+
+const dismissDuplicateSchema = Joi.object({
+  TransactionID: Joi.string().required()
+});
+
+// Tag rename and merge request schemas
+const renameTagSchema = Joi.object({
+  From: tagSchema.required(),
+  To: tagSchema.required().invalid(Joi.ref('From'))
+});
+
+const mergeTagsSchema = Joi.object({
+  Sources: Joi.array().items(tagSchema).min(1).unique().required(),
+  Target: tagSchema.required()
+});
+
+// Batch request schemas: the envelope, then each operation on its own so one
+// bad operation fails alone. A create may carry a client-generated ID, which
+// makes replaying it after a lost response safe.
+const MAX_BATCH_OPERATIONS = 500;
+
+const batchSchema = Joi.object({
+  Operations: Joi.array().items(Joi.object()).min(1).max(MAX_BATCH_OPERATIONS).required()
+});
+
+const batchOperationSchema = Joi.object({
+  Action: Joi.string().valid('create', 'update', 'delete').required(),
+  TransactionID: Joi.when('Action', {
+    is: 'create',
+    then: Joi.string().guid({ version: 'uuidv4' }),
+    otherwise: Joi.string().required()
+  }),
+  Transaction: Joi.when('Action', {
+    is: 'delete',
+    then: Joi.forbidden(),
+    otherwise: Joi.object().required()
+  }),
+  Version: Joi.when('Action', {
+    is: 'create',
+    then: Joi.forbidden(),
+    otherwise: Joi.number().integer().min(1).required()
+  })
 });
 
+// Validation schema for reverting a transaction to a revision
+const revertSchema = Joi.object({
+  RevisionID: Joi.string().required(),
+  Version: Joi.number().integer().min(1)
+});
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const BATCH_WRITE_SIZE = 25;
+const TRANSACT_WRITE_SIZE = 25;
+const MAX_BATCH_RETRIES = 3;
+const BATCH_GET_SIZE = 100;
+const MAX_SEARCH_TERMS = 8;
+
 /**
  * Creates a standardized response object.
  *
  * @param {number} statusCode - The HTTP status code.
  * @param {Object} body - The response body.
+ * @param {Object} [headers] - Additional response headers, such as ETag.
  * @returns {Object} The formatted response object.
  */
-const createResponse = (statusCode, body) => ({
+const createResponse = (statusCode, body, headers = {}) => ({
   statusCode,
   headers: {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'ETag, X-Next-Page-Key',
+    ...headers
   },
   body: JSON.stringify(body),
 });
@@ -87,20 +243,160 @@ const getUserId = (event) => {
 };
 
 /**
- * Retrieves all transactions for a specific user from the database.
+ * Fills in the category of a split transaction sent without one, using the
+ * category of its largest split, so listings and category filters still work.
+ *
+ * @param {Object} transaction - The validated transaction data.
+ * @returns {Object} The transaction with a Category.
+ */
+const withSplitCategory = (transaction) => {
+  if (transaction.Category || !transaction.Splits) {
+    return transaction;
+  }
+  const largest = transaction.Splits.reduce((max, split) => (
+    Math.abs(split.Amount) > Math.abs(max.Amount) ? split : max
+  ));
+  return { ...transaction, Category: largest.Category };
+};
+
+/**
+ * Tells whether a transaction is in a category, either as a whole or through
+ * one of its splits.
+ *
+ * @param {Object} transaction - The transaction.
+ * @param {string} category - The category.
+ * @returns {boolean} True if the transaction or one of its splits has the category.
+ */
+const matchesCategory = (transaction, category) => (
+  transaction.Category === category ||
+  (Array.isArray(transaction.Splits) && transaction.Splits.some(split => split.Category === category))
+);
+
+/**
+ * Builds the DynamoDB query parameters for listing a user's transactions.
+ *
+ * Transactions are read from the UserID + Date index, newest first. The date
+ * range goes into the key condition; account, tag, status and amount filters
+ * are applied as a filter expression, so a page may hold fewer items than `limit`.
+ * The category filter is applied by `matchesCategory` after the query, since a
+ * split transaction's categories sit inside its Splits.
  *
  * @param {string} userId - The ID of the user.
- * @returns {Promise<Object>} The Lambda response object.
+ * @param {Object} query - The validated query string parameters.
+ * @returns {Object} The DynamoDB query parameters.
  */
-const getAllTransactions = async (userId) => {
+const buildTransactionQuery = (userId, query) => {
+  const names = {};
+  const values = { ':userId': userId };
+  let keyCondition = 'UserID = :userId';
+
+  // A date-only upper bound should include every transaction on that day
+  const to = query.to && DATE_ONLY_PATTERN.test(query.to) ? `${query.to}T23:59:59.999Z` : query.to;
+
+  if (query.from && to) {
+    keyCondition += ' AND #date BETWEEN :from AND :to';
+  } else if (query.from) {
+    keyCondition += ' AND #date >= :from';
+  } else if (to) {
+    keyCondition += ' AND #date <= :to';
+  }
+  if (query.from || to) {
+    names['#date'] = 'Date';
+    if (query.from) values[':from'] = query.from;
+    if (to) values[':to'] = to;
+  }
+
+  const filters = [];
+  if (query.accountId) {
+    filters.push('AccountID = :accountId');
+    values[':accountId'] = query.accountId;
+  }
+  if (query.tag) {
+    filters.push('contains(Tags, :tag)');
+    values[':tag'] = query.tag;
+  }
+  if (query.status) {
+    // Transactions from before statuses existed count as pending
+    filters.push(query.status === PENDING
+      ? '(attribute_not_exists(#status) OR #status = :status)'
+      : '#status = :status');
+    names['#status'] = 'Status';
+    values[':status'] = query.status;
+  }
+  if (query.minAmount !== undefined) {
+    filters.push('Amount >= :minAmount');
+    values[':minAmount'] = Number(query.minAmount);
+  }
+  if (query.maxAmount !== undefined) {
+    filters.push('Amount <= :maxAmount');
+    values[':maxAmount'] = Number(query.maxAmount);
+  }
+
   const params = {
     TableName: TABLE_NAME,
-    FilterExpression: 'UserID = :userId',
-    ExpressionAttributeValues: { ':userId': userId }
+    IndexName: USER_DATE_INDEX,
+    KeyConditionExpression: keyCondition,
+    ExpressionAttributeValues: values,
+    ScanIndexForward: false,
+    Limit: query.limit ? Number(query.limit) : 20
   };
-  const result = await dynamodb.scan(params).promise();
-  logger.info('Transactions retrieved', { userId, count: result.Items.length });
-  return createResponse(200, result.Items);
+  if (Object.keys(names).length > 0) {
+    params.ExpressionAttributeNames = names;
+  }
+  if (filters.length > 0) {
+    params.FilterExpression = filters.join(' AND ');
+  }
+  return params;
+};
+
+/**
+ * Retrieves a page of transactions for a specific user, optionally filtered by
+ * date range, account, category, tag, status and amount.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} [queryStringParameters] - The query string parameters.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getAllTransactions = async (userId, queryStringParameters) => {
+  const query = queryStringParameters || {};
+  const { error } = transactionQuerySchema.validate(query);
+  if (error) {
+    logger.warn('Invalid query parameters', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  if (query.minAmount !== undefined && query.maxAmount !== undefined &&
+      Number(query.minAmount) > Number(query.maxAmount)) {
+    logger.warn('Invalid amount range', { userId });
+    return createResponse(400, { message: 'minAmount must not be greater than maxAmount' });
+  }
+
+  const params = buildTransactionQuery(userId, query);
+
+  if (query.lastEvaluatedKey) {
+    try {
+      params.ExclusiveStartKey = JSON.parse(Buffer.from(query.lastEvaluatedKey, 'base64').toString());
+    } catch (parseError) {
+      logger.warn('Invalid pagination key', { userId });
+      return createResponse(400, { message: 'Invalid lastEvaluatedKey' });
+    }
+  }
+
+  const result = await dynamodb.query(params).promise();
+  const items = query.category
+    ? result.Items.filter(transaction => matchesCategory(transaction, query.category))
+    : result.Items;
+  logger.info('Transactions retrieved', { userId, count: items.length });
+
+  const transactions = query.accountId
+    ? await withRunningBalances(userId, query.accountId, items)
+    : items;
+  // The body stays a bare array for existing clients; the key of the next page, if
+  // any, goes in a header to be sent back as lastEvaluatedKey
+  const headers = result.LastEvaluatedKey
+    ? { 'X-Next-Page-Key': Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString('base64') }
+    : {};
+
+  return createResponse(200, transactions, headers);
 };
 
 /**
@@ -121,11 +417,188 @@ const getTransaction = async (userId, transactionId) => {
     return createResponse(404, { message: 'Transaction not found' });
   }
   logger.info('Transaction retrieved', { userId, transactionId });
-  return createResponse(200, result.Item);
+  return createResponse(200, result.Item, { ETag: etag(result.Item) });
+};
+
+/**
+ * Runs a query to completion, following LastEvaluatedKey across pages.
+ *
+ * @param {Object} params - The DynamoDB query parameters.
+ * @returns {Promise<Array>} All items matched by the query.
+ */
+const queryAll = async (params) => {
+  const items = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({ ...params, ExclusiveStartKey: startKey }).promise();
+    items.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+  return items;
+};
+
+/**
+ * Retrieves all transactions of one account within a date range.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account.
+ * @param {string} from - The earliest transaction date (ISO 8601).
+ * @param {string} to - The latest transaction date (ISO 8601).
+ * @returns {Promise<Array>} The account's transactions in the range.
+ */
+const getAccountTransactions = async (userId, accountId, from, to) => queryAll({
+  TableName: TABLE_NAME,
+  IndexName: USER_DATE_INDEX,
+  KeyConditionExpression: 'UserID = :userId AND #date BETWEEN :from AND :to',
+  FilterExpression: 'AccountID = :accountId',
+  ExpressionAttributeNames: { '#date': 'Date' },
+  ExpressionAttributeValues: {
+    ':userId': userId,
+    ':accountId': accountId,
+    ':from': from,
+    ':to': to
+  }
+});
+
+/**
+ * Adds to a page of one account's transactions the account's balance right
+ * after each of them, working back from its current Balance through every
+ * transaction of the account made since the oldest one on the page. The page
+ * is put in the same order as the balances, so transactions on the same date
+ * line up.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account.
+ * @param {Array<Object>} items - The page of transactions, newest first.
+ * @returns {Promise<Array<Object>>} The transactions with a RunningBalance, or as they were
+ *   if the account is not the user's.
+ */
+const withRunningBalances = async (userId, accountId, items) => {
+  if (items.length === 0) {
+    return items;
+  }
+  const accounts = await getAccountsById(userId, [accountId]);
+  const account = accounts[accountId];
+  if (!account) {
+    return items;
+  }
+  const oldest = items.reduce((min, item) => (item.Date < min ? item.Date : min), items[0].Date);
+  const later = await queryAll({
+    TableName: TABLE_NAME,
+    IndexName: USER_DATE_INDEX,
+    KeyConditionExpression: 'UserID = :userId AND #date >= :from',
+    FilterExpression: 'AccountID = :accountId',
+    ProjectionExpression: 'TransactionID, #date, Amount, Interest, Currency',
+    ExpressionAttributeNames: { '#date': 'Date' },
+    ExpressionAttributeValues: {
+      ':userId': userId,
+      ':accountId': accountId,
+      ':from': oldest
+    }
+  });
+  const balances = runningBalances(account.Balance, later, account.Currency || DEFAULT_CURRENCY);
+  return [...items]
+    .sort(compareNewestFirst)
+    .map(item => ({ ...item, RunningBalance: balances[item.TransactionID] }));
+};
+
+/**
+ * Loads a user's active categorization rules, in evaluation order.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array>} The rules.
+ */
+const loadRules = async (userId) => sortRules(await queryAll({
+  TableName: RULE_TABLE,
+  KeyConditionExpression: 'UserID = :userId',
+  ExpressionAttributeValues: { ':userId': userId }
+}));
+
+/**
+ * Loads all payees of a user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array>} The payees.
+ */
+const loadPayees = async (userId) => queryAll({
+  TableName: PAYEE_TABLE,
+  KeyConditionExpression: 'UserID = :userId',
+  ExpressionAttributeValues: { ':userId': userId }
+});
+
+/**
+ * Tells whether a transaction names a PayeeID the user has no payee for.
+ *
+ * @param {Object} transaction - The transaction data.
+ * @param {Array<Object>} payees - The user's payees.
+ * @returns {boolean} True if the PayeeID is unknown.
+ */
+const hasUnknownPayee = (transaction, payees) => Boolean(transaction.PayeeID)
+  && !payees.some(payee => payee.PayeeID === transaction.PayeeID);
+
+/**
+ * Links a transaction to its payee: the one its PayeeID names, or else the
+ * one its payee text or description matches. The payee's name fills in a
+ * missing payee text.
+ *
+ * @param {Object} transaction - The validated transaction data.
+ * @param {Array<Object>} payees - The user's payees.
+ * @returns {Object} The transaction, with a PayeeID only if a payee was found.
+ */
+const linkPayee = (transaction, payees) => {
+  const payee = transaction.PayeeID
+    ? payees.find(candidate => candidate.PayeeID === transaction.PayeeID)
+    : matchPayee(transaction, payees);
+  const { PayeeID, ...unlinked } = transaction;
+  if (!payee) {
+    return unlinked;
+  }
+  return { ...unlinked, PayeeID: payee.PayeeID, Payee: transaction.Payee || payee.Name };
+};
+
+/**
+ * Categorizes a transaction sent without a Category (and without splits) with
+ * the first matching rule, then its payee's DefaultCategory, then a given
+ * category. Transactions that a rule categorizes record its RuleID, so
+ * re-running the rules can tell them apart from manual categories.
+ *
+ * @param {Object} transaction - The validated transaction data, linked by `linkPayee`.
+ * @param {Array<Object>} rules - The user's rules.
+ * @param {Array<Object>} payees - The user's payees.
+ * @param {string} [fallback=UNCATEGORIZED] - The category used when nothing else applies.
+ * @returns {Object} The transaction with a Category.
+ */
+const applyCategoryRules = (transaction, rules, payees, fallback = UNCATEGORIZED) => {
+  if (transaction.Category || transaction.Splits) {
+    return transaction;
+  }
+  const assignment = categorize(transaction, rules);
+  if (assignment) {
+    return { ...transaction, ...assignment };
+  }
+  const payee = transaction.PayeeID && payees.find(candidate => candidate.PayeeID === transaction.PayeeID);
+  return { ...transaction, Category: (payee && payee.DefaultCategory) || fallback };
+};
+
+/**
+ * Marks a transaction as a likely duplicate of the best match, if any.
+ *
+ * @param {Object} transaction - The transaction to flag (modified in place).
+ * @param {Array<Object>} existing - Existing transactions to compare against.
+ * @returns {Array<{transaction: Object, score: number}>} The matches, best first.
+ */
+const flagDuplicates = (transaction, existing) => {
+  const matches = findDuplicates(transaction, existing);
+  if (matches.length > 0) {
+    transaction.DuplicateOf = matches[0].transaction.TransactionID;
+    transaction.DuplicateScore = Math.round(matches[0].score * 100) / 100;
+  }
+  return matches;
 };
 
 /**
- * Creates a new transaction in the database.
+ * Creates a new transaction in the database and adds its amount to the
+ * balance of its account, in one DynamoDB transaction.
  *
  * @param {string} userId - The ID of the user.
  * @param {Object} transaction - The transaction data to create.
@@ -137,126 +610,1802 @@ const createTransaction = async (userId, transaction) => {
     logger.warn('Invalid input', { userId, error: error.details[0].message });
     return createResponse(400, { message: error.details[0].message });
   }
-  const newTransaction = {
-    ...transaction,
+  const accounts = await getAccountsById(userId, [transaction.AccountID]);
+  if (findUnusableAccount([transaction], accounts)) {
+    logger.warn('Account not found or unauthorized', { userId, accountId: transaction.AccountID });
+    return createResponse(404, { message: 'Account not found or does not belong to the user' });
+  }
+  const payees = await loadPayees(userId);
+  if (hasUnknownPayee(transaction, payees)) {
+    logger.warn('Payee not found', { userId, payeeId: transaction.PayeeID });
+    return createResponse(400, { message: UNKNOWN_PAYEE_MESSAGE });
+  }
+  const rules = transaction.Category || transaction.Splits ? [] : await loadRules(userId);
+  const newTransaction = withLoanSplit({
+    ...withSplitCategory(applyCategoryRules(linkPayee(transaction, payees), rules, payees)),
+    Status: transaction.Status || PENDING,
+    Version: 1,
     TransactionID: uuidv4(),
     UserID: userId,
     CreatedAt: new Date().toISOString()
-  };
-  const params = {
+  }, accounts[transaction.AccountID]);
+
+  const dateWindow = duplicateWindow(transaction.Date);
+  const existing = await getAccountTransactions(userId, transaction.AccountID, dateWindow.from, dateWindow.to);
+  const matches = flagDuplicates(newTransaction, existing);
+
+  await putTransactions(userId, [newTransaction], accounts);
+  logger.info('Transaction created', {
+    userId,
+    transactionId: newTransaction.TransactionID,
+    ruleId: newTransaction.RuleID,
+    duplicateOf: newTransaction.DuplicateOf
+  });
+  return createResponse(201, {
+    message: 'Transaction created successfully',
+    transaction: newTransaction,
+    possibleDuplicates: matches.map(match => match.transaction.TransactionID)
+  }, { ETag: etag(newTransaction) });
+};
+
+/**
+ * Sends write requests to a table in batches of 25, retrying unprocessed items.
+ *
+ * @param {string} tableName - The name of the table.
+ * @param {Array<Object>} writeRequests - The PutRequest and DeleteRequest entries.
+ * @returns {Promise<void>}
+ * @throws {Error} If some requests are still unprocessed after the retries.
+ */
+const batchWriteRequests = async (tableName, writeRequests) => {
+  for (let i = 0; i < writeRequests.length; i += BATCH_WRITE_SIZE) {
+    let requests = writeRequests.slice(i, i + BATCH_WRITE_SIZE);
+    for (let attempt = 0; requests.length > 0; attempt++) {
+      if (attempt > MAX_BATCH_RETRIES) {
+        throw new Error(`Failed to write ${requests.length} items to ${tableName} after ${MAX_BATCH_RETRIES} retries`);
+      }
+      const result = await dynamodb.batchWrite({ RequestItems: { [tableName]: requests } }).promise();
+      requests = (result.UnprocessedItems && result.UnprocessedItems[tableName]) || [];
+    }
+  }
+};
+
+/**
+ * Imports the transactions of an OFX/QFX bank statement into an account.
+ *
+ * Each statement transaction is validated with `transactionSchema`. Rows whose
+ * FITID was already imported into the account (or appears twice in the file)
+ * are skipped, so re-importing an overlapping statement is safe. Rows that
+ * look like an existing transaction entered by other means, or like an earlier
+ * row of the statement, are created but flagged for duplicate review. Rows are categorized by the user's rules,
+ * falling back to the request's Category. The account's balance changes with
+ * every group of rows written.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} request - The import request (AccountID, Content, Encoding, Category).
+ * @returns {Promise<Object>} The Lambda response object with the import report.
+ */
+const importTransactions = async (userId, request) => {
+  const { error, value } = importSchema.validate(request);
+  if (error) {
+    logger.warn('Invalid import request', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const content = value.Encoding === 'base64'
+    ? Buffer.from(value.Content, 'base64').toString('utf8')
+    : value.Content;
+
+  let entries;
+  try {
+    entries = parseOfx(content);
+  } catch (parseError) {
+    logger.warn('Unparseable statement file', { userId, error: parseError.message });
+    return createResponse(400, { message: parseError.message });
+  }
+
+  const accounts = await getAccountsById(userId, [value.AccountID]);
+  if (findUnusableAccount([value], accounts)) {
+    logger.warn('Account not found or unauthorized', { userId, accountId: value.AccountID });
+    return createResponse(404, { message: 'Account not found or does not belong to the user' });
+  }
+
+  const report = { created: 0, skipped: 0, rejected: 0, flagged: 0, errors: [] };
+  const dates = entries.filter(entry => entry.date).map(entry => entry.date).sort();
+  const existing = dates.length > 0
+    ? await getAccountTransactions(
+      userId,
+      value.AccountID,
+      duplicateWindow(dates[0]).from,
+      duplicateWindow(dates[dates.length - 1]).to
+    )
+    : [];
+  const seen = new Set(existing.filter(item => item.ExternalID).map(item => item.ExternalID));
+  const rules = await loadRules(userId);
+  const payees = await loadPayees(userId);
+  const now = new Date().toISOString();
+  const newTransactions = [];
+
+  entries.forEach((entry, index) => {
+    if (entry.error) {
+      report.rejected++;
+      report.errors.push({ index, fitId: entry.fitId, message: entry.error });
+      return;
+    }
+    if (entry.fitId && seen.has(entry.fitId)) {
+      report.skipped++;
+      return;
+    }
+
+    const transaction = {
+      AccountID: value.AccountID,
+      Date: entry.date,
+      Amount: entry.amount,
+      Description: entry.description
+    };
+    if (entry.name) {
+      transaction.Payee = entry.name;
+    }
+    const { error: rowError } = transactionSchema.validate(transaction);
+    if (rowError) {
+      report.rejected++;
+      report.errors.push({ index, fitId: entry.fitId, message: rowError.details[0].message });
+      return;
+    }
+
+    if (entry.fitId) {
+      seen.add(entry.fitId);
+      transaction.ExternalID = entry.fitId;
+    }
+    // The bank has booked what its statement lists
+    const newTransaction = {
+      ...applyCategoryRules(linkPayee(transaction, payees), rules, payees, value.Category),
+      Status: CLEARED,
+      Version: 1,
+      TransactionID: uuidv4(),
+      UserID: userId,
+      ImportSource: 'OFX',
+      CreatedAt: now
+    };
+    if (flagDuplicates(newTransaction, existing).length > 0) {
+      report.flagged++;
+    }
+    // Later rows of the statement are compared with this one too
+    existing.push(newTransaction);
+    newTransactions.push(newTransaction);
+  });
+
+  // Payments into a loan are split in date order, each on what is owed once
+  // the statement's earlier rows are counted
+  const account = accounts[value.AccountID];
+  if (isLoan(account)) {
+    let balance = account.Balance;
+    newTransactions
+      .map((transaction, index) => ({ transaction, index }))
+      .sort((a, b) => a.transaction.Date.localeCompare(b.transaction.Date))
+      .forEach(({ transaction, index }) => {
+        newTransactions[index] = withLoanSplit(transaction, { ...account, Balance: balance });
+        balance += balanceEffect(newTransactions[index], account.Currency);
+      });
+  }
+
+  await putTransactions(userId, newTransactions, accounts);
+  report.created = newTransactions.length;
+
+  logger.info('Statement imported', {
+    userId,
+    accountId: value.AccountID,
+    created: report.created,
+    skipped: report.skipped,
+    rejected: report.rejected,
+    flagged: report.flagged
+  });
+  return createResponse(200, { message: 'Import completed', report });
+};
+
+/**
+ * Retrieves items of a table keyed by a single ID, ignoring any that belong
+ * to another user.
+ *
+ * @param {string} tableName - The name of the table.
+ * @param {string} keyName - The name of the table's key.
+ * @param {string} userId - The ID of the user.
+ * @param {Array<string>} ids - The IDs of the items.
+ * @returns {Promise<Object>} The items keyed by ID.
+ */
+const getItemsById = async (tableName, keyName, userId, ids) => {
+  const byId = {};
+  const uniqueIds = [...new Set(ids)];
+  for (let i = 0; i < uniqueIds.length; i += BATCH_GET_SIZE) {
+    let keys = uniqueIds.slice(i, i + BATCH_GET_SIZE).map(id => ({ [keyName]: id }));
+    for (let attempt = 0; keys.length > 0 && attempt <= MAX_BATCH_RETRIES; attempt++) {
+      const result = await dynamodb.batchGet({ RequestItems: { [tableName]: { Keys: keys } } }).promise();
+      result.Responses[tableName]
+        .filter(item => item.UserID === userId)
+        .forEach((item) => {
+          byId[item[keyName]] = item;
+        });
+      keys = (result.UnprocessedKeys && result.UnprocessedKeys[tableName]
+        && result.UnprocessedKeys[tableName].Keys) || [];
+    }
+  }
+  return byId;
+};
+
+/**
+ * Retrieves transactions by ID, ignoring any that belong to another user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<string>} transactionIds - The IDs of the transactions.
+ * @returns {Promise<Object>} The transactions keyed by TransactionID.
+ */
+const getTransactionsById = async (userId, transactionIds) => getItemsById(TABLE_NAME, 'TransactionID', userId, transactionIds);
+
+/**
+ * Retrieves accounts by ID, including closed ones, ignoring any that belong
+ * to another user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<string>} accountIds - The IDs of the accounts.
+ * @returns {Promise<Object>} The accounts keyed by AccountID.
+ */
+const getAccountsById = async (userId, accountIds) => getItemsById(ACCOUNT_TABLE, 'AccountID', userId, accountIds);
+
+/**
+ * Lists the transactions flagged as likely duplicates, each paired with the
+ * transaction it appears to duplicate.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getDuplicates = async (userId) => {
+  const flagged = await queryAll({
     TableName: TABLE_NAME,
-    Item: newTransaction
-  };
-  await dynamodb.put(params).promise();
-  logger.info('Transaction created', { userId, transactionId: newTransaction.TransactionID });
-  return createResponse(201, { message: 'Transaction created successfully', transaction: newTransaction });
+    IndexName: USER_DATE_INDEX,
+    KeyConditionExpression: 'UserID = :userId',
+    FilterExpression: 'attribute_exists(DuplicateOf)',
+    ExpressionAttributeValues: { ':userId': userId },
+    ScanIndexForward: false
+  });
+  const originals = await getTransactionsById(userId, flagged.map(item => item.DuplicateOf));
+
+  const duplicates = flagged.map(item => ({
+    transaction: item,
+    duplicateOf: originals[item.DuplicateOf] || null,
+    score: item.DuplicateScore
+  }));
+  logger.info('Duplicate transactions retrieved', { userId, count: duplicates.length });
+  return createResponse(200, { duplicates });
 };
 
 /**
- * Updates an existing transaction in the database.
+ * Merges a duplicate transaction into the one being kept.
+ *
+ * The kept transaction takes over the duplicate's description, external ID
+ * and import source where it has none of its own, and the duplicate is
+ * deleted, taking its amount off its account's balance. All writes happen in
+ * one DynamoDB transaction.
  *
  * @param {string} userId - The ID of the user.
- * @param {string} transactionId - The ID of the transaction to update.
- * @param {Object} transaction - The updated transaction data.
+ * @param {Object} request - The merge request (DuplicateID, KeepID).
  * @returns {Promise<Object>} The Lambda response object.
  */
-const updateTransaction = async (userId, transactionId, transaction) => {
-  const { error } = transactionSchema.validate(transaction);
+const mergeDuplicate = async (userId, request) => {
+  const { error } = mergeDuplicateSchema.validate(request);
   if (error) {
-    logger.warn('Invalid input', { userId, transactionId, error: error.details[0].message });
+    logger.warn('Invalid merge request', { userId, error: error.details[0].message });
     return createResponse(400, { message: error.details[0].message });
   }
-  
-  const params = {
-    TableName: TABLE_NAME,
-    Key: { TransactionID: transactionId },
-    UpdateExpression: 'set AccountID = :accountId, #date = :date, Amount = :amount, Category = :category, Description = :description, UpdatedAt = :updatedAt',
-    ExpressionAttributeNames: {
-      '#date': 'Date'
-    },
-    ExpressionAttributeValues: {
-      ':accountId': transaction.AccountID,
-      ':date': transaction.Date,
-      ':amount': transaction.Amount,
-      ':category': transaction.Category,
-      ':description': transaction.Description,
-      ':updatedAt': new Date().toISOString(),
-      ':userId': userId
-    },
-    ConditionExpression: 'UserID = :userId',
-    ReturnValues: 'ALL_NEW'
-  };
-  
+  const { DuplicateID: duplicateId, KeepID: keepId } = request;
+
+  const items = await getTransactionsById(userId, [duplicateId, keepId]);
+  const duplicate = items[duplicateId];
+  const kept = items[keepId];
+  if (!duplicate || !kept) {
+    logger.warn('Transaction not found or unauthorized', { userId, duplicateId, keepId });
+    return createResponse(404, { message: 'Transaction not found' });
+  }
+  if (duplicate.TransferPeerID) {
+    logger.warn('Attempt to merge a transfer leg', { userId, duplicateId });
+    return createResponse(400, { message: 'A transfer leg cannot be merged away; delete the transfer instead' });
+  }
+  if (isReconciled(duplicate) || isReconciled(kept)) {
+    logger.warn('Attempt to merge a reconciled transaction', { userId, duplicateId, keepId });
+    return createResponse(409, { message: RECONCILED_MESSAGE });
+  }
+  const accounts = await getAccountsById(userId, [duplicate.AccountID]);
+
+  const now = new Date().toISOString();
+  const merged = { ...kept, Version: currentVersion(kept) + 1, UpdatedAt: now };
+  ['Description', 'Payee', 'PayeeID', 'ExternalID', 'ImportSource'].forEach((field) => {
+    if (!merged[field] && duplicate[field]) merged[field] = duplicate[field];
+  });
+  // Receipts of the duplicate stay reachable from the kept transaction
+  if (duplicate.Attachments && duplicate.Attachments.length > 0) {
+    merged.Attachments = [...(kept.Attachments || []), ...duplicate.Attachments];
+  }
+  if (merged.DuplicateOf === duplicateId) {
+    delete merged.DuplicateOf;
+    delete merged.DuplicateScore;
+  }
+
   try {
-    const result = await dynamodb.update(params).promise();
-    logger.info('Transaction updated', { userId, transactionId });
-    return createResponse(200, { message: 'Transaction updated successfully', transaction: result.Attributes });
+    await dynamodb.transactWrite({
+      TransactItems: [
+        guardedPut(merged, kept),
+        guardedDelete(duplicate),
+        ...balanceUpdates(userId, [{ previous: duplicate, current: null }], accounts, now)
+      ]
+    }).promise();
   } catch (error) {
-    if (error.code === 'ConditionalCheckFailedException') {
-      logger.warn('Transaction not found or unauthorized', { userId, transactionId });
-      return createResponse(404, { message: 'Transaction not found or does not belong to the user' });
+    if (error.code === 'TransactionCanceledException') {
+      logger.warn('Duplicate merge conflicted', { userId, duplicateId, keepId });
+      return createResponse(409, { message: 'Transactions were modified by another request. Please retry.' });
     }
     throw error;
   }
+
+  logger.info('Duplicate transaction merged', { userId, duplicateId, keepId });
+  return createResponse(200, { message: 'Transactions merged successfully', transaction: merged });
 };
 
 /**
- * Deletes a transaction from the database.
+ * Clears the duplicate flag of a transaction the user confirmed is not a duplicate.
  *
  * @param {string} userId - The ID of the user.
- * @param {string} transactionId - The ID of the transaction to delete.
+ * @param {Object} request - The dismiss request (TransactionID).
  * @returns {Promise<Object>} The Lambda response object.
  */
-const deleteTransaction = async (userId, transactionId) => {
+const dismissDuplicate = async (userId, request) => {
+  const { error } = dismissDuplicateSchema.validate(request);
+  if (error) {
+    logger.warn('Invalid dismiss request', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const transactionId = request.TransactionID;
+
   const params = {
     TableName: TABLE_NAME,
     Key: { TransactionID: transactionId },
-    ConditionExpression: 'UserID = :userId',
+    UpdateExpression: 'remove DuplicateOf, DuplicateScore set UpdatedAt = :updatedAt, '
+      + 'Version = if_not_exists(Version, :baseVersion) + :increment',
+    ConditionExpression: 'UserID = :userId AND attribute_exists(DuplicateOf)',
     ExpressionAttributeValues: {
-      ':userId': userId
-    }
+      ':updatedAt': new Date().toISOString(),
+      ':userId': userId,
+      ':baseVersion': 1,
+      ':increment': 1
+    },
+    ReturnValues: 'ALL_NEW'
   };
-  
+
   try {
-    await dynamodb.delete(params).promise();
-    logger.info('Transaction deleted', { userId, transactionId });
-    return createResponse(200, { message: 'Transaction deleted successfully' });
+    const result = await dynamodb.update(params).promise();
+    logger.info('Duplicate flag dismissed', { userId, transactionId });
+    return createResponse(200, { message: 'Duplicate flag dismissed', transaction: result.Attributes });
   } catch (error) {
     if (error.code === 'ConditionalCheckFailedException') {
-      logger.warn('Transaction not found or unauthorized', { userId, transactionId });
-      return createResponse(404, { message: 'Transaction not found or does not belong to the user' });
+      logger.warn('Flagged transaction not found or unauthorized', { userId, transactionId });
+      return createResponse(404, { message: 'Flagged transaction not found' });
     }
     throw error;
   }
 };
 
 /**
- * Main handler function for the Lambda.
+ * Lists the tags in use on the user's transactions, with the number of
+ * transactions carrying each one.
  *
- * @param {Object} event - The Lambda event object.
- * @param {Object} context - The Lambda context object.
+ * @param {string} userId - The ID of the user.
  * @returns {Promise<Object>} The Lambda response object.
  */
-exports.handler = async (event, context) => {
-  logger.info('Received event', { 
-    requestId: context.awsRequestId,
-    event: JSON.stringify(event)
+const getTags = async (userId) => {
+  const items = await queryAll({
+    TableName: TABLE_NAME,
+    IndexName: USER_DATE_INDEX,
+    KeyConditionExpression: 'UserID = :userId',
+    FilterExpression: 'attribute_exists(Tags)',
+    ProjectionExpression: 'Tags',
+    ExpressionAttributeValues: { ':userId': userId }
   });
+  const counts = {};
+  items.forEach(item => item.Tags.forEach((tag) => {
+    counts[tag] = (counts[tag] || 0) + 1;
+  }));
+  const tags = Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([tag, count]) => ({ tag, count }));
+  logger.info('Tags retrieved', { userId, count: tags.length });
+  return createResponse(200, { tags });
+};
 
-  const { httpMethod, path, body, pathParameters } = event;
-
-  try {
-    const userId = getUserId(event);
+/**
+ * Replaces a set of tags with a target tag on every transaction of the user
+ * that carries one of them. Reconciled transactions are locked and keep their
+ * tags, including those reconciled while the tags are being replaced.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<string>} sources - The tags to replace.
+ * @param {string} target - The tag to put in their place.
+ * @returns {Promise<{updated: number, skipped: number}>} The number of transactions updated,
+ *   and of reconciled ones left alone.
+ */
+const retagTransactions = async (userId, sources, target) => {
+  const values = { ':userId': userId };
+  const conditions = sources.map((tag, index) => {
+    values[`:tag${index}`] = tag;
+    return `contains(Tags, :tag${index})`;
+  });
+  const items = await queryAll({
+    TableName: TABLE_NAME,
+    IndexName: USER_DATE_INDEX,
+    KeyConditionExpression: 'UserID = :userId',
+    FilterExpression: conditions.join(' OR '),
+    ExpressionAttributeValues: values
+  });
+
+  const updatedAt = new Date().toISOString();
+  let updated = 0;
+  for (const item of items.filter(candidate => !isReconciled(candidate))) {
+    const tags = [...new Set(item.Tags.map(tag => (sources.includes(tag) ? target : tag)))];
+    try {
+      await dynamodb.update({
+        TableName: TABLE_NAME,
+        Key: { TransactionID: item.TransactionID },
+        UpdateExpression: 'set Tags = :tags, UpdatedAt = :updatedAt, Version = if_not_exists(Version, :baseVersion) + :increment',
+        ConditionExpression: 'UserID = :userId AND (attribute_not_exists(#status) OR #status <> :reconciled)',
+        ExpressionAttributeNames: { '#status': 'Status' },
+        ExpressionAttributeValues: {
+          ':tags': tags,
+          ':updatedAt': updatedAt,
+          ':userId': userId,
+          ':reconciled': RECONCILED,
+          ':baseVersion': 1,
+          ':increment': 1
+        }
+      }).promise();
+      updated++;
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+    }
+  }
+  return { updated, skipped: items.length - updated };
+};
+
+/**
+ * Renames a tag on all of the user's transactions. Renaming to a tag that is
+ * already in use is refused; merge the tags instead.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} request - The rename request (From, To).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const renameTag = async (userId, request) => {
+  const { error } = renameTagSchema.validate(request);
+  if (error) {
+    logger.warn('Invalid tag rename request', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const inUse = await queryAll({
+    TableName: TABLE_NAME,
+    IndexName: USER_DATE_INDEX,
+    KeyConditionExpression: 'UserID = :userId',
+    FilterExpression: 'contains(Tags, :tag)',
+    ProjectionExpression: 'TransactionID',
+    ExpressionAttributeValues: { ':userId': userId, ':tag': request.To }
+  });
+  if (inUse.length > 0) {
+    logger.warn('Tag rename target already in use', { userId, to: request.To });
+    return createResponse(409, { message: `Tag "${request.To}" is already in use; merge the tags instead` });
+  }
+
+  const { updated, skipped } = await retagTransactions(userId, [request.From], request.To);
+  logger.info('Tag renamed', { userId, from: request.From, to: request.To, updated, skipped });
+  return createResponse(200, { message: 'Tag renamed successfully', updated, skipped });
+};
+
+/**
+ * Merges several tags into one on all of the user's transactions.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} request - The merge request (Sources, Target).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const mergeTags = async (userId, request) => {
+  const { error } = mergeTagsSchema.validate(request);
+  if (error) {
+    logger.warn('Invalid tag merge request', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const sources = request.Sources.filter(tag => tag !== request.Target);
+  const { updated, skipped } = sources.length > 0
+    ? await retagTransactions(userId, sources, request.Target)
+    : { updated: 0, skipped: 0 };
+  logger.info('Tags merged', { userId, sources, target: request.Target, updated, skipped });
+  return createResponse(200, { message: 'Tags merged successfully', updated, skipped });
+};
+
+/**
+ * Searches the user's transactions by words of their description and payee.
+ * Each term of the query must match a word, exactly or as its prefix; exact
+ * matches and matches in the payee rank higher.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} [queryStringParameters] - The query string parameters (q, from, to, limit).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const searchTransactions = async (userId, queryStringParameters) => {
+  const query = queryStringParameters || {};
+  const { error } = searchQuerySchema.validate(query);
+  if (error) {
+    logger.warn('Invalid search parameters', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const terms = tokenize(query.q).slice(0, MAX_SEARCH_TERMS);
+  if (terms.length === 0) {
+    logger.warn('Search without terms', { userId });
+    return createResponse(400, { message: '"q" must contain a word of at least two letters or digits' });
+  }
+
+  const to = query.to && DATE_ONLY_PATTERN.test(query.to) ? `${query.to}T23:59:59.999Z` : query.to;
+  const entries = [];
+  for (const term of terms) {
+    const matched = await queryAll({
+      TableName: SEARCH_INDEX_TABLE,
+      KeyConditionExpression: 'UserID = :userId AND begins_with(TermKey, :term)',
+      ExpressionAttributeValues: { ':userId': userId, ':term': term }
+    });
+    entries.push(...matched.filter(entry => (!query.from || entry.Date >= query.from) && (!to || entry.Date <= to)));
+  }
+
+  const matches = rankMatches(terms, entries);
+  const page = matches.slice(0, query.limit ? Number(query.limit) : 20);
+  const byId = await getTransactionsById(userId, page.map(match => match.transactionId));
+  const results = page
+    .filter(match => byId[match.transactionId])
+    .map(match => ({ score: match.score, transaction: byId[match.transactionId] }));
+
+  logger.info('Transactions searched', { userId, terms: terms.length, matches: matches.length });
+  return createResponse(200, { results, total: matches.length });
+};
+
+/**
+ * Brings the search index in line with a change of a transaction, adding the
+ * entries of its new words and removing those of words it no longer has.
+ *
+ * @param {Object|null} previous - The transaction before the change, or null if created.
+ * @param {Object|null} current - The transaction after the change, or null if deleted.
+ * @returns {Promise<void>}
+ */
+const syncSearchIndex = async (previous, current) => {
+  const before = {};
+  (previous ? indexEntries(previous) : []).forEach((entry) => {
+    before[entry.TermKey] = entry;
+  });
+  const after = current ? indexEntries(current) : [];
+  const afterKeys = new Set(after.map(entry => entry.TermKey));
+
+  const requests = [
+    ...Object.values(before)
+      .filter(entry => !afterKeys.has(entry.TermKey))
+      .map(entry => ({ DeleteRequest: { Key: { UserID: entry.UserID, TermKey: entry.TermKey } } })),
+    ...after
+      .filter((entry) => {
+        const old = before[entry.TermKey];
+        return !old || old.Field !== entry.Field || old.Date !== entry.Date;
+      })
+      .map(entry => ({ PutRequest: { Item: entry } }))
+  ];
+  await batchWriteRequests(SEARCH_INDEX_TABLE, requests);
+};
+
+/**
+ * Rebuilds the user's search index from their transactions, e.g. for
+ * transactions written before search was introduced.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const reindexTransactions = async (userId) => {
+  const stale = await queryAll({
+    TableName: SEARCH_INDEX_TABLE,
+    KeyConditionExpression: 'UserID = :userId',
+    ProjectionExpression: 'UserID, TermKey',
+    ExpressionAttributeValues: { ':userId': userId }
+  });
+  const transactions = await queryAll({
+    TableName: TABLE_NAME,
+    IndexName: USER_DATE_INDEX,
+    KeyConditionExpression: 'UserID = :userId',
+    ExpressionAttributeValues: { ':userId': userId }
+  });
+
+  const entries = transactions.flatMap(transaction => indexEntries(transaction));
+  const keep = new Set(entries.map(entry => entry.TermKey));
+  await batchWriteRequests(SEARCH_INDEX_TABLE, [
+    ...stale
+      .filter(entry => !keep.has(entry.TermKey))
+      .map(entry => ({ DeleteRequest: { Key: { UserID: entry.UserID, TermKey: entry.TermKey } } })),
+    ...entries.map(entry => ({ PutRequest: { Item: entry } }))
+  ]);
+
+  logger.info('Search index rebuilt', { userId, transactions: transactions.length, entries: entries.length });
+  return createResponse(200, { message: 'Search index rebuilt', transactions: transactions.length });
+};
+
+/**
+ * Loads a transaction owned by the user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} transactionId - The ID of the transaction.
+ * @returns {Promise<Object|null>} The transaction, or null if not found or not owned by the user.
+ */
+const findTransaction = async (userId, transactionId) => {
+  const result = await dynamodb.get({
+    TableName: TABLE_NAME,
+    Key: { TransactionID: transactionId }
+  }).promise();
+  if (!result.Item || result.Item.UserID !== userId) {
+    return null;
+  }
+  return result.Item;
+};
+
+/**
+ * Builds the response to a request based on a stale version of a
+ * transaction, carrying the transaction as it is now.
+ *
+ * @param {{source: string}} expected - The version the request was based on.
+ * @param {Object} current - The stored transaction.
+ * @returns {Object} The Lambda response object.
+ */
+const versionConflict = (expected, current) => createResponse(conflictStatus(expected), {
+  message: 'Transaction was modified by another request. Please retry with the latest version.',
+  current
+}, { ETag: etag(current) });
+
+/**
+ * Checks that an update or delete names the current version of a transaction.
+ *
+ * @param {?{version: number, source: string}} expected - The version the request is based on.
+ * @param {Object} existing - The stored transaction.
+ * @returns {Object|null} The Lambda response rejecting the request, or null if it may go ahead.
+ */
+const checkVersion = (expected, existing) => {
+  if (!expected) {
+    return createResponse(428, { message: VERSION_REQUIRED_MESSAGE });
+  }
+  return isCurrent(expected, existing) ? null : versionConflict(expected, existing);
+};
+
+/**
+ * Answers an update or delete whose guarded write lost a race with another
+ * request, with the transaction as it is now.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} transactionId - The ID of the transaction.
+ * @param {{source: string}} expected - The version the request was based on.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const conflictAfterWrite = async (userId, transactionId, expected) => {
+  const current = await findTransaction(userId, transactionId);
+  if (!current) {
+    return createResponse(404, { message: 'Transaction not found or does not belong to the user' });
+  }
+  return versionConflict(expected, current);
+};
+
+/**
+ * Lists why each item of a cancelled DynamoDB transaction failed, in the
+ * order of the TransactItems. The v2 SDK leaves CancellationReasons off the
+ * error, so they are read from its message when missing.
+ *
+ * @param {Error} error - The TransactionCanceledException.
+ * @returns {Array<string>} The reason codes, 'None' for items that did not fail.
+ */
+const cancellationReasons = (error) => {
+  if (Array.isArray(error.CancellationReasons)) {
+    return error.CancellationReasons.map(reason => (reason && reason.Code) || 'None');
+  }
+  const match = /\[([^\]]*)\]\s*$/.exec(error.message || '');
+  return match ? match[1].split(',').map(reason => reason.trim()) : [];
+};
+
+/**
+ * Tells whether a transaction was reconciled and is locked against changes.
+ *
+ * @param {Object} transaction - The stored transaction.
+ * @returns {boolean} True if it is reconciled.
+ */
+const isReconciled = transaction => transaction.Status === RECONCILED;
+
+/**
+ * Splits a payment into a loan or mortgage into interest and principal. An
+ * Interest given with the transaction is kept; an update that leaves the
+ * account and amount alone keeps the Interest it had; otherwise the interest
+ * is a period's worth on what was owed before the payment. Transactions that
+ * are not payments into a loan carry no Interest.
+ *
+ * @param {Object} item - The transaction item to write; its Interest, if any, was given explicitly.
+ * @param {Object} [account] - Its account.
+ * @param {Object} [previous] - The stored transaction it replaces, if any.
+ * @returns {Object} The transaction item with its Interest set or removed.
+ */
+const withLoanSplit = (item, account, previous) => {
+  const { Interest: interest, ...transaction } = item;
+  if (!isLoan(account) || transaction.Amount <= 0 || balanceEffect(transaction, account.Currency) === 0) {
+    return transaction;
+  }
+  if (interest !== undefined) {
+    return { ...transaction, Interest: interest };
+  }
+  const samePayment = previous && previous.AccountID === transaction.AccountID;
+  if (samePayment && previous.Amount === transaction.Amount && previous.Interest !== undefined) {
+    return { ...transaction, Interest: previous.Interest };
+  }
+  const owed = -(account.Balance - (samePayment ? balanceEffect(previous, account.Currency) : 0));
+  return { ...transaction, Interest: paymentInterest(account, transaction.Amount, owed) };
+};
+
+/**
+ * Builds the balance updates for a set of transaction writes, one per account
+ * whose balance changes. A transaction whose account no longer exists has no
+ * balance to keep in step.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<{previous: ?Object, current: ?Object}>} changes - Each transaction before and after the write; null when created or deleted.
+ * @param {Object} accounts - The accounts involved, keyed by AccountID.
+ * @param {string} timestamp - The update timestamp.
+ * @returns {Array<Object>} The TransactItems entries.
+ */
+const balanceUpdates = (userId, changes, accounts, timestamp) => {
+  const deltas = {};
+  const add = (transaction, sign) => {
+    const account = accounts[transaction.AccountID];
+    if (account) {
+      deltas[transaction.AccountID] = (deltas[transaction.AccountID] || 0) + sign * balanceEffect(transaction, account.Currency);
+    }
+  };
+  changes.forEach(({ previous, current }) => {
+    if (previous) add(previous, -1);
+    if (current) add(current, 1);
+  });
+  return Object.entries(deltas)
+    .map(([accountId, delta]) => [accountId, Math.round(delta * 100) / 100])
+    .filter(([, delta]) => delta !== 0)
+    .map(([accountId, delta]) => balanceUpdate(ACCOUNT_TABLE, userId, accountId, delta, timestamp));
+};
+
+/**
+ * Finds the first of some transactions whose account is missing, closed or
+ * owned by another user, so it cannot take new transactions.
+ *
+ * @param {Array<Object>} transactions - The transactions to write.
+ * @param {Object} accounts - The user's accounts, keyed by AccountID.
+ * @returns {string|null} The AccountID, or null if all accounts are usable.
+ */
+const findUnusableAccount = (transactions, accounts) => {
+  const unusable = transactions.find(({ AccountID }) => !accounts[AccountID] || !accounts[AccountID].IsActive);
+  return unusable ? unusable.AccountID : null;
+};
+
+/**
+ * Builds the condition that a stored transaction still has the owner,
+ * account, amount and currency it was read with, so a balance change computed
+ * from it is still right, has not been reconciled since, and is still at the
+ * version it was read at.
+ *
+ * @param {Object} previous - The transaction as it was read.
+ * @returns {Object} The ConditionExpression, ExpressionAttributeNames and ExpressionAttributeValues.
+ */
+const unchangedCondition = (previous) => {
+  const version = versionCondition(previous);
+  const values = {
+    ':userId': previous.UserID,
+    ':previousAccountId': previous.AccountID,
+    ':previousAmount': previous.Amount,
+    ':reconciled': RECONCILED,
+    ...version.values
+  };
+  let currencyCondition = 'attribute_not_exists(Currency)';
+  if (previous.Currency) {
+    currencyCondition = 'Currency = :previousCurrency';
+    values[':previousCurrency'] = previous.Currency;
+  }
+  return {
+    ConditionExpression: 'UserID = :userId AND AccountID = :previousAccountId AND Amount = :previousAmount AND '
+      + `${currencyCondition} AND (attribute_not_exists(#status) OR #status <> :reconciled) AND ${version.expression}`,
+    ExpressionAttributeNames: { '#status': 'Status' },
+    ExpressionAttributeValues: values
+  };
+};
+
+/**
+ * Builds the transact-write item that replaces a transaction, provided it is
+ * unchanged since it was read.
+ *
+ * @param {Object} item - The new transaction item.
+ * @param {Object} previous - The transaction as it was read.
+ * @returns {Object} The TransactItems entry.
+ */
+const guardedPut = (item, previous) => ({
+  Put: {
+    TableName: TABLE_NAME,
+    Item: item,
+    ...unchangedCondition(previous)
+  }
+});
+
+/**
+ * Builds the transact-write item that deletes a transaction, provided it is
+ * unchanged since it was read.
+ *
+ * @param {Object} previous - The transaction as it was read.
+ * @returns {Object} The TransactItems entry.
+ */
+const guardedDelete = previous => ({
+  Delete: {
+    TableName: TABLE_NAME,
+    Key: { TransactionID: previous.TransactionID },
+    ...unchangedCondition(previous)
+  }
+});
+
+/**
+ * Builds the transact-write item that moves deleted transactions to the
+ * trash, from where the trash service can restore them. The legs of a
+ * transfer share one entry, keyed by the leg the user deleted. Attachment
+ * objects stay in the bucket until the entry is purged.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<Object>} items - The deleted transactions.
+ * @param {string} timestamp - The deletion timestamp.
+ * @returns {Object} The TransactItems entry.
+ */
+const trashPut = (userId, items, timestamp) => ({
+  Put: {
+    TableName: TRASH_TABLE,
+    Item: {
+      UserID: userId,
+      TrashID: items[0].TransactionID,
+      ItemType: 'transaction',
+      Items: items,
+      DeletedAt: timestamp
+    }
+  }
+});
+
+/**
+ * Builds the transact-write item that creates a transaction.
+ *
+ * @param {Object} item - The new transaction item.
+ * @returns {Object} The TransactItems entry.
+ */
+const newTransactionPut = item => ({
+  Put: {
+    TableName: TABLE_NAME,
+    Item: item,
+    ConditionExpression: 'attribute_not_exists(TransactionID)'
+  }
+});
+
+/**
+ * Writes new transactions together with their effect on account balances, in
+ * DynamoDB transactions of up to 25 transactions each.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<Object>} items - The new transactions.
+ * @param {Object} accounts - Their accounts, keyed by AccountID.
+ * @returns {Promise<void>}
+ */
+const putTransactions = async (userId, items, accounts) => {
+  const now = new Date().toISOString();
+  for (let i = 0; i < items.length; i += TRANSACT_WRITE_SIZE) {
+    const chunk = items.slice(i, i + TRANSACT_WRITE_SIZE);
+    await dynamodb.transactWrite({
+      TransactItems: [
+        ...chunk.map(newTransactionPut),
+        ...balanceUpdates(userId, chunk.map(item => ({ previous: null, current: item })), accounts, now)
+      ]
+    }).promise();
+  }
+};
+
+/**
+ * Updates one leg of a transfer and keeps the linked leg and both account
+ * balances in step, in one DynamoDB transaction. A transfer between accounts
+ * in different currencies cannot be changed this way.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} leg - The stored transfer leg being edited.
+ * @param {Object} transaction - The validated update.
+ * @param {{source: string}} expected - The version of the leg the update is based on.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const updateTransferLeg = async (userId, leg, transaction, expected) => {
+  const transactionId = leg.TransactionID;
+  if (transaction.AccountID !== leg.AccountID || transaction.Splits) {
+    logger.warn('Invalid transfer update', { userId, transactionId });
+    return createResponse(400, { message: 'The account of a transfer leg cannot be changed and it cannot be split' });
+  }
+  const peer = await findTransaction(userId, leg.TransferPeerID);
+  if (!peer) {
+    logger.error('Linked transfer leg missing', { userId, transactionId, peerId: leg.TransferPeerID });
+    return createResponse(409, { message: 'The linked transfer transaction was not found' });
+  }
+  if (isReconciled(peer)) {
+    logger.warn('Attempt to change a reconciled transaction', { userId, transactionId: peer.TransactionID });
+    return createResponse(409, { message: RECONCILED_MESSAGE });
+  }
+
+  const accounts = await getAccountsById(userId, [leg.AccountID, peer.AccountID]);
+  const currencies = [leg, peer]
+    .map(({ AccountID }) => accounts[AccountID])
+    .map(account => account && (account.Currency || DEFAULT_CURRENCY));
+  if (currencies.every(Boolean) && currencies[0] !== currencies[1]) {
+    // The peer mirrors the amount, which only holds within one currency
+    logger.warn('Transfer between currencies', { userId, transactionId, peerId: peer.TransactionID });
+    return createResponse(400, { message: 'Transfers between accounts in different currencies are not supported' });
+  }
+  const now = new Date().toISOString();
+  const updatedLeg = withLoanSplit({
+    ...leg,
+    Date: transaction.Date,
+    Amount: transaction.Amount,
+    Interest: transaction.Interest,
+    Category: transaction.Category || leg.Category,
+    Description: transaction.Description,
+    Status: transaction.Status || leg.Status || PENDING,
+    Version: currentVersion(leg) + 1,
+    UpdatedAt: now
+  }, accounts[leg.AccountID], leg);
+  if (transaction.Tags) {
+    updatedLeg.Tags = transaction.Tags;
+  }
+  const updatedPeer = withLoanSplit({
+    ...peer,
+    Date: transaction.Date,
+    Amount: -transaction.Amount,
+    Interest: undefined,
+    Description: transaction.Description,
+    Version: currentVersion(peer) + 1,
+    UpdatedAt: now
+  }, accounts[peer.AccountID], peer);
+
+  const items = [guardedPut(updatedLeg, leg), guardedPut(updatedPeer, peer)];
+  [[leg, updatedLeg], [peer, updatedPeer]].forEach(([before, after]) => {
+    const delta = Math.round((principalPart(after) - principalPart(before)) * 100) / 100;
+    if (delta !== 0) {
+      items.push(balanceUpdate(ACCOUNT_TABLE, userId, before.AccountID, delta, now));
+    }
+  });
+
+  try {
+    await dynamodb.transactWrite({ TransactItems: items }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      logger.warn('Concurrent transfer update detected', { userId, transactionId });
+      return conflictAfterWrite(userId, transactionId, expected);
+    }
+    throw error;
+  }
+
+  logger.info('Transfer leg updated', { userId, transactionId, peerId: peer.TransactionID });
+  return createResponse(200, { message: 'Transaction updated successfully', transaction: updatedLeg }, { ETag: etag(updatedLeg) });
+};
+
+/**
+ * Deletes both legs of a transfer and reverts both account balances, in one
+ * DynamoDB transaction.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} leg - The stored transfer leg being deleted.
+ * @param {{source: string}} expected - The version of the leg the delete is based on.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const deleteTransfer = async (userId, leg, expected) => {
+  const transactionId = leg.TransactionID;
+  const peer = await findTransaction(userId, leg.TransferPeerID);
+  if (peer && isReconciled(peer)) {
+    logger.warn('Attempt to change a reconciled transaction', { userId, transactionId: peer.TransactionID });
+    return createResponse(409, { message: RECONCILED_MESSAGE });
+  }
+  const legs = peer ? [leg, peer] : [leg];
+  const now = new Date().toISOString();
+
+  const items = [trashPut(userId, legs, now)];
+  legs.forEach((item) => {
+    items.push(guardedDelete(item));
+    items.push(balanceUpdate(ACCOUNT_TABLE, userId, item.AccountID, -principalPart(item), now));
+  });
+
+  try {
+    await dynamodb.transactWrite({ TransactItems: items }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      logger.warn('Concurrent transfer update detected', { userId, transactionId });
+      return conflictAfterWrite(userId, transactionId, expected);
+    }
+    throw error;
+  }
+
+  logger.info('Transfer deleted', { userId, transactionId, transferId: leg.TransferID });
+  return createResponse(200, { message: 'Transaction deleted successfully' });
+};
+
+/**
+ * Updates an existing transaction in the database and moves the change in
+ * its amount between account balances, in one DynamoDB transaction. Editing a
+ * transfer leg also updates the linked leg. An update without a Category
+ * keeps the transaction's category; one with a Category counts as manual
+ * categorization and clears the RuleID. The update must be based on the
+ * current version of the transaction.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} transactionId - The ID of the transaction to update.
+ * @param {Object} transaction - The updated transaction data.
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const updateTransaction = async (userId, transactionId, transaction, headers) => {
+  const { error } = transactionSchema.validate(transaction);
+  if (error) {
+    logger.warn('Invalid input', { userId, transactionId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const existing = await findTransaction(userId, transactionId);
+  if (!existing) {
+    logger.warn('Transaction not found or unauthorized', { userId, transactionId });
+    return createResponse(404, { message: 'Transaction not found or does not belong to the user' });
+  }
+  const expected = expectedVersion(headers, transaction);
+  const rejected = checkVersion(expected, existing);
+  if (rejected) {
+    logger.warn('Update not based on the current version', { userId, transactionId, expected });
+    return rejected;
+  }
+  if (isReconciled(existing)) {
+    logger.warn('Attempt to change a reconciled transaction', { userId, transactionId });
+    return createResponse(409, { message: RECONCILED_MESSAGE });
+  }
+  if (existing.TransferPeerID) {
+    return updateTransferLeg(userId, existing, withSplitCategory(transaction), expected);
+  }
+
+  const accounts = await getAccountsById(userId, [existing.AccountID, transaction.AccountID]);
+  if (transaction.AccountID !== existing.AccountID && findUnusableAccount([transaction], accounts)) {
+    logger.warn('Account not found or unauthorized', { userId, transactionId, accountId: transaction.AccountID });
+    return createResponse(404, { message: 'Account not found or does not belong to the user' });
+  }
+
+  const payees = await loadPayees(userId);
+  if (hasUnknownPayee(transaction, payees)) {
+    logger.warn('Payee not found', { userId, transactionId, payeeId: transaction.PayeeID });
+    return createResponse(400, { message: UNKNOWN_PAYEE_MESSAGE });
+  }
+  const now = new Date().toISOString();
+  const updated = withLoanSplit(
+    applyUpdate(existing, transaction, payees, now),
+    accounts[transaction.AccountID],
+    existing
+  );
+
+  try {
+    await dynamodb.transactWrite({
+      TransactItems: [
+        guardedPut(updated, existing),
+        ...balanceUpdates(userId, [{ previous: existing, current: updated }], accounts, now)
+      ]
+    }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      logger.warn('Concurrent transaction update detected', { userId, transactionId });
+      return conflictAfterWrite(userId, transactionId, expected);
+    }
+    throw error;
+  }
+
+  logger.info('Transaction updated', { userId, transactionId });
+  return createResponse(200, { message: 'Transaction updated successfully', transaction: updated }, { ETag: etag(updated) });
+};
+
+/**
+ * Moves a transaction to the trash and takes its amount off its account's
+ * balance, in one DynamoDB transaction. Deleting a transfer leg deletes the
+ * whole transfer. The delete must be based on the current version of the
+ * transaction, and its account must not be archived.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} transactionId - The ID of the transaction to delete.
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
+ * @param {Object} [body] - The request body, which may carry the Version.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const deleteTransaction = async (userId, transactionId, headers, body) => {
+  const existing = await findTransaction(userId, transactionId);
+  if (!existing) {
+    logger.warn('Transaction not found or unauthorized', { userId, transactionId });
+    return createResponse(404, { message: 'Transaction not found or does not belong to the user' });
+  }
+  const expected = expectedVersion(headers, body);
+  const rejected = checkVersion(expected, existing);
+  if (rejected) {
+    logger.warn('Delete not based on the current version', { userId, transactionId, expected });
+    return rejected;
+  }
+  if (isReconciled(existing)) {
+    logger.warn('Attempt to change a reconciled transaction', { userId, transactionId });
+    return createResponse(409, { message: RECONCILED_MESSAGE });
+  }
+  if (existing.TransferPeerID) {
+    return deleteTransfer(userId, existing, expected);
+  }
+
+  const accounts = await getAccountsById(userId, [existing.AccountID]);
+  const account = accounts[existing.AccountID];
+  if (account && !account.IsActive) {
+    logger.warn('Attempt to delete a transaction of an archived account', { userId, transactionId });
+    return createResponse(409, { message: ARCHIVED_ACCOUNT_MESSAGE });
+  }
+  const now = new Date().toISOString();
+  const balanceItems = balanceUpdates(userId, [{ previous: existing, current: null }], accounts, now);
+  try {
+    await dynamodb.transactWrite({
+      TransactItems: [guardedDelete(existing), trashPut(userId, [existing], now), ...balanceItems]
+    }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      const [transactionReason, , balanceReason] = cancellationReasons(error);
+      if (balanceItems.length > 0 && balanceReason === 'ConditionalCheckFailed' && transactionReason === 'None') {
+        // The account was archived after it was read
+        logger.warn('Attempt to delete a transaction of an archived account', { userId, transactionId });
+        return createResponse(409, { message: ARCHIVED_ACCOUNT_MESSAGE });
+      }
+      logger.warn('Concurrent transaction update detected', { userId, transactionId });
+      return conflictAfterWrite(userId, transactionId, expected);
+    }
+    throw error;
+  }
+
+  logger.info('Transaction deleted', { userId, transactionId });
+  return createResponse(200, { message: 'Transaction deleted successfully' });
+};
+
+/**
+ * Sets a transaction back to how it was after one of its revisions. The
+ * revert is an update like any other: it needs the current version, moves
+ * the account balances and is recorded as a new revision.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} transactionId - The ID of the transaction.
+ * @param {Object} request - The revert request (RevisionID, Version).
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const revertTransaction = async (userId, transactionId, request, headers) => {
+  const { error } = revertSchema.validate(request);
+  if (error) {
+    logger.warn('Invalid revert request', { userId, transactionId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+  const result = await dynamodb.get({
+    TableName: HISTORY_TABLE,
+    Key: { UserID: userId, RevisionKey: revisionKey('transaction', transactionId, request.RevisionID) }
+  }).promise();
+  if (!result.Item) {
+    logger.warn('Revision not found', { userId, transactionId, revisionId: request.RevisionID });
+    return createResponse(404, { message: 'Revision not found' });
+  }
+  const fields = revertedFields(result.Item, Object.keys(transactionSchema.describe().keys));
+  if (!fields) {
+    return createResponse(400, { message: 'Cannot revert to a revision that deleted the transaction' });
+  }
+  logger.info('Reverting transaction', { userId, transactionId, revisionId: request.RevisionID });
+  const version = request.Version !== undefined ? { Version: request.Version } : {};
+  return updateTransaction(userId, transactionId, { ...fields, ...version }, headers);
+};
+
+/**
+ * Applies an update to a stored transaction the way `updateTransaction` does:
+ * the Version is incremented, Tags and Status are kept when the update has
+ * none, and so is the Category, with the RuleID that set it, unless the update
+ * has a Category or Splits of its own. Splits, RuleID, Payee, PayeeID,
+ * Currency and Interest are dropped when the update has none (`withLoanSplit`
+ * then works out the Interest). The payee link is worked out again from the
+ * updated data.
+ *
+ * @param {Object} existing - The stored transaction.
+ * @param {Object} transaction - The validated update.
+ * @param {Array<Object>} payees - The user's payees.
+ * @param {string} timestamp - The update timestamp.
+ * @returns {Object} The updated transaction item.
+ */
+const applyUpdate = (existing, transaction, payees, timestamp) => {
+  const category = transaction.Category || transaction.Splits
+    ? {}
+    : { Category: existing.Category, RuleID: existing.RuleID };
+  const updated = withSplitCategory(linkPayee({
+    ...category,
+    ...transaction,
+    Tags: transaction.Tags || existing.Tags,
+    Status: transaction.Status || existing.Status || PENDING
+  }, payees));
+  const item = { ...existing, ...updated, Version: currentVersion(existing) + 1, UpdatedAt: timestamp };
+  ['Splits', 'RuleID', 'Tags', 'Payee', 'PayeeID', 'Currency', 'Interest'].forEach((field) => {
+    if (updated[field] === undefined) {
+      delete item[field];
+    }
+  });
+  return item;
+};
+
+/**
+ * Writes a chunk of batch operations, with their balance changes, in one
+ * DynamoDB transaction. If it is cancelled because some operation's condition
+ * failed, the operations are written one at a time to tell which.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<Object>} chunk - The pending operations, each with its TransactItems entries and the transaction before and after.
+ * @param {Object} accounts - The accounts involved, keyed by AccountID.
+ * @returns {Promise<Array<boolean>>} Whether each operation was written.
+ */
+const writeBatchChunk = async (userId, chunk, accounts) => {
+  const now = new Date().toISOString();
+  const transactItems = entries => [
+    ...entries.flatMap(entry => entry.writes),
+    ...balanceUpdates(userId, entries.map(({ previous, item }) => ({ previous, current: item })), accounts, now)
+  ];
+
+  try {
+    await dynamodb.transactWrite({ TransactItems: transactItems(chunk) }).promise();
+    return chunk.map(() => true);
+  } catch (error) {
+    if (error.code !== 'TransactionCanceledException') throw error;
+    if (chunk.length === 1) return [false];
+  }
+
+  const written = [];
+  for (const entry of chunk) {
+    try {
+      await dynamodb.transactWrite({ TransactItems: transactItems([entry]) }).promise();
+      written.push(true);
+    } catch (error) {
+      if (error.code !== 'TransactionCanceledException') throw error;
+      written.push(false);
+    }
+  }
+  return written;
+};
+
+/**
+ * Applies a batch of create, update and delete operations, such as the edits
+ * a client queued while offline.
+ *
+ * Operations are applied in order, so a later operation sees the result of an
+ * earlier one on the same transaction. They are written in DynamoDB
+ * transactions of up to 25 operations, together with the balance changes of
+ * their accounts, and each is guarded against concurrent changes, so every
+ * operation is either written in full or not at all. The
+ * response reports the outcome of every operation by its index in the
+ * request. If a write fails unexpectedly, it and the operations after it are
+ * reported as not written, and the client can resend just those.
+ *
+ * Deleted transactions go to the trash, as with DELETE. Transfer legs cannot
+ * be changed in a batch, and batch-created transactions are not checked for
+ * duplicates.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} request - The batch request (Operations).
+ * @returns {Promise<Object>} The Lambda response object with per-operation results.
+ */
+const batchTransactions = async (userId, request) => {
+  const { error } = batchSchema.validate(request);
+  if (error) {
+    logger.warn('Invalid batch request', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const results = [];
+  const valid = [];
+  request.Operations.forEach((operation, index) => {
+    const { error: operationError } = batchOperationSchema.validate(operation);
+    const { error: transactionError } = operation.Transaction
+      ? transactionSchema.validate(operation.Transaction)
+      : {};
+    const invalid = operationError || transactionError;
+    if (invalid) {
+      results[index] = {
+        index,
+        action: operation.Action,
+        transactionId: operation.TransactionID,
+        statusCode: 400,
+        message: invalid.details[0].message
+      };
+      return;
+    }
+    valid.push({ ...operation, index, TransactionID: operation.TransactionID || uuidv4() });
+  });
+
+  const current = await getTransactionsById(userId, valid.map(operation => operation.TransactionID));
+  const accounts = await getAccountsById(userId, [
+    ...valid.filter(operation => operation.Transaction).map(operation => operation.Transaction.AccountID),
+    ...Object.values(current).map(transaction => transaction.AccountID)
+  ]);
+  const needsRules = valid.some(({ Action, Transaction }) => (
+    Action === 'create' && !Transaction.Category && !Transaction.Splits
+  ));
+  const rules = needsRules ? await loadRules(userId) : [];
+  const payees = valid.some(({ Transaction }) => Transaction) ? await loadPayees(userId) : [];
+  const now = new Date().toISOString();
+
+  const fail = (operation, statusCode, message, stored) => {
+    results[operation.index] = {
+      index: operation.index,
+      action: operation.Action,
+      transactionId: operation.TransactionID,
+      statusCode,
+      message,
+      ...(stored ? { current: stored } : {})
+    };
+  };
+
+  let chunk = [];
+  let aborted = false;
+  const flush = async () => {
+    if (chunk.length === 0) return;
+    const pending = chunk;
+    chunk = [];
+    let written;
+    try {
+      written = aborted ? pending.map(() => false) : await writeBatchChunk(userId, pending, accounts);
+    } catch (writeError) {
+      logger.error('Batch write failed', { userId, error: writeError.message });
+      aborted = true;
+    }
+    for (let i = 0; i < pending.length; i++) {
+      const { operation, item } = pending[i];
+      if (aborted) {
+        fail(operation, 503, 'Operation was not written. Please retry.');
+      } else if (!written[i]) {
+        fail(operation, 409, operation.Action === 'create'
+          ? 'Transaction already exists'
+          : 'Transaction was modified by another request. Please retry with the latest version.');
+      } else {
+        if (item) {
+          current[operation.TransactionID] = item;
+        } else {
+          delete current[operation.TransactionID];
+        }
+        results[operation.index] = {
+          index: operation.index,
+          action: operation.Action,
+          transactionId: operation.TransactionID,
+          statusCode: operation.Action === 'create' ? 201 : 200,
+          transaction: item
+        };
+      }
+    }
+  };
+
+  for (const operation of valid) {
+    const id = operation.TransactionID;
+    // A transaction appears at most once per DynamoDB transaction
+    if (chunk.length === TRANSACT_WRITE_SIZE || chunk.some(entry => entry.operation.TransactionID === id)) {
+      await flush();
+    }
+
+    const existing = current[id];
+    if (operation.Transaction && hasUnknownPayee(operation.Transaction, payees)) {
+      fail(operation, 400, UNKNOWN_PAYEE_MESSAGE);
+      continue;
+    }
+    if (operation.Action === 'create') {
+      if (existing) {
+        fail(operation, 409, 'Transaction already exists');
+        continue;
+      }
+      if (findUnusableAccount([operation.Transaction], accounts)) {
+        fail(operation, 404, 'Account not found or does not belong to the user');
+        continue;
+      }
+      const item = withLoanSplit({
+        ...withSplitCategory(applyCategoryRules(linkPayee(operation.Transaction, payees), rules, payees)),
+        Status: operation.Transaction.Status || PENDING,
+        Version: 1,
+        TransactionID: id,
+        UserID: userId,
+        CreatedAt: now
+      }, accounts[operation.Transaction.AccountID]);
+      chunk.push({ operation, previous: null, item, writes: [newTransactionPut(item)] });
+      continue;
+    }
+
+    if (!existing) {
+      fail(operation, 404, 'Transaction not found or does not belong to the user');
+      continue;
+    }
+    if (existing.TransferPeerID) {
+      fail(operation, 400, 'Transfer legs cannot be changed in a batch');
+      continue;
+    }
+    if (operation.Version !== currentVersion(existing)) {
+      fail(operation, 409, 'Transaction was modified by another request. Please retry with the latest version.', existing);
+      continue;
+    }
+    if (isReconciled(existing)) {
+      fail(operation, 409, RECONCILED_MESSAGE);
+      continue;
+    }
+    if (operation.Action === 'update') {
+      if (operation.Transaction.AccountID !== existing.AccountID
+          && findUnusableAccount([operation.Transaction], accounts)) {
+        fail(operation, 404, 'Account not found or does not belong to the user');
+        continue;
+      }
+      const item = withLoanSplit(
+        applyUpdate(existing, operation.Transaction, payees, now),
+        accounts[operation.Transaction.AccountID],
+        existing
+      );
+      chunk.push({ operation, previous: existing, item, writes: [guardedPut(item, existing)] });
+    } else {
+      chunk.push({
+        operation,
+        previous: existing,
+        item: null,
+        writes: [guardedDelete(existing), trashPut(userId, [existing], now)]
+      });
+    }
+  }
+  await flush();
+
+  const succeeded = results.filter(result => result.statusCode < 300).length;
+  logger.info('Transaction batch applied', { userId, succeeded, failed: results.length - succeeded });
+  return createResponse(200, {
+    message: 'Batch processed',
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  });
+};
+
+/**
+ * Makes a file name safe to use in an S3 key and a Content-Disposition header.
+ *
+ * @param {string} fileName - The file name given by the user.
+ * @returns {string} The file name with unsafe characters replaced.
+ */
+const safeFileName = fileName => fileName.replace(/[^\w.-]+/g, '_').slice(-100);
+
+/**
+ * Deletes attachment objects from the attachments bucket. Failures are logged
+ * rather than thrown, since the transaction they belonged to is already gone.
+ *
+ * @param {Array<Object>} attachments - The attachment metadata (Key).
+ * @returns {Promise<void>}
+ */
+const deleteAttachmentObjects = async (attachments) => {
+  if (attachments.length === 0) return;
+  try {
+    const result = await s3.deleteObjects({
+      Bucket: ATTACHMENT_BUCKET,
+      Delete: { Objects: attachments.map(attachment => ({ Key: attachment.Key })), Quiet: true }
+    }).promise();
+    if (result.Errors && result.Errors.length > 0) {
+      logger.error('Attachment objects not deleted', { errors: result.Errors });
+    }
+  } catch (error) {
+    logger.error('Error deleting attachment objects', { error: error.message, keys: attachments.map(a => a.Key) });
+  }
+};
+
+/**
+ * Registers an attachment on a transaction and issues a presigned URL to
+ * upload it. The URL only accepts the declared content type and checksum.
+ * The attachment stays pending until the upload is completed.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} transactionId - The ID of the transaction.
+ * @param {Object} request - The attachment (FileName, ContentType, Size, Checksum).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const createAttachment = async (userId, transactionId, request) => {
+  const { error } = attachmentSchema.validate(request);
+  if (error) {
+    logger.warn('Invalid attachment', { userId, transactionId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const attachmentId = uuidv4();
+  const attachment = {
+    AttachmentID: attachmentId,
+    FileName: request.FileName,
+    ContentType: request.ContentType,
+    Size: request.Size,
+    Checksum: request.Checksum,
+    Key: `${userId}/${transactionId}/${attachmentId}/${safeFileName(request.FileName)}`,
+    Status: 'pending',
+    CreatedAt: new Date().toISOString()
+  };
+
+  try {
+    await dynamodb.update({
+      TableName: TABLE_NAME,
+      Key: { TransactionID: transactionId },
+      UpdateExpression: 'set Attachments = list_append(if_not_exists(Attachments, :empty), :attachment), '
+        + 'Version = if_not_exists(Version, :baseVersion) + :increment',
+      ConditionExpression: 'UserID = :userId AND (attribute_not_exists(Attachments) OR size(Attachments) < :max)',
+      ExpressionAttributeValues: {
+        ':empty': [],
+        ':attachment': [attachment],
+        ':userId': userId,
+        ':max': MAX_ATTACHMENTS,
+        ':baseVersion': 1,
+        ':increment': 1
+      }
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      const existing = await findTransaction(userId, transactionId);
+      if (!existing) {
+        logger.warn('Transaction not found or unauthorized', { userId, transactionId });
+        return createResponse(404, { message: 'Transaction not found or does not belong to the user' });
+      }
+      logger.warn('Too many attachments', { userId, transactionId });
+      return createResponse(409, { message: `A transaction can have at most ${MAX_ATTACHMENTS} attachments` });
+    }
+    throw error;
+  }
+
+  const url = await s3.getSignedUrlPromise('putObject', {
+    Bucket: ATTACHMENT_BUCKET,
+    Key: attachment.Key,
+    ContentType: attachment.ContentType,
+    ContentMD5: attachment.Checksum,
+    Expires: UPLOAD_URL_EXPIRY_SECONDS
+  });
+
+  logger.info('Attachment upload issued', { userId, transactionId, attachmentId });
+  return createResponse(201, {
+    message: 'Attachment created, upload the file to complete it',
+    attachment,
+    upload: {
+      url,
+      method: 'PUT',
+      headers: { 'Content-Type': attachment.ContentType, 'Content-MD5': attachment.Checksum },
+      expiresIn: UPLOAD_URL_EXPIRY_SECONDS
+    }
+  });
+};
+
+/**
+ * Finds an attachment of a user's transaction.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} transactionId - The ID of the transaction.
+ * @param {string} attachmentId - The ID of the attachment.
+ * @returns {Promise<{transaction: Object, index: number}|null>} The transaction and the attachment's position, or null if not found.
+ */
+const findAttachment = async (userId, transactionId, attachmentId) => {
+  const transaction = await findTransaction(userId, transactionId);
+  const index = transaction && transaction.Attachments
+    ? transaction.Attachments.findIndex(attachment => attachment.AttachmentID === attachmentId)
+    : -1;
+  return index === -1 ? null : { transaction, index };
+};
+
+/**
+ * Marks an attachment as uploaded once its object is in the bucket with the
+ * declared size. An object of another size is deleted.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} transactionId - The ID of the transaction.
+ * @param {string} attachmentId - The ID of the attachment.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const completeAttachment = async (userId, transactionId, attachmentId) => {
+  const found = await findAttachment(userId, transactionId, attachmentId);
+  if (!found) {
+    logger.warn('Attachment not found', { userId, transactionId, attachmentId });
+    return createResponse(404, { message: 'Attachment not found' });
+  }
+  const attachment = found.transaction.Attachments[found.index];
+
+  let head;
+  try {
+    head = await s3.headObject({ Bucket: ATTACHMENT_BUCKET, Key: attachment.Key }).promise();
+  } catch (error) {
+    if (error.code === 'NotFound') {
+      logger.warn('Attachment not uploaded', { userId, transactionId, attachmentId });
+      return createResponse(409, { message: 'The attachment has not been uploaded yet' });
+    }
+    throw error;
+  }
+  if (head.ContentLength !== attachment.Size) {
+    await deleteAttachmentObjects([attachment]);
+    logger.warn('Attachment size mismatch', { userId, transactionId, attachmentId, size: head.ContentLength });
+    return createResponse(400, { message: 'The uploaded file does not have the declared size; upload it again' });
+  }
+
+  const uploadedAt = new Date().toISOString();
+  try {
+    await dynamodb.update({
+      TableName: TABLE_NAME,
+      Key: { TransactionID: transactionId },
+      UpdateExpression: `set Attachments[${found.index}].#status = :status, Attachments[${found.index}].UploadedAt = :uploadedAt, `
+        + 'Version = if_not_exists(Version, :baseVersion) + :increment',
+      ConditionExpression: `UserID = :userId AND Attachments[${found.index}].AttachmentID = :attachmentId`,
+      ExpressionAttributeNames: { '#status': 'Status' },
+      ExpressionAttributeValues: {
+        ':status': 'available',
+        ':uploadedAt': uploadedAt,
+        ':userId': userId,
+        ':attachmentId': attachmentId,
+        ':baseVersion': 1,
+        ':increment': 1
+      }
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Attachments changed concurrently', { userId, transactionId, attachmentId });
+      return createResponse(409, { message: 'The attachments were modified by another request. Please retry.' });
+    }
+    throw error;
+  }
+
+  logger.info('Attachment uploaded', { userId, transactionId, attachmentId });
+  return createResponse(200, {
+    message: 'Attachment uploaded successfully',
+    attachment: { ...attachment, Status: 'available', UploadedAt: uploadedAt }
+  });
+};
+
+/**
+ * Issues a presigned URL to download an uploaded attachment.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} transactionId - The ID of the transaction.
+ * @param {string} attachmentId - The ID of the attachment.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getAttachment = async (userId, transactionId, attachmentId) => {
+  const found = await findAttachment(userId, transactionId, attachmentId);
+  if (!found || found.transaction.Attachments[found.index].Status !== 'available') {
+    logger.warn('Attachment not found', { userId, transactionId, attachmentId });
+    return createResponse(404, { message: 'Attachment not found' });
+  }
+  const attachment = found.transaction.Attachments[found.index];
+
+  const url = await s3.getSignedUrlPromise('getObject', {
+    Bucket: ATTACHMENT_BUCKET,
+    Key: attachment.Key,
+    ResponseContentType: attachment.ContentType,
+    ResponseContentDisposition: `attachment; filename="${safeFileName(attachment.FileName)}"`,
+    Expires: DOWNLOAD_URL_EXPIRY_SECONDS
+  });
+
+  logger.info('Attachment download issued', { userId, transactionId, attachmentId });
+  return createResponse(200, { attachment, download: { url, expiresIn: DOWNLOAD_URL_EXPIRY_SECONDS } });
+};
+
+/**
+ * Removes an attachment from a transaction and deletes its object.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} transactionId - The ID of the transaction.
+ * @param {string} attachmentId - The ID of the attachment.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const deleteAttachment = async (userId, transactionId, attachmentId) => {
+  const found = await findAttachment(userId, transactionId, attachmentId);
+  if (!found) {
+    logger.warn('Attachment not found', { userId, transactionId, attachmentId });
+    return createResponse(404, { message: 'Attachment not found' });
+  }
+
+  try {
+    await dynamodb.update({
+      TableName: TABLE_NAME,
+      Key: { TransactionID: transactionId },
+      UpdateExpression: `remove Attachments[${found.index}] set Version = if_not_exists(Version, :baseVersion) + :increment`,
+      ConditionExpression: `UserID = :userId AND Attachments[${found.index}].AttachmentID = :attachmentId`,
+      ExpressionAttributeValues: {
+        ':userId': userId,
+        ':attachmentId': attachmentId,
+        ':baseVersion': 1,
+        ':increment': 1
+      }
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Attachments changed concurrently', { userId, transactionId, attachmentId });
+      return createResponse(409, { message: 'The attachments were modified by another request. Please retry.' });
+    }
+    throw error;
+  }
+  await deleteAttachmentObjects([found.transaction.Attachments[found.index]]);
+
+  logger.info('Attachment deleted', { userId, transactionId, attachmentId });
+  return createResponse(200, { message: 'Attachment deleted successfully' });
+};
+
+/**
+ * Main handler function for the Lambda.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @param {Object} context - The Lambda context object.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+exports.handler = async (event, context) => {
+  logger.info('Received event', { 
+    requestId: context.awsRequestId,
+    event: JSON.stringify(event)
+  });
+
+  const { httpMethod, path, body, pathParameters, queryStringParameters, headers } = event;
+
+  try {
+    const userId = getUserId(event);
     
     switch (httpMethod) {
       case 'GET':
-        return path === '/transaction' ? await getAllTransactions(userId) : await getTransaction(userId, pathParameters.id);
+        if (path === '/transaction') {
+          return await getAllTransactions(userId, queryStringParameters);
+        }
+        if (path === '/transaction/duplicates') {
+          return await getDuplicates(userId);
+        }
+        if (path === '/transaction/tags') {
+          return await getTags(userId);
+        }
+        if (path === '/transaction/search') {
+          return await searchTransactions(userId, queryStringParameters);
+        }
+        if (pathParameters.attachmentId) {
+          return await getAttachment(userId, pathParameters.id, pathParameters.attachmentId);
+        }
+        return await getTransaction(userId, pathParameters.id);
       case 'POST':
+        if (path === '/transaction/batch') {
+          return await batchTransactions(userId, JSON.parse(body));
+        }
+        if (path === '/transaction/import') {
+          return await importTransactions(userId, JSON.parse(body));
+        }
+        if (path === '/transaction/duplicates/merge') {
+          return await mergeDuplicate(userId, JSON.parse(body));
+        }
+        if (path === '/transaction/duplicates/dismiss') {
+          return await dismissDuplicate(userId, JSON.parse(body));
+        }
+        if (path === '/transaction/tags/rename') {
+          return await renameTag(userId, JSON.parse(body));
+        }
+        if (path === '/transaction/tags/merge') {
+          return await mergeTags(userId, JSON.parse(body));
+        }
+        if (path === '/transaction/search/reindex') {
+          return await reindexTransactions(userId);
+        }
+        if (path && path.endsWith('/revert')) {
+          return await revertTransaction(userId, pathParameters.id, JSON.parse(body), headers);
+        }
+        if (pathParameters && pathParameters.attachmentId) {
+          return await completeAttachment(userId, pathParameters.id, pathParameters.attachmentId);
+        }
+        if (pathParameters && pathParameters.id) {
+          return await createAttachment(userId, pathParameters.id, JSON.parse(body));
+        }
         return await createTransaction(userId, JSON.parse(body));
       case 'PUT':
-        return await updateTransaction(userId, pathParameters.id, JSON.parse(body));
+        return await updateTransaction(userId, pathParameters.id, JSON.parse(body), headers);
       case 'DELETE':
-        return await deleteTransaction(userId, pathParameters.id);
+        if (pathParameters.attachmentId) {
+          return await deleteAttachment(userId, pathParameters.id, pathParameters.attachmentId);
+        }
+        return await deleteTransaction(userId, pathParameters.id, headers, body ? JSON.parse(body) : null);
       default:
         logger.warn('Unsupported HTTP method', { userId, method: httpMethod });
         return createResponse(400, { message: 'Unsupported HTTP method' });
@@ -271,15 +2420,98 @@ exports.handler = async (event, context) => {
   }
 };
 
+/**
+ * Keeps the search index up to date. Triggered by the transaction table's
+ * stream, so transactions written by any service (imports, transfers,
+ * recurring schedules) are indexed. A failed batch is retried by Lambda;
+ * index writes are idempotent.
+ *
+ * @param {Object} event - The DynamoDB stream event.
+ * @param {Object} context - The Lambda context object.
+ * @returns {Promise<Object>} The number of changes indexed.
+ */
+exports.indexHandler = async (event, context) => {
+  const records = event.Records || [];
+  logger.info('Indexing transaction changes', { requestId: context.awsRequestId, records: records.length });
+
+  for (const record of records) {
+    const { NewImage, OldImage } = record.dynamodb;
+    await syncSearchIndex(
+      OldImage ? AWS.DynamoDB.Converter.unmarshall(OldImage) : null,
+      NewImage ? AWS.DynamoDB.Converter.unmarshall(NewImage) : null
+    );
+  }
+
+  logger.info('Transaction changes indexed', { records: records.length });
+  return { indexed: records.length };
+};
+
 // If running in a test environment, export internal functions for unit testing
 if (STAGE === 'test') {
   module.exports = {
     createResponse,
     getUserId,
+    withSplitCategory,
+    buildTransactionQuery,
+    matchesCategory,
     getAllTransactions,
     getTransaction,
+    queryAll,
+    getAccountTransactions,
+    loadRules,
+    loadPayees,
+    hasUnknownPayee,
+    linkPayee,
+    applyCategoryRules,
+    flagDuplicates,
     createTransaction,
+    batchWriteRequests,
+    putTransactions,
+    importTransactions,
+    getItemsById,
+    getTransactionsById,
+    getAccountsById,
+    withRunningBalances,
+    getDuplicates,
+    mergeDuplicate,
+    dismissDuplicate,
+    getTags,
+    retagTransactions,
+    renameTag,
+    mergeTags,
+    searchTransactions,
+    syncSearchIndex,
+    reindexTransactions,
+    findTransaction,
+    versionConflict,
+    checkVersion,
+    conflictAfterWrite,
+    cancellationReasons,
+    revertTransaction,
+    isReconciled,
+    balanceUpdate,
+    balanceEffect,
+    withLoanSplit,
+    balanceUpdates,
+    findUnusableAccount,
+    unchangedCondition,
+    guardedPut,
+    guardedDelete,
+    trashPut,
+    newTransactionPut,
+    updateTransferLeg,
+    deleteTransfer,
     updateTransaction,
-    deleteTransaction
+    deleteTransaction,
+    applyUpdate,
+    writeBatchChunk,
+    batchTransactions,
+    safeFileName,
+    deleteAttachmentObjects,
+    createAttachment,
+    findAttachment,
+    completeAttachment,
+    getAttachment,
+    deleteAttachment
   };
 }
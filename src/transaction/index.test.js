@@ -13,6 +13,18 @@ afterAll(() => {
   AWSMock.restore();
 });
 
+// The function creates its DocumentClient as it loads, so it is loaded afresh
+// after the mocks are set up on its own copy of the SDK
+const loadHandler = (mock) => {
+  let loaded;
+  jest.isolateModules(() => {
+    AWSMock.setSDKInstance(require('aws-sdk'));
+    mock();
+    loaded = require('./index').handler;
+  });
+  return loaded;
+};
+
 describe('createTransaction', () => {
   it('successfully creates a transaction', async () => {
     AWSMock.mock('DynamoDB.DocumentClient', 'put', (params, callback) => {
@@ -137,7 +149,8 @@ describe('updateTransaction', () => {
         Date: '2021-02-01T12:00:00Z',
         Amount: 150.00,
         Category: 'Utilities',
-        Description: 'Updated electricity bill'
+        Description: 'Updated electricity bill',
+        Version: 1
       }),
       requestContext: {
         authorizer: {
@@ -191,6 +204,7 @@ describe('deleteTransaction', () => {
     const event = {
       httpMethod: 'DELETE',
       pathParameters: { id: 'txn123' },
+      headers: { 'If-Match': '"1"' },
       requestContext: {
         authorizer: {
           claims: { sub: 'user123' }
@@ -224,4 +238,599 @@ describe('deleteTransaction', () => {
     expect(result.statusCode).toBe(404);
     expect(JSON.parse(result.body).message).toContain('Transaction not found or does not belong to the user');
   });
+  describe('of an archived account', () => {
+    const context = { awsRequestId: 'test-request' };
+    const event = {
+      httpMethod: 'DELETE',
+      pathParameters: { id: 'txn123' },
+      headers: { 'If-Match': '"1"' },
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+    const transaction = { TransactionID: 'txn123', UserID: 'user123', AccountID: 'acc1', Amount: -20, Version: 1 };
+
+    const mockAccount = (account, transactWrite) => loadHandler(() => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        callback(null, { Item: transaction });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'batchGet', (params, callback) => {
+        const [table] = Object.keys(params.RequestItems);
+        callback(null, { Responses: { [table]: [account] } });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'transactWrite', transactWrite);
+    });
+
+    it('rejects the delete without writing', async () => {
+      const transactWrite = jest.fn((params, callback) => callback(null, {}));
+      const mockedHandler = mockAccount({ AccountID: 'acc1', UserID: 'user123', IsActive: false }, transactWrite);
+
+      const result = await mockedHandler(event, context);
+      expect(result.statusCode).toBe(409);
+      expect(JSON.parse(result.body).message).toEqual('The account of this transaction is archived');
+      expect(transactWrite).not.toHaveBeenCalled();
+    });
+
+    it('rejects the delete when the account is archived while it runs', async () => {
+      const mockedHandler = mockAccount({ AccountID: 'acc1', UserID: 'user123', IsActive: true }, (params, callback) => {
+        const error = new Error('Transaction cancelled, please refer cancellation reasons for specific reasons '
+          + '[None, None, ConditionalCheckFailed]');
+        error.code = 'TransactionCanceledException';
+        callback(error);
+      });
+
+      const result = await mockedHandler(event, context);
+      expect(result.statusCode).toBe(409);
+      expect(JSON.parse(result.body).message).toEqual('The account of this transaction is archived');
+    });
+  });
+});
+
+
+describe('getAllTransactions', () => {
+  const context = { awsRequestId: 'test-request' };
+
+  it('rejects an invalid date filter', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/transaction',
+      queryStringParameters: { from: 'not-a-date' },
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+
+  it('rejects an inverted amount range', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/transaction',
+      queryStringParameters: { minAmount: '100', maxAmount: '10' },
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('minAmount must not be greater than maxAmount');
+  });
+
+  it('rejects a malformed pagination key', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/transaction',
+      queryStringParameters: { lastEvaluatedKey: 'not-base64-json' },
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('Invalid lastEvaluatedKey');
+  });
+
+  it('returns a bare array with the next page key in a header', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/transaction',
+      queryStringParameters: null,
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const mockedHandler = loadHandler(() => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        callback(null, {
+          Items: [{ TransactionID: 'txn1', Category: 'Groceries', Amount: -20 }],
+          LastEvaluatedKey: { UserID: 'user123', TransactionID: 'txn1' }
+        });
+      });
+    });
+
+    const result = await mockedHandler(event, context);
+    expect(result.statusCode).toBe(200);
+    expect(JSON.parse(result.body)).toEqual([{ TransactionID: 'txn1', Category: 'Groceries', Amount: -20 }]);
+    expect(JSON.parse(Buffer.from(result.headers['X-Next-Page-Key'], 'base64').toString()))
+      .toEqual({ UserID: 'user123', TransactionID: 'txn1' });
+  });
+
+  it('matches the category filter against splits', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/transaction',
+      queryStringParameters: { category: 'Household' },
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const mockedHandler = loadHandler(() => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        callback(null, {
+          Items: [
+            { TransactionID: 'txn1', Category: 'Groceries', Amount: -20 },
+            {
+              TransactionID: 'txn2',
+              Category: 'Groceries',
+              Amount: -100,
+              Splits: [{ Category: 'Groceries', Amount: -70 }, { Category: 'Household', Amount: -30 }]
+            },
+            { TransactionID: 'txn3', Category: 'Household', Amount: -15 }
+          ]
+        });
+      });
+    });
+
+    const result = await mockedHandler(event, context);
+    expect(result.statusCode).toBe(200);
+    expect(JSON.parse(result.body).map(transaction => transaction.TransactionID)).toEqual(['txn2', 'txn3']);
+    expect(result.headers['X-Next-Page-Key']).toBeUndefined();
+  });
+});
+
+
+describe('importTransactions', () => {
+  const context = { awsRequestId: 'test-request' };
+
+  it('rejects an import without an account', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/transaction/import',
+      body: JSON.stringify({ Content: '<OFX></OFX>' }),
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+
+  it('rejects a file that is not OFX', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/transaction/import',
+      body: JSON.stringify({ AccountID: '12345', Content: 'Date,Amount\n2023-01-01,10' }),
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('Content is not an OFX document');
+  });
+
+  it('splits payments into a loan in date order on what is still owed', async () => {
+    const statement = [
+      '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+      '<STMTTRN><DTPOSTED>20230201<TRNAMT>500.00<FITID>feb</STMTTRN>',
+      '<STMTTRN><DTPOSTED>20230101<TRNAMT>500.00<FITID>jan</STMTTRN>',
+      '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>'
+    ].join('\n');
+    const event = {
+      httpMethod: 'POST',
+      path: '/transaction/import',
+      body: JSON.stringify({ AccountID: 'loan123', Content: statement }),
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    let written;
+    const mockedHandler = loadHandler(() => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'batchGet', (params, callback) => {
+        const [table] = Object.keys(params.RequestItems);
+        callback(null, {
+          Responses: {
+            [table]: [{
+              AccountID: 'loan123',
+              UserID: 'user123',
+              Type: 'Loan',
+              Balance: -12000,
+              InterestRate: 12,
+              IsActive: true
+            }]
+          }
+        });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'query', (params, callback) => {
+        callback(null, { Items: [] });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'transactWrite', (params, callback) => {
+        written = params.TransactItems;
+        callback(null, {});
+      });
+    });
+
+    const result = await mockedHandler(event, context);
+    expect(result.statusCode).toBe(200);
+    const interest = Object.fromEntries(written.filter(entry => entry.Put)
+      .map(entry => [entry.Put.Item.ExternalID, entry.Put.Item.Interest]));
+    expect(interest).toEqual({ jan: 120, feb: 116.2 });
+    const balance = written.find(entry => entry.Update).Update;
+    expect(balance.ExpressionAttributeValues[':delta']).toBeCloseTo(763.8);
+  });
+});
+
+
+describe('mergeDuplicate', () => {
+  const context = { awsRequestId: 'test-request' };
+
+  it('rejects merging a transaction into itself', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/transaction/duplicates/merge',
+      body: JSON.stringify({ DuplicateID: 'txn123', KeepID: 'txn123' }),
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+});
+
+
+describe('split transactions', () => {
+  const context = { awsRequestId: 'test-request' };
+
+  it('rejects splits that do not add up to the amount', async () => {
+    const event = {
+      httpMethod: 'POST',
+      body: JSON.stringify({
+        AccountID: '12345',
+        Date: '2021-01-01T12:00:00Z',
+        Amount: -120.00,
+        Description: 'Supermarket',
+        Splits: [
+          { Category: 'Groceries', Amount: -80.00 },
+          { Category: 'Household', Amount: -30.00 }
+        ]
+      }),
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"Splits" amounts must add up to the transaction "Amount"');
+  });
+
+  it('rejects an empty category', async () => {
+    const event = {
+      httpMethod: 'PUT',
+      pathParameters: { id: 'txn123' },
+      body: JSON.stringify({
+        AccountID: '12345',
+        Date: '2021-01-01T12:00:00Z',
+        Amount: -120.00,
+        Category: ''
+      }),
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"Category" is not allowed to be empty');
+  });
+});
+
+
+describe('tags', () => {
+  const context = { awsRequestId: 'test-request' };
+  const requestContext = {
+    authorizer: {
+      claims: { sub: 'user123' }
+    }
+  };
+
+  it('rejects repeated tags on a transaction', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/transaction',
+      body: JSON.stringify({
+        AccountID: '12345',
+        Date: '2021-01-01T12:00:00Z',
+        Amount: -80.00,
+        Category: 'Travel',
+        Tags: ['vacation-2026', 'vacation-2026']
+      }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+
+  it('rejects renaming a tag to itself', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/transaction/tags/rename',
+      body: JSON.stringify({ From: 'vacation', To: 'vacation' }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+
+  it('rejects a merge without source tags', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/transaction/tags/merge',
+      body: JSON.stringify({ Sources: [], Target: 'reimbursable' }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+});
+
+
+describe('searchTransactions', () => {
+  const context = { awsRequestId: 'test-request' };
+  const requestContext = {
+    authorizer: {
+      claims: { sub: 'user123' }
+    }
+  };
+
+  it('requires a query', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/transaction/search',
+      queryStringParameters: {},
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"q" is required');
+  });
+
+  it('rejects a query without searchable words', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/transaction/search',
+      queryStringParameters: { q: 'a - b' },
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+});
+
+
+describe('attachments', () => {
+  const context = { awsRequestId: 'test-request' };
+  const requestContext = {
+    authorizer: {
+      claims: { sub: 'user123' }
+    }
+  };
+
+  it('rejects an unsupported content type', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/transaction/txn123/attachments',
+      pathParameters: { id: 'txn123' },
+      body: JSON.stringify({
+        FileName: 'setup.exe',
+        ContentType: 'application/octet-stream',
+        Size: 1024,
+        Checksum: '1B2M2Y8AsgTpgAmY7PhCfg=='
+      }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+
+  it('rejects a file over the size limit', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/transaction/txn123/attachments',
+      pathParameters: { id: 'txn123' },
+      body: JSON.stringify({
+        FileName: 'scan.pdf',
+        ContentType: 'application/pdf',
+        Size: 50 * 1024 * 1024,
+        Checksum: '1B2M2Y8AsgTpgAmY7PhCfg=='
+      }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+
+  it('requires an MD5 checksum', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/transaction/txn123/attachments',
+      pathParameters: { id: 'txn123' },
+      body: JSON.stringify({
+        FileName: 'receipt.jpg',
+        ContentType: 'image/jpeg',
+        Size: 2048,
+        Checksum: 'not-a-digest'
+      }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"Checksum" must be the base64-encoded MD5 digest of the file');
+  });
+});
+
+
+describe('batchTransactions', () => {
+  const context = { awsRequestId: 'test-request' };
+  const requestContext = {
+    authorizer: {
+      claims: { sub: 'user123' }
+    }
+  };
+  const batchEvent = operations => ({
+    httpMethod: 'POST',
+    path: '/transaction/batch',
+    body: JSON.stringify({ Operations: operations }),
+    requestContext
+  });
+
+  it('rejects an empty batch', async () => {
+    const result = await handler(batchEvent([]), context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"Operations" must contain at least 1 items');
+  });
+
+  it('rejects a batch over the size limit', async () => {
+    const operations = Array.from({ length: 501 }, () => ({ Action: 'delete', TransactionID: 'txn123' }));
+    const result = await handler(batchEvent(operations), context);
+    expect(result.statusCode).toBe(400);
+  });
+
+  it('reports invalid operations by index', async () => {
+    const result = await handler(batchEvent([
+      { Action: 'create', Transaction: { AccountID: 'acc123', Amount: 10 } },
+      { Action: 'update', Transaction: { AccountID: 'acc123', Date: '2023-06-22', Amount: 10 } },
+      { Action: 'delete', TransactionID: 'txn123', Transaction: {} },
+      { Action: 'archive', TransactionID: 'txn123' }
+    ]), context);
+
+    expect(result.statusCode).toBe(200);
+    const body = JSON.parse(result.body);
+    expect(body.succeeded).toBe(0);
+    expect(body.failed).toBe(4);
+    expect(body.results.map(item => item.index)).toEqual([0, 1, 2, 3]);
+    expect(body.results.every(item => item.statusCode === 400)).toBe(true);
+    expect(body.results[0].message).toEqual('"Date" is required');
+    expect(body.results[1].message).toEqual('"TransactionID" is required');
+  });
+});
+
+
+describe('transaction status', () => {
+  const context = { awsRequestId: 'test-request' };
+  const requestContext = {
+    authorizer: {
+      claims: { sub: 'user123' }
+    }
+  };
+
+  it('does not let a transaction be marked reconciled directly', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/transaction',
+      body: JSON.stringify({
+        AccountID: 'acc123',
+        Date: '2023-06-22T10:30:00Z',
+        Amount: -50,
+        Category: 'Groceries',
+        Status: 'reconciled'
+      }),
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"Status" must be one of [pending, cleared]');
+  });
+
+  it('rejects an unknown status filter', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/transaction',
+      queryStringParameters: { status: 'void' },
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+});
+
+describe('loan payments', () => {
+  const context = { awsRequestId: 'test-request' };
+
+  it('rejects an interest part larger than the payment', async () => {
+    const event = {
+      httpMethod: 'POST',
+      path: '/transaction',
+      body: JSON.stringify({
+        AccountID: 'loan123',
+        Date: '2023-06-01T00:00:00Z',
+        Amount: 500,
+        Interest: 600
+      }),
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"Interest" must not be more than the "Amount"');
+  });
 });
@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * Minimal OFX/QFX statement parser.
+ *
+ * Handles both OFX 1.x (SGML, leaf elements without closing tags) and OFX 2.x
+ * (XML) files. QFX is Quicken's OFX flavour and parses the same way. Only the
+ * statement transactions (`<STMTTRN>` aggregates) are extracted.
+ */
+
+const STMTTRN_PATTERN = /<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi;
+const OFX_DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?(?:\.(\d{1,3}))?)?(?:\[([+-]?\d+(?:\.\d+)?)(?::\w+)?\])?$/;
+
+/**
+ * Decodes the handful of character entities that appear in OFX files.
+ *
+ * @param {string} value - The raw element value.
+ * @returns {string} The decoded value.
+ */
+const decodeEntities = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Reads the value of a leaf element from an OFX aggregate.
+ *
+ * @param {string} block - The aggregate content.
+ * @param {string} tag - The element name.
+ * @returns {string|undefined} The trimmed element value, if present.
+ */
+const readElement = (block, tag) => {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  if (!match) return undefined;
+  const value = decodeEntities(match[1].trim());
+  return value === '' ? undefined : value;
+};
+
+/**
+ * Converts an OFX date (YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]) to an ISO 8601 string.
+ *
+ * @param {string} value - The OFX date value.
+ * @returns {string|null} The ISO date in UTC, or null if the value is not a valid OFX date.
+ */
+const parseOfxDate = (value) => {
+  const match = OFX_DATE_PATTERN.exec((value || '').trim());
+  if (!match) return null;
+  const [, year, month, day, hour = '00', minute = '00', second = '00', millis = '0', offset = '0'] = match;
+  const utc = Date.UTC(
+    Number(year), Number(month) - 1, Number(day),
+    Number(hour), Number(minute), Number(second), Number(millis.padEnd(3, '0'))
+  ) - Number(offset) * 60 * 60 * 1000;
+  const date = new Date(utc);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Converts an OFX amount to a number. Some banks write a decimal comma, and
+ * some group thousands: when both a comma and a point appear, the last one is
+ * the decimal separator and the other groups digits. A separator that appears
+ * more than once groups digits too.
+ *
+ * @param {string} value - The OFX amount value.
+ * @returns {number} The amount, or NaN if the value is not a number.
+ */
+const parseOfxAmount = (value) => {
+  const text = value.trim();
+  const last = Math.max(text.lastIndexOf(','), text.lastIndexOf('.'));
+  if (last === -1) return Number(text);
+  const separator = text[last];
+  const grouping = separator === ',' ? '.' : ',';
+  if (text.indexOf(separator) !== last) {
+    return text.includes(grouping) ? NaN : Number(text.split(separator).join(''));
+  }
+  return Number(text.split(grouping).join('').replace(separator, '.'));
+};
+
+/**
+ * Parses the statement transactions of an OFX or QFX document.
+ *
+ * Every `<STMTTRN>` aggregate yields one entry. Entries whose date or amount
+ * cannot be read are returned with an `error` so callers can report them as
+ * rejected rather than silently dropping them.
+ *
+ * @param {string} content - The OFX/QFX file content.
+ * @returns {Array<Object>} The parsed transactions, in file order.
+ * @throws {Error} If the content is not an OFX document.
+ */
+const parseOfx = (content) => {
+  if (typeof content !== 'string' || !/<OFX>/i.test(content)) {
+    throw new Error('Content is not an OFX document');
+  }
+
+  const entries = [];
+  let match;
+  STMTTRN_PATTERN.lastIndex = 0;
+  while ((match = STMTTRN_PATTERN.exec(content)) !== null) {
+    const block = match[1];
+    const rawDate = readElement(block, 'DTPOSTED');
+    const rawAmount = readElement(block, 'TRNAMT');
+    const name = readElement(block, 'NAME') || readElement(block, 'PAYEE');
+    const memo = readElement(block, 'MEMO');
+    const entry = {
+      fitId: readElement(block, 'FITID'),
+      type: readElement(block, 'TRNTYPE'),
+      date: parseOfxDate(rawDate),
+      amount: rawAmount === undefined ? NaN : parseOfxAmount(rawAmount),
+      name,
+      memo,
+      description: [name, memo].filter(Boolean).join(' - ')
+    };
+
+    if (!entry.date) {
+      entry.error = `Invalid DTPOSTED value: ${rawDate}`;
+    } else if (Number.isNaN(entry.amount)) {
+      entry.error = `Invalid TRNAMT value: ${rawAmount}`;
+    }
+    entries.push(entry);
+  }
+  return entries;
+};
+
+module.exports = {
+  parseOfx,
+  parseOfxAmount,
+  parseOfxDate
+};
@@ -0,0 +1,98 @@
+const { parseOfx, parseOfxAmount, parseOfxDate } = require('./ofx');
+
+const SGML_STATEMENT = [
+  'OFXHEADER:100',
+  'DATA:OFXSGML',
+  '',
+  '<OFX>',
+  '<BANKMSGSRSV1><STMTTRNRS><STMTRS>',
+  '<BANKTRANLIST>',
+  '<STMTTRN>',
+  '<TRNTYPE>DEBIT',
+  '<DTPOSTED>20230115120000.000[-5:EST]',
+  '<TRNAMT>-12.34',
+  '<FITID>20230115001',
+  '<NAME>AT&amp;T',
+  '<MEMO>Phone bill',
+  '</STMTTRN>',
+  '<STMTTRN>',
+  '<TRNTYPE>CREDIT',
+  '<DTPOSTED>20230116',
+  '<TRNAMT>2500.00',
+  '<FITID>20230116001',
+  '<NAME>Salary',
+  '</STMTTRN>',
+  '</BANKTRANLIST>',
+  '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+  '</OFX>'
+].join('\n');
+
+describe('parseOfxDate', () => {
+  it('parses a date-only value as midnight UTC', () => {
+    expect(parseOfxDate('20230116')).toBe('2023-01-16T00:00:00.000Z');
+  });
+
+  it('applies the timezone offset', () => {
+    expect(parseOfxDate('20230115120000.000[-5:EST]')).toBe('2023-01-15T17:00:00.000Z');
+  });
+
+  it('returns null for invalid values', () => {
+    expect(parseOfxDate('15/01/2023')).toBeNull();
+    expect(parseOfxDate(undefined)).toBeNull();
+  });
+});
+
+describe('parseOfxAmount', () => {
+  it('reads a decimal point or a decimal comma', () => {
+    expect(parseOfxAmount('-12.34')).toBe(-12.34);
+    expect(parseOfxAmount('-12,34')).toBe(-12.34);
+  });
+
+  it('takes the last of two separators as the decimal one', () => {
+    expect(parseOfxAmount('1,234.56')).toBe(1234.56);
+    expect(parseOfxAmount('-1.234,56')).toBe(-1234.56);
+    expect(parseOfxAmount('1.234.567,89')).toBe(1234567.89);
+  });
+
+  it('drops a repeated grouping separator', () => {
+    expect(parseOfxAmount('1,234,567')).toBe(1234567);
+  });
+
+  it('returns NaN for values that are not amounts', () => {
+    expect(parseOfxAmount('1,234.5,6')).toBeNaN();
+    expect(parseOfxAmount('twelve')).toBeNaN();
+  });
+});
+
+describe('parseOfx', () => {
+  it('extracts statement transactions from an SGML file', () => {
+    const entries = parseOfx(SGML_STATEMENT);
+    expect(entries).toHaveLength(2);
+    expect(entries[0]).toMatchObject({
+      fitId: '20230115001',
+      type: 'DEBIT',
+      date: '2023-01-15T17:00:00.000Z',
+      amount: -12.34,
+      description: 'AT&T - Phone bill'
+    });
+    expect(entries[1]).toMatchObject({ fitId: '20230116001', amount: 2500, description: 'Salary' });
+  });
+
+  it('extracts statement transactions from an XML file', () => {
+    const xml = '<?xml version="1.0"?><OFX><STMTTRN><TRNTYPE>POS</TRNTYPE>'
+      + '<DTPOSTED>20230201</DTPOSTED><TRNAMT>-4,50</TRNAMT><FITID>x1</FITID>'
+      + '<NAME>Coffee</NAME></STMTTRN></OFX>';
+    const entries = parseOfx(xml);
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ fitId: 'x1', amount: -4.5, description: 'Coffee' });
+  });
+
+  it('flags rows with an unreadable amount', () => {
+    const entries = parseOfx('<OFX><STMTTRN><DTPOSTED>20230201<TRNAMT>N/A</STMTTRN></OFX>');
+    expect(entries[0].error).toBe('Invalid TRNAMT value: N/A');
+  });
+
+  it('rejects content that is not OFX', () => {
+    expect(() => parseOfx('Date,Amount\n2023-01-01,10')).toThrow('Content is not an OFX document');
+  });
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * Full-text search over transaction descriptions and payees.
+ *
+ * Text is lower-cased, stripped of accents and split into words of two or more
+ * letters or digits. Every word of a transaction becomes one entry of the
+ * search index, keyed by the word and the transaction, so a prefix query over
+ * the keys finds all transactions containing a word that starts with a term.
+ */
+
+const MIN_TOKEN_LENGTH = 2;
+
+// Words in the payee say more about a transaction than words in the description
+const FIELD_WEIGHTS = { payee: 2, description: 1 };
+const EXACT_MATCH_SCORE = 3;
+const PREFIX_MATCH_SCORE = 1;
+
+/**
+ * Splits text into distinct search tokens.
+ *
+ * @param {string} text - The text.
+ * @returns {Array<string>} The tokens, in order of first appearance.
+ */
+const tokenize = (text) => {
+  const words = (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= MIN_TOKEN_LENGTH);
+  return [...new Set(words)];
+};
+
+/**
+ * Builds the sort key of an index entry.
+ *
+ * @param {string} token - The token.
+ * @param {string} transactionId - The ID of the transaction.
+ * @returns {string} The TermKey.
+ */
+const termKey = (token, transactionId) => `${token}#${transactionId}`;
+
+/**
+ * Builds the search index entries of a transaction. A word found in both the
+ * payee and the description is indexed once, under the payee.
+ *
+ * @param {Object} transaction - The transaction (UserID, TransactionID, Date, Payee, Description).
+ * @returns {Array<Object>} The index entries.
+ */
+const indexEntries = (transaction) => {
+  const entries = {};
+  [['payee', transaction.Payee], ['description', transaction.Description]].forEach(([field, text]) => {
+    tokenize(text).forEach((token) => {
+      if (!entries[token]) {
+        entries[token] = {
+          UserID: transaction.UserID,
+          TermKey: termKey(token, transaction.TransactionID),
+          TransactionID: transaction.TransactionID,
+          Token: token,
+          Field: field,
+          Date: transaction.Date
+        };
+      }
+    });
+  });
+  return Object.values(entries);
+};
+
+/**
+ * Scores a transaction's index entries against the search terms. Every term
+ * must match a word, exactly or as its prefix.
+ *
+ * @param {Array<string>} terms - The search terms.
+ * @param {Array<Object>} entries - The transaction's index entries matched by any term.
+ * @returns {number} The relevance score, or 0 if some term does not match.
+ */
+const scoreEntries = (terms, entries) => {
+  let score = 0;
+  for (const term of terms) {
+    const best = entries
+      .filter(entry => entry.Token.startsWith(term))
+      .map(entry => (entry.Token === term ? EXACT_MATCH_SCORE : PREFIX_MATCH_SCORE) * FIELD_WEIGHTS[entry.Field])
+      .reduce((max, value) => Math.max(max, value), 0);
+    if (best === 0) return 0;
+    score += best;
+  }
+  return score;
+};
+
+/**
+ * Ranks the transactions matched by a search, most relevant first and newest
+ * first among equally relevant ones.
+ *
+ * @param {Array<string>} terms - The search terms.
+ * @param {Array<Object>} entries - The index entries matched by any term.
+ * @returns {Array<{transactionId: string, score: number}>} The matching transactions.
+ */
+const rankMatches = (terms, entries) => {
+  const byTransaction = {};
+  entries.forEach((entry) => {
+    if (!byTransaction[entry.TransactionID]) byTransaction[entry.TransactionID] = [];
+    byTransaction[entry.TransactionID].push(entry);
+  });
+  return Object.entries(byTransaction)
+    .map(([transactionId, matched]) => ({
+      transactionId,
+      score: scoreEntries(terms, matched),
+      date: matched[0].Date || ''
+    }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || b.date.localeCompare(a.date))
+    .map(({ transactionId, score }) => ({ transactionId, score }));
+};
+
+module.exports = {
+  tokenize,
+  termKey,
+  indexEntries,
+  scoreEntries,
+  rankMatches
+};
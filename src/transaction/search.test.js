@@ -0,0 +1,60 @@
+const { tokenize, indexEntries, scoreEntries, rankMatches } = require('./search');
+
+describe('tokenize', () => {
+  it('lower-cases, strips accents and drops short words', () => {
+    expect(tokenize('Café Zürich - A/B 42')).toEqual(['cafe', 'zurich', '42']);
+  });
+
+  it('returns each word once', () => {
+    expect(tokenize('refund REFUND Refund')).toEqual(['refund']);
+  });
+
+  it('handles missing text', () => {
+    expect(tokenize(undefined)).toEqual([]);
+  });
+});
+
+describe('indexEntries', () => {
+  it('indexes words of the payee and description once, preferring the payee', () => {
+    const entries = indexEntries({
+      UserID: 'user123',
+      TransactionID: 'txn1',
+      Date: '2023-03-14',
+      Payee: 'Amazon',
+      Description: 'Amazon refund'
+    });
+    expect(entries).toEqual([
+      { UserID: 'user123', TermKey: 'amazon#txn1', TransactionID: 'txn1', Token: 'amazon', Field: 'payee', Date: '2023-03-14' },
+      { UserID: 'user123', TermKey: 'refund#txn1', TransactionID: 'txn1', Token: 'refund', Field: 'description', Date: '2023-03-14' }
+    ]);
+  });
+});
+
+describe('scoreEntries', () => {
+  const entries = [
+    { Token: 'amazon', Field: 'payee' },
+    { Token: 'refund', Field: 'description' }
+  ];
+
+  it('scores exact matches above prefix matches', () => {
+    expect(scoreEntries(['amazon'], entries)).toBeGreaterThan(scoreEntries(['amaz'], entries));
+  });
+
+  it('requires every term to match', () => {
+    expect(scoreEntries(['amazon', 'march'], entries)).toBe(0);
+    expect(scoreEntries(['amazon', 'ref'], entries)).toBeGreaterThan(0);
+  });
+});
+
+describe('rankMatches', () => {
+  it('orders by score, then newest first', () => {
+    const entries = [
+      { TransactionID: 'old', Token: 'amazon', Field: 'description', Date: '2023-01-01' },
+      { TransactionID: 'new', Token: 'amazon', Field: 'description', Date: '2023-03-01' },
+      { TransactionID: 'payee', Token: 'amazon', Field: 'payee', Date: '2022-12-01' },
+      { TransactionID: 'prefix', Token: 'amazonia', Field: 'description', Date: '2023-04-01' }
+    ];
+    expect(rankMatches(['amazon'], entries).map(match => match.transactionId))
+      .toEqual(['payee', 'new', 'old', 'prefix']);
+  });
+});
@@ -0,0 +1,263 @@
+/**
+
+This implementation handles transfers between two accounts of the same user.
+
+A transfer is stored as two linked transactions:
+
+- The debit leg on the source account (negative amount).
+- The credit leg on the destination account (positive amount).
+
+Both legs share a TransferID and point at each other through TransferPeerID. The two legs and the
+balance changes of both accounts are written in a single DynamoDB transaction, so a transfer is
+never half-applied. Editing or deleting one leg through the transaction service keeps the other leg
+and both balances in step, and the analytics service leaves transfers out of income and expenses.
+
+A transfer into a Loan or Mortgage account is a payment: its credit leg carries the Interest part,
+given or worked out from the loan's terms (see loans.js), and only the rest pays down the loan.
+
+Both accounts must be in the same currency, since both legs carry the same amount.
+
+*/
+
+'use strict';
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const Joi = require('joi');
+const winston = require('winston');
+const { isLoan, paymentInterest, principalPart } = require('@personal-finance/shared/loans');
+const { DEFAULT_CURRENCY, balanceUpdate } = require('@personal-finance/shared/balances');
+
+// Initialize AWS SDK and Winston logger
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'transfer-service' },
+  transports: [
+    new winston.transports.Console()
+  ],
+});
+
+// Environment variables
+const TRANSACTION_TABLE = process.env.TRANSACTION_TABLE;
+const ACCOUNT_TABLE = process.env.ACCOUNT_TABLE;
+const STAGE = process.env.STAGE;
+
+const TRANSFER_CATEGORY = 'Transfer';
+
+// Validation schema
+const transferSchema = Joi.object({
+  FromAccountID: Joi.string().required(),
+  ToAccountID: Joi.string().required().invalid(Joi.ref('FromAccountID'))
+    .messages({ 'any.invalid': '"ToAccountID" must differ from "FromAccountID"' }),
+  Amount: Joi.number().positive().precision(2).required(),
+  Interest: Joi.number().min(0).precision(2).max(Joi.ref('Amount')).optional()
+    .messages({ 'number.max': '"Interest" must not be more than the "Amount"' }),
+  Date: Joi.date().iso().required(),
+  Description: Joi.string().allow('').optional()
+});
+
+/**
+ * Creates a standardized response object.
+ *
+ * @param {number} statusCode - The HTTP status code.
+ * @param {Object} body - The response body.
+ * @returns {Object} The formatted response object.
+ */
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Extracts the user ID from the Cognito authorizer context.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @returns {string} The user ID.
+ * @throws {Error} If the user ID is not found in the event.
+ */
+const getUserId = (event) => {
+  if (event.requestContext &&
+      event.requestContext.authorizer &&
+      event.requestContext.authorizer.claims &&
+      event.requestContext.authorizer.claims.sub) {
+    return event.requestContext.authorizer.claims.sub;
+  }
+  throw new Error('User ID not found in the event object');
+};
+
+/**
+ * Reads one of the user's accounts.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} accountId - The ID of the account.
+ * @returns {Promise<Object|null>} The account, or null if it does not exist or belongs to another user.
+ */
+const getAccount = async (userId, accountId) => {
+  const result = await dynamodb.get({
+    TableName: ACCOUNT_TABLE,
+    Key: { AccountID: accountId }
+  }).promise();
+  return result.Item && result.Item.UserID === userId ? result.Item : null;
+};
+
+/**
+ * Works out the Interest part of a transfer into a loan or mortgage. Other
+ * transfers carry none.
+ *
+ * @param {Object} account - The destination account.
+ * @param {Object} transfer - The validated transfer.
+ * @returns {number|undefined} The interest, or undefined if the destination is no loan.
+ */
+const transferInterest = (account, transfer) => {
+  if (!isLoan(account)) {
+    return undefined;
+  }
+  return transfer.Interest !== undefined ? transfer.Interest : paymentInterest(account, transfer.Amount);
+};
+
+/**
+ * Creates a transfer: both transaction legs and both balance changes, atomically.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} transfer - The transfer data.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const createTransfer = async (userId, transfer) => {
+  const { error } = transferSchema.validate(transfer);
+  if (error) {
+    logger.warn('Invalid input', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const fromAccount = await getAccount(userId, transfer.FromAccountID);
+  const toAccount = await getAccount(userId, transfer.ToAccountID);
+  if (!fromAccount || !toAccount) {
+    logger.warn('Transfer accounts not found or unauthorized', {
+      userId,
+      fromAccountId: transfer.FromAccountID,
+      toAccountId: transfer.ToAccountID
+    });
+    return createResponse(404, { message: 'Account not found' });
+  }
+  if ((fromAccount.Currency || DEFAULT_CURRENCY) !== (toAccount.Currency || DEFAULT_CURRENCY)) {
+    logger.warn('Transfer between currencies', {
+      userId,
+      fromAccountId: transfer.FromAccountID,
+      toAccountId: transfer.ToAccountID
+    });
+    return createResponse(400, { message: 'Transfers between accounts in different currencies are not supported' });
+  }
+
+  const transferId = uuidv4();
+  const now = new Date().toISOString();
+  const common = {
+    UserID: userId,
+    Date: transfer.Date,
+    Category: TRANSFER_CATEGORY,
+    Description: transfer.Description || '',
+    Status: 'pending',
+    Version: 1,
+    TransferID: transferId,
+    CreatedAt: now
+  };
+  const debit = {
+    ...common,
+    TransactionID: uuidv4(),
+    AccountID: transfer.FromAccountID,
+    Amount: -transfer.Amount
+  };
+  const credit = {
+    ...common,
+    TransactionID: uuidv4(),
+    AccountID: transfer.ToAccountID,
+    Amount: transfer.Amount
+  };
+  const interest = transferInterest(toAccount, transfer);
+  if (interest !== undefined) {
+    credit.Interest = interest;
+  }
+  debit.TransferPeerID = credit.TransactionID;
+  credit.TransferPeerID = debit.TransactionID;
+
+  const params = {
+    TransactItems: [
+      { Put: { TableName: TRANSACTION_TABLE, Item: debit } },
+      { Put: { TableName: TRANSACTION_TABLE, Item: credit } },
+      balanceUpdate(ACCOUNT_TABLE, userId, transfer.FromAccountID, -transfer.Amount, now),
+      balanceUpdate(ACCOUNT_TABLE, userId, transfer.ToAccountID, principalPart(credit), now)
+    ]
+  };
+
+  try {
+    await dynamodb.transactWrite(params).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      logger.warn('Transfer accounts not found or unauthorized', {
+        userId,
+        fromAccountId: transfer.FromAccountID,
+        toAccountId: transfer.ToAccountID
+      });
+      return createResponse(404, { message: 'Account not found' });
+    }
+    throw error;
+  }
+
+  logger.info('Transfer created', { userId, transferId });
+  return createResponse(201, {
+    message: 'Transfer created successfully',
+    transfer: { TransferID: transferId, debit, credit }
+  });
+};
+
+/**
+ * Main handler function for the Lambda.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @param {Object} context - The Lambda context object.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+exports.handler = async (event, context) => {
+  logger.info('Received event', {
+    requestId: context.awsRequestId,
+    event: JSON.stringify(event)
+  });
+
+  const { httpMethod, body } = event;
+
+  try {
+    const userId = getUserId(event);
+
+    switch (httpMethod) {
+      case 'POST':
+        return await createTransfer(userId, JSON.parse(body));
+      default:
+        logger.warn('Unsupported HTTP method', { userId, method: httpMethod });
+        return createResponse(400, { message: 'Unsupported HTTP method' });
+    }
+  } catch (error) {
+    if (error.message === 'User ID not found in the event object') {
+      logger.error('Unauthorized access attempt', { error: error.message });
+      return createResponse(401, { message: 'Unauthorized' });
+    }
+    logger.error('Error processing request', { error: error.message, stack: error.stack });
+    return createResponse(500, { message: 'Internal server error' });
+  }
+};
+
+// If running in a test environment, export internal functions for unit testing
+if (STAGE === 'test') {
+  module.exports = {
+    createResponse,
+    getUserId,
+    balanceUpdate,
+    getAccount,
+    transferInterest,
+    createTransfer
+  };
+}
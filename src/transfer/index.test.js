@@ -0,0 +1,139 @@
+const AWSMock = require('aws-sdk-mock');
+const AWS = require('aws-sdk');
+const { handler } = require('./index');
+
+// Setting up the AWS SDK DynamoDB DocumentClient mock
+AWSMock.setSDKInstance(AWS);
+
+const context = { awsRequestId: 'test-request' };
+
+beforeEach(() => {
+  AWSMock.restore('DynamoDB.DocumentClient');
+  process.env.TRANSACTION_TABLE = 'Transactions';
+  process.env.ACCOUNT_TABLE = 'Accounts';
+});
+
+afterAll(() => {
+  AWSMock.restore();
+});
+
+describe('createTransfer', () => {
+  it('rejects a transfer to the same account', async () => {
+    const event = {
+      httpMethod: 'POST',
+      body: JSON.stringify({
+        FromAccountID: 'acc1',
+        ToAccountID: 'acc1',
+        Amount: 100,
+        Date: '2023-06-22T10:30:00Z'
+      }),
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"ToAccountID" must differ from "FromAccountID"');
+  });
+
+  it('rejects a non-positive amount', async () => {
+    const event = {
+      httpMethod: 'POST',
+      body: JSON.stringify({
+        FromAccountID: 'acc1',
+        ToAccountID: 'acc2',
+        Amount: -100,
+        Date: '2023-06-22T10:30:00Z'
+      }),
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+  });
+
+  // The function creates its DocumentClient as it loads, so it is loaded afresh
+  // after the mocks are set up on its own copy of the SDK
+  const loadHandler = (mock) => {
+    let loaded;
+    jest.isolateModules(() => {
+      AWSMock.setSDKInstance(require('aws-sdk'));
+      mock();
+      loaded = require('./index').handler;
+    });
+    return loaded;
+  };
+
+  it('rejects a transfer between accounts in different currencies', async () => {
+    const event = {
+      httpMethod: 'POST',
+      body: JSON.stringify({
+        FromAccountID: 'acc1',
+        ToAccountID: 'acc2',
+        Amount: 100,
+        Date: '2023-06-22T10:30:00Z'
+      }),
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const transactWrite = jest.fn();
+    const mockedHandler = loadHandler(() => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        callback(null, {
+          Item: params.Key.AccountID === 'acc1'
+            ? { AccountID: 'acc1', UserID: 'user123', IsActive: true }
+            : { AccountID: 'acc2', UserID: 'user123', IsActive: true, Currency: 'EUR' }
+        });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'transactWrite', (params, callback) => {
+        transactWrite(params);
+        callback(null, {});
+      });
+    });
+
+    const result = await mockedHandler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message)
+      .toEqual('Transfers between accounts in different currencies are not supported');
+    expect(transactWrite).not.toHaveBeenCalled();
+  });
+});
+
+describe('Error Handling in Transfer Service', () => {
+  it('returns unauthorized without a user ID', async () => {
+    const event = {
+      httpMethod: 'POST',
+      body: '{}',
+      requestContext: { authorizer: {} }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(401);
+  });
+
+  it('rejects unsupported methods', async () => {
+    const event = {
+      httpMethod: 'GET',
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user123' }
+        }
+      }
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('Unsupported HTTP method');
+  });
+});
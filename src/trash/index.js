@@ -0,0 +1,404 @@
+/**
+
+This implementation manages the trash, where deleted transactions, budgets and goals wait before they are purged:
+
+1. GET /trash lists the user's deleted items, newest first, optionally of one type (?type=).
+2. POST /trash/{id}/restore puts an item back where it was deleted from.
+3. purgeHandler, run on a schedule, permanently removes items deleted more than TRASH_RETENTION_DAYS days ago
+   (30 by default), including the attachment objects of purged transactions.
+
+The transaction, budget and goal services move an item to the trash in the same DynamoDB transaction that deletes it.
+A trash entry holds the deleted items as they were stored. Its TrashID is the ID of the deleted item; the two legs of
+a deleted transfer share the entry of the leg the user deleted, so they are restored together.
+
+A restored item comes back with its Version incremented, so edits based on the item before it was deleted are rejected.
+Restoring a transaction adds its amount back to its account's balance, in the same DynamoDB transaction that puts it
+back. A transaction whose account has been closed or deleted cannot be restored until the account is.
+
+Purging first marks the entry with PurgingAt, then deletes its attachment objects, then the entry itself. A marked
+entry is no longer listed or restorable, and one whose objects could not all be deleted stays marked until a later
+run finishes it.
+
+Trash entries are stored with UserID as partition key and TrashID as sort key.
+
+*/
+
+'use strict';
+
+const AWS = require('aws-sdk');
+const Joi = require('joi');
+const winston = require('winston');
+const { balanceEffect, balanceUpdate } = require('@personal-finance/shared/balances');
+
+// Initialize AWS SDK and Winston logger
+const s3 = new AWS.S3();
+const dynamodb = new AWS.DynamoDB.DocumentClient();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.json(),
+  defaultMeta: { service: 'trash-service' },
+  transports: [
+    new winston.transports.Console()
+  ],
+});
+
+// Environment variables
+const TABLE_NAME = process.env.TRASH_TABLE;
+const TRANSACTION_TABLE = process.env.TRANSACTION_TABLE;
+const ACCOUNT_TABLE = process.env.ACCOUNT_TABLE;
+const BUDGET_TABLE = process.env.BUDGET_TABLE;
+const GOAL_TABLE = process.env.GOAL_TABLE;
+const ATTACHMENT_BUCKET = process.env.ATTACHMENT_BUCKET;
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const STAGE = process.env.STAGE;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where each type of item is restored to
+const ITEM_TABLES = {
+  transaction: { tableName: TRANSACTION_TABLE, keyName: 'TransactionID' },
+  budget: { tableName: BUDGET_TABLE, keyName: 'BudgetID' },
+  goal: { tableName: GOAL_TABLE, keyName: 'GoalID' }
+};
+
+// Query string schema for listing the trash
+const trashQuerySchema = Joi.object({
+  type: Joi.string().valid(...Object.keys(ITEM_TABLES))
+});
+
+/**
+ * Creates a standardized response object.
+ *
+ * @param {number} statusCode - The HTTP status code.
+ * @param {Object} body - The response body.
+ * @returns {Object} The formatted response object.
+ */
+const createResponse = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Extracts the user ID from the Cognito authorizer context.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @returns {string} The user ID.
+ * @throws {Error} If the user ID is not found in the event.
+ */
+const getUserId = (event) => {
+  if (event.requestContext &&
+      event.requestContext.authorizer &&
+      event.requestContext.authorizer.claims &&
+      event.requestContext.authorizer.claims.sub) {
+    return event.requestContext.authorizer.claims.sub;
+  }
+  throw new Error('User ID not found in the event object');
+};
+
+/**
+ * Computes when a trash entry is due to be purged.
+ *
+ * @param {string} deletedAt - When the entry was deleted (ISO timestamp).
+ * @returns {string} The purge time (ISO timestamp).
+ */
+const purgeTime = deletedAt => new Date(Date.parse(deletedAt) + RETENTION_DAYS * DAY_MS).toISOString();
+
+/**
+ * Lists the user's trash, newest first.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Object} queryStringParameters - The query parameters (type).
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const getTrash = async (userId, queryStringParameters) => {
+  const { error, value } = trashQuerySchema.validate(queryStringParameters || {});
+  if (error) {
+    logger.warn('Invalid query parameters', { userId, error: error.details[0].message });
+    return createResponse(400, { message: error.details[0].message });
+  }
+
+  const entries = [];
+  let startKey;
+  do {
+    const result = await dynamodb.query({
+      TableName: TABLE_NAME,
+      KeyConditionExpression: 'UserID = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ExclusiveStartKey: startKey
+    }).promise();
+    entries.push(...result.Items);
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+
+  const listed = entries
+    .filter(entry => !entry.PurgingAt)
+    .filter(entry => !value.type || entry.ItemType === value.type)
+    .sort((a, b) => b.DeletedAt.localeCompare(a.DeletedAt))
+    .map(entry => ({ ...entry, PurgeAt: purgeTime(entry.DeletedAt) }));
+  logger.info('Trash retrieved', { userId, count: listed.length });
+  return createResponse(200, listed);
+};
+
+/**
+ * Loads the accounts of some transactions.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<Object>} transactions - The transactions.
+ * @returns {Promise<Object>} The user's accounts among them, keyed by AccountID.
+ */
+const getAccounts = async (userId, transactions) => {
+  const accounts = {};
+  for (const accountId of new Set(transactions.map(transaction => transaction.AccountID))) {
+    const result = await dynamodb.get({
+      TableName: ACCOUNT_TABLE,
+      Key: { AccountID: accountId }
+    }).promise();
+    if (result.Item && result.Item.UserID === userId) {
+      accounts[accountId] = result.Item;
+    }
+  }
+  return accounts;
+};
+
+/**
+ * Builds the balance updates that add restored transactions back to their
+ * active accounts, one per account. A transaction in a currency other than
+ * its account's leaves the balance alone, and the Interest part of a loan
+ * payment never moved it, as in the transaction service.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<Object>} transactions - The restored transactions.
+ * @param {Object} accounts - Their accounts, keyed by AccountID.
+ * @param {string} timestamp - The update timestamp.
+ * @returns {Array<Object>} The TransactItems entries.
+ */
+const balanceUpdates = (userId, transactions, accounts, timestamp) => {
+  const deltas = {};
+  transactions.forEach((transaction) => {
+    const account = accounts[transaction.AccountID];
+    deltas[transaction.AccountID] = (deltas[transaction.AccountID] || 0) + balanceEffect(transaction, account.Currency);
+  });
+  return Object.entries(deltas)
+    .map(([accountId, delta]) => [accountId, Math.round(delta * 100) / 100])
+    .filter(([, delta]) => delta !== 0)
+    .map(([accountId, delta]) => balanceUpdate(ACCOUNT_TABLE, userId, accountId, delta, timestamp));
+};
+
+/**
+ * Restores an item from the trash, in one DynamoDB transaction that removes
+ * the trash entry and puts the items back. Restored transactions are added
+ * back to their accounts' balances.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} trashId - The ID of the trash entry, which is the ID of the deleted item.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const restoreItem = async (userId, trashId) => {
+  const result = await dynamodb.get({
+    TableName: TABLE_NAME,
+    Key: { UserID: userId, TrashID: trashId }
+  }).promise();
+  const entry = result.Item;
+  if (!entry || entry.PurgingAt) {
+    logger.warn('Trash entry not found', { userId, trashId });
+    return createResponse(404, { message: 'Item not found in trash' });
+  }
+
+  const now = new Date().toISOString();
+  const { tableName, keyName } = ITEM_TABLES[entry.ItemType];
+  const restored = entry.Items.map(item => ({ ...item, Version: (item.Version || 1) + 1 }));
+  const transactItems = [
+    {
+      Delete: {
+        TableName: TABLE_NAME,
+        Key: { UserID: userId, TrashID: trashId },
+        ConditionExpression: 'DeletedAt = :deletedAt AND attribute_not_exists(PurgingAt)',
+        ExpressionAttributeValues: { ':deletedAt': entry.DeletedAt }
+      }
+    },
+    ...restored.map(item => ({
+      Put: {
+        TableName: tableName,
+        Item: item,
+        ConditionExpression: `attribute_not_exists(${keyName})`
+      }
+    }))
+  ];
+
+  if (entry.ItemType === 'transaction') {
+    const accounts = await getAccounts(userId, entry.Items);
+    const closed = entry.Items.find(item => !accounts[item.AccountID] || !accounts[item.AccountID].IsActive);
+    if (closed) {
+      logger.warn('Account of trashed transaction is closed', { userId, trashId, accountId: closed.AccountID });
+      return createResponse(409, { message: 'The account of this transaction is closed or was deleted' });
+    }
+    transactItems.push(...balanceUpdates(userId, entry.Items, accounts, now));
+  }
+
+  try {
+    await dynamodb.transactWrite({ TransactItems: transactItems }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      logger.warn('Trash restore conflicted', { userId, trashId });
+      return createResponse(409, { message: 'Item was restored or changed by another request' });
+    }
+    throw error;
+  }
+
+  logger.info('Item restored from trash', { userId, trashId, itemType: entry.ItemType });
+  return createResponse(200, {
+    message: 'Item restored successfully',
+    itemType: entry.ItemType,
+    items: restored
+  });
+};
+
+/**
+ * Deletes the attachment objects of purged transactions.
+ *
+ * @param {Array<Object>} attachments - The attachments.
+ * @returns {Promise<void>}
+ * @throws {Error} If some objects could not be deleted, so the entry stays marked for the next run.
+ */
+const deleteAttachmentObjects = async (attachments) => {
+  if (attachments.length === 0) return;
+  const result = await s3.deleteObjects({
+    Bucket: ATTACHMENT_BUCKET,
+    Delete: { Objects: attachments.map(attachment => ({ Key: attachment.Key })), Quiet: true }
+  }).promise();
+  if (result.Errors && result.Errors.length > 0) {
+    throw new Error(`Failed to delete ${result.Errors.length} attachment objects`);
+  }
+};
+
+/**
+ * Permanently removes one trash entry, unless it was restored and deleted
+ * again in the meantime. The entry is first marked as being purged, which
+ * stops it from being restored, then the attachment objects of its
+ * transactions are deleted, and only then the entry. An entry whose objects
+ * could not all be deleted stays marked, and the next run picks it up again.
+ *
+ * @param {Object} entry - The trash entry.
+ * @returns {Promise<void>}
+ * @throws {Error} If the objects or the entry could not be deleted.
+ */
+const purgeEntry = async (entry) => {
+  const key = { UserID: entry.UserID, TrashID: entry.TrashID };
+  if (!entry.PurgingAt) {
+    try {
+      await dynamodb.update({
+        TableName: TABLE_NAME,
+        Key: key,
+        UpdateExpression: 'set PurgingAt = :purgingAt',
+        ConditionExpression: 'DeletedAt = :deletedAt',
+        ExpressionAttributeValues: { ':purgingAt': new Date().toISOString(), ':deletedAt': entry.DeletedAt }
+      }).promise();
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') throw error;
+      return;
+    }
+  }
+  if (entry.ItemType === 'transaction') {
+    await deleteAttachmentObjects(entry.Items.flatMap(item => item.Attachments || []));
+  }
+  await dynamodb.delete({ TableName: TABLE_NAME, Key: key }).promise();
+};
+
+/**
+ * Scheduled handler: purges every trash entry older than the retention period.
+ *
+ * @param {Object} event - The scheduled (EventBridge) event.
+ * @param {Object} context - The Lambda context object.
+ * @returns {Promise<Object>} A summary of the run.
+ */
+exports.purgeHandler = async (event, context) => {
+  const now = event && event.time ? Date.parse(event.time) : Date.now();
+  const cutoff = new Date(now - RETENTION_DAYS * DAY_MS).toISOString();
+  logger.info('Purging trash', { requestId: context.awsRequestId, cutoff });
+
+  const summary = { purged: 0, failed: 0 };
+  let startKey;
+  do {
+    const result = await dynamodb.scan({
+      TableName: TABLE_NAME,
+      FilterExpression: 'DeletedAt < :cutoff',
+      ExpressionAttributeValues: { ':cutoff': cutoff },
+      ExclusiveStartKey: startKey
+    }).promise();
+    for (const entry of result.Items) {
+      try {
+        await purgeEntry(entry);
+        summary.purged++;
+      } catch (error) {
+        // One broken entry must not stop the others; the next run retries it
+        summary.failed++;
+        logger.error('Error purging trash entry', {
+          userId: entry.UserID,
+          trashId: entry.TrashID,
+          error: error.message,
+          stack: error.stack
+        });
+      }
+    }
+    startKey = result.LastEvaluatedKey;
+  } while (startKey);
+
+  logger.info('Trash purged', summary);
+  return summary;
+};
+
+/**
+ * Main handler function for the Lambda.
+ *
+ * @param {Object} event - The Lambda event object.
+ * @param {Object} context - The Lambda context object.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+exports.handler = async (event, context) => {
+  logger.info('Received event', {
+    requestId: context.awsRequestId,
+    event: JSON.stringify(event)
+  });
+
+  const { httpMethod, pathParameters, queryStringParameters } = event;
+
+  try {
+    const userId = getUserId(event);
+
+    switch (httpMethod) {
+      case 'GET':
+        return await getTrash(userId, queryStringParameters);
+      case 'POST':
+        return await restoreItem(userId, pathParameters.id);
+      default:
+        logger.warn('Unsupported HTTP method', { userId, method: httpMethod });
+        return createResponse(400, { message: 'Unsupported HTTP method' });
+    }
+  } catch (error) {
+    if (error.message === 'User ID not found in the event object') {
+      logger.error('Unauthorized access attempt', { error: error.message });
+      return createResponse(401, { message: 'Unauthorized' });
+    }
+    logger.error('Error processing request', { error: error.message, stack: error.stack });
+    return createResponse(500, { message: 'Internal server error' });
+  }
+};
+
+// If running in a test environment, export internal functions for unit testing
+if (STAGE === 'test') {
+  module.exports = {
+    createResponse,
+    getUserId,
+    purgeTime,
+    getTrash,
+    getAccounts,
+    balanceUpdates,
+    restoreItem,
+    deleteAttachmentObjects,
+    purgeEntry
+  };
+}
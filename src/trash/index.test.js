@@ -0,0 +1,99 @@
+const AWSMock = require('aws-sdk-mock');
+const AWS = require('aws-sdk');
+const { handler } = require('./index');
+
+// Setting up the AWS SDK DynamoDB DocumentClient mock
+AWSMock.setSDKInstance(AWS);
+
+const context = { awsRequestId: 'test-request' };
+const requestContext = {
+  authorizer: {
+    claims: { sub: 'user123' }
+  }
+};
+
+beforeEach(() => {
+  AWSMock.restore('DynamoDB.DocumentClient');
+  process.env.TRASH_TABLE = 'Trash';
+});
+
+afterAll(() => {
+  AWSMock.restore();
+});
+
+describe('getTrash', () => {
+  it('rejects an unknown item type', async () => {
+    const event = {
+      httpMethod: 'GET',
+      path: '/trash',
+      queryStringParameters: { type: 'account' },
+      requestContext
+    };
+
+    const result = await handler(event, context);
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).message).toEqual('"type" must be one of [transaction, budget, goal]');
+  });
+});
+
+describe('handler', () => {
+  it('returns 401 without a user', async () => {
+    const result = await handler({ httpMethod: 'GET', path: '/trash' }, context);
+    expect(result.statusCode).toBe(401);
+  });
+
+  it('rejects unsupported methods', async () => {
+    const result = await handler({ httpMethod: 'DELETE', path: '/trash/abc', requestContext }, context);
+    expect(result.statusCode).toBe(400);
+  });
+});
+
+describe('purgeHandler', () => {
+  // The function creates its clients as it loads, so it is loaded afresh
+  // after the mocks are set up on its own copy of the SDK
+  const loadPurgeHandler = (mock) => {
+    let loaded;
+    jest.isolateModules(() => {
+      AWSMock.setSDKInstance(require('aws-sdk'));
+      mock();
+      loaded = require('./index').purgeHandler;
+    });
+    return loaded;
+  };
+
+  afterEach(() => {
+    AWSMock.restore('S3');
+  });
+
+  it('keeps the entry marked when its attachments could not be deleted', async () => {
+    const entry = {
+      UserID: 'user123',
+      TrashID: 'txn1',
+      ItemType: 'transaction',
+      DeletedAt: '2023-01-01T00:00:00.000Z',
+      Items: [{ TransactionID: 'txn1', Attachments: [{ Key: 'user123/txn1/receipt.pdf' }] }]
+    };
+    const calls = [];
+    const purgeHandler = loadPurgeHandler(() => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'scan', (params, callback) => {
+        callback(null, { Items: [entry] });
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
+        calls.push(['update', params]);
+        callback(null, {});
+      });
+      AWSMock.mock('DynamoDB.DocumentClient', 'delete', (params, callback) => {
+        calls.push(['delete', params]);
+        callback(null, {});
+      });
+      AWSMock.mock('S3', 'deleteObjects', (params, callback) => {
+        callback(null, { Errors: [{ Key: 'user123/txn1/receipt.pdf', Code: 'InternalError' }] });
+      });
+    });
+
+    const summary = await purgeHandler({ time: '2023-06-01T00:00:00Z' }, context);
+    expect(summary).toEqual({ purged: 0, failed: 1 });
+    expect(calls.map(([operation]) => operation)).toEqual(['update']);
+    expect(calls[0][1].ConditionExpression).toEqual('DeletedAt = :deletedAt');
+  });
+});
@@ -4,6 +4,14 @@ const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
 const Joi = require('joi');
 const winston = require('winston');
+const {
+  VERSION_REQUIRED_MESSAGE,
+  etag,
+  expectedVersion,
+  isCurrent,
+  conflictStatus,
+  versionCondition
+} = require('@personal-finance/shared/versioning');
 
 // Initialize AWS SDK and Winston logger
 const dynamodb = new AWS.DynamoDB.DocumentClient();
@@ -20,10 +28,16 @@ const logger = winston.createLogger({
 const TABLE_NAME = process.env.USER_TABLE;
 const STAGE = process.env.STAGE;
 
+const DEFAULT_CURRENCY = 'USD';
+
 // Validation schema for user data
 const userSchema = Joi.object({
   Name: Joi.string().required(),
-  Email: Joi.string().email().required()
+  Email: Joi.string().email().required(),
+  // Currency analytics are reported in
+  BaseCurrency: Joi.string().pattern(/^[A-Z]{3}$/)
+    .messages({ 'string.pattern.base': '"BaseCurrency" must be an ISO 4217 currency code' }),
+  Version: Joi.number().integer().min(1).optional()
 });
 
 /**
@@ -31,13 +45,16 @@ const userSchema = Joi.object({
  *
  * @param {number} statusCode - The HTTP status code.
  * @param {Object} body - The response body.
+ * @param {Object} [headers] - Additional response headers.
  * @returns {Object} The formatted response object.
  */
-const createResponse = (statusCode, body) => ({
+const createResponse = (statusCode, body, headers = {}) => ({
   statusCode,
   headers: {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
+    'Access-Control-Expose-Headers': 'ETag',
+    ...headers
   },
   body: JSON.stringify(body),
 });
@@ -76,7 +93,61 @@ const getUser = async (userId) => {
     return createResponse(404, { message: 'User not found' });
   }
   logger.info('User retrieved', { userId });
-  return createResponse(200, result.Item);
+  return createResponse(200, result.Item, { ETag: etag(result.Item) });
+};
+
+/**
+ * Reads a user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Object|null>} The user, or null if it does not exist.
+ */
+const findUser = async (userId) => {
+  const result = await dynamodb.get({ TableName: TABLE_NAME, Key: { UserID: userId } }).promise();
+  return result.Item || null;
+};
+
+/**
+ * Builds the response to a request based on a stale version of a user,
+ * carrying the user as it is now.
+ *
+ * @param {{source: string}} expected - The version the request was based on.
+ * @param {Object} current - The stored user.
+ * @returns {Object} The Lambda response object.
+ */
+const versionConflict = (expected, current) => createResponse(conflictStatus(expected), {
+  message: 'User was modified by another request. Please retry with the latest version.',
+  current
+}, { ETag: etag(current) });
+
+/**
+ * Checks that an update or delete names the current version of a user.
+ *
+ * @param {?{version: number, source: string}} expected - The version the request is based on.
+ * @param {Object} existing - The stored user.
+ * @returns {Object|null} The Lambda response rejecting the request, or null if it may go ahead.
+ */
+const checkVersion = (expected, existing) => {
+  if (!expected) {
+    return createResponse(428, { message: VERSION_REQUIRED_MESSAGE });
+  }
+  return isCurrent(expected, existing) ? null : versionConflict(expected, existing);
+};
+
+/**
+ * Answers an update or delete whose conditional write lost a race with
+ * another request, with the user as it is now.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {{source: string}} expected - The version the request was based on.
+ * @returns {Promise<Object>} The Lambda response object.
+ */
+const conflictAfterWrite = async (userId, expected) => {
+  const current = await findUser(userId);
+  if (!current) {
+    return createResponse(404, { message: 'User not found' });
+  }
+  return versionConflict(expected, current);
 };
 
 /**
@@ -94,6 +165,8 @@ const createUser = async (userId, user) => {
   }
   const newUser = {
     ...user,
+    BaseCurrency: user.BaseCurrency || DEFAULT_CURRENCY,
+    Version: 1,
     UserID: userId,
     CreatedAt: new Date().toISOString()
   };
@@ -105,7 +178,7 @@ const createUser = async (userId, user) => {
   try {
     await dynamodb.put(params).promise();
     logger.info('User created', { userId });
-    return createResponse(201, { message: 'User created successfully', user: newUser });
+    return createResponse(201, { message: 'User created successfully', user: newUser }, { ETag: etag(newUser) });
   } catch (error) {
     if (error.code === 'ConditionalCheckFailedException') {
       logger.warn('User already exists', { userId });
@@ -116,49 +189,107 @@ const createUser = async (userId, user) => {
 };
 
 /**
- * Updates an existing user in the database.
+ * Updates an existing user in the database. The update must be based on the
+ * current version of the user.
  *
  * @param {string} userId - The ID of the user to update.
  * @param {Object} user - The updated user data.
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
  * @returns {Promise<Object>} The Lambda response object.
  */
-const updateUser = async (userId, user) => {
+const updateUser = async (userId, user, headers) => {
   const { error } = userSchema.validate(user);
   if (error) {
     logger.warn('Invalid input', { userId, error: error.details[0].message });
     return createResponse(400, { message: error.details[0].message });
   }
+  const existing = await findUser(userId);
+  if (!existing) {
+    logger.warn('User not found', { userId });
+    return createResponse(404, { message: 'User not found' });
+  }
+  const expected = expectedVersion(headers, user);
+  const rejected = checkVersion(expected, existing);
+  if (rejected) {
+    logger.warn('Update not based on the current version', { userId, expected });
+    return rejected;
+  }
+  const unchanged = versionCondition(existing);
   const params = {
     TableName: TABLE_NAME,
     Key: { UserID: userId },
-    UpdateExpression: 'set #name = :name, Email = :email, UpdatedAt = :updatedAt',
+    UpdateExpression: 'set #name = :name, Email = :email, UpdatedAt = :updatedAt, Version = :nextVersion',
+    ConditionExpression: unchanged.expression,
     ExpressionAttributeNames: {
       '#name': 'Name'
     },
     ExpressionAttributeValues: {
       ':name': user.Name,
       ':email': user.Email,
-      ':updatedAt': new Date().toISOString()
+      ':updatedAt': new Date().toISOString(),
+      ':nextVersion': expected.version + 1,
+      ...unchanged.values
     },
     ReturnValues: 'ALL_NEW'
   };
-  const result = await dynamodb.update(params).promise();
+  // The base currency is kept unless given
+  if (user.BaseCurrency) {
+    params.UpdateExpression += ', BaseCurrency = :baseCurrency';
+    params.ExpressionAttributeValues[':baseCurrency'] = user.BaseCurrency;
+  }
+  let result;
+  try {
+    result = await dynamodb.update(params).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Concurrent user update detected', { userId });
+      return conflictAfterWrite(userId, expected);
+    }
+    throw error;
+  }
   logger.info('User updated', { userId });
-  return createResponse(200, { message: 'User updated successfully', user: result.Attributes });
+  return createResponse(200, { message: 'User updated successfully', user: result.Attributes }, { ETag: etag(result.Attributes) });
 };
 
 /**
- * Deletes a user from the database.
+ * Deletes a user from the database. The delete must be based on the current
+ * version of the user.
  *
  * @param {string} userId - The ID of the user to delete.
+ * @param {Object} [headers] - The request headers, which may carry If-Match.
+ * @param {Object} [body] - The request body, which may carry the Version.
  * @returns {Promise<Object>} The Lambda response object.
  */
-const deleteUser = async (userId) => {
+const deleteUser = async (userId, headers, body) => {
+  const existing = await findUser(userId);
+  if (!existing) {
+    logger.warn('User not found', { userId });
+    return createResponse(404, { message: 'User not found' });
+  }
+  const expected = expectedVersion(headers, body);
+  const rejected = checkVersion(expected, existing);
+  if (rejected) {
+    logger.warn('Delete not based on the current version', { userId, expected });
+    return rejected;
+  }
+  const unchanged = versionCondition(existing);
   const params = {
     TableName: TABLE_NAME,
-    Key: { UserID: userId }
+    Key: { UserID: userId },
+    ConditionExpression: unchanged.expression
   };
-  await dynamodb.delete(params).promise();
+  if (Object.keys(unchanged.values).length) {
+    params.ExpressionAttributeValues = unchanged.values;
+  }
+  try {
+    await dynamodb.delete(params).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      logger.warn('Concurrent user update detected', { userId });
+      return conflictAfterWrite(userId, expected);
+    }
+    throw error;
+  }
   logger.info('User deleted', { userId });
   return createResponse(200, { message: 'User deleted successfully' });
 };
@@ -176,7 +307,7 @@ exports.handler = async (event, context) => {
     event: JSON.stringify(event)
   });
 
-  const { httpMethod, body } = event;
+  const { httpMethod, body, headers } = event;
 
   try {
     const userId = getUserId(event);
@@ -187,9 +318,9 @@ exports.handler = async (event, context) => {
       case 'POST':
         return await createUser(userId, JSON.parse(body));
       case 'PUT':
-        return await updateUser(userId, JSON.parse(body));
+        return await updateUser(userId, JSON.parse(body), headers);
       case 'DELETE':
-        return await deleteUser(userId);
+        return await deleteUser(userId, headers, body ? JSON.parse(body) : null);
       default:
         logger.warn('Unsupported HTTP method', { userId, method: httpMethod });
         return createResponse(400, { message: 'Unsupported HTTP method' });
@@ -210,6 +341,10 @@ if (STAGE === 'test') {
     createResponse,
     getUserId,
     getUser,
+    findUser,
+    versionConflict,
+    checkVersion,
+    conflictAfterWrite,
     createUser,
     updateUser,
     deleteUser
@@ -103,6 +103,9 @@ describe('User Service Lambda Function', () => {
   // Test case for updating a user
   describe('updateUser', () => {
     it('updates a user successfully', async () => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        callback(null, { Item: { UserID: 'user123', Name: 'Test User', Email: 'test@example.com', Version: 1 } });
+      });
       AWSMock.mock('DynamoDB.DocumentClient', 'update', (params, callback) => {
         callback(null, {
           Attributes: {
@@ -115,7 +118,8 @@ describe('User Service Lambda Function', () => {
 
       const event = mockEvent('PUT', 'user123', {
         Name: 'Updated User',
-        Email: 'updated@example.com'
+        Email: 'updated@example.com',
+        Version: 1
       });
       const result = await handler(event);
       expect(result.statusCode).toBe(200);
@@ -135,11 +139,14 @@ describe('User Service Lambda Function', () => {
   // Test case for deleting a user
   describe('deleteUser', () => {
     it('deletes a user successfully', async () => {
+      AWSMock.mock('DynamoDB.DocumentClient', 'get', (params, callback) => {
+        callback(null, { Item: { UserID: 'user123', Version: 1 } });
+      });
       AWSMock.mock('DynamoDB.DocumentClient', 'delete', (params, callback) => {
         callback(null, {});
       });
 
-      const event = mockEvent('DELETE', 'user123');
+      const event = mockEvent('DELETE', 'user123', { Version: 1 });
       const result = await handler(event);
       expect(result.statusCode).toBe(200);
       expect(JSON.parse(result.body).message).toEqual('User deleted successfully');